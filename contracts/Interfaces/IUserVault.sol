@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IUserVault
+ * @dev Events and errors that UserVault_V4 shares with its libraries. The vault inherits them, and
+ * the libraries, which run in the vault's context, emit and revert with them as IUserVault members.
+ */
+interface IUserVault {
+    // Events
+    event AssetAdded(address indexed asset, address indexed initialVault);
+    event AssetRemoved(address indexed asset);
+    event VaultAdded(address indexed vault);
+    event VaultRemoved(address indexed vault);
+    event Rebalanced(
+        address indexed asset,
+        address indexed fromVault,
+        address indexed toVault,
+        uint256 amount
+    );
+    event RebalanceFeeCollected(
+        address indexed asset,
+        uint256 profitAmount,
+        uint256 feeAmount,
+        uint256 newBaseAmount
+    );
+    event AssetVaultWeightsUpdated(address indexed asset, address[] vaults, uint256[] weights);
+    event AssetSwapped(
+        address indexed fromAsset,
+        address indexed toAsset,
+        uint256 amountIn,
+        uint256 amountOut
+    );
+    event MerklOperatorApproved(address indexed admin);
+    event MerklOperatorRevoked(address indexed admin);
+    event MerklTokensClaimed(address indexed token, uint256 totalAmount, uint256 feeAmount, uint256 userAmount);
+
+    // Errors
+    error InvalidAsset();
+    error InvalidVault();
+    error InvalidToken();
+    error NoVaultsForAsset();
+    error LengthMismatch();
+    error EmptyArrays();
+    error DuplicateAsset();
+    error DuplicateVault();
+    error AssetNotAllowed();
+    error AssetHasDeposits();
+    error VaultNotAllowed();
+    error VaultNotAvailable();
+    error VaultAlreadyAvailable();
+    error VaultAssetMismatch();
+    error VaultInUse();
+    error VaultHasFunds();
+    error VaultHasWeight();
+    error CannotRemoveActiveVault();
+    error SameAsset();
+    error InvalidWeight();
+    error InvalidWeightSum();
+    error ZeroAmount();
+    error ZeroShares();
+    error NoPool();
+    error MinimumOutputRequired();
+}
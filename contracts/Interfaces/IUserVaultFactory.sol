@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+interface IUserVaultFactory {
+    function updateVaultOwner(address oldOwner, address newOwner) external;
+
+    function updateVaultAdmin(address oldAdmin, address newAdmin) external;
+}
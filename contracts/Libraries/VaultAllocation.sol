@@ -0,0 +1,315 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../Interfaces/IMetaMorpho.sol";
+import "../Interfaces/IUserVault.sol";
+
+/**
+ * @title VaultAllocation
+ * @dev An asset's vaults in UserVault_V4: their registration at deployment, the target weights
+ * that split deposits across them and the position held in each. Runs in the vault's context (delegatecall).
+ */
+library VaultAllocation {
+    /**
+     * @dev Register the vault's initial assets, each with its vaults; the first vault becomes the active one.
+     * The vaults are added to the vault whitelist.
+     */
+    function addAssets(
+        mapping(address => bool) storage isAllowedAsset,
+        address[] storage allowedAssets,
+        mapping(address => address) storage assetToVault,
+        mapping(address => address[]) storage assetAvailableVaults,
+        mapping(address => bool) storage isAllowedVault,
+        address[] storage allowedVaults,
+        address[] memory assets,
+        address[][] memory assetVaults
+    ) external {
+        for (uint256 i = 0; i < assets.length; i++) {
+            address asset = assets[i];
+            require(asset != address(0), IUserVault.InvalidAsset());
+            require(!isAllowedAsset[asset], IUserVault.DuplicateAsset());
+            require(assetVaults[i].length > 0, IUserVault.NoVaultsForAsset());
+
+            isAllowedAsset[asset] = true;
+            allowedAssets.push(asset);
+            assetToVault[asset] = assetVaults[i][0];
+            _addVaults(isAllowedVault, allowedVaults, assetAvailableVaults[asset], asset, assetVaults[i]);
+        }
+    }
+
+    function _addVaults(
+        mapping(address => bool) storage isAllowedVault,
+        address[] storage allowedVaults,
+        address[] storage available,
+        address asset,
+        address[] memory vaults
+    ) private {
+        for (uint256 j = 0; j < vaults.length; j++) {
+            address vault = vaults[j];
+            require(vault != address(0), IUserVault.InvalidVault());
+            require(IMetaMorpho(vault).asset() == asset, IUserVault.VaultAssetMismatch());
+            for (uint256 k = 0; k < j; k++) {
+                require(vaults[k] != vault, IUserVault.DuplicateVault());
+            }
+
+            available.push(vault);
+            if (!isAllowedVault[vault]) {
+                isAllowedVault[vault] = true;
+                allowedVaults.push(vault);
+            }
+        }
+    }
+
+    /**
+     * @dev Allow a new asset with a whitelisted vault as its active vault
+     */
+    function addAsset(
+        mapping(address => bool) storage isAllowedAsset,
+        address[] storage allowedAssets,
+        mapping(address => address) storage assetToVault,
+        mapping(address => bool) storage isAllowedVault,
+        address asset,
+        address vault
+    ) external {
+        require(asset != address(0), IUserVault.InvalidAsset());
+        require(vault != address(0), IUserVault.InvalidVault());
+        require(!isAllowedAsset[asset], IUserVault.DuplicateAsset());
+        require(isAllowedVault[vault], IUserVault.VaultNotAllowed());
+
+        // Verify vault accepts this asset
+        require(IMetaMorpho(vault).asset() == asset, IUserVault.VaultAssetMismatch());
+
+        isAllowedAsset[asset] = true;
+        allowedAssets.push(asset);
+        assetToVault[asset] = vault;
+
+        emit IUserVault.AssetAdded(asset, vault);
+    }
+
+    /**
+     * @dev Remove an asset without deposits from the allowed assets
+     */
+    function removeAsset(
+        mapping(address => bool) storage isAllowedAsset,
+        address[] storage allowedAssets,
+        mapping(address => address) storage assetToVault,
+        bool hasDeposits,
+        address asset
+    ) external {
+        require(isAllowedAsset[asset], IUserVault.AssetNotAllowed());
+        require(!hasDeposits, IUserVault.AssetHasDeposits());
+
+        isAllowedAsset[asset] = false;
+        _remove(allowedAssets, asset);
+        delete assetToVault[asset];
+
+        emit IUserVault.AssetRemoved(asset);
+    }
+
+    /**
+     * @dev Remove a vault from the whitelist, unless it is an asset's active vault
+     */
+    function removeVault(
+        mapping(address => bool) storage isAllowedVault,
+        address[] storage allowedVaults,
+        address[] storage allowedAssets,
+        mapping(address => address) storage assetToVault,
+        address vault
+    ) external {
+        require(isAllowedVault[vault], IUserVault.VaultNotAllowed());
+
+        // Check if any asset is using this vault
+        for (uint256 i = 0; i < allowedAssets.length; i++) {
+            require(assetToVault[allowedAssets[i]] != vault, IUserVault.VaultInUse());
+        }
+
+        isAllowedVault[vault] = false;
+        _remove(allowedVaults, vault);
+
+        emit IUserVault.VaultRemoved(vault);
+    }
+
+    /**
+     * @dev Add a vault to an asset's available vaults, and to the whitelist if it is not on it
+     */
+    function addAssetVault(
+        mapping(address => bool) storage isAllowedVault,
+        address[] storage allowedVaults,
+        address[] storage available,
+        address asset,
+        address vault
+    ) external {
+        require(vault != address(0), IUserVault.InvalidVault());
+        require(IMetaMorpho(vault).asset() == asset, IUserVault.VaultAssetMismatch());
+        require(!_contains(available, vault), IUserVault.VaultAlreadyAvailable());
+
+        if (!isAllowedVault[vault]) {
+            isAllowedVault[vault] = true;
+            allowedVaults.push(vault);
+        }
+        available.push(vault);
+
+        emit IUserVault.VaultAdded(vault);
+    }
+
+    /**
+     * @dev Remove a vault without weight or shares from an asset's available vaults
+     * @param activeVault The asset's active vault, which cannot be removed
+     * @param weight The vault's target weight for the asset
+     */
+    function removeAssetVault(address[] storage available, address activeVault, uint256 weight, address vault)
+        external
+    {
+        require(vault != activeVault, IUserVault.CannotRemoveActiveVault());
+        require(_contains(available, vault), IUserVault.VaultNotAvailable());
+        require(weight == 0, IUserVault.VaultHasWeight());
+        require(IMetaMorpho(vault).balanceOf(address(this)) == 0, IUserVault.VaultHasFunds());
+
+        _remove(available, vault);
+
+        emit IUserVault.VaultRemoved(vault);
+    }
+
+    /**
+     * @dev Replace an asset's target weights. Empty arrays clear them.
+     * @param assetWeights The asset's weights (assetVaultWeight[asset])
+     * @param available The asset's available vaults
+     * @return hasWeights Whether deposits follow the weights
+     */
+    function setWeights(
+        mapping(address => uint256) storage assetWeights,
+        address[] storage available,
+        address asset,
+        address[] calldata vaults,
+        uint256[] calldata weights
+    ) external returns (bool hasWeights) {
+        require(vaults.length == weights.length, IUserVault.LengthMismatch());
+
+        for (uint256 i = 0; i < available.length; i++) {
+            delete assetWeights[available[i]];
+        }
+
+        uint256 totalWeight = 0;
+        for (uint256 i = 0; i < vaults.length; i++) {
+            require(_contains(available, vaults[i]), IUserVault.VaultNotAvailable());
+            require(assetWeights[vaults[i]] == 0, IUserVault.DuplicateVault());
+            require(weights[i] > 0, IUserVault.InvalidWeight());
+            assetWeights[vaults[i]] = weights[i];
+            totalWeight += weights[i];
+        }
+        require(vaults.length == 0 || totalWeight == 10000, IUserVault.InvalidWeightSum());
+
+        emit IUserVault.AssetVaultWeightsUpdated(asset, vaults, weights);
+        return vaults.length > 0;
+    }
+
+    /**
+     * @dev Shares, their value and the target weight of each of an asset's available vaults
+     */
+    function allocation(mapping(address => uint256) storage assetWeights, address[] storage available)
+        external
+        view
+        returns (
+            address[] memory vaults,
+            uint256[] memory shares,
+            uint256[] memory assets,
+            uint256[] memory weights
+        )
+    {
+        vaults = available;
+        shares = new uint256[](vaults.length);
+        assets = new uint256[](vaults.length);
+        weights = new uint256[](vaults.length);
+
+        for (uint256 i = 0; i < vaults.length; i++) {
+            shares[i] = IMetaMorpho(vaults[i]).balanceOf(address(this));
+            assets[i] = IMetaMorpho(vaults[i]).convertToAssets(shares[i]);
+            weights[i] = assetWeights[vaults[i]];
+        }
+    }
+
+    /**
+     * @dev Deposited total, current value and profit of each of `assets` with an initial deposit
+     * @param hasInitialDeposit assetHasInitialDeposit
+     * @param totalDeposited assetTotalDeposited
+     * @param activeVaults assetToVault
+     * @param availableVaults assetAvailableVaults
+     */
+    function portfolio(
+        address[] storage assets,
+        mapping(address => bool) storage hasInitialDeposit,
+        mapping(address => uint256) storage totalDeposited,
+        mapping(address => address) storage activeVaults,
+        mapping(address => address[]) storage availableVaults
+    )
+        external
+        view
+        returns (
+            address[] memory held,
+            uint256[] memory deposited,
+            uint256[] memory currentValues,
+            int256[] memory profits
+        )
+    {
+        uint256 count = 0;
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (hasInitialDeposit[assets[i]]) count++;
+        }
+
+        held = new address[](count);
+        deposited = new uint256[](count);
+        currentValues = new uint256[](count);
+        profits = new int256[](count);
+
+        uint256 index = 0;
+        for (uint256 i = 0; i < assets.length; i++) {
+            address asset = assets[i];
+            if (!hasInitialDeposit[asset]) continue;
+
+            held[index] = asset;
+            deposited[index] = totalDeposited[asset];
+            currentValues[index] = _totalAssets(availableVaults[asset], activeVaults[asset]);
+            if (deposited[index] > 0) {
+                profits[index] = int256(currentValues[index]) - int256(deposited[index]);
+            }
+            index++;
+        }
+    }
+
+    /**
+     * @dev Value of an asset's shares in its active vault and every available vault
+     */
+    function totalAssets(address[] storage available, address activeVault) external view returns (uint256) {
+        return _totalAssets(available, activeVault);
+    }
+
+    function _totalAssets(address[] storage available, address activeVault) private view returns (uint256 total) {
+        if (activeVault != address(0)) {
+            total = _value(activeVault);
+        }
+        for (uint256 i = 0; i < available.length; i++) {
+            if (available[i] != activeVault) total += _value(available[i]);
+        }
+    }
+
+    function _value(address vault) private view returns (uint256) {
+        return IMetaMorpho(vault).convertToAssets(IMetaMorpho(vault).balanceOf(address(this)));
+    }
+
+    function _remove(address[] storage values, address value) private {
+        for (uint256 i = 0; i < values.length; i++) {
+            if (values[i] == value) {
+                values[i] = values[values.length - 1];
+                values.pop();
+                break;
+            }
+        }
+    }
+
+    function _contains(address[] storage vaults, address vault) private view returns (bool) {
+        for (uint256 i = 0; i < vaults.length; i++) {
+            if (vaults[i] == vault) return true;
+        }
+        return false;
+    }
+}
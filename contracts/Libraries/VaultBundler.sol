@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+import "../Interfaces/IMetaMorpho.sol";
+import "../Interfaces/IBundler.sol";
+import "../Interfaces/IUserVault.sol";
+
+/**
+ * @title VaultBundler
+ * @dev Morpho vault deposits and redeems of UserVault_V4 through Bundler3 and the GeneralAdapter,
+ * and their split across an asset's vaults. Runs in the vault's context (delegatecall).
+ * The adapter's share price is bounded by the vault's preview and the tolerance the vault passes.
+ * Amounts are measured from the vault's balances, so callers can also check them against their
+ * caller's minimums.
+ */
+library VaultBundler {
+    address public constant ADAPTER_ADDRESS = 0xb98c948CFA24072e58935BC004a8A7b376AE746A;
+    address public constant BUNDLER_ADDRESS = 0x6BFd8137e702540E7A42B74178A4a49Ba43920C4;
+
+    // GeneralAdapter1 selectors
+    bytes4 private constant ERC20_TRANSFER_FROM = 0xd96ca0b9;
+    bytes4 private constant ERC4626_DEPOSIT = 0x6ef5eeae;
+    bytes4 private constant ERC4626_REDEEM = 0xa7f6e606;
+
+    /**
+     * @dev Deposit `amount` of `asset` into `vault`
+     * @param tolerance Allowed share price increase over previewDeposit, in basis points
+     * @return shares Shares received
+     */
+    function deposit(address vault, address asset, uint256 amount, uint256 tolerance) public returns (uint256 shares) {
+        // Bound the price paid per share to the previewed price plus the tolerance
+        uint256 expectedShares = IMetaMorpho(vault).previewDeposit(amount);
+        require(expectedShares > 0, IUserVault.ZeroShares());
+        uint256 maxSharePriceE27 = Math.mulDiv(
+            amount,
+            1e27 * (10000 + tolerance),
+            expectedShares * 10000,
+            Math.Rounding.Ceil
+        );
+        uint256 sharesBefore = IMetaMorpho(vault).balanceOf(address(this));
+
+        // The adapter pulls the asset from this contract, then deposits it for this contract
+        IERC20(asset).approve(ADAPTER_ADDRESS, amount);
+        _multicall(
+            abi.encodeWithSelector(ERC20_TRANSFER_FROM, asset, ADAPTER_ADDRESS, amount),
+            abi.encodeWithSelector(ERC4626_DEPOSIT, vault, amount, maxSharePriceE27, address(this))
+        );
+
+        return IMetaMorpho(vault).balanceOf(address(this)) - sharesBefore;
+    }
+
+    /**
+     * @dev Redeem `shares` of `vault`
+     * @param tolerance Allowed share price decrease under previewRedeem, in basis points
+     * @return assets Amount of the vault's asset received
+     */
+    function redeem(address vault, uint256 shares, uint256 tolerance) public returns (uint256 assets) {
+        // Bound the price received per share to the previewed price minus the tolerance
+        uint256 expectedAssets = IMetaMorpho(vault).previewRedeem(shares);
+        uint256 minSharePriceE27 = Math.mulDiv(expectedAssets, 1e27 * (10000 - tolerance), shares * 10000);
+
+        IERC20 asset = IERC20(IMetaMorpho(vault).asset());
+        uint256 balanceBefore = asset.balanceOf(address(this));
+
+        // The adapter pulls the shares from this contract, then redeems them to this contract
+        IMetaMorpho(vault).approve(ADAPTER_ADDRESS, shares);
+        _multicall(
+            abi.encodeWithSelector(ERC20_TRANSFER_FROM, vault, ADAPTER_ADDRESS, shares),
+            abi.encodeWithSelector(ERC4626_REDEEM, vault, shares, minSharePriceE27, address(this), ADAPTER_ADDRESS)
+        );
+
+        return asset.balanceOf(address(this)) - balanceBefore;
+    }
+
+    /**
+     * @dev Deposit into the active vault, or split across the vaults with a target weight.
+     * Rounding dust goes to the last weighted vault.
+     * @param weights The asset's target weights (assetVaultWeight[asset])
+     * @param vaults The asset's available vaults
+     * @param tolerance Share price tolerance of each deposit, in basis points
+     * @return shares Shares received, summed across the vaults
+     */
+    function depositAllocated(
+        mapping(address => uint256) storage weights,
+        address[] storage vaults,
+        bool hasWeights,
+        address activeVault,
+        address asset,
+        uint256 amount,
+        uint256 tolerance
+    ) external returns (uint256 shares) {
+        if (!hasWeights) {
+            return deposit(activeVault, asset, amount, tolerance);
+        }
+
+        uint256 lastWeighted = 0;
+        for (uint256 i = 0; i < vaults.length; i++) {
+            if (weights[vaults[i]] > 0) lastWeighted = i;
+        }
+
+        uint256 remaining = amount;
+        for (uint256 i = 0; i <= lastWeighted; i++) {
+            uint256 weight = weights[vaults[i]];
+            if (weight == 0) continue;
+
+            uint256 part = i == lastWeighted ? remaining : (amount * weight) / 10000;
+            if (part > 0) {
+                shares += deposit(vaults[i], asset, part, tolerance);
+                remaining -= part;
+            }
+        }
+    }
+
+    /**
+     * @dev Redeem an asset's full balance from its active vault and every available vault
+     * @param vaults The asset's available vaults
+     * @param tolerance Share price tolerance of each redeem, in basis points
+     * @return assets Total amount of the asset received
+     */
+    function redeemAll(address[] storage vaults, address activeVault, uint256 tolerance)
+        external
+        returns (uint256 assets)
+    {
+        uint256 balance = IMetaMorpho(activeVault).balanceOf(address(this));
+        if (balance > 0) {
+            assets = redeem(activeVault, balance, tolerance);
+        }
+
+        for (uint256 i = 0; i < vaults.length; i++) {
+            if (vaults[i] == activeVault) continue;
+            balance = IMetaMorpho(vaults[i]).balanceOf(address(this));
+            if (balance > 0) {
+                assets += redeem(vaults[i], balance, tolerance);
+            }
+        }
+    }
+
+    function _multicall(bytes memory transfer, bytes memory vaultCall) private {
+        Call[] memory calls = new Call[](2);
+        calls[0] = Call({to: ADAPTER_ADDRESS, data: transfer, value: 0, skipRevert: false, callbackHash: bytes32(0)});
+        calls[1] = Call({to: ADAPTER_ADDRESS, data: vaultCall, value: 0, skipRevert: false, callbackHash: bytes32(0)});
+        IBundler3(BUNDLER_ADDRESS).multicall(calls);
+    }
+}
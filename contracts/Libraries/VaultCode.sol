@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../userVaultV4.sol";
+
+/**
+ * @title VaultCode
+ * @dev Creation code of UserVault_V4 for UserVaultFactory. Embedded in the factory, it would take
+ * the factory over the EIP-170 size limit; the factory reads it from this library instead and
+ * deploys the vault itself with CREATE2, so the vault addresses do not change.
+ */
+library VaultCode {
+    /**
+     * @dev type(UserVault_V4).creationCode, linked against the vault's libraries
+     */
+    function creationCode() external pure returns (bytes memory) {
+        return type(UserVault_V4).creationCode;
+    }
+}
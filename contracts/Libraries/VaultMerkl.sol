@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "../Interfaces/IMerklDistributor.sol";
+import "../Interfaces/IUserVault.sol";
+import "./VaultSwap.sol";
+
+/**
+ * @title VaultMerkl
+ * @dev Merkl reward claims of UserVault_V4: the distributor claim, the claim fee and the owner's share,
+ * paid out or swapped into the compound asset; and the operator permission's move to a new admin.
+ * Runs in the vault's context (delegatecall).
+ */
+library VaultMerkl {
+    using SafeERC20 for IERC20;
+
+    address public constant MERKL_DISTRIBUTOR = 0x3Ef3D8bA38EBe18DB133cEc108f4D14CE00Dd9Ae;
+
+    // Recipients of a claim and the vault settings that split it
+    struct ClaimConfig {
+        address owner;
+        address revenueAddress;
+        uint256 feePercentage; // merklClaimFeePercentage, in basis points
+        address compoundAsset; // Asset the rewards are compounded into, address(0) to pay them all out
+    }
+
+    /**
+     * @dev Claim from the Merkl distributor and split each claimed token: `feePercentage` to
+     * revenueAddress, the rest to the owner or swapped into `compoundAsset`.
+     * A token without an Aerodrome pool into compoundAsset is paid out.
+     * @param minAmountsOut Caller's minimum swap output per token; required for the tokens that are swapped
+     * @return userAmounts Owner's share of each token, after the fee
+     * @return compounded Amount of compoundAsset to deposit for each token, 0 when paid out
+     */
+    function claim(
+        address[] calldata tokens,
+        uint256[] calldata claimables,
+        bytes32[][] calldata proofs,
+        uint256[] calldata minAmountsOut,
+        ClaimConfig calldata config
+    ) external returns (uint256[] memory userAmounts, uint256[] memory compounded) {
+        require(
+            tokens.length == claimables.length &&
+                tokens.length == proofs.length &&
+                tokens.length == minAmountsOut.length,
+            IUserVault.LengthMismatch()
+        );
+        require(tokens.length > 0, IUserVault.EmptyArrays());
+
+        address[] memory accounts = new address[](tokens.length);
+        uint256[] memory balancesBefore = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(tokens[i] != address(0), IUserVault.InvalidToken());
+            require(claimables[i] > 0, IUserVault.ZeroAmount());
+            accounts[i] = address(this);
+            balancesBefore[i] = IERC20(tokens[i]).balanceOf(address(this));
+        }
+
+        IMerklDistributor(MERKL_DISTRIBUTOR).claim(accounts, tokens, claimables, proofs);
+
+        // Measure every claim before any swap adds to a balance
+        uint256[] memory claimedAmounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            claimedAmounts[i] = IERC20(tokens[i]).balanceOf(address(this)) - balancesBefore[i];
+        }
+
+        userAmounts = new uint256[](tokens.length);
+        compounded = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (claimedAmounts[i] > 0) {
+                (userAmounts[i], compounded[i]) = _split(tokens[i], claimedAmounts[i], minAmountsOut[i], config);
+            }
+        }
+    }
+
+    /**
+     * @dev Move the vault's Merkl operator permission from the old admin to the new one
+     */
+    function rotateOperator(address oldAdmin, address newAdmin) external {
+        IMerklDistributor distributor = IMerklDistributor(MERKL_DISTRIBUTOR);
+        // toggleOperator flips the permission, so check it before each call
+        if (distributor.operators(address(this), oldAdmin) == 1) {
+            distributor.toggleOperator(address(this), oldAdmin);
+            emit IUserVault.MerklOperatorRevoked(oldAdmin);
+        }
+        if (distributor.operators(address(this), newAdmin) == 0) {
+            distributor.toggleOperator(address(this), newAdmin);
+            emit IUserVault.MerklOperatorApproved(newAdmin);
+        }
+    }
+
+    function _split(address token, uint256 claimedAmount, uint256 minAmountOut, ClaimConfig calldata config)
+        private
+        returns (uint256 userAmount, uint256 compounded)
+    {
+        uint256 feeAmount = (claimedAmount * config.feePercentage) / 10000;
+        userAmount = claimedAmount - feeAmount;
+        if (feeAmount > 0) {
+            IERC20(token).safeTransfer(config.revenueAddress, feeAmount);
+        }
+        emit IUserVault.MerklTokensClaimed(token, claimedAmount, feeAmount, userAmount);
+        if (userAmount == 0) return (0, 0);
+
+        address asset = config.compoundAsset;
+        if (asset == address(0) || (token != asset && VaultSwap.estimate(token, asset, userAmount) == 0)) {
+            IERC20(token).safeTransfer(config.owner, userAmount);
+            return (userAmount, 0);
+        }
+        if (token == asset) return (userAmount, userAmount);
+
+        // A same-transaction quote moves with the pool, so the floor comes from the caller
+        require(minAmountOut > 0, IUserVault.MinimumOutputRequired());
+        compounded = VaultSwap.swap(token, asset, userAmount, minAmountOut);
+    }
+}
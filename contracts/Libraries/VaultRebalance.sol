@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+import "../Interfaces/IMetaMorpho.sol";
+import "../Interfaces/IUserVault.sol";
+import "./VaultBundler.sol";
+import "./VaultSwap.sol";
+
+/**
+ * @title VaultRebalance
+ * @dev Rebalances of UserVault_V4: moves between an asset's vaults and swaps of a whole position
+ * into another asset, with the rebalance fee on the profit above the rebalance base.
+ * Runs in the vault's context (delegatecall).
+ */
+library VaultRebalance {
+    using SafeERC20 for IERC20;
+
+    // Recipient and rate of the rebalance fee
+    struct FeeConfig {
+        address revenueAddress;
+        uint256 feePercentage; // rebalanceFeePercentage, in basis points
+    }
+
+    /**
+     * @dev Redeem `shares` of fromVault and deposit the proceeds into toVault, charging the
+     * rebalance fee on the profit of the moved part only
+     * @param rebalanceBase assetRebalanceBaseAmount
+     * @param rebalanceFees assetTotalRebalanceFees
+     * @param totalValue Value of the asset's position across its vaults before the move
+     * @param tolerance Share price tolerance of the redeem and the deposit, in basis points
+     */
+    function moveBetweenVaults(
+        mapping(address => uint256) storage rebalanceBase,
+        mapping(address => uint256) storage rebalanceFees,
+        FeeConfig calldata fee,
+        address asset,
+        address fromVault,
+        address toVault,
+        uint256 shares,
+        uint256 totalValue,
+        uint256 tolerance
+    ) external {
+        // Part of the rebalance base carried by the moved shares (all of it when the asset sits in one vault)
+        uint256 baseAmount = rebalanceBase[asset];
+        uint256 movedBase = totalValue == 0
+            ? baseAmount
+            : (baseAmount * IMetaMorpho(fromVault).convertToAssets(shares)) / totalValue;
+        uint256 keptBase = baseAmount - movedBase;
+
+        uint256 redeemedAmount = VaultBundler.redeem(fromVault, shares, tolerance);
+
+        // The fee comes out of the profit; the deposited amount becomes the moved part's new base
+        (uint256 feeAmount, uint256 profit) = _chargeFee(rebalanceFees, fee, asset, redeemedAmount, movedBase);
+        uint256 amountToDeposit = redeemedAmount - feeAmount;
+        rebalanceBase[asset] = keptBase + amountToDeposit;
+        if (profit > 0) {
+            emit IUserVault.RebalanceFeeCollected(asset, profit, feeAmount, rebalanceBase[asset]);
+        }
+
+        VaultBundler.deposit(toVault, asset, amountToDeposit, tolerance);
+
+        emit IUserVault.Rebalanced(asset, fromVault, toVault, amountToDeposit);
+    }
+
+    /**
+     * @dev Charge the rebalance fee on `redeemedAmount` of fromAsset, redeemed from all its vaults,
+     * swap the rest into toAsset and clear fromAsset's position, which starts over as if never
+     * deposited
+     * @param totalDeposited assetTotalDeposited
+     * @param rebalanceBase assetRebalanceBaseAmount
+     * @param hasInitialDeposit assetHasInitialDeposit
+     * @param rebalanceFees assetTotalRebalanceFees
+     * @return feeAmount Rebalance fee, in fromAsset
+     * @return amountOut Amount of toAsset received
+     * @return carriedPrincipal fromAsset's principal, in toAsset
+     */
+    function swapPosition(
+        mapping(address => uint256) storage totalDeposited,
+        mapping(address => uint256) storage rebalanceBase,
+        mapping(address => bool) storage hasInitialDeposit,
+        mapping(address => uint256) storage rebalanceFees,
+        FeeConfig calldata fee,
+        address fromAsset,
+        address toAsset,
+        uint256 redeemedAmount,
+        uint256 minAmountOut
+    ) external returns (uint256 feeAmount, uint256 amountOut, uint256 carriedPrincipal) {
+        uint256 profit;
+        (feeAmount, profit) = _chargeFee(rebalanceFees, fee, fromAsset, redeemedAmount, rebalanceBase[fromAsset]);
+        if (profit > 0) {
+            emit IUserVault.RebalanceFeeCollected(fromAsset, profit, feeAmount, 0);
+        }
+
+        uint256 amountToSwap = redeemedAmount - feeAmount;
+        amountOut = VaultSwap.swap(fromAsset, toAsset, amountToSwap, minAmountOut);
+        // The principal is in fromAsset units. amountOut / amountToSwap is the swap's price in
+        // toAsset per fromAsset, so the product is the same principal in toAsset units
+        carriedPrincipal = Math.mulDiv(totalDeposited[fromAsset], amountOut, amountToSwap);
+
+        delete totalDeposited[fromAsset];
+        delete rebalanceBase[fromAsset];
+        delete hasInitialDeposit[fromAsset];
+    }
+
+    /**
+     * @dev Send the rebalance fee on the profit of `amount` above `baseAmount` to the revenue address.
+     * Without a base (nothing recorded yet) there is no profit.
+     */
+    function _chargeFee(
+        mapping(address => uint256) storage rebalanceFees,
+        FeeConfig calldata fee,
+        address asset,
+        uint256 amount,
+        uint256 baseAmount
+    ) private returns (uint256 feeAmount, uint256 profit) {
+        if (amount <= baseAmount || baseAmount == 0) return (0, 0);
+
+        profit = amount - baseAmount;
+        feeAmount = (profit * fee.feePercentage) / 10000;
+        if (feeAmount > 0) {
+            IERC20(asset).safeTransfer(fee.revenueAddress, feeAmount);
+            rebalanceFees[asset] += feeAmount;
+        }
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+import "../Interfaces/IAerodrome.sol";
+import "../Interfaces/IUserVault.sol";
+
+/**
+ * @title VaultSwap
+ * @dev Aerodrome swaps and quotes of UserVault_V4, through whichever of the stable and volatile
+ * pools returns more (with a 0.1% bias towards the stable pool). Runs in the vault's context (delegatecall).
+ */
+library VaultSwap {
+    address public constant AERODROME_ROUTER = 0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43;
+    address public constant AERODROME_FACTORY = 0x420DD381b31aEf6683db6B902084cB0FFECe40Da;
+
+    uint256 public constant SLIPPAGE_TOLERANCE = 500; // 5% in basis points
+
+    /**
+     * @dev Swap `amountIn` of tokenIn into tokenOut
+     * @param minAmountOut Caller's minimum output; the router quote less SLIPPAGE_TOLERANCE applies if higher
+     */
+    function swap(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut)
+        external
+        returns (uint256 amountOut)
+    {
+        require(tokenIn != tokenOut, IUserVault.SameAsset());
+        require(amountIn > 0, IUserVault.ZeroAmount());
+
+        (bool stable, address pool, ) = route(tokenIn, tokenOut, amountIn);
+        require(pool != address(0), IUserVault.NoPool());
+
+        IERC20(tokenIn).approve(AERODROME_ROUTER, amountIn);
+        Route[] memory routes = _routes(tokenIn, tokenOut, stable);
+
+        uint256 quotedMinimum = (IAerodromeRouter(AERODROME_ROUTER).getAmountsOut(amountIn, routes)[1] *
+            (10000 - SLIPPAGE_TOLERANCE)) / 10000;
+        if (quotedMinimum > minAmountOut) minAmountOut = quotedMinimum;
+
+        amountOut = IAerodromeRouter(AERODROME_ROUTER).swapExactTokensForTokens(
+            amountIn,
+            minAmountOut,
+            routes,
+            address(this),
+            block.timestamp + 300
+        )[1];
+
+        emit IUserVault.AssetSwapped(tokenIn, tokenOut, amountIn, amountOut);
+    }
+
+    /**
+     * @dev Pool a swap of `amountIn` of tokenIn would go through, and its expected output
+     * @return stable Whether the stable pool is used
+     * @return pool The pool address, address(0) if none exists
+     * @return amountOut Expected output from that pool
+     */
+    function route(address tokenIn, address tokenOut, uint256 amountIn)
+        public
+        view
+        returns (bool stable, address pool, uint256 amountOut)
+    {
+        address stablePool = IAerodromeFactory(AERODROME_FACTORY).getPool(tokenIn, tokenOut, true);
+        address volatilePool = IAerodromeFactory(AERODROME_FACTORY).getPool(tokenIn, tokenOut, false);
+        if (stablePool == address(0) && volatilePool == address(0)) return (false, address(0), 0);
+
+        uint256 stableOutput = stablePool == address(0) ? 0 : _poolOutput(tokenIn, tokenOut, amountIn, true);
+        uint256 volatileOutput = volatilePool == address(0) ? 0 : _poolOutput(tokenIn, tokenOut, amountIn, false);
+
+        // A single pool is always used; between two, the stable pool wins within 0.1%
+        if (volatilePool == address(0)) {
+            stable = true;
+        } else if (stablePool != address(0)) {
+            stable = (stableOutput * 1001) / 1000 >= volatileOutput;
+        }
+        return stable ? (true, stablePool, stableOutput) : (false, volatilePool, volatileOutput);
+    }
+
+    /**
+     * @dev Expected output of swapping `amountIn` of tokenIn: amountIn itself for the same token
+     * or a zero amount, 0 if no pool exists
+     */
+    function estimate(address tokenIn, address tokenOut, uint256 amountIn) external view returns (uint256 amountOut) {
+        if (tokenIn == tokenOut || amountIn == 0) return amountIn;
+        (, , amountOut) = route(tokenIn, tokenOut, amountIn);
+    }
+
+    /**
+     * @dev Router quote for one pool, 0 if the call fails (e.g. insufficient liquidity)
+     */
+    function _poolOutput(address tokenIn, address tokenOut, uint256 amountIn, bool stable)
+        private
+        view
+        returns (uint256)
+    {
+        try IAerodromeRouter(AERODROME_ROUTER).getAmountsOut(amountIn, _routes(tokenIn, tokenOut, stable)) returns (
+            uint256[] memory amounts
+        ) {
+            return amounts[1];
+        } catch {
+            return 0;
+        }
+    }
+
+    function _routes(address tokenIn, address tokenOut, bool stable) private pure returns (Route[] memory routes) {
+        routes = new Route[](1);
+        routes[0] = Route({from: tokenIn, to: tokenOut, stable: stable, factory: AERODROME_FACTORY});
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../Interfaces/IAerodrome.sol";
+
+/**
+ * @title MockAerodromeFactory
+ * @dev Pool registry standing in for Aerodrome's PoolFactory. Pools are placeholder addresses:
+ * MockAerodromeRouter prices swaps itself and only asks the factory whether a pool exists.
+ * Installed at UserVault_V4.AERODROME_FACTORY with hardhat_setCode.
+ */
+contract MockAerodromeFactory is IAerodromeFactory {
+    // token0 => token1 => stable => pool, with token0 < token1
+    mapping(address => mapping(address => mapping(bool => address))) private _pools;
+
+    event PoolCreated(address indexed token0, address indexed token1, bool indexed stable, address pool);
+
+    /**
+     * @dev Register a stable or volatile pool for a token pair
+     */
+    function createPool(address tokenA, address tokenB, bool stable) external returns (address pool) {
+        require(tokenA != tokenB, "Same token");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(_pools[token0][token1][stable] == address(0), "Pool exists");
+
+        pool = address(uint160(uint256(keccak256(abi.encode(token0, token1, stable)))));
+        _pools[token0][token1][stable] = pool;
+        emit PoolCreated(token0, token1, stable, pool);
+    }
+
+    function getPool(address tokenA, address tokenB, bool stable) external view returns (address) {
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        return _pools[token0][token1][stable];
+    }
+}
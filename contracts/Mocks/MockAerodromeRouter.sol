@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../Interfaces/IAerodrome.sol";
+import "./MockERC20.sol";
+
+/**
+ * @title MockAerodromeRouter
+ * @dev Fixed-rate stand-in for Aerodrome's Router: each (from, to, stable) hop pays
+ * amountIn * rateE18 / 1e18 in raw token units, so rates must account for decimals.
+ * The input is kept and the output minted, so the tokens must be MockERC20s.
+ * Installed at UserVault_V4.AERODROME_ROUTER with hardhat_setCode.
+ */
+contract MockAerodromeRouter is IAerodromeRouter {
+    using SafeERC20 for IERC20;
+
+    // from => to => stable => output per input unit, scaled by 1e18
+    mapping(address => mapping(address => mapping(bool => uint256))) public rates;
+
+    error PoolDoesNotExist();
+    error InsufficientOutputAmount();
+    error Expired();
+
+    /**
+     * @dev Set the rate of a hop; the pool must also exist on the route's factory
+     */
+    function setRate(address from, address to, bool stable, uint256 rateE18) external {
+        rates[from][to][stable] = rateE18;
+    }
+
+    function getAmountsOut(uint256 amountIn, Route[] memory routes)
+        public
+        view
+        returns (uint256[] memory amounts)
+    {
+        amounts = new uint256[](routes.length + 1);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < routes.length; i++) {
+            Route memory route = routes[i];
+            uint256 rate = rates[route.from][route.to][route.stable];
+            if (
+                rate == 0 ||
+                IAerodromeFactory(route.factory).getPool(route.from, route.to, route.stable) == address(0)
+            ) revert PoolDoesNotExist();
+            amounts[i + 1] = (amounts[i] * rate) / 1e18;
+        }
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        Route[] calldata routes,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        if (deadline < block.timestamp) revert Expired();
+
+        amounts = getAmountsOut(amountIn, routes);
+        if (amounts[amounts.length - 1] < amountOutMin) revert InsufficientOutputAmount();
+
+        IERC20(routes[0].from).safeTransferFrom(msg.sender, address(this), amountIn);
+        MockERC20(routes[routes.length - 1].to).mint(to, amounts[amounts.length - 1]);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../Interfaces/IBundler.sol";
+
+/**
+ * @title MockBundler3
+ * @dev Minimal Bundler3 replacement: records the initiator and executes each call in order.
+ * Installed at UserVault_V4.BUNDLER_ADDRESS with hardhat_setCode, so it must not rely on constructor state.
+ */
+contract MockBundler3 is IBundler3 {
+    // Caller of the current multicall, read by adapters (zero outside of a multicall)
+    address public initiator;
+
+    function multicall(Call[] calldata bundle) external payable {
+        require(initiator == address(0), "Already initiated");
+        require(bundle.length > 0, "Empty bundle");
+
+        initiator = msg.sender;
+
+        for (uint256 i = 0; i < bundle.length; i++) {
+            (bool success, bytes memory returnData) = bundle[i].to.call{value: bundle[i].value}(bundle[i].data);
+            if (!success && !bundle[i].skipRevert) {
+                assembly {
+                    revert(add(returnData, 0x20), mload(returnData))
+                }
+            }
+        }
+
+        initiator = address(0);
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./MockBundler3.sol";
+import "./MockMetaMorpho.sol";
+
+/**
+ * @title MockGeneralAdapter
+ * @dev Mimics the subset of Morpho's GeneralAdapter1 used by UserVault_V4:
+ * erc20TransferFrom (0xd96ca0b9), erc4626Deposit (0x6ef5eeae) and erc4626Redeem (0xa7f6e606).
+ * Installed at UserVault_V4.ADAPTER_ADDRESS with hardhat_setCode; the bundler address is immutable so it survives the copy.
+ * Tests can queue a price shift on a MockMetaMorpho vault that is applied inside the next deposit or redeem,
+ * after the caller has previewed the share price.
+ */
+contract MockGeneralAdapter {
+    using SafeERC20 for IERC20;
+
+    address public immutable BUNDLER3;
+
+    // vault => underlying to add (positive) or remove (negative) before the next deposit or redeem
+    mapping(address => int256) public pendingPriceShift;
+
+    constructor(address bundler3) {
+        BUNDLER3 = bundler3;
+    }
+
+    modifier onlyBundler3() {
+        require(msg.sender == BUNDLER3, "Unauthorized sender");
+        _;
+    }
+
+    /**
+     * @dev Move the share price of a MockMetaMorpho `vault` during the next deposit or redeem into it
+     * @param amount Underlying to accrue (positive) or lose (negative); 0 cancels
+     */
+    function setPriceShift(address vault, int256 amount) external {
+        pendingPriceShift[vault] = amount;
+    }
+
+    function _applyPriceShift(address vault) internal {
+        int256 amount = pendingPriceShift[vault];
+        if (amount == 0) return;
+
+        delete pendingPriceShift[vault];
+        if (amount > 0) {
+            MockMetaMorpho(vault).accrueYield(uint256(amount));
+        } else {
+            MockMetaMorpho(vault).simulateLoss(uint256(-amount));
+        }
+    }
+
+    /**
+     * @dev Transfer tokens from the bundle initiator to `receiver`
+     */
+    function erc20TransferFrom(address token, address receiver, uint256 amount) external onlyBundler3 {
+        require(receiver != address(0), "Zero address");
+        require(amount != 0, "Zero amount");
+
+        IERC20(token).safeTransferFrom(MockBundler3(BUNDLER3).initiator(), receiver, amount);
+    }
+
+    /**
+     * @dev Deposit the adapter's underlying into `vault`, reverting if the share price is above the bound
+     */
+    function erc4626Deposit(
+        address vault,
+        uint256 assets,
+        uint256 maxSharePriceE27,
+        address receiver
+    ) external onlyBundler3 {
+        require(receiver != address(0), "Zero address");
+
+        IERC20 underlying = IERC20(IERC4626(vault).asset());
+        if (assets == type(uint256).max) assets = underlying.balanceOf(address(this));
+        require(assets != 0, "Zero amount");
+        _applyPriceShift(vault);
+
+        underlying.forceApprove(vault, assets);
+        uint256 shares = IERC4626(vault).deposit(assets, receiver);
+
+        require(Math.mulDiv(assets, 1e27, shares, Math.Rounding.Ceil) <= maxSharePriceE27, "Slippage exceeded");
+    }
+
+    /**
+     * @dev Redeem `shares` of `vault` held by `owner`, reverting if the share price is below the bound
+     */
+    function erc4626Redeem(
+        address vault,
+        uint256 shares,
+        uint256 minSharePriceE27,
+        address receiver,
+        address owner
+    ) external onlyBundler3 {
+        require(receiver != address(0), "Zero address");
+        require(owner == address(this) || owner == MockBundler3(BUNDLER3).initiator(), "Unexpected owner");
+
+        if (shares == type(uint256).max) shares = IERC4626(vault).balanceOf(owner);
+        require(shares != 0, "Zero shares");
+        _applyPriceShift(vault);
+
+        uint256 assets = IERC4626(vault).redeem(shares, receiver, owner);
+
+        require(Math.mulDiv(assets, 1e27, shares) >= minSharePriceE27, "Slippage exceeded");
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../Interfaces/IMerklDistributor.sol";
+
+/**
+ * @title MockMerklDistributor
+ * @dev Merkl Distributor stand-in with cumulative-claim and operator semantics.
+ * Installed at UserVault_V4.MERKL_DISTRIBUTOR with hardhat_setCode; reward tokens must be minted to it before claiming.
+ * As on Merkl, every claim must carry a Merkle proof of keccak256(abi.encode(user, token, cumulativeAmount))
+ * against the root set with updateTree (sorted-pair hashing, see scripts/lib/merkleTree.js).
+ */
+contract MockMerklDistributor is IMerklDistributor {
+    using SafeERC20 for IERC20;
+
+    // user => operator => 1 if approved
+    mapping(address => mapping(address => uint256)) public operators;
+
+    // user => token => cumulative amount already claimed
+    mapping(address => mapping(address => uint256)) public claimed;
+
+    // Current Merkle root of cumulative rewards
+    bytes32 public merkleRoot;
+
+    event OperatorToggled(address indexed user, address indexed operator, bool isWhitelisted);
+    event Claimed(address indexed user, address indexed token, uint256 amount);
+    event TreeUpdated(bytes32 merkleRoot);
+
+    function updateTree(bytes32 _merkleRoot) external {
+        merkleRoot = _merkleRoot;
+        emit TreeUpdated(_merkleRoot);
+    }
+
+    function getMerkleRoot() external view returns (bytes32) {
+        return merkleRoot;
+    }
+
+    function toggleOperator(address user, address operator) external {
+        require(msg.sender == user, "Not trusted");
+
+        uint256 newStatus = 1 - operators[user][operator];
+        operators[user][operator] = newStatus;
+
+        emit OperatorToggled(user, operator, newStatus == 1);
+    }
+
+    /**
+     * @dev Claim cumulative `amounts` for each (user, token); only the delta since the last claim is sent
+     */
+    function claim(
+        address[] calldata users,
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        bytes32[][] calldata proofs
+    ) external {
+        uint256 usersLength = users.length;
+        require(
+            usersLength != 0 &&
+                usersLength == tokens.length &&
+                usersLength == amounts.length &&
+                usersLength == proofs.length,
+            "Invalid length"
+        );
+
+        require(merkleRoot != bytes32(0), "Invalid uninitialized root");
+
+        for (uint256 i = 0; i < usersLength; i++) {
+            address user = users[i];
+            address token = tokens[i];
+            require(msg.sender == user || operators[user][msg.sender] == 1, "Not whitelisted");
+            require(_verifyProof(keccak256(abi.encode(user, token, amounts[i])), proofs[i]), "Invalid proof");
+
+            // Cumulative amounts: reverts if below what was already claimed
+            uint256 toSend = amounts[i] - claimed[user][token];
+            claimed[user][token] = amounts[i];
+
+            if (toSend != 0) {
+                IERC20(token).safeTransfer(user, toSend);
+            }
+
+            emit Claimed(user, token, toSend);
+        }
+    }
+
+    function _verifyProof(bytes32 leaf, bytes32[] calldata proof) internal view returns (bool) {
+        bytes32 currentHash = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            currentHash = currentHash < proof[i]
+                ? keccak256(abi.encode(currentHash, proof[i]))
+                : keccak256(abi.encode(proof[i], currentHash));
+        }
+        return currentHash == merkleRoot;
+    }
+}
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "./MockERC20.sol";
+
+/**
+ * @title MockMetaMorpho
+ * @dev Plain ERC4626 vault standing in for a MetaMorpho vault.
+ * Yield is simulated by minting underlying directly into the vault, which raises the share price.
+ */
+contract MockMetaMorpho is ERC4626 {
+    uint256 public depositCap = type(uint256).max;
+
+    constructor(
+        IERC20 asset_,
+        string memory name_,
+        string memory symbol_
+    ) ERC20(name_, symbol_) ERC4626(asset_) {}
+
+    /**
+     * @dev Simulate yield by minting `amount` of the underlying asset into the vault
+     * @param amount Amount of underlying to add to totalAssets
+     */
+    function accrueYield(uint256 amount) external {
+        MockERC20(asset()).mint(address(this), amount);
+    }
+
+    /**
+     * @dev Simulate a loss by burning `amount` of the underlying asset held by the vault
+     * @param amount Amount of underlying to remove from totalAssets
+     */
+    function simulateLoss(uint256 amount) external {
+        MockERC20(asset()).burn(address(this), amount);
+    }
+
+    /**
+     * @dev Simulate a supply cap: deposits are limited to `cap` of total assets
+     * @param cap Maximum total assets, type(uint256).max for no cap
+     */
+    function setDepositCap(uint256 cap) external {
+        depositCap = cap;
+    }
+
+    function maxDeposit(address) public view override returns (uint256) {
+        if (depositCap == type(uint256).max) return type(uint256).max;
+        uint256 assets = totalAssets();
+        return assets >= depositCap ? 0 : depositCap - assets;
+    }
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.28;
 
 import "./userVaultV4.sol";
+import "./Libraries/VaultCode.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
@@ -21,8 +22,19 @@ contract UserVaultFactory is Ownable, Pausable, ReentrancyGuard {
         bytes32 salt,
         uint256 chainId
     );
+    event VaultOwnerUpdated(address indexed vaultAddress, address indexed oldOwner, address indexed newOwner);
+    event VaultAdminUpdated(address indexed vaultAddress, address indexed oldAdmin, address indexed newAdmin);
 
-    // Mapping to track deployed vaults by owner and salt
+    struct VaultInfo {
+        address vaultAddress;
+        address owner;
+        address admin;
+        uint256 chainId;
+        bytes32 salt;
+        uint256 deployedAt;
+    }
+
+    // Mapping to track deployed vaults by the owner they were deployed for and salt
     mapping(address => mapping(bytes32 => address)) public deployedVaults;
 
     // Mapping to track all vaults by owner
@@ -31,6 +43,33 @@ contract UserVaultFactory is Ownable, Pausable, ReentrancyGuard {
     // Mapping to track if a vault is deployed by this factory
     mapping(address => bool) public isFactoryVault;
 
+    // Salt each vault was deployed with
+    mapping(address => bytes32) public vaultSalt;
+
+    // Owner each vault is listed under in ownerVaults
+    mapping(address => address) public vaultOwner;
+
+    // Position of each vault in its owner's ownerVaults array
+    mapping(address => uint256) private ownerVaultIndex;
+
+    // Every vault deployed by this factory, in deployment order
+    address[] public allVaults;
+
+    // Position of each vault in allVaults
+    mapping(address => uint256) public vaultIndex;
+
+    // Deployment timestamp of each vault
+    mapping(address => uint256) public vaultDeployedAt;
+
+    // Mapping to track all vaults by admin, following admin handovers
+    mapping(address => address[]) public adminVaults;
+
+    // Position of each vault in its admin's adminVaults array
+    mapping(address => uint256) private adminVaultIndex;
+
+    // Admin each vault is listed under in adminVaults
+    mapping(address => address) public vaultAdmin;
+
     constructor(address _initialOwner) Ownable(_initialOwner) {
     }
 
@@ -59,7 +98,7 @@ contract UserVaultFactory is Ownable, Pausable, ReentrancyGuard {
         bytes32 salt
     ) public view returns (address predictedAddress) {
         bytes memory bytecode = abi.encodePacked(
-            type(UserVault_V4).creationCode,
+            VaultCode.creationCode(),
             abi.encode(
                 owner,
                 admin,
@@ -141,7 +180,7 @@ contract UserVaultFactory is Ownable, Pausable, ReentrancyGuard {
 
         // Deploy the vault using CREATE2
         bytes memory bytecode = abi.encodePacked(
-            type(UserVault_V4).creationCode,
+            VaultCode.creationCode(),
             abi.encode(
                 owner,
                 admin,
@@ -162,8 +201,17 @@ contract UserVaultFactory is Ownable, Pausable, ReentrancyGuard {
 
         // Store deployment information
         deployedVaults[owner][salt] = vaultAddress;
+        ownerVaultIndex[vaultAddress] = ownerVaults[owner].length;
         ownerVaults[owner].push(vaultAddress);
+        vaultOwner[vaultAddress] = owner;
         isFactoryVault[vaultAddress] = true;
+        vaultSalt[vaultAddress] = salt;
+        vaultIndex[vaultAddress] = allVaults.length;
+        allVaults.push(vaultAddress);
+        vaultDeployedAt[vaultAddress] = block.timestamp;
+        adminVaultIndex[vaultAddress] = adminVaults[admin].length;
+        adminVaults[admin].push(vaultAddress);
+        vaultAdmin[vaultAddress] = admin;
 
         emit VaultDeployed(vaultAddress, owner, admin, salt, block.chainid);
 
@@ -212,6 +260,78 @@ contract UserVaultFactory is Ownable, Pausable, ReentrancyGuard {
         return (vaultAddress, salt);
     }
 
+    /**
+     * @dev Move the calling vault to its new owner's ownerVaults list, called by the vault on
+     * every owner change. The vault is taken off the list of the owner the factory recorded
+     * (vaultOwner), so an earlier failed call cannot leave it in the wrong list.
+     * deployedVaults stays under the owner the vault was deployed for.
+     * @param newOwner The new owner of the vault
+     */
+    function updateVaultOwner(address, address newOwner) external {
+        require(isFactoryVault[msg.sender], "Not vault");
+        _setVaultOwner(msg.sender, newOwner);
+    }
+
+    /**
+     * @dev Move the calling vault to its new admin's adminVaults list, called by the vault
+     * when an admin handover completes. As updateVaultOwner, from the recorded admin (vaultAdmin)
+     * @param newAdmin The new admin of the vault
+     */
+    function updateVaultAdmin(address, address newAdmin) external {
+        require(isFactoryVault[msg.sender], "Not vault");
+        _setVaultAdmin(msg.sender, newAdmin);
+    }
+
+    /**
+     * @dev Bring a vault's ownerVaults and adminVaults entries in line with its current owner
+     * and admin, e.g. after the vault reported FactorySyncFailed. Anyone can call it
+     * @param vault A vault deployed by this factory
+     */
+    function resync(address vault) external {
+        require(isFactoryVault[vault], "Not vault");
+        _setVaultOwner(vault, UserVault_V4(vault).owner());
+        _setVaultAdmin(vault, UserVault_V4(vault).admin());
+    }
+
+    function _setVaultOwner(address vault, address newOwner) private {
+        address oldOwner = vaultOwner[vault];
+        if (oldOwner == newOwner) return;
+
+        _moveVault(ownerVaults[oldOwner], ownerVaults[newOwner], ownerVaultIndex, vault);
+        vaultOwner[vault] = newOwner;
+
+        emit VaultOwnerUpdated(vault, oldOwner, newOwner);
+    }
+
+    function _setVaultAdmin(address vault, address newAdmin) private {
+        address oldAdmin = vaultAdmin[vault];
+        if (oldAdmin == newAdmin) return;
+
+        _moveVault(adminVaults[oldAdmin], adminVaults[newAdmin], adminVaultIndex, vault);
+        vaultAdmin[vault] = newAdmin;
+
+        emit VaultAdminUpdated(vault, oldAdmin, newAdmin);
+    }
+
+    /**
+     * @dev Swap and pop `vault` from one index list and append it to another
+     */
+    function _moveVault(
+        address[] storage fromList,
+        address[] storage toList,
+        mapping(address => uint256) storage positions,
+        address vault
+    ) private {
+        uint256 index = positions[vault];
+        address last = fromList[fromList.length - 1];
+        fromList[index] = last;
+        positions[last] = index;
+        fromList.pop();
+
+        positions[vault] = toList.length;
+        toList.push(vault);
+    }
+
     // View functions
 
     /**
@@ -221,6 +341,78 @@ contract UserVaultFactory is Ownable, Pausable, ReentrancyGuard {
         return ownerVaults[owner];
     }
 
+    /**
+     * @dev Get all vaults managed by an admin
+     */
+    function getAdminVaults(address admin) external view returns (address[] memory) {
+        return adminVaults[admin];
+    }
+
+    /**
+     * @dev Number of vaults deployed by this factory
+     */
+    function getTotalVaults() external view returns (uint256) {
+        return allVaults.length;
+    }
+
+    /**
+     * @dev Page of allVaults: up to `limit` vaults from index `offset`, empty past the end
+     */
+    function getVaults(uint256 offset, uint256 limit) external view returns (address[] memory vaults) {
+        uint256 end = _pageEnd(offset, limit);
+        vaults = new address[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < vaults.length; i++) {
+            vaults[i] = allVaults[offset + i];
+        }
+    }
+
+    /**
+     * @dev Page of vault details, as getVaults
+     */
+    function getVaultInfos(uint256 offset, uint256 limit) external view returns (VaultInfo[] memory infos) {
+        uint256 end = _pageEnd(offset, limit);
+        infos = new VaultInfo[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < infos.length; i++) {
+            infos[i] = getVaultInfo(offset + i);
+        }
+    }
+
+    /**
+     * @dev Details of the vault at `index` in allVaults; owner and admin are read from the vault
+     */
+    function getVaultInfo(uint256 index) public view returns (VaultInfo memory) {
+        require(index < allVaults.length, "Invalid index");
+        UserVault_V4 vault = UserVault_V4(allVaults[index]);
+        return VaultInfo({
+            vaultAddress: address(vault),
+            owner: vault.owner(),
+            admin: vault.admin(),
+            chainId: block.chainid,
+            salt: vaultSalt[address(vault)],
+            deployedAt: vaultDeployedAt[address(vault)]
+        });
+    }
+
+    /**
+     * @dev Positions in allVaults of an owner's vaults
+     */
+    function getVaultIndicesByOwner(address owner) external view returns (uint256[] memory indices) {
+        address[] storage vaults = ownerVaults[owner];
+        indices = new uint256[](vaults.length);
+        for (uint256 i = 0; i < vaults.length; i++) {
+            indices[i] = vaultIndex[vaults[i]];
+        }
+    }
+
+    /**
+     * @dev End of the page starting at `offset`, clamped to allVaults
+     */
+    function _pageEnd(uint256 offset, uint256 limit) private view returns (uint256) {
+        uint256 total = allVaults.length;
+        if (offset >= total) return offset;
+        return limit > total - offset ? total : offset + limit;
+    }
+
     /**
      * @dev Check if a vault was deployed by this factory
      */
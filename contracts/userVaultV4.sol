@@ -7,37 +7,48 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
-import "./Interfaces/IAerodrome.sol";
 import "./Interfaces/IMetaMorpho.sol";
 import "./Interfaces/IBundler.sol";
 import "./Interfaces/IERC20Extended.sol";
 import "./Interfaces/IMerklDistributor.sol";
+import "./Interfaces/IUserVault.sol";
+import "./Interfaces/IUserVaultFactory.sol";
+
+import "./Libraries/VaultBundler.sol";
+import "./Libraries/VaultSwap.sol";
+import "./Libraries/VaultMerkl.sol";
+import "./Libraries/VaultRebalance.sol";
+import "./Libraries/VaultAllocation.sol";
 
 /**
  * @title UserVault_V4
  * @dev Multi-asset individual user vault contract for yield optimization
  * Supports multiple assets (USDC, WETH, WBTC, etc.) with dedicated vaults per asset
  */
-contract UserVault_V4 is ReentrancyGuard, Pausable {
+contract UserVault_V4 is IUserVault, ReentrancyGuard, Pausable {
     using SafeERC20 for IERC20;
 
     // Aerodrome contract addresses
-    address public constant AERODROME_ROUTER =0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43;
-    address public constant AERODROME_FACTORY =0x420DD381b31aEf6683db6B902084cB0FFECe40Da;
+    address public constant AERODROME_ROUTER = VaultSwap.AERODROME_ROUTER;
+    address public constant AERODROME_FACTORY = VaultSwap.AERODROME_FACTORY;
 
     // Bundler addresses
-    address public constant ADAPTER_ADDRESS = 0xb98c948CFA24072e58935BC004a8A7b376AE746A;
-    address public constant BUNDLER_ADDRESS = 0x6BFd8137e702540E7A42B74178A4a49Ba43920C4;
+    address public constant ADAPTER_ADDRESS = VaultBundler.ADAPTER_ADDRESS;
+    address public constant BUNDLER_ADDRESS = VaultBundler.BUNDLER_ADDRESS;
 
     // Merkl Distributor address
-    address public constant MERKL_DISTRIBUTOR = 0x3Ef3D8bA38EBe18DB133cEc108f4D14CE00Dd9Ae;
+    address public constant MERKL_DISTRIBUTOR = VaultMerkl.MERKL_DISTRIBUTOR;
 
     IBundler3 public constant bundler = IBundler3(BUNDLER_ADDRESS);
     IMerklDistributor public constant merklDistributor = IMerklDistributor(MERKL_DISTRIBUTOR);
 
     // State variables
-    address public immutable owner;
+    address public owner;
+    address public pendingOwner; // Proposed by the owner, becomes owner on acceptOwner
+    address public immutable factory; // Deploying contract, told about owner and admin changes; 0 when deployed by an account
     address public admin;
+    address public pendingAdmin; // Proposed by the owner or the admin, becomes admin on acceptAdmin
+    bool public pendingAdminByOwner; // The owner proposed pendingAdmin, so the admin cannot replace or cancel it
 
     // Multi-asset support: each asset has its own vault and tracking
     mapping(address => address) public assetToVault; // asset => current active vault for that asset
@@ -51,13 +62,52 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
     mapping(address => uint256) public assetRebalanceBaseAmount; // asset => base amount for profit calculation
     mapping(address => uint256) public assetTotalRebalanceFees; // asset => total rebalance fees collected
 
+    // Target allocation: deposits are split across an asset's vaults by weight instead of all going to assetToVault
+    mapping(address => mapping(address => uint256)) public assetVaultWeight; // asset => vault => target weight in basis points
+    mapping(address => bool) public assetHasWeights; // asset => deposits follow assetVaultWeight
+
     // Allowed assets and vaults
     mapping(address => bool) public isAllowedAsset;
     mapping(address => bool) public isAllowedVault;
     address[] public allowedAssets;
     address[] public allowedVaults;
 
-    uint256 public constant SLIPPAGE_TOLERANCE = 500; // 5% in basis points
+    uint256 public constant SLIPPAGE_TOLERANCE = VaultSwap.SLIPPAGE_TOLERANCE; // 5% in basis points
+    uint256 public constant MAX_SHARE_PRICE_TOLERANCE = 1000; // 10% in basis points
+    uint256 public sharePriceTolerance = 100; // 1%: allowed share price move between preview and bundler execution
+
+    // Fee caps in basis points, checked at deployment and when a change is queued
+    uint256 public constant MAX_FEE_PERCENTAGE = 2000; // 20% of profit
+    uint256 public constant MAX_REBALANCE_FEE_PERCENTAGE = 2000; // 20% of profit
+    uint256 public constant MAX_MERKL_CLAIM_FEE_PERCENTAGE = 2000; // 20% of claimed rewards
+
+    // Bounds of the delay between queueing a parameter change and executing it
+    uint256 public constant MIN_CHANGE_DELAY = 1 days;
+    uint256 public constant MAX_CHANGE_DELAY = 30 days;
+    uint256 public changeDelay = 2 days;
+
+    // Parameters the admin can only change through the timelock
+    enum ParameterChange {
+        FeePercentage,
+        RebalanceFeePercentage,
+        MerklClaimFeePercentage,
+        MinProfitForFee,
+        RevenueAddress,
+        ChangeDelay
+    }
+
+    struct PendingChange {
+        uint256 value; // New value; an address for RevenueAddress
+        uint256 executableAt; // 0 when nothing is queued
+    }
+
+    mapping(ParameterChange => PendingChange) public pendingChanges;
+
+    // Guardian recovery: the guardian names a new owner, who takes over after the delay unless the owner cancels
+    uint256 public constant RECOVERY_DELAY = 7 days;
+    address public guardian; // Chosen by the owner; 0 disables recovery
+    address public recoveryOwner; // New owner of the pending recovery, 0 when none
+    uint256 public recoveryExecutableAt;
 
     address public revenueAddress;
     uint256 public feePercentage=0; // Fee percentage in basis points (e.g., 100 = 1%)
@@ -68,9 +118,13 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
     // Merkl operator approval status
     bool public adminApprovedForMerkl;
 
-    // Events
-    event AssetAdded(address indexed asset, address indexed initialVault);
-    event AssetRemoved(address indexed asset);
+    // Allowed asset that the owner's share of Merkl rewards is swapped into and deposited; 0 pays rewards out
+    address public merklCompoundAsset;
+
+    // Owner consent for the admin to move positions between assets with rebalanceToAsset
+    bool public adminCrossAssetRebalanceAllowed;
+
+    // Events; those the libraries emit too are declared in IUserVault
     event AssetVaultUpdated(address indexed asset, address indexed oldVault, address indexed newVault);
     event InitialDeposit(address indexed asset, address indexed vault, uint256 amount);
     event UserDeposit(address indexed asset, address indexed vault, uint256 amount);
@@ -80,27 +134,26 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         address indexed recipient,
         uint256 amount
     );
-    event VaultAdded(address indexed vault);
-    event VaultRemoved(address indexed vault);
     event AdminUpdated(address indexed oldAdmin, address indexed newAdmin);
-    event Rebalanced(
-        address indexed asset,
-        address indexed fromVault,
-        address indexed toVault,
-        uint256 amount
-    );
-    event RebalanceFeeCollected(
-        address indexed asset,
-        uint256 profitAmount,
-        uint256 feeAmount,
-        uint256 newBaseAmount
-    );
-    event AssetSwapped(
+    event AdminTransferProposed(address indexed currentAdmin, address indexed pendingAdmin);
+    event AdminTransferCancelled(address indexed pendingAdmin);
+    event OwnerUpdated(address indexed oldOwner, address indexed newOwner);
+    event OwnerTransferProposed(address indexed currentOwner, address indexed pendingOwner);
+    event OwnerTransferCancelled(address indexed pendingOwner);
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event RecoveryInitiated(address indexed guardian, address indexed newOwner, uint256 executableAt);
+    event RecoveryCancelled(address indexed newOwner, address indexed cancelledBy);
+    // The factory's owner or admin index could not be updated (selector of the factory function)
+    event FactorySyncFailed(bytes4 indexed selector, bytes reason);
+    event CrossAssetRebalanced(
         address indexed fromAsset,
         address indexed toAsset,
-        uint256 amountIn,
-        uint256 amountOut
+        uint256 redeemedAmount,
+        uint256 feeAmount,
+        uint256 depositedAmount,
+        uint256 carriedPrincipal
     );
+    event CrossAssetRebalanceConsentUpdated(bool allowed);
 
     event RevenueAddressUpdated(
         address indexed oldAddress,
@@ -116,10 +169,57 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         uint256 userAmount
     );
     event MinProfitForFeeUpdated(uint256 oldThreshold, uint256 newThreshold);
+    event ChangeDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event ParameterChangeQueued(ParameterChange indexed parameter, uint256 value, uint256 executableAt);
+    event ParameterChangeCancelled(ParameterChange indexed parameter, uint256 value, address indexed cancelledBy);
+    event SharePriceToleranceUpdated(uint256 oldTolerance, uint256 newTolerance);
 
     // Merkl events
-    event MerklOperatorApproved(address indexed admin);
-    event MerklTokensClaimed(address indexed token, uint256 totalAmount, uint256 feeAmount, uint256 userAmount);
+    event MerklCompoundAssetUpdated(address indexed oldAsset, address indexed newAsset);
+    event MerklRewardsCompounded(
+        address indexed token,
+        address indexed asset,
+        uint256 rewardAmount,
+        uint256 depositedAmount
+    );
+
+    // Errors; those the libraries revert with too are declared in IUserVault
+    error OnlyOwner();
+    error OnlyAdmin();
+    error OnlyOwnerOrAdmin();
+    error OnlyPendingOwner();
+    error OnlyPendingAdmin();
+    error OnlyGuardian();
+    error OnlyOwnerOrGuardian();
+    error OnlyGuardianOrRecoveryOwner();
+    error InvalidOwner();
+    error InvalidAdmin();
+    error InvalidGuardian();
+    error InvalidRevenueAddress();
+    error AlreadyOwner();
+    error AlreadyAdmin();
+    error NoPendingOwner();
+    error NoPendingAdmin();
+    error OwnerProposedAdmin();
+    error NoPendingRecovery();
+    error RecoveryDelayNotPassed();
+    error NoInitialAssets();
+    error ActiveVaultHoldsShares();
+    error SameVault();
+    error FeeTooHigh();
+    error InvalidMinProfitForFee();
+    error InvalidChangeDelay();
+    error NoPendingChange();
+    error ChangeDelayNotPassed();
+    error ToleranceTooHigh();
+    error InitialDepositMade();
+    error NoDeposits();
+    error NoActiveVault();
+    error NoFunds();
+    error InsufficientBalance();
+    error InsufficientShares(uint256 shares, uint256 minShares);
+    error InsufficientAmountReceived(uint256 amount, uint256 minReceived);
+    error OwnerConsentRequired();
 
     /**
      * @dev Constructor for multi-asset vault with multi-vault support per asset
@@ -144,13 +244,18 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         uint256 _rebalanceFeePercentage,
         uint256 _merklClaimFeePercentage
     ) {
-        require(_owner != address(0), "Invalid owner");
-        require(_admin != address(0), "Invalid admin");
-        require(_assets.length > 0, "No initial assets");
-        require(_assets.length == _assetVaults.length, "Assets and vaults length mismatch");
-        require(_revenueAddress != address(0), "Invalid revenue address");
+        require(_owner != address(0), InvalidOwner());
+        require(_admin != address(0), InvalidAdmin());
+        require(_assets.length > 0, NoInitialAssets());
+        require(_assets.length == _assetVaults.length, LengthMismatch());
+        require(_revenueAddress != address(0), InvalidRevenueAddress());
+        require(_feePercentage <= MAX_FEE_PERCENTAGE, FeeTooHigh());
+        require(_rebalanceFeePercentage <= MAX_REBALANCE_FEE_PERCENTAGE, FeeTooHigh());
+        require(_merklClaimFeePercentage <= MAX_MERKL_CLAIM_FEE_PERCENTAGE, FeeTooHigh());
 
         owner = _owner;
+        // An account deploying directly has no index to keep in sync
+        factory = msg.sender.code.length > 0 ? msg.sender : address(0);
         admin = _admin;
         revenueAddress = _revenueAddress;
         feePercentage = _feePercentage;
@@ -158,369 +263,102 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         merklClaimFeePercentage = _merklClaimFeePercentage;
 
         // Add initial assets and their vaults (multi-vault support)
-        for (uint256 i = 0; i < _assets.length; i++) {
-            require(_assets[i] != address(0), "Invalid asset address");
-            require(!isAllowedAsset[_assets[i]], "Duplicate asset");
-            require(_assetVaults[i].length > 0, "Each asset must have at least one vault");
-
-            // Mark asset as allowed
-            isAllowedAsset[_assets[i]] = true;
-            allowedAssets.push(_assets[i]);
-
-            // Set the first vault as the active/primary vault for this asset
-            assetToVault[_assets[i]] = _assetVaults[i][0];
-
-            // Store all vaults for this asset and validate them
-            for (uint256 j = 0; j < _assetVaults[i].length; j++) {
-                address vault = _assetVaults[i][j];
-                require(vault != address(0), "Invalid vault address");
-
-                // Verify vault accepts this asset
-                require(IMetaMorpho(vault).asset() == _assets[i], "Vault asset mismatch");
-
-                // Check for duplicate vaults for this asset
-                for (uint256 k = 0; k < j; k++) {
-                    require(_assetVaults[i][k] != vault, "Duplicate vault for asset");
-                }
-
-                assetAvailableVaults[_assets[i]].push(vault);
-
-                // Add vault to allowed vaults whitelist if not already added
-                if (!isAllowedVault[vault]) {
-                    isAllowedVault[vault] = true;
-                    allowedVaults.push(vault);
-                }
-            }
-        }
+        VaultAllocation.addAssets(
+            isAllowedAsset,
+            allowedAssets,
+            assetToVault,
+            assetAvailableVaults,
+            isAllowedVault,
+            allowedVaults,
+            _assets,
+            _assetVaults
+        );
     }
 
+    // The modifiers call functions so their checks are not inlined into every function using them
     modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner");
+        _checkOwner();
         _;
     }
 
     modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin");
+        _checkAdmin();
         _;
     }
 
     modifier onlyOwnerOrAdmin() {
-        require(
-            msg.sender == owner || msg.sender == admin,
-            "Only owner or admin"
-        );
+        _checkOwnerOrAdmin();
         _;
     }
 
     modifier onlyAllowedAsset(address asset) {
-        require(isAllowedAsset[asset], "Asset not allowed");
+        _checkAllowedAsset(asset);
         _;
     }
 
     modifier onlyAllowedVault(address vault) {
-        require(isAllowedVault[vault], "Vault not allowed");
+        _checkAllowedVault(vault);
         _;
     }
 
-    /**
-     * @dev Approve admin as Merkl operator during first deposit
-     */
-    function _approveMerklOperator() internal {
-        if (!adminApprovedForMerkl) {
-            merklDistributor.toggleOperator(address(this), admin);
-            adminApprovedForMerkl = true;
-            emit MerklOperatorApproved(admin);
-        }
+    function _checkOwner() private view {
+        require(msg.sender == owner, OnlyOwner());
     }
 
-    /**
-     * @dev Deposit to vault using bundler
-     * @param vault The vault address to deposit into
-     * @param amount The amount of assets to deposit
-     * @param vaultAsset The asset token address for the vault
-     */
-    function _depositToVaultViaBundler(
-        address vault,
-        uint256 amount,
-        address vaultAsset
-    ) internal {
-        // Approve the adapter to spend tokens
-        IERC20(vaultAsset).approve(ADAPTER_ADDRESS, amount);
-
-        // Create calls array
-        Call[] memory calls = new Call[](2);
-
-        // First call: erc20TransferFrom - transfer tokens from this contract to adapter
-        calls[0] = Call({
-            to: ADAPTER_ADDRESS,
-            data: abi.encodeWithSelector(
-                bytes4(0xd96ca0b9), // erc20TransferFrom selector
-                vaultAsset,          // token address
-                ADAPTER_ADDRESS,     // receiver (adapter)
-                amount              // amount
-            ),
-            value: 0,
-            skipRevert: false,
-            callbackHash: bytes32(0)
-        });
-
-        // Second call: erc4626Deposit - deposit into vault
-        calls[1] = Call({
-            to: ADAPTER_ADDRESS,
-            data: abi.encodeWithSelector(
-                bytes4(0x6ef5eeae), // erc4626Deposit selector
-                vault,               // vault address
-                amount,              // assets
-                type(uint256).max,   // maxSharePriceE27
-                address(this)       // receiver (this contract receives the shares)
-            ),
-            value: 0,
-            skipRevert: false,
-            callbackHash: bytes32(0)
-        });
-
-        // Execute multicall
-        bundler.multicall(calls);
-    }
-
-    /**
-     * @dev Redeem from vault using bundler
-     * @param vault The vault address to redeem from
-     * @param shares The amount of shares to redeem
-     * @return The amount of assets received
-     */
-    function _redeemFromVaultViaBundler(address vault, uint256 shares)
-        internal
-        returns (uint256)
-    {
-        // Get the amount of assets we expect to receive
-        uint256 expectedAssets = IMetaMorpho(vault).previewRedeem(shares);
-
-        // Approve the adapter to spend the shares
-        IMetaMorpho(vault).approve(ADAPTER_ADDRESS, shares);
-
-        // Create calls array
-        Call[] memory calls = new Call[](2);
-
-        // First call: erc20TransferFrom - transfer vault shares from this contract to adapter
-        calls[0] = Call({
-            to: ADAPTER_ADDRESS,
-            data: abi.encodeWithSelector(
-                bytes4(0xd96ca0b9), // erc20TransferFrom selector
-                vault,               // token address (vault contract = shares token)
-                ADAPTER_ADDRESS,     // receiver (adapter needs the shares)
-                shares              // amount of shares
-            ),
-            value: 0,
-            skipRevert: false,
-            callbackHash: bytes32(0)
-        });
-
-        // Second call: erc4626Redeem - redeem from vault
-        calls[1] = Call({
-            to: ADAPTER_ADDRESS,
-            data: abi.encodeWithSelector(
-                bytes4(0xa7f6e606), // erc4626Redeem selector
-                vault,               // vault address
-                shares,              // shares to redeem
-                0,                   // minSharePriceE27 (using 0 for no minimum)
-                address(this),       // receiver of assets (this contract)
-                ADAPTER_ADDRESS      // owner of shares (adapter has them now)
-            ),
-            value: 0,
-            skipRevert: false,
-            callbackHash: bytes32(0)
-        });
-
-        // Execute multicall
-        bundler.multicall(calls);
-
-        // Return the expected assets
-        return expectedAssets;
-    }
-
-    /**
-     * @dev Internal function to swap tokens using Aerodrome with optimal pool selection
-     */
-    function _swapTokens(
-        address tokenIn,
-        address tokenOut,
-        uint256 amountIn
-    ) internal returns (uint256 amountOut) {
-        require(tokenIn != tokenOut, "Same token");
-        require(amountIn > 0, "Zero amount");
-
-        // Check both stable and volatile pools
-        address stablePool = IAerodromeFactory(AERODROME_FACTORY).getPool(
-            tokenIn,
-            tokenOut,
-            true
-        );
-        address volatilePool = IAerodromeFactory(AERODROME_FACTORY).getPool(
-            tokenIn,
-            tokenOut,
-            false
-        );
+    function _checkAdmin() private view {
+        require(msg.sender == admin, OnlyAdmin());
+    }
 
+    function _checkOwnerOrAdmin() private view {
         require(
-            stablePool != address(0) || volatilePool != address(0),
-            "No pools exist"
-        );
-
-        // Determine which pool to use based on expected output
-        bool useStablePool = _shouldUseStablePool(
-            tokenIn,
-            tokenOut,
-            amountIn,
-            stablePool,
-            volatilePool
+            msg.sender == owner || msg.sender == admin,
+            OnlyOwnerOrAdmin()
         );
+    }
 
-        // Approve router to spend tokens
-        IERC20(tokenIn).approve(AERODROME_ROUTER, amountIn);
-
-        // Prepare route with selected pool type
-        Route[] memory routes = new Route[](1);
-        routes[0] = Route({
-            from: tokenIn,
-            to: tokenOut,
-            stable: useStablePool,
-            factory: AERODROME_FACTORY
-        });
-
-        // Get expected output amount
-        uint256[] memory expectedAmounts = IAerodromeRouter(AERODROME_ROUTER)
-            .getAmountsOut(amountIn, routes);
-        uint256 minAmountOut = (expectedAmounts[1] *
-            (10000 - SLIPPAGE_TOLERANCE)) / 10000;
-
-        // Execute swap
-        uint256[] memory amounts = IAerodromeRouter(AERODROME_ROUTER)
-            .swapExactTokensForTokens(
-                amountIn,
-                minAmountOut,
-                routes,
-                address(this),
-                block.timestamp + 300
-            );
-
-        amountOut = amounts[1];
+    function _checkAllowedAsset(address asset) private view {
+        require(isAllowedAsset[asset], AssetNotAllowed());
+    }
 
-        emit AssetSwapped(tokenIn, tokenOut, amountIn, amountOut);
+    function _checkAllowedVault(address vault) private view {
+        require(isAllowedVault[vault], VaultNotAllowed());
     }
 
     /**
-     * @dev Determines which pool (stable or volatile) should be used for the swap
+     * @dev Approve admin as Merkl operator during first deposit
      */
-    function _shouldUseStablePool(
-        address tokenIn,
-        address tokenOut,
-        uint256 amountIn,
-        address stablePool,
-        address volatilePool
-    ) internal view returns (bool useStablePool) {
-        // If only one pool exists, use it
-        if (stablePool == address(0) && volatilePool != address(0)) {
-            return false; // Use volatile pool
-        }
-        if (volatilePool == address(0) && stablePool != address(0)) {
-            return true; // Use stable pool
-        }
-
-        // If both pools exist, compare expected outputs
-        uint256 stableOutput = 0;
-        uint256 volatileOutput = 0;
-
-        // Get expected output from stable pool
-        if (stablePool != address(0)) {
-            stableOutput = _getPoolOutput(tokenIn, tokenOut, amountIn, true);
-        }
-
-        // Get expected output from volatile pool
-        if (volatilePool != address(0)) {
-            volatileOutput = _getPoolOutput(tokenIn, tokenOut, amountIn, false);
+    function _approveMerklOperator() internal {
+        if (!adminApprovedForMerkl) {
+            merklDistributor.toggleOperator(address(this), admin);
+            adminApprovedForMerkl = true;
+            emit MerklOperatorApproved(admin);
         }
-
-        // Use the pool that gives better output
-        // Add a small bias towards stable pools (e.g., 0.1%) for similar outputs
-        uint256 stableBias = (stableOutput * 1001) / 1000; // 0.1% bias
-
-        return stableBias >= volatileOutput;
     }
 
     /**
-     * @dev Get expected output from a specific pool type
+     * @dev Expected Aerodrome output for swapping `amountIn` of `tokenIn`, through the pool a swap would use
+     * @return Output amount, 0 if no pool exists
      */
-    function _getPoolOutput(
+    function getEstimatedSwapOutput(
         address tokenIn,
         address tokenOut,
-        uint256 amountIn,
-        bool stable
-    ) internal view returns (uint256 expectedOutput) {
-        // Check if pool exists
-        address pool = IAerodromeFactory(AERODROME_FACTORY).getPool(
-            tokenIn,
-            tokenOut,
-            stable
-        );
-        if (pool == address(0)) {
-            return 0;
-        }
-
-        // Prepare route
-        Route[] memory routes = new Route[](1);
-        routes[0] = Route({
-            from: tokenIn,
-            to: tokenOut,
-            stable: stable,
-            factory: AERODROME_FACTORY
-        });
-
-        // Try to get amounts out
-        try
-            IAerodromeRouter(AERODROME_ROUTER).getAmountsOut(amountIn, routes)
-        returns (uint256[] memory amounts) {
-            return amounts[1];
-        } catch {
-            return 0; // Return 0 if call fails (e.g., insufficient liquidity)
-        }
+        uint256 amountIn
+    ) external view returns (uint256) {
+        return VaultSwap.estimate(tokenIn, tokenOut, amountIn);
     }
 
     /**
-     * @dev Updated view function to get estimated swap output with optimal pool selection
+     * @dev Aerodrome pool a swap of `amountIn` of `tokenIn` would go through, and its expected output
+     * @return stable Whether the stable pool is used
+     * @return pool The pool address, address(0) if none exists
+     * @return amountOut Expected output from that pool
      */
-    function _getEstimatedSwapOutput(
+    function getSwapRoute(
         address tokenIn,
         address tokenOut,
         uint256 amountIn
-    ) internal view returns (uint256) {
-        if (tokenIn == tokenOut || amountIn == 0) return amountIn;
-
-        // Check both pool types
-        address stablePool = IAerodromeFactory(AERODROME_FACTORY).getPool(
-            tokenIn,
-            tokenOut,
-            true
-        );
-        address volatilePool = IAerodromeFactory(AERODROME_FACTORY).getPool(
-            tokenIn,
-            tokenOut,
-            false
-        );
-
-        if (stablePool == address(0) && volatilePool == address(0)) return 0;
-
-        // Determine which pool to use
-        bool useStablePool = _shouldUseStablePool(
-            tokenIn,
-            tokenOut,
-            amountIn,
-            stablePool,
-            volatilePool
-        );
-
-        // Get output from selected pool
-        return _getPoolOutput(tokenIn, tokenOut, amountIn, useStablePool);
+    ) external view returns (bool stable, address pool, uint256 amountOut) {
+        return VaultSwap.route(tokenIn, tokenOut, amountIn);
     }
 
     // ============ Admin Functions ============
@@ -529,47 +367,21 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      * @dev Add a new asset with its vault
      */
     function addAsset(address asset, address vault) external onlyAdmin {
-        require(asset != address(0), "Invalid asset address");
-        require(vault != address(0), "Invalid vault address");
-        require(!isAllowedAsset[asset], "Asset already exists");
-        require(isAllowedVault[vault], "Vault not in whitelist");
-
-        // Verify vault accepts this asset
-        require(IMetaMorpho(vault).asset() == asset, "Vault asset mismatch");
-
-        isAllowedAsset[asset] = true;
-        allowedAssets.push(asset);
-        assetToVault[asset] = vault;
-
-        emit AssetAdded(asset, vault);
+        VaultAllocation.addAsset(isAllowedAsset, allowedAssets, assetToVault, isAllowedVault, asset, vault);
     }
 
     /**
      * @dev Remove an asset (only if no deposits exist)
      */
     function removeAsset(address asset) external onlyAdmin {
-        require(isAllowedAsset[asset], "Asset not allowed");
-        require(!assetHasInitialDeposit[asset], "Asset has deposits");
-
-        isAllowedAsset[asset] = false;
-
-        // Remove from array
-        for (uint256 i = 0; i < allowedAssets.length; i++) {
-            if (allowedAssets[i] == asset) {
-                allowedAssets[i] = allowedAssets[allowedAssets.length - 1];
-                allowedAssets.pop();
-                break;
-            }
-        }
-
-        delete assetToVault[asset];
-
-        emit AssetRemoved(asset);
+        VaultAllocation.removeAsset(isAllowedAsset, allowedAssets, assetToVault, assetHasInitialDeposit[asset], asset);
     }
 
     /**
      * @dev Update the active vault for a specific asset (must be from available vaults)
-     * @notice This function is deprecated, use setAssetActiveVault instead
+     * @notice This function is deprecated, use setAssetActiveVault instead. It only repoints
+     *         assetToVault, so it reverts while the current active vault holds shares outside
+     *         the asset's target weights
      */
     function updateAssetVault(address asset, address newVault)
         external
@@ -577,12 +389,13 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         onlyAllowedAsset(asset)
         onlyAllowedVault(newVault)
     {
-        require(newVault != address(0), "Invalid vault");
-        require(IMetaMorpho(newVault).asset() == asset, "Vault asset mismatch");
-        require(isVaultAvailableForAsset(asset, newVault), "Vault not available for this asset");
+        require(newVault != address(0), InvalidVault());
+        require(IMetaMorpho(newVault).asset() == asset, VaultAssetMismatch());
+        require(isVaultAvailableForAsset(asset, newVault), VaultNotAvailable());
 
         address oldVault = assetToVault[asset];
-        require(oldVault != newVault, "Same vault");
+        require(oldVault != newVault, SameVault());
+        require(_strandedShares(asset, oldVault) == 0, ActiveVaultHoldsShares());
 
         assetToVault[asset] = newVault;
 
@@ -593,85 +406,299 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      * @dev Remove a vault from the whitelist
      */
     function removeVault(address vault) external onlyAdmin {
-        require(isAllowedVault[vault], "Vault not allowed");
-
-        // Check if any asset is using this vault
-        for (uint256 i = 0; i < allowedAssets.length; i++) {
-            require(assetToVault[allowedAssets[i]] != vault, "Vault in use");
-        }
-
-        isAllowedVault[vault] = false;
-
-        // Remove from array
-        for (uint256 i = 0; i < allowedVaults.length; i++) {
-            if (allowedVaults[i] == vault) {
-                allowedVaults[i] = allowedVaults[allowedVaults.length - 1];
-                allowedVaults.pop();
-                break;
-            }
-        }
-
-        emit VaultRemoved(vault);
+        VaultAllocation.removeVault(isAllowedVault, allowedVaults, allowedAssets, assetToVault, vault);
     }
 
+    // ============ Timelocked Parameter Changes ============
+
     /**
-     * @dev Update revenue address
+     * @dev Queue a new revenue address; takes effect with executeParameterChange after changeDelay
      */
     function updateRevenueAddress(address newRevenueAddress)
         external
         onlyAdmin
     {
-        require(newRevenueAddress != address(0), "Invalid revenue address");
-        address oldAddress = revenueAddress;
-        revenueAddress = newRevenueAddress;
-        emit RevenueAddressUpdated(oldAddress, newRevenueAddress);
+        require(newRevenueAddress != address(0), InvalidRevenueAddress());
+        _queueParameterChange(ParameterChange.RevenueAddress, uint256(uint160(newRevenueAddress)));
     }
 
     /**
-     * @dev Update fee percentage for withdrawal fees
+     * @dev Queue a new withdrawal fee percentage, at most MAX_FEE_PERCENTAGE
      */
     function updateFeePercentage(uint256 newFeePercentage) external onlyAdmin {
-        uint256 oldFee = feePercentage;
-        feePercentage = newFeePercentage;
-        emit FeePercentageUpdated(oldFee, newFeePercentage);
+        require(newFeePercentage <= MAX_FEE_PERCENTAGE, FeeTooHigh());
+        _queueParameterChange(ParameterChange.FeePercentage, newFeePercentage);
     }
 
     /**
-     * @dev Update rebalance fee percentage
+     * @dev Queue a new rebalance fee percentage, at most MAX_REBALANCE_FEE_PERCENTAGE
      */
     function updateRebalanceFeePercentage(uint256 newRebalanceFeePercentage) external onlyAdmin {
-        uint256 oldFee = rebalanceFeePercentage;
-        rebalanceFeePercentage = newRebalanceFeePercentage;
-        emit RebalanceFeePercentageUpdated(oldFee, newRebalanceFeePercentage);
+        require(newRebalanceFeePercentage <= MAX_REBALANCE_FEE_PERCENTAGE, FeeTooHigh());
+        _queueParameterChange(ParameterChange.RebalanceFeePercentage, newRebalanceFeePercentage);
     }
 
     /**
-     * @dev Update Merkl claim fee percentage
+     * @dev Queue a new Merkl claim fee percentage, at most MAX_MERKL_CLAIM_FEE_PERCENTAGE
      */
     function updateMerklClaimFeePercentage(uint256 newMerklClaimFeePercentage) external onlyAdmin {
-        uint256 oldFee = merklClaimFeePercentage;
-        merklClaimFeePercentage = newMerklClaimFeePercentage;
-        emit MerklClaimFeePercentageUpdated(oldFee, newMerklClaimFeePercentage);
+        require(newMerklClaimFeePercentage <= MAX_MERKL_CLAIM_FEE_PERCENTAGE, FeeTooHigh());
+        _queueParameterChange(ParameterChange.MerklClaimFeePercentage, newMerklClaimFeePercentage);
     }
 
     /**
-     * @dev Update minimum profit threshold for fee charging
+     * @dev Queue a new minimum profit threshold for fee charging
      */
     function updateMinProfitForFee(uint256 newMinProfitForFee) external onlyAdmin {
-        require(newMinProfitForFee > 0, "Invalid minimum profit for fee");
-        uint256 oldThreshold = minProfitForFee;
-        minProfitForFee = newMinProfitForFee;
-        emit MinProfitForFeeUpdated(oldThreshold, newMinProfitForFee);
+        require(newMinProfitForFee > 0, InvalidMinProfitForFee());
+        _queueParameterChange(ParameterChange.MinProfitForFee, newMinProfitForFee);
+    }
+
+    /**
+     * @dev Queue a new timelock delay; the current delay applies to this change too
+     */
+    function updateChangeDelay(uint256 newDelay) external onlyAdmin {
+        require(newDelay >= MIN_CHANGE_DELAY && newDelay <= MAX_CHANGE_DELAY, InvalidChangeDelay());
+        _queueParameterChange(ParameterChange.ChangeDelay, newDelay);
+    }
+
+    /**
+     * @dev Queue a change, replacing any pending change of the same parameter and restarting its delay
+     */
+    function _queueParameterChange(ParameterChange parameter, uint256 value) internal {
+        uint256 executableAt = block.timestamp + changeDelay;
+        pendingChanges[parameter] = PendingChange(value, executableAt);
+        emit ParameterChangeQueued(parameter, value, executableAt);
+    }
+
+    /**
+     * @dev Apply a queued change once its delay has passed
+     * @param parameter The parameter to change
+     */
+    function executeParameterChange(ParameterChange parameter) external onlyOwnerOrAdmin {
+        PendingChange memory change = pendingChanges[parameter];
+        require(change.executableAt != 0, NoPendingChange());
+        require(block.timestamp >= change.executableAt, ChangeDelayNotPassed());
+        delete pendingChanges[parameter];
+
+        uint256 value = change.value;
+        if (parameter == ParameterChange.FeePercentage) {
+            emit FeePercentageUpdated(feePercentage, value);
+            feePercentage = value;
+        } else if (parameter == ParameterChange.RebalanceFeePercentage) {
+            emit RebalanceFeePercentageUpdated(rebalanceFeePercentage, value);
+            rebalanceFeePercentage = value;
+        } else if (parameter == ParameterChange.MerklClaimFeePercentage) {
+            emit MerklClaimFeePercentageUpdated(merklClaimFeePercentage, value);
+            merklClaimFeePercentage = value;
+        } else if (parameter == ParameterChange.MinProfitForFee) {
+            emit MinProfitForFeeUpdated(minProfitForFee, value);
+            minProfitForFee = value;
+        } else if (parameter == ParameterChange.RevenueAddress) {
+            emit RevenueAddressUpdated(revenueAddress, address(uint160(value)));
+            revenueAddress = address(uint160(value));
+        } else {
+            emit ChangeDelayUpdated(changeDelay, value);
+            changeDelay = value;
+        }
+    }
+
+    /**
+     * @dev Drop a queued change. The owner's veto: a change they do not accept never takes effect,
+     * and the admin can also withdraw their own proposal
+     * @param parameter The parameter whose pending change is cancelled
+     */
+    function cancelParameterChange(ParameterChange parameter) external onlyOwnerOrAdmin {
+        PendingChange memory change = pendingChanges[parameter];
+        require(change.executableAt != 0, NoPendingChange());
+        delete pendingChanges[parameter];
+        emit ParameterChangeCancelled(parameter, change.value, msg.sender);
+    }
+
+    /**
+     * @dev Update the share price tolerance applied to every bundler deposit and redeem
+     */
+    function updateSharePriceTolerance(uint256 newTolerance) external onlyAdmin {
+        require(newTolerance <= MAX_SHARE_PRICE_TOLERANCE, ToleranceTooHigh());
+        uint256 oldTolerance = sharePriceTolerance;
+        sharePriceTolerance = newTolerance;
+        emit SharePriceToleranceUpdated(oldTolerance, newTolerance);
+    }
+
+    /**
+     * @dev Propose a new admin; the transfer completes when they call acceptAdmin.
+     * Proposing again replaces the pending admin. The owner can always propose, so a
+     * compromised admin key can be rotated out; the admin cannot replace or cancel
+     * a transfer the owner proposed
+     */
+    function proposeAdmin(address newAdmin) external onlyOwnerOrAdmin {
+        bool byOwner = _checkAdminTransferCaller();
+        require(newAdmin != address(0), InvalidAdmin());
+        require(newAdmin != admin, AlreadyAdmin());
+        pendingAdmin = newAdmin;
+        pendingAdminByOwner = byOwner;
+        emit AdminTransferProposed(admin, newAdmin);
+    }
+
+    /**
+     * @dev Withdraw a pending admin transfer. Only the owner can withdraw one they proposed
+     */
+    function cancelAdminTransfer() external onlyOwnerOrAdmin {
+        require(pendingAdmin != address(0), NoPendingAdmin());
+        _checkAdminTransferCaller();
+        _clearPendingAdmin();
+    }
+
+    function _clearPendingAdmin() private {
+        emit AdminTransferCancelled(pendingAdmin);
+        pendingAdmin = address(0);
+        pendingAdminByOwner = false;
+    }
+
+    /**
+     * @dev Only the owner can replace or cancel a transfer the owner proposed
+     * @return byOwner Whether the caller is the owner
+     */
+    function _checkAdminTransferCaller() private view returns (bool byOwner) {
+        byOwner = msg.sender == owner;
+        require(byOwner || !pendingAdminByOwner, OwnerProposedAdmin());
     }
 
     /**
-     * @dev Update admin address
+     * @dev Complete the admin transfer. Once the Merkl operator has been approved, the permission
+     * moves with the role: revoked for the old admin and granted to the new one
      */
-    function updateAdmin(address newAdmin) external onlyAdmin {
-        require(newAdmin != address(0), "Invalid admin address");
+    function acceptAdmin() external {
+        require(msg.sender == pendingAdmin, OnlyPendingAdmin());
         address oldAdmin = admin;
-        admin = newAdmin;
-        emit AdminUpdated(oldAdmin, newAdmin);
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        pendingAdminByOwner = false;
+
+        if (adminApprovedForMerkl) {
+            VaultMerkl.rotateOperator(oldAdmin, admin);
+        }
+
+        // Keep the factory's admin index in sync, without letting it block the handover
+        if (factory != address(0)) {
+            try IUserVaultFactory(factory).updateVaultAdmin(oldAdmin, admin) {} catch (bytes memory reason) {
+                emit FactorySyncFailed(IUserVaultFactory.updateVaultAdmin.selector, reason);
+            }
+        }
+
+        emit AdminUpdated(oldAdmin, admin);
+    }
+
+    /**
+     * @dev Propose a new owner; the transfer completes when they call acceptOwner.
+     * Proposing again replaces the pending owner
+     */
+    function proposeOwner(address newOwner) external onlyOwner {
+        require(newOwner != address(0), InvalidOwner());
+        require(newOwner != owner, AlreadyOwner());
+        pendingOwner = newOwner;
+        emit OwnerTransferProposed(owner, newOwner);
+    }
+
+    /**
+     * @dev Withdraw a pending owner transfer
+     */
+    function cancelOwnerTransfer() external onlyOwner {
+        require(pendingOwner != address(0), NoPendingOwner());
+        address cancelled = pendingOwner;
+        pendingOwner = address(0);
+        emit OwnerTransferCancelled(cancelled);
+    }
+
+    /**
+     * @dev Complete the owner transfer
+     */
+    function acceptOwner() external {
+        require(msg.sender == pendingOwner, OnlyPendingOwner());
+        _setOwner(msg.sender);
+    }
+
+    /**
+     * @dev Choose the guardian that can recover the vault, or 0 to disable recovery.
+     * Replacing the guardian drops a recovery the previous one started
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        require(newGuardian != owner, InvalidGuardian());
+        if (recoveryOwner != address(0)) _cancelRecovery();
+        address oldGuardian = guardian;
+        guardian = newGuardian;
+        emit GuardianUpdated(oldGuardian, newGuardian);
+    }
+
+    /**
+     * @dev Start moving the vault to `newOwner`, executable after RECOVERY_DELAY.
+     * Initiating again replaces the pending recovery and restarts the delay
+     */
+    function initiateRecovery(address newOwner) external {
+        require(guardian != address(0) && msg.sender == guardian, OnlyGuardian());
+        require(newOwner != address(0) && newOwner != owner, InvalidOwner());
+        recoveryOwner = newOwner;
+        recoveryExecutableAt = block.timestamp + RECOVERY_DELAY;
+        emit RecoveryInitiated(msg.sender, newOwner, recoveryExecutableAt);
+    }
+
+    /**
+     * @dev Drop the pending recovery. The owner's veto while they still hold their key
+     */
+    function cancelRecovery() external {
+        require(msg.sender == owner || msg.sender == guardian, OnlyOwnerOrGuardian());
+        require(recoveryOwner != address(0), NoPendingRecovery());
+        _cancelRecovery();
+    }
+
+    /**
+     * @dev Hand the vault to the recovery owner once the delay has passed
+     */
+    function executeRecovery() external {
+        require(recoveryOwner != address(0), NoPendingRecovery());
+        require(msg.sender == guardian || msg.sender == recoveryOwner, OnlyGuardianOrRecoveryOwner());
+        require(block.timestamp >= recoveryExecutableAt, RecoveryDelayNotPassed());
+        _setOwner(recoveryOwner);
+    }
+
+    function _cancelRecovery() internal {
+        address cancelled = recoveryOwner;
+        recoveryOwner = address(0);
+        recoveryExecutableAt = 0;
+        emit RecoveryCancelled(cancelled, msg.sender);
+    }
+
+    /**
+     * @dev Move ownership, clearing pending transfers and recoveries, and update the factory's
+     * owner index. The factory call cannot block the change: a failure is reported with
+     * FactorySyncFailed. The previous owner's choices (admin consent to cross-asset rebalances,
+     * Merkl compounding, a proposed admin) are reset for the new owner to make again
+     */
+    function _setOwner(address newOwner) internal {
+        address oldOwner = owner;
+        owner = newOwner;
+        pendingOwner = address(0);
+        recoveryOwner = address(0);
+        recoveryExecutableAt = 0;
+
+        // An admin proposed by the old owner does not carry over
+        if (pendingAdminByOwner) _clearPendingAdmin();
+        if (adminCrossAssetRebalanceAllowed) {
+            adminCrossAssetRebalanceAllowed = false;
+            emit CrossAssetRebalanceConsentUpdated(false);
+        }
+        if (merklCompoundAsset != address(0)) {
+            emit MerklCompoundAssetUpdated(merklCompoundAsset, address(0));
+            merklCompoundAsset = address(0);
+        }
+
+        if (factory != address(0)) {
+            try IUserVaultFactory(factory).updateVaultOwner(oldOwner, newOwner) {} catch (bytes memory reason) {
+                emit FactorySyncFailed(IUserVaultFactory.updateVaultOwner.selector, reason);
+            }
+        }
+
+        emit OwnerUpdated(oldOwner, newOwner);
     }
 
     /**
@@ -695,30 +722,33 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      * @param asset The asset to deposit
      * @param vault The vault to deposit into (must be in assetAvailableVaults for this asset)
      * @param amount Amount to deposit
+     * @param minShares Minimum Morpho vault shares to receive, summed across the vaults the deposit is split into
+     * @return shares Morpho vault shares received
      */
-    function initialDeposit(address asset, address vault, uint256 amount)
+    function initialDeposit(address asset, address vault, uint256 amount, uint256 minShares)
         external
         onlyOwner
         onlyAllowedAsset(asset)
         nonReentrant
         whenNotPaused
+        returns (uint256 shares)
     {
-        require(!assetHasInitialDeposit[asset], "Initial deposit already made for this asset");
-        require(amount > 0, "Amount must be positive");
-        require(vault != address(0), "Invalid vault address");
-        require(isVaultAvailableForAsset(asset, vault), "Vault not available for this asset");
+        require(!assetHasInitialDeposit[asset], InitialDepositMade());
+        require(amount > 0, ZeroAmount());
+        require(vault != address(0), InvalidVault());
+        require(isVaultAvailableForAsset(asset, vault), VaultNotAvailable());
 
         // Approve admin as Merkl operator on first deposit (any asset)
         _approveMerklOperator();
 
+        // Set the chosen vault as the active vault for this asset
+        assetToVault[asset] = vault;
+
         // Transfer asset from user to this contract
         IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
 
-        // Deposit to vault using bundler
-        _depositToVaultViaBundler(vault, amount, asset);
-
-        // Set the chosen vault as the active vault for this asset
-        assetToVault[asset] = vault;
+        // Deposit to the active vault, or split by target weights
+        shares = _depositAllocated(asset, amount, minShares);
 
         // Set state for this asset
         assetTotalDeposited[asset] = amount;
@@ -733,57 +763,107 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      * @dev User deposit function - allows owner to deposit more of a specific asset
      * @param asset The asset to deposit
      * @param amount Amount to deposit
+     * @param minShares Minimum Morpho vault shares to receive, summed across the vaults the deposit is split into
+     * @return shares Morpho vault shares received
      */
-    function userDeposit(address asset, uint256 amount)
+    function userDeposit(address asset, uint256 amount, uint256 minShares)
         external
         onlyOwner
         onlyAllowedAsset(asset)
         nonReentrant
         whenNotPaused
+        returns (uint256 shares)
     {
-        require(assetHasInitialDeposit[asset], "Initial deposit not made for this asset");
-        require(amount > 0, "Amount must be positive");
+        return _deposit(asset, amount, minShares);
+    }
+
+    /**
+     * @dev Zap deposit - swap any token into an allowed asset through Aerodrome and deposit it.
+     * Counts as the asset's initial deposit, into its active vault, if none was made yet.
+     * @param tokenIn The token to deposit
+     * @param amountIn Amount of tokenIn
+     * @param asset The allowed asset to swap into
+     * @param minAmountOut Minimum amount of asset the swap must return
+     */
+    function zapDeposit(address tokenIn, uint256 amountIn, address asset, uint256 minAmountOut)
+        external
+        onlyOwner
+        onlyAllowedAsset(asset)
+        nonReentrant
+        whenNotPaused
+    {
+        require(amountIn > 0, ZeroAmount());
 
         address vault = assetToVault[asset];
-        require(vault != address(0), "No vault set for asset");
+        require(vault != address(0), NoActiveVault());
 
-        // Transfer asset from user to this contract
-        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        // Transfer tokenIn from user to this contract and swap it into the asset
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        uint256 amount = VaultSwap.swap(tokenIn, asset, amountIn, minAmountOut);
+
+        if (_depositHeldAmount(asset, amount, amount)) {
+            emit InitialDeposit(asset, vault, amount);
+        } else {
+            emit UserDeposit(asset, vault, amount);
+        }
+    }
+
+    /**
+     * @dev Deposit `amount` of `asset` already held by this contract, adding `principal` to the
+     * deposited total and `amount` to the rebalance base.
+     * Makes the asset's initial deposit, into its active vault, if none was made yet.
+     * @return initial Whether this was the initial deposit
+     */
+    function _depositHeldAmount(address asset, uint256 amount, uint256 principal) internal returns (bool initial) {
+        initial = !assetHasInitialDeposit[asset];
+        if (initial) {
+            // Approve admin as Merkl operator on first deposit (any asset)
+            _approveMerklOperator();
+            assetHasInitialDeposit[asset] = true;
+        }
 
-        // Deposit to vault using bundler
-        _depositToVaultViaBundler(vault, amount, asset);
+        // Deposit to the active vault, or split by target weights
+        _depositAllocated(asset, amount, 0);
 
         // Update tracking
-        assetTotalDeposited[asset] += amount;
+        assetTotalDeposited[asset] += principal;
         assetLastDepositTime[asset] = block.timestamp;
         assetRebalanceBaseAmount[asset] += amount; // Increase base amount for rebalance profit calculation
-
-        emit UserDeposit(asset, vault, amount);
     }
 
     /**
      * @dev Admin deposit function - allows admin to deposit on behalf of user
      * @param asset The asset to deposit
      * @param amount Amount to deposit
+     * @param minShares Minimum Morpho vault shares to receive, summed across the vaults the deposit is split into
+     * @return shares Morpho vault shares received
      */
-    function adminDeposit(address asset, uint256 amount)
+    function adminDeposit(address asset, uint256 amount, uint256 minShares)
         external
         onlyAdmin
         onlyAllowedAsset(asset)
         nonReentrant
         whenNotPaused
+        returns (uint256 shares)
     {
-        require(assetHasInitialDeposit[asset], "Initial deposit not made for this asset");
-        require(amount > 0, "Amount must be positive");
+        return _deposit(asset, amount, minShares);
+    }
+
+    /**
+     * @dev Pull `amount` of `asset` from the caller and deposit it after the initial deposit
+     */
+    function _deposit(address asset, uint256 amount, uint256 minShares) internal returns (uint256 shares) {
+        require(assetHasInitialDeposit[asset], NoDeposits());
+        require(amount > 0, ZeroAmount());
 
         address vault = assetToVault[asset];
-        require(vault != address(0), "No vault set for asset");
+        require(vault != address(0), NoActiveVault());
 
-        // Transfer asset from admin to this contract
+        // Transfer asset from the caller to this contract
         IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
 
-        // Deposit to vault using bundler
-        _depositToVaultViaBundler(vault, amount, asset);
+        // Deposit to the active vault, or split by target weights
+        shares = _depositAllocated(asset, amount, minShares);
 
         // Update tracking
         assetTotalDeposited[asset] += amount;
@@ -798,34 +878,133 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
     /**
      * @dev Withdraw from a specific asset's vault
      * @param asset The asset to withdraw
-     * @param amount Amount of shares to withdraw (0 for full withdrawal)
+     * @param amount Amount of shares of the active vault to withdraw (0 for full withdrawal from every vault)
+     * @param minReceived Minimum amount the owner must receive after the performance fee
+     * @return userAmount Amount sent to the owner
      */
-    function withdraw(address asset, uint256 amount)
+    function withdraw(address asset, uint256 amount, uint256 minReceived)
         external
         onlyOwner
         onlyAllowedAsset(asset)
         nonReentrant
         whenNotPaused
+        returns (uint256 userAmount)
     {
-        require(assetHasInitialDeposit[asset], "No deposits for this asset");
+        require(assetHasInitialDeposit[asset], NoDeposits());
 
         address vault = assetToVault[asset];
+        uint256 redeemedAmount;
+
+        if (amount == 0) {
+            // Full withdrawal, including the vaults the asset is split across
+            redeemedAmount = _redeemAllVaults(asset);
+            require(redeemedAmount > 0, NoFunds());
+        } else {
+            redeemedAmount = _redeemShares(vault, amount);
+        }
+
+        return _payOutWithdrawal(asset, vault, redeemedAmount, minReceived);
+    }
+
+    /**
+     * @dev Withdraw from one of the vaults an asset is split across
+     * @param asset The asset to withdraw
+     * @param vault The vault to redeem from (must be in assetAvailableVaults for this asset)
+     * @param shares Amount of shares to withdraw (0 for the vault's full balance)
+     * @param minReceived Minimum amount the owner must receive after the performance fee
+     * @return userAmount Amount sent to the owner
+     */
+    function withdrawFromVault(address asset, address vault, uint256 shares, uint256 minReceived)
+        external
+        onlyOwner
+        onlyAllowedAsset(asset)
+        nonReentrant
+        whenNotPaused
+        returns (uint256 userAmount)
+    {
+        require(assetHasInitialDeposit[asset], NoDeposits());
+        require(isVaultAvailableForAsset(asset, vault), VaultNotAvailable());
+
+        uint256 redeemedAmount = _redeemShares(vault, shares);
+
+        return _payOutWithdrawal(asset, vault, redeemedAmount, minReceived);
+    }
+
+    /**
+     * @dev Withdraw an amount of the underlying asset rather than shares
+     * @notice Shares are computed with previewWithdraw, which rounds up, so at least `assets` is redeemed
+     * @param asset The asset to withdraw
+     * @param vault The vault to redeem from (the active vault or another of the asset's available vaults)
+     * @param assets Amount of the asset to redeem before fees (type(uint256).max for a full withdrawal from every vault)
+     * @param minReceived Minimum amount the owner must receive after the performance fee
+     * @return userAmount Amount sent to the owner
+     */
+    function withdrawAssets(address asset, address vault, uint256 assets, uint256 minReceived)
+        external
+        onlyOwner
+        onlyAllowedAsset(asset)
+        nonReentrant
+        whenNotPaused
+        returns (uint256 userAmount)
+    {
+        require(assetHasInitialDeposit[asset], NoDeposits());
+        require(assets > 0, ZeroAmount());
+
+        uint256 redeemedAmount;
+        if (assets == type(uint256).max) {
+            vault = assetToVault[asset];
+            redeemedAmount = _redeemAllVaults(asset);
+            require(redeemedAmount > 0, NoFunds());
+        } else {
+            require(
+                vault == assetToVault[asset] || isVaultAvailableForAsset(asset, vault),
+                VaultNotAvailable()
+            );
+            uint256 shares = IMetaMorpho(vault).previewWithdraw(assets);
+            require(shares <= _getVaultBalance(vault), InsufficientBalance());
+            redeemedAmount = VaultBundler.redeem(vault, shares, sharePriceTolerance);
+        }
+
+        return _payOutWithdrawal(asset, vault, redeemedAmount, minReceived);
+    }
+
+    /**
+     * @dev Redeem `shares` of a vault (0 or more than the balance for the full balance)
+     */
+    function _redeemShares(address vault, uint256 shares) internal returns (uint256) {
         uint256 vaultBalance = _getVaultBalance(vault);
-        require(vaultBalance > 0, "No funds in vault");
+        require(vaultBalance > 0, NoFunds());
 
-        uint256 withdrawAmount = amount;
-        if (amount == 0 || amount > vaultBalance) {
+        uint256 withdrawAmount = shares;
+        if (shares == 0 || shares > vaultBalance) {
             withdrawAmount = vaultBalance; // Full withdrawal
         }
 
         // Redeem from vault using bundler
-        uint256 redeemedAmount = _redeemFromVaultViaBundler(vault, withdrawAmount);
+        return VaultBundler.redeem(vault, withdrawAmount, sharePriceTolerance);
+    }
 
+    /**
+     * @dev Redeem an asset's full balance from its active vault and every available vault
+     * @return Total amount of the asset received
+     */
+    function _redeemAllVaults(address asset) internal returns (uint256) {
+        return VaultBundler.redeemAll(assetAvailableVaults[asset], assetToVault[asset], sharePriceTolerance);
+    }
+
+    /**
+     * @dev Charge the performance fee on a redeemed amount and send the rest to the owner
+     * @param minReceived Minimum amount the owner must receive
+     * @return userAmount Amount sent to the owner
+     */
+    function _payOutWithdrawal(address asset, address vault, uint256 redeemedAmount, uint256 minReceived)
+        internal
+        returns (uint256 userAmount)
+    {
         // Calculate fee and user amount
-        (uint256 feeAmount, uint256 userAmount) = calculateFeeFromProfit(
-            asset,
-            redeemedAmount
-        );
+        uint256 feeAmount;
+        (feeAmount, userAmount) = calculateFeeFromProfit(asset, redeemedAmount);
+        require(userAmount >= minReceived, InsufficientAmountReceived(userAmount, minReceived));
 
         // Transfer fee to revenue address if there's a fee
         if (feeAmount > 0) {
@@ -856,30 +1035,12 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         nonReentrant
     {
         address vault = assetToVault[asset];
-        require(vault != address(0), "No vault for asset");
+        require(vault != address(0), NoActiveVault());
 
-        uint256 balance = _getVaultBalance(vault);
-        if (balance > 0) {
-            uint256 redeemedAmount = _redeemFromVaultViaBundler(vault, balance);
-
-            // Calculate fee and user amount
-            (uint256 feeAmount, uint256 userAmount) = calculateFeeFromProfit(
-                asset,
-                redeemedAmount
-            );
-
-            // Transfer fee to revenue address if there's a fee
-            if (feeAmount > 0) {
-                IERC20(asset).safeTransfer(revenueAddress, feeAmount);
-                assetTotalFeesCollected[asset] += feeAmount;
-                emit FeeCollected(asset, vault, feeAmount, userAmount);
-            }
-
-            // Transfer remaining amount to owner
-            IERC20(asset).safeTransfer(owner, userAmount);
+        uint256 redeemedAmount = _redeemAllVaults(asset);
+        if (redeemedAmount > 0) {
+            _payOutWithdrawal(asset, vault, redeemedAmount, 0);
             assetTotalDeposited[asset] = 0;
-
-            emit Withdrawal(asset, vault, owner, userAmount);
         }
     }
 
@@ -898,54 +1059,176 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         nonReentrant
         whenNotPaused
     {
-        require(assetHasInitialDeposit[asset], "No deposits for this asset");
-        require(isVaultAvailableForAsset(asset, toVault), "Vault not available for this asset");
+        require(assetHasInitialDeposit[asset], NoDeposits());
+        require(isVaultAvailableForAsset(asset, toVault), VaultNotAvailable());
 
         address fromVault = assetToVault[asset];
-        require(fromVault != toVault, "Same vault");
-        require(IMetaMorpho(toVault).asset() == asset, "Vault asset mismatch");
+        require(fromVault != toVault, SameVault());
+        require(IMetaMorpho(toVault).asset() == asset, VaultAssetMismatch());
 
         uint256 balance = _getVaultBalance(fromVault);
-        require(balance > 0, "No funds to rebalance");
+        require(balance > 0, NoFunds());
 
-        // Redeem from current vault
-        uint256 redeemedAmount = _redeemFromVaultViaBundler(fromVault, balance);
+        _moveBetweenVaults(asset, fromVault, toVault, balance);
 
-        // Calculate profit and deduct 10% fee if there's profit
-        uint256 baseAmount = assetRebalanceBaseAmount[asset];
-        uint256 amountToDeposit = redeemedAmount;
-        uint256 feeAmount = 0;
+        // Update current vault for this asset
+        assetToVault[asset] = toVault;
+    }
 
-        if (redeemedAmount > baseAmount && baseAmount > 0) {
-            // There's profit, calculate rebalance fee on profit
-            uint256 profit = redeemedAmount - baseAmount;
-            feeAmount = (profit * rebalanceFeePercentage) / 10000;
+    /**
+     * @dev Move part of an asset's position between two of its available vaults, e.g. to reach
+     * target weights. The active vault does not change.
+     * @param asset The asset to rebalance
+     * @param fromVault The vault to redeem from
+     * @param toVault The vault to deposit into
+     * @param shares Amount of fromVault shares to move (0 for its full balance)
+     */
+    function rebalanceBetweenVaults(address asset, address fromVault, address toVault, uint256 shares)
+        external
+        onlyAdmin
+        onlyAllowedAsset(asset)
+        onlyAllowedVault(toVault)
+        nonReentrant
+        whenNotPaused
+    {
+        require(assetHasInitialDeposit[asset], NoDeposits());
+        require(isVaultAvailableForAsset(asset, fromVault), VaultNotAvailable());
+        require(isVaultAvailableForAsset(asset, toVault), VaultNotAvailable());
+        require(fromVault != toVault, SameVault());
+        require(IMetaMorpho(toVault).asset() == asset, VaultAssetMismatch());
 
-            // Transfer fee to revenue address
-            if (feeAmount > 0) {
-                IERC20(asset).safeTransfer(revenueAddress, feeAmount);
-                assetTotalRebalanceFees[asset] += feeAmount;
-            }
+        uint256 balance = _getVaultBalance(fromVault);
+        require(balance > 0, NoFunds());
 
-            // Amount to deposit is redeemed amount minus fee
-            amountToDeposit = redeemedAmount - feeAmount;
+        _moveBetweenVaults(asset, fromVault, toVault, shares == 0 || shares > balance ? balance : shares);
+    }
 
-            // Update base amount to new amount (after fee deduction)
-            assetRebalanceBaseAmount[asset] = amountToDeposit;
+    /**
+     * @dev Allow or forbid the admin to move positions between assets with rebalanceToAsset
+     */
+    function setCrossAssetRebalanceConsent(bool allowed) external onlyOwner {
+        adminCrossAssetRebalanceAllowed = allowed;
+        emit CrossAssetRebalanceConsentUpdated(allowed);
+    }
 
-            emit RebalanceFeeCollected(asset, profit, feeAmount, amountToDeposit);
-        } else {
-            // No profit or loss, update base amount to current amount
-            assetRebalanceBaseAmount[asset] = redeemedAmount;
-        }
+    /**
+     * @dev Move a whole position from one allowed asset to another: redeem every vault of fromAsset,
+     * charge the rebalance fee on the profit above its rebalance base, swap the rest on Aerodrome
+     * and deposit the output into toAsset's active vault (or by its target weights).
+     * The principal moves with it, converted at the swap's price, so the withdrawal fee
+     * still only applies to yield. fromAsset's principal, rebalance base and initial deposit
+     * flag are cleared.
+     * @notice The admin needs the owner's consent (setCrossAssetRebalanceConsent)
+     * @param fromAsset The asset to leave
+     * @param toAsset The asset to move into
+     * @param minAmountOut Minimum amount of toAsset the swap must return
+     */
+    function rebalanceToAsset(address fromAsset, address toAsset, uint256 minAmountOut)
+        external
+        onlyOwnerOrAdmin
+        onlyAllowedAsset(fromAsset)
+        onlyAllowedAsset(toAsset)
+        nonReentrant
+        whenNotPaused
+    {
+        require(msg.sender == owner || adminCrossAssetRebalanceAllowed, OwnerConsentRequired());
+        require(fromAsset != toAsset, SameAsset());
+        require(assetHasInitialDeposit[fromAsset], NoDeposits());
+        require(minAmountOut > 0, MinimumOutputRequired());
+
+        uint256 redeemedAmount = _redeemAllVaults(fromAsset);
+        require(redeemedAmount > 0, NoFunds());
+
+        // Rebalance fee on the profit above the base, then the principal converted at the swap's price.
+        // fromAsset is left with no position: a later deposit is an initial deposit again
+        (uint256 feeAmount, uint256 amountOut, uint256 carriedPrincipal) = VaultRebalance.swapPosition(
+            assetTotalDeposited,
+            assetRebalanceBaseAmount,
+            assetHasInitialDeposit,
+            assetTotalRebalanceFees,
+            _rebalanceFeeConfig(),
+            fromAsset,
+            toAsset,
+            redeemedAmount,
+            minAmountOut
+        );
 
-        // Deposit into new vault (amount after fee deduction if applicable)
-        _depositToVaultViaBundler(toVault, amountToDeposit, asset);
+        // The swapped amount becomes the new rebalance base, as after a same-asset rebalance
+        _depositHeldAmount(toAsset, amountOut, carriedPrincipal);
 
-        // Update current vault for this asset
-        assetToVault[asset] = toVault;
+        emit CrossAssetRebalanced(fromAsset, toAsset, redeemedAmount, feeAmount, amountOut, carriedPrincipal);
+    }
+
+    /**
+     * @dev Redeem `shares` of fromVault and deposit the proceeds into toVault, charging the
+     * rebalance fee on the profit of the moved part only
+     */
+    function _moveBetweenVaults(address asset, address fromVault, address toVault, uint256 shares) internal {
+        VaultRebalance.moveBetweenVaults(
+            assetRebalanceBaseAmount,
+            assetTotalRebalanceFees,
+            _rebalanceFeeConfig(),
+            asset,
+            fromVault,
+            toVault,
+            shares,
+            _getAssetTotalAssets(asset),
+            sharePriceTolerance
+        );
+    }
+
+    function _rebalanceFeeConfig() private view returns (VaultRebalance.FeeConfig memory) {
+        return VaultRebalance.FeeConfig(revenueAddress, rebalanceFeePercentage);
+    }
+
+    /**
+     * @dev Shares of an asset's active vault that only the active vault pointer accounts for:
+     * all of them unless the vault has a target weight
+     */
+    function _strandedShares(address asset, address vault) internal view returns (uint256) {
+        if (vault == address(0) || assetVaultWeight[asset][vault] > 0) return 0;
+        return _getVaultBalance(vault);
+    }
+
+    // ============ Allocation Functions ============
+
+    /**
+     * @dev Set target weights that split an asset's deposits across its available vaults
+     * @notice Existing balances are not moved; use rebalanceBetweenVaults for that.
+     *         Empty arrays send deposits back to the active vault only.
+     * @param asset The asset address
+     * @param vaults Vaults from assetAvailableVaults
+     * @param weights Weight of each vault in basis points, summing to 10000
+     */
+    function setAssetVaultWeights(address asset, address[] calldata vaults, uint256[] calldata weights)
+        external
+        onlyAdmin
+        onlyAllowedAsset(asset)
+    {
+        assetHasWeights[asset] = VaultAllocation.setWeights(
+            assetVaultWeight[asset],
+            assetAvailableVaults[asset],
+            asset,
+            vaults,
+            weights
+        );
+    }
 
-        emit Rebalanced(asset, fromVault, toVault, amountToDeposit);
+    /**
+     * @dev Deposit into the active vault, or split across the weighted vaults, within the share price tolerance
+     * @param minShares Minimum shares to receive, summed across the vaults
+     */
+    function _depositAllocated(address asset, uint256 amount, uint256 minShares) internal returns (uint256 shares) {
+        shares = VaultBundler.depositAllocated(
+            assetVaultWeight[asset],
+            assetAvailableVaults[asset],
+            assetHasWeights[asset],
+            assetToVault[asset],
+            asset,
+            amount,
+            sharePriceTolerance
+        );
+        require(shares >= minShares, InsufficientShares(shares, minShares));
     }
 
     // ============ Fee Calculation ============
@@ -1011,7 +1294,14 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Get current vault balance for an asset
+     * @dev Value of an asset's shares in its active vault and every available vault
+     */
+    function _getAssetTotalAssets(address asset) internal view returns (uint256) {
+        return VaultAllocation.totalAssets(assetAvailableVaults[asset], assetToVault[asset]);
+    }
+
+    /**
+     * @dev Get current active vault balance (shares) for an asset
      */
     function getAssetVaultBalance(address asset) external view returns (uint256) {
         if (!isAllowedAsset[asset]) return 0;
@@ -1021,29 +1311,54 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Get current vault assets (underlying tokens) for an asset
+     * @dev Get current vault assets (underlying tokens) for an asset, summed across its vaults
      */
     function getAssetVaultAssets(address asset) external view returns (uint256) {
+        return _getAssetValue(asset);
+    }
+
+    function _getAssetValue(address asset) internal view returns (uint256) {
         if (!isAllowedAsset[asset]) return 0;
-        address vault = assetToVault[asset];
-        if (vault == address(0)) return 0;
-        uint256 shares = _getVaultBalance(vault);
-        return IMetaMorpho(vault).convertToAssets(shares);
+        return _getAssetTotalAssets(asset);
+    }
+
+    /**
+     * @dev Get an asset's position in each of its available vaults
+     * @return vaults The asset's available vaults
+     * @return shares Shares held in each vault
+     * @return assets Value of those shares in the asset
+     * @return weights Target weights in basis points (all zero when deposits go to the active vault)
+     */
+    function getAssetAllocation(address asset)
+        external
+        view
+        returns (
+            address[] memory vaults,
+            uint256[] memory shares,
+            uint256[] memory assets,
+            uint256[] memory weights
+        )
+    {
+        return VaultAllocation.allocation(assetVaultWeight[asset], assetAvailableVaults[asset]);
     }
 
     /**
      * @dev Get profit for a specific asset
      */
     function getAssetProfit(address asset) external view returns (int256) {
-        if (!assetHasInitialDeposit[asset] || assetTotalDeposited[asset] == 0) return 0;
+        return _getAssetProfit(asset);
+    }
 
-        uint256 currentValue = this.getAssetVaultAssets(asset);
+    function _getAssetProfit(address asset) internal view returns (int256) {
+        if (!assetHasInitialDeposit[asset] || assetTotalDeposited[asset] == 0) return 0;
+        return _difference(_getAssetValue(asset), assetTotalDeposited[asset]);
+    }
 
-        if (currentValue >= assetTotalDeposited[asset]) {
-            return int256(currentValue - assetTotalDeposited[asset]);
-        } else {
-            return -int256(assetTotalDeposited[asset] - currentValue);
-        }
+    /**
+     * @dev `value - base` as a signed amount
+     */
+    function _difference(uint256 value, uint256 base) internal pure returns (int256) {
+        return value >= base ? int256(value - base) : -int256(base - value);
     }
 
     /**
@@ -1051,16 +1366,8 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      */
     function getAssetProfitPercentage(address asset) external view returns (int256) {
         if (!assetHasInitialDeposit[asset] || assetTotalDeposited[asset] == 0) return 0;
-
-        uint256 currentValue = this.getAssetVaultAssets(asset);
-
-        if (currentValue >= assetTotalDeposited[asset]) {
-            uint256 profit = currentValue - assetTotalDeposited[asset];
-            return int256((profit * 1000000) / assetTotalDeposited[asset]);
-        } else {
-            uint256 loss = assetTotalDeposited[asset] - currentValue;
-            return -int256((loss * 1000000) / assetTotalDeposited[asset]);
-        }
+        // Signed division truncates toward zero, the same for a profit and a loss
+        return (_getAssetProfit(asset) * 1000000) / int256(assetTotalDeposited[asset]);
     }
 
     /**
@@ -1090,31 +1397,13 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
             int256[] memory profits
         )
     {
-        uint256 activeCount = 0;
-        for (uint256 i = 0; i < allowedAssets.length; i++) {
-            if (assetHasInitialDeposit[allowedAssets[i]]) {
-                activeCount++;
-            }
-        }
-
-        assets = new address[](activeCount);
-        deposited = new uint256[](activeCount);
-        currentValues = new uint256[](activeCount);
-        profits = new int256[](activeCount);
-
-        uint256 index = 0;
-        for (uint256 i = 0; i < allowedAssets.length; i++) {
-            address asset = allowedAssets[i];
-            if (assetHasInitialDeposit[asset]) {
-                assets[index] = asset;
-                deposited[index] = assetTotalDeposited[asset];
-                currentValues[index] = this.getAssetVaultAssets(asset);
-                profits[index] = this.getAssetProfit(asset);
-                index++;
-            }
-        }
-
-        return (assets, deposited, currentValues, profits);
+        return VaultAllocation.portfolio(
+            allowedAssets,
+            assetHasInitialDeposit,
+            assetTotalDeposited,
+            assetToVault,
+            assetAvailableVaults
+        );
     }
 
     /**
@@ -1129,18 +1418,14 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      * @return profit The profit amount (can be negative for loss)
      */
     function getAssetRebalanceProfit(address asset) external view returns (int256 profit) {
+        return _getAssetRebalanceProfit(asset);
+    }
+
+    function _getAssetRebalanceProfit(address asset) internal view returns (int256) {
         if (!assetHasInitialDeposit[asset] || assetRebalanceBaseAmount[asset] == 0) {
             return 0;
         }
-
-        uint256 currentValue = this.getAssetVaultAssets(asset);
-        uint256 baseAmount = assetRebalanceBaseAmount[asset];
-
-        if (currentValue >= baseAmount) {
-            return int256(currentValue - baseAmount);
-        } else {
-            return -int256(baseAmount - currentValue);
-        }
+        return _difference(_getAssetValue(asset), assetRebalanceBaseAmount[asset]);
     }
 
     /**
@@ -1168,8 +1453,8 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         )
     {
         baseAmount = assetRebalanceBaseAmount[asset];
-        currentValue = this.getAssetVaultAssets(asset);
-        profit = this.getAssetRebalanceProfit(asset);
+        currentValue = _getAssetValue(asset);
+        profit = _getAssetRebalanceProfit(asset);
         totalFees = assetTotalRebalanceFees[asset];
 
         return (baseAmount, currentValue, profit, totalFees);
@@ -1230,7 +1515,7 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      * @dev Check if a vault is available for a specific asset
      */
     function isVaultAvailableForAsset(address asset, address vault) public view returns (bool) {
-        address[] memory vaults = assetAvailableVaults[asset];
+        address[] storage vaults = assetAvailableVaults[asset];
         for (uint256 i = 0; i < vaults.length; i++) {
             if (vaults[i] == vault) {
                 return true;
@@ -1250,20 +1535,7 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         onlyAdmin
         onlyAllowedAsset(asset)
     {
-        require(vault != address(0), "Invalid vault address");
-        require(IMetaMorpho(vault).asset() == asset, "Vault asset mismatch");
-        require(!isVaultAvailableForAsset(asset, vault), "Vault already available for asset");
-
-        // Automatically add to global whitelist if not already present
-        if (!isAllowedVault[vault]) {
-            isAllowedVault[vault] = true;
-            allowedVaults.push(vault);
-        }
-
-        // Add to asset's available vaults
-        assetAvailableVaults[asset].push(vault);
-
-        emit VaultAdded(vault);
+        VaultAllocation.addAssetVault(isAllowedVault, allowedVaults, assetAvailableVaults[asset], asset, vault);
     }
 
     /**
@@ -1276,23 +1548,18 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         onlyAdmin
         onlyAllowedAsset(asset)
     {
-        require(vault != assetToVault[asset], "Cannot remove active vault");
-        require(isVaultAvailableForAsset(asset, vault), "Vault not available for asset");
-
-        address[] storage vaults = assetAvailableVaults[asset];
-        for (uint256 i = 0; i < vaults.length; i++) {
-            if (vaults[i] == vault) {
-                vaults[i] = vaults[vaults.length - 1];
-                vaults.pop();
-                break;
-            }
-        }
-
-        emit VaultRemoved(vault);
+        VaultAllocation.removeAssetVault(
+            assetAvailableVaults[asset],
+            assetToVault[asset],
+            assetVaultWeight[asset][vault],
+            vault
+        );
     }
 
     /**
-     * @dev Set the active/primary vault for an asset from its available vaults
+     * @dev Set the active/primary vault for an asset from its available vaults. Shares of the
+     * old active vault outside the asset's target weights move to the new one as in
+     * rebalanceToVault, so the rebalance fee is charged once on their profit and the base reset
      * @param asset The asset address
      * @param newActiveVault The new active vault (must be in available vaults)
      */
@@ -1300,12 +1567,19 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         external
         onlyAdmin
         onlyAllowedAsset(asset)
+        nonReentrant
     {
-        require(newActiveVault != address(0), "Invalid vault");
-        require(isVaultAvailableForAsset(asset, newActiveVault), "Vault not available for this asset");
-        require(assetToVault[asset] != newActiveVault, "Already active vault");
+        require(newActiveVault != address(0), InvalidVault());
+        require(isVaultAvailableForAsset(asset, newActiveVault), VaultNotAvailable());
+        require(assetToVault[asset] != newActiveVault, SameVault());
 
         address oldVault = assetToVault[asset];
+        uint256 shares = _strandedShares(asset, oldVault);
+        if (shares > 0) {
+            _requireNotPaused();
+            require(IMetaMorpho(newActiveVault).asset() == asset, VaultAssetMismatch());
+            _moveBetweenVaults(asset, oldVault, newActiveVault, shares);
+        }
         assetToVault[asset] = newActiveVault;
 
         emit AssetVaultUpdated(asset, oldVault, newActiveVault);
@@ -1322,57 +1596,31 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
 
     /**
      * @dev Claim single Merkl reward token
-     * @dev Deducts merklClaimFeePercentage from claimed amount, sends fee to revenueAddress and rest to owner
+     * @dev Deducts merklClaimFeePercentage from claimed amount, sends fee to revenueAddress and rest to owner,
+     * or compounds it into merklCompoundAsset
      * @param token The reward token address to claim
      * @param claimable The amount to claim (from Merkl proof)
      * @param proof The Merkle proof for claiming
+     * @param minAmountOut Minimum merklCompoundAsset output when the reward is swapped, quoted off-chain
      */
     function claimMerklReward(
         address token,
         uint256 claimable,
-        bytes32[] calldata proof
+        bytes32[] calldata proof,
+        uint256 minAmountOut
     ) external onlyOwner nonReentrant {
-        require(token != address(0), "Invalid token address");
-        require(claimable > 0, "Nothing to claim");
-
-        // Prepare arrays for batch call (single item)
-        address[] memory users = new address[](1);
-        address[] memory tokens = new address[](1);
-        uint256[] memory amounts = new uint256[](1);
-        bytes32[][] memory proofs = new bytes32[][](1);
-
-        users[0] = address(this);
-        tokens[0] = token;
-        amounts[0] = claimable;
-        proofs[0] = proof;
-
-        // Get balance before claim
-        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
-
-        // Claim rewards
-        merklDistributor.claim(users, tokens, amounts, proofs);
-
-        // Calculate claimed amount
-        uint256 balanceAfter = IERC20(token).balanceOf(address(this));
-        uint256 claimedAmount = balanceAfter - balanceBefore;
-
-        // Split claimed reward: fee to revenueAddress, rest to owner
-        if (claimedAmount > 0) {
-            uint256 feeAmount = (claimedAmount * merklClaimFeePercentage) / 10000;
-            uint256 userAmount = claimedAmount - feeAmount;
-
-            // Transfer fee to revenue address
-            if (feeAmount > 0) {
-                IERC20(token).safeTransfer(revenueAddress, feeAmount);
-            }
-
-            // Transfer remaining to owner
-            if (userAmount > 0) {
-                IERC20(token).safeTransfer(owner, userAmount);
-            }
+        _claimMerklRewards(_single(token), _single(claimable), _single(proof), _single(minAmountOut));
+    }
 
-            emit MerklTokensClaimed(token, claimedAmount, feeAmount, userAmount);
-        }
+    /**
+     * @dev Choose the allowed asset that Merkl rewards are compounded into, or address(0) to receive them
+     * @param asset Allowed asset; claimed rewards are swapped into it on Aerodrome and deposited
+     */
+    function setMerklCompoundAsset(address asset) external onlyOwner {
+        require(asset == address(0) || isAllowedAsset[asset], AssetNotAllowed());
+        address oldAsset = merklCompoundAsset;
+        merklCompoundAsset = asset;
+        emit MerklCompoundAssetUpdated(oldAsset, asset);
     }
 
     /**
@@ -1381,107 +1629,29 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
      * @param tokens Array of reward token addresses to claim
      * @param claimables Array of amounts to claim for each token
      * @param proofs Array of Merkle proofs for each claim
+     * @param minAmountsOut Minimum merklCompoundAsset output of each token's swap, quoted off-chain
      */
     function claimMerklRewardsBatch(
         address[] calldata tokens,
         uint256[] calldata claimables,
-        bytes32[][] calldata proofs
+        bytes32[][] calldata proofs,
+        uint256[] calldata minAmountsOut
     ) external onlyOwner nonReentrant {
-        require(tokens.length == claimables.length, "Array length mismatch");
-        require(tokens.length == proofs.length, "Array length mismatch");
-        require(tokens.length > 0, "Empty arrays");
-
-        // Prepare arrays for batch claim
-        address[] memory accounts = new address[](tokens.length);
-        for (uint256 i = 0; i < tokens.length; i++) {
-            require(tokens[i] != address(0), "Invalid token address");
-            require(claimables[i] > 0, "Nothing to claim");
-            accounts[i] = address(this);
-        }
-
-        // Track balances before
-        uint256[] memory balancesBefore = new uint256[](tokens.length);
-        for (uint256 i = 0; i < tokens.length; i++) {
-            balancesBefore[i] = IERC20(tokens[i]).balanceOf(address(this));
-        }
-
-        // Execute batch claim
-        merklDistributor.claim(accounts, tokens, claimables, proofs);
-
-        // Split each claimed token: fee to revenueAddress, rest to owner
-        for (uint256 i = 0; i < tokens.length; i++) {
-            uint256 balanceAfter = IERC20(tokens[i]).balanceOf(address(this));
-            uint256 claimedAmount = balanceAfter - balancesBefore[i];
-
-            if (claimedAmount > 0) {
-                uint256 feeAmount = (claimedAmount * merklClaimFeePercentage) / 10000;
-                uint256 userAmount = claimedAmount - feeAmount;
-
-                // Transfer fee to revenue address
-                if (feeAmount > 0) {
-                    IERC20(tokens[i]).safeTransfer(revenueAddress, feeAmount);
-                }
-
-                // Transfer remaining to owner
-                if (userAmount > 0) {
-                    IERC20(tokens[i]).safeTransfer(owner, userAmount);
-                }
-
-                emit MerklTokensClaimed(tokens[i], claimedAmount, feeAmount, userAmount);
-            }
-        }
+        _claimMerklRewards(tokens, claimables, proofs, minAmountsOut);
     }
 
     /**
      * @dev Admin claim Merkl rewards on behalf of user
-     * @dev Deducts merklClaimFeePercentage from claimed amount, sends fee to revenueAddress and rest to owner
+     * @dev Deducts merklClaimFeePercentage from claimed amount, sends fee to revenueAddress and rest to owner,
+     * or compounds it into merklCompoundAsset
      */
     function adminClaimMerklReward(
         address token,
         uint256 claimable,
-        bytes32[] calldata proof
+        bytes32[] calldata proof,
+        uint256 minAmountOut
     ) external onlyAdmin nonReentrant {
-        require(token != address(0), "Invalid token address");
-        require(claimable > 0, "Nothing to claim");
-
-        // Prepare arrays
-        address[] memory users = new address[](1);
-        address[] memory tokens = new address[](1);
-        uint256[] memory amounts = new uint256[](1);
-        bytes32[][] memory proofs = new bytes32[][](1);
-
-        users[0] = address(this);
-        tokens[0] = token;
-        amounts[0] = claimable;
-        proofs[0] = proof;
-
-        // Get balance before
-        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
-
-        // Claim
-        merklDistributor.claim(users, tokens, amounts, proofs);
-
-        // Calculate claimed amount
-        uint256 balanceAfter = IERC20(token).balanceOf(address(this));
-        uint256 claimedAmount = balanceAfter - balanceBefore;
-
-        // Split claimed reward: fee to revenueAddress, rest to owner
-        if (claimedAmount > 0) {
-            uint256 feeAmount = (claimedAmount * merklClaimFeePercentage) / 10000;
-            uint256 userAmount = claimedAmount - feeAmount;
-
-            // Transfer fee to revenue address
-            if (feeAmount > 0) {
-                IERC20(token).safeTransfer(revenueAddress, feeAmount);
-            }
-
-            // Transfer remaining to owner
-            if (userAmount > 0) {
-                IERC20(token).safeTransfer(owner, userAmount);
-            }
-
-            emit MerklTokensClaimed(token, claimedAmount, feeAmount, userAmount);
-        }
+        _claimMerklRewards(_single(token), _single(claimable), _single(proof), _single(minAmountOut));
     }
 
     /**
@@ -1490,51 +1660,55 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
     function adminClaimMerklRewardsBatch(
         address[] calldata tokens,
         uint256[] calldata claimables,
-        bytes32[][] calldata proofs
+        bytes32[][] calldata proofs,
+        uint256[] calldata minAmountsOut
     ) external onlyAdmin nonReentrant {
-        require(tokens.length == claimables.length, "Array length mismatch");
-        require(tokens.length == proofs.length, "Array length mismatch");
-        require(tokens.length > 0, "Empty arrays");
+        _claimMerklRewards(tokens, claimables, proofs, minAmountsOut);
+    }
 
-        // Prepare arrays
-        address[] memory accounts = new address[](tokens.length);
-        for (uint256 i = 0; i < tokens.length; i++) {
-            require(tokens[i] != address(0), "Invalid token address");
-            require(claimables[i] > 0, "Nothing to claim");
-            accounts[i] = address(this);
-        }
+    /**
+     * @dev Claim through VaultMerkl, then deposit what it swapped into merklCompoundAsset.
+     * Compounded amounts count as deposits, so the withdrawal fee only applies to their later yield.
+     * Rewards are paid out instead while the vault is paused or the asset is no longer allowed
+     */
+    function _claimMerklRewards(
+        address[] memory tokens,
+        uint256[] memory claimables,
+        bytes32[][] memory proofs,
+        uint256[] memory minAmountsOut
+    ) internal {
+        address asset = merklCompoundAsset;
+        if (paused() || !isAllowedAsset[asset]) asset = address(0);
+
+        (uint256[] memory userAmounts, uint256[] memory compounded) = VaultMerkl.claim(
+            tokens,
+            claimables,
+            proofs,
+            minAmountsOut,
+            VaultMerkl.ClaimConfig(owner, revenueAddress, merklClaimFeePercentage, asset)
+        );
 
-        // Track balances before
-        uint256[] memory balancesBefore = new uint256[](tokens.length);
         for (uint256 i = 0; i < tokens.length; i++) {
-            balancesBefore[i] = IERC20(tokens[i]).balanceOf(address(this));
+            if (compounded[i] > 0) {
+                _depositHeldAmount(asset, compounded[i], compounded[i]);
+                emit MerklRewardsCompounded(tokens[i], asset, userAmounts[i], compounded[i]);
+            }
         }
+    }
 
-        // Execute batch claim
-        merklDistributor.claim(accounts, tokens, claimables, proofs);
-
-        // Split each claimed token: fee to revenueAddress, rest to owner
-        for (uint256 i = 0; i < tokens.length; i++) {
-            uint256 balanceAfter = IERC20(tokens[i]).balanceOf(address(this));
-            uint256 claimedAmount = balanceAfter - balancesBefore[i];
-
-            if (claimedAmount > 0) {
-                uint256 feeAmount = (claimedAmount * merklClaimFeePercentage) / 10000;
-                uint256 userAmount = claimedAmount - feeAmount;
-
-                // Transfer fee to revenue address
-                if (feeAmount > 0) {
-                    IERC20(tokens[i]).safeTransfer(revenueAddress, feeAmount);
-                }
+    function _single(address value) private pure returns (address[] memory values) {
+        values = new address[](1);
+        values[0] = value;
+    }
 
-                // Transfer remaining to owner
-                if (userAmount > 0) {
-                    IERC20(tokens[i]).safeTransfer(owner, userAmount);
-                }
+    function _single(uint256 value) private pure returns (uint256[] memory values) {
+        values = new uint256[](1);
+        values[0] = value;
+    }
 
-                emit MerklTokensClaimed(tokens[i], claimedAmount, feeAmount, userAmount);
-            }
-        }
+    function _single(bytes32[] calldata value) private pure returns (bytes32[][] memory values) {
+        values = new bytes32[][](1);
+        values[0] = value;
     }
 
     // ============ Emergency Functions ============
@@ -1554,13 +1728,13 @@ contract UserVault_V4 is ReentrancyGuard, Pausable {
         onlyOwner
         nonReentrant
     {
-        require(token != address(0), "Invalid token address");
+        require(token != address(0), InvalidToken());
 
         uint256 balance = IERC20(token).balanceOf(address(this));
-        require(balance > 0, "No balance to withdraw");
+        require(balance > 0, NoFunds());
 
         uint256 withdrawAmount = amount == 0 ? balance : amount;
-        require(withdrawAmount <= balance, "Insufficient balance");
+        require(withdrawAmount <= balance, InsufficientBalance());
 
         IERC20(token).safeTransfer(owner, withdrawAmount);
     }
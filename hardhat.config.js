@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -16,7 +17,7 @@ module.exports = {
   networks: {
     hardhat: {
       chainId: 31337,
-      allowUnlimitedContractSize: true, // Allow oversized contracts for testing
+      allowUnlimitedContractSize: false, // Enforce the EIP-170 and EIP-3860 size limits, as on Base
       forking: {
         url: process.env.BASE_RPC_URL || "https://mainnet.base.org",
         enabled: process.env.FORKING === "true",
@@ -119,6 +119,8 @@ async function main() {
   console.log("    - Asset must be allowed");
   console.log("    - New vault must be in whitelist");
   console.log("    - New vault's asset must match");
+  console.log("    - Current vault must hold no shares outside its target weight");
+  console.log("  Note: Deprecated; setAssetActiveVault moves the shares instead of reverting");
   console.log("");
 
   console.log("3.4 addVault(address vault)");
@@ -136,36 +138,82 @@ async function main() {
   console.log("");
 
   console.log("3.6 updateRevenueAddress(address newRevenueAddress)");
-  console.log("  Purpose: Update the revenue address for fee collection");
+  console.log("  Purpose: Queue a new fee recipient (timelocked, see 3.10a)");
   console.log("  Access: onlyAdmin");
   console.log("");
 
   console.log("3.7 updateFeePercentage(uint256 newFeePercentage)");
-  console.log("  Purpose: Update withdrawal fee percentage");
+  console.log("  Purpose: Queue a new withdrawal fee percentage (timelocked, see 3.10a)");
   console.log("  Access: onlyAdmin");
   console.log("  Parameters:");
-  console.log("    - newFeePercentage: Fee in basis points (100 = 1%)");
+  console.log("    - newFeePercentage: Fee in basis points (100 = 1%), at most MAX_FEE_PERCENTAGE (2000)");
   console.log("");
 
   console.log("3.8 updateRebalanceFeePercentage(uint256 newRebalanceFeePercentage)");
-  console.log("  Purpose: Update rebalance fee percentage");
+  console.log("  Purpose: Queue a new rebalance fee percentage, at most MAX_REBALANCE_FEE_PERCENTAGE (2000)");
   console.log("  Access: onlyAdmin");
   console.log("");
 
   console.log("3.9 updateMerklClaimFeePercentage(uint256 newMerklClaimFeePercentage)");
-  console.log("  Purpose: Update Merkl claim fee percentage");
+  console.log("  Purpose: Queue a new Merkl claim fee percentage, at most MAX_MERKL_CLAIM_FEE_PERCENTAGE (2000)");
   console.log("  Access: onlyAdmin");
   console.log("");
 
   console.log("3.10 updateMinProfitForFee(uint256 newMinProfitForFee)");
-  console.log("  Purpose: Update minimum profit threshold for fee charging");
+  console.log("  Purpose: Queue a new minimum profit threshold for fee charging");
   console.log("  Access: onlyAdmin");
   console.log("  Default: 10e6 ($10 in USDC with 6 decimals)");
   console.log("");
 
-  console.log("3.11 updateAdmin(address newAdmin)");
-  console.log("  Purpose: Transfer admin rights to new address");
+  console.log("3.10a updateChangeDelay / executeParameterChange / cancelParameterChange");
+  console.log("  Purpose: Timelock for fee, minProfitForFee and revenueAddress changes");
+  console.log("  Access: updateChangeDelay onlyAdmin; execute and cancel onlyOwnerOrAdmin");
+  console.log("  Flow:");
+  console.log("    1. An update* call queues the value in pendingChanges(parameter)");
+  console.log("    2. After changeDelay (default 2 days, 1-30 days) executeParameterChange applies it");
+  console.log("    3. Until then the owner can cancelParameterChange (veto) or withdraw at the current fee");
+  console.log("  Parameters: ParameterChange enum");
+  console.log("    0 FeePercentage, 1 RebalanceFeePercentage, 2 MerklClaimFeePercentage,");
+  console.log("    3 MinProfitForFee, 4 RevenueAddress, 5 ChangeDelay");
+  console.log("");
+
+  console.log("3.10b updateSharePriceTolerance(uint256 newTolerance)");
+  console.log("  Purpose: Update the share price bound on every bundler deposit and redeem,");
+  console.log("           including rebalances, zaps, Merkl compounding and emergencyWithdraw");
   console.log("  Access: onlyAdmin");
+  console.log("  Default: 100 (1%), at most MAX_SHARE_PRICE_TOLERANCE (1000)");
+  console.log("");
+
+  console.log("3.11 proposeAdmin(address newAdmin) / acceptAdmin() / cancelAdminTransfer()");
+  console.log("  Purpose: Two-step admin transfer");
+  console.log("  Access: proposeAdmin and cancelAdminTransfer onlyOwnerOrAdmin; acceptAdmin pendingAdmin");
+  console.log("  Flow:");
+  console.log("    1. proposeAdmin sets pendingAdmin; the current admin keeps the role");
+  console.log("    2. Once the owner has proposed, only the owner can replace or cancel (OwnerProposedAdmin)");
+  console.log("    3. acceptAdmin by the pending admin makes it admin");
+  console.log("    4. Once the Merkl operator is approved, it is revoked for the old admin and granted to the new one");
+  console.log("");
+
+  console.log("3.11a proposeOwner(address newOwner) / acceptOwner() / cancelOwnerTransfer()");
+  console.log("  Purpose: Two-step ownership transfer, e.g. to a new wallet");
+  console.log("  Access: proposeOwner and cancelOwnerTransfer onlyOwner; acceptOwner pendingOwner");
+  console.log("  Flow:");
+  console.log("    1. proposeOwner sets pendingOwner; the current owner keeps the vault");
+  console.log("    2. acceptOwner by the pending owner makes it owner and clears any pending recovery");
+  console.log("    3. A factory vault moves to the new owner in ownerVaults; deployedVaults keeps the first owner");
+  console.log("       (FactorySyncFailed if the factory call reverts; the transfer still completes,");
+  console.log("       and anyone can repair the index with factory.resync(vault) or factory:resync)");
+  console.log("    4. Admin consent to cross-asset rebalances and the Merkl compound asset are reset");
+  console.log("");
+
+  console.log("3.11b setGuardian / initiateRecovery / cancelRecovery / executeRecovery");
+  console.log("  Purpose: Recover a vault whose owner key is lost");
+  console.log("  Access: setGuardian onlyOwner; initiateRecovery guardian; cancelRecovery owner or guardian;");
+  console.log("          executeRecovery guardian or recovery owner");
+  console.log("  Flow:");
+  console.log("    1. The owner names a guardian (address(0) turns recovery off)");
+  console.log("    2. initiateRecovery(newOwner) starts RECOVERY_DELAY (7 days)");
+  console.log("    3. The owner can cancelRecovery until executeRecovery hands the vault over");
   console.log("");
 
   console.log("3.12 pause() / unpause()");
@@ -181,7 +229,7 @@ async function main() {
   console.log("-".repeat(80));
   console.log("");
 
-  console.log("4.1 initialDeposit(address asset, uint256 amount)");
+  console.log("4.1 initialDeposit(address asset, address vault, uint256 amount, uint256 minShares)");
   console.log("  Purpose: First deposit for a specific asset");
   console.log("  Access: onlyOwner");
   console.log("  Flow:");
@@ -194,21 +242,31 @@ async function main() {
   console.log("    - Asset must be allowed");
   console.log("    - Initial deposit not yet made for this asset");
   console.log("    - Amount > 0");
+  console.log("  Reverts: InsufficientShares if fewer than minShares shares are minted");
+  console.log("  Quote: minShares from the Morpho vault's previewDeposit, read before sending");
   console.log("");
 
-  console.log("4.2 userDeposit(address asset, uint256 amount)");
+  console.log("4.2 userDeposit(address asset, uint256 amount, uint256 minShares)");
   console.log("  Purpose: Additional deposits by owner");
   console.log("  Access: onlyOwner");
   console.log("  Requirements:");
   console.log("    - Initial deposit already made for asset");
   console.log("    - Amount > 0");
+  console.log("    - At least minShares shares minted, summed across the weighted vaults");
   console.log("  Updates:");
   console.log("    - Increases assetTotalDeposited");
   console.log("    - Increases assetRebalanceBaseAmount");
   console.log("    - Updates assetLastDepositTime");
   console.log("");
 
-  console.log("4.3 adminDeposit(address asset, uint256 amount)");
+  console.log("4.2b zapDeposit(address tokenIn, uint256 amountIn, address asset, uint256 minAmountOut)");
+  console.log("  Purpose: Swap any token into an allowed asset on Aerodrome and deposit it");
+  console.log("  Access: onlyOwner");
+  console.log("  Behavior: Initial deposit into the active vault if none was made, userDeposit otherwise");
+  console.log("  Quote: getEstimatedSwapOutput(tokenIn, asset, amountIn)");
+  console.log("");
+
+  console.log("4.3 adminDeposit(address asset, uint256 amount, uint256 minShares)");
   console.log("  Purpose: Admin deposits on behalf of user");
   console.log("  Access: onlyAdmin");
   console.log("  Behavior: Same as userDeposit but called by admin");
@@ -222,12 +280,13 @@ async function main() {
   console.log("-".repeat(80));
   console.log("");
 
-  console.log("5.1 withdraw(address asset, uint256 amount)");
+  console.log("5.1 withdraw(address asset, uint256 amount, uint256 minReceived)");
   console.log("  Purpose: Withdraw assets from vault");
   console.log("  Access: onlyOwner");
   console.log("  Parameters:");
   console.log("    - asset: Asset to withdraw");
-  console.log("    - amount: Shares to withdraw (0 for full withdrawal)");
+  console.log("    - amount: Shares of the active Morpho vault to withdraw (0 for full withdrawal)");
+  console.log("    - minReceived: Reverts with InsufficientAmountReceived if the owner would receive less after the fee");
   console.log("  Flow:");
   console.log("    1. Redeems shares from Morpho vault");
   console.log("    2. Calculates profit-based fee");
@@ -236,6 +295,20 @@ async function main() {
   console.log("    5. Updates assetTotalDeposited");
   console.log("");
 
+  console.log("5.1b withdrawAssets(address asset, address vault, uint256 assets, uint256 minReceived)");
+  console.log("  Purpose: Withdraw an amount of the underlying asset instead of shares");
+  console.log("  Access: onlyOwner");
+  console.log("  Parameters:");
+  console.log("    - asset: Asset to withdraw");
+  console.log("    - vault: Morpho vault to redeem from (usually the active vault)");
+  console.log("    - assets: Amount in the asset, before fees (type(uint256).max for full withdrawal)");
+  console.log("    - minReceived: Reverts if the owner would receive less after the fee");
+  console.log("  Flow:");
+  console.log("    1. Converts assets to shares with previewWithdraw (rounds up)");
+  console.log("    2. Redeems and charges the fee as withdraw does");
+  console.log("    3. Checks the amount sent to the owner against minReceived");
+  console.log("");
+
   console.log("5.2 emergencyWithdraw(address asset)");
   console.log("  Purpose: Emergency withdrawal when contract is paused");
   console.log("  Access: onlyOwner");
@@ -278,6 +351,27 @@ async function main() {
   console.log("    - toVault must be different from current vault");
   console.log("");
 
+  console.log("6.2 rebalanceToAsset(address fromAsset, address toAsset, uint256 minAmountOut)");
+  console.log("  Purpose: Move a whole position into another asset through Aerodrome");
+  console.log("  Access: onlyOwnerOrAdmin (admin needs setCrossAssetRebalanceConsent(true))");
+  console.log("  Flow:");
+  console.log("    1. Redeems fromAsset from all its Morpho vaults");
+  console.log("    2. Deducts rebalanceFeePercentage from profit above the base");
+  console.log("    3. Swaps the rest into toAsset, reverting below minAmountOut");
+  console.log("    4. Deposits into toAsset's active vault");
+  console.log("    5. Carries the principal over at the swap's price");
+  console.log("  Requirements:");
+  console.log("    - Both assets allowed and different");
+  console.log("    - fromAsset has deposits, minAmountOut > 0");
+  console.log("  Preview: getSwapRoute(fromAsset, toAsset, amountIn)");
+  console.log("");
+
+  console.log("6.3 setCrossAssetRebalanceConsent(bool allowed)");
+  console.log("  Purpose: Allow or forbid the admin to call rebalanceToAsset");
+  console.log("  Access: onlyOwner");
+  console.log("  Default: false");
+  console.log("");
+
   // ============================================================================
   // STEP 7: Merkl Functions Documentation
   // ============================================================================
@@ -286,17 +380,18 @@ async function main() {
   console.log("-".repeat(80));
   console.log("");
 
-  console.log("7.1 claimMerklReward(address token, uint256 claimable, bytes32[] proof)");
+  console.log("7.1 claimMerklReward(address token, uint256 claimable, bytes32[] proof, uint256 minAmountOut)");
   console.log("  Purpose: Claim single Merkl reward token");
   console.log("  Access: onlyOwner");
   console.log("  Flow:");
   console.log("    1. Claims reward from Merkl distributor");
   console.log("    2. Deducts merklClaimFeePercentage");
   console.log("    3. Transfers fee to revenue address");
-  console.log("    4. Transfers remaining to owner");
+  console.log("    4. Transfers remaining to owner, or compounds it (see 7.6)");
+  console.log("  minAmountOut: Minimum compound asset output of the swap, quoted off-chain (ignored without a swap)");
   console.log("");
 
-  console.log("7.2 claimMerklRewardsBatch(address[] tokens, uint256[] claimables, bytes32[][] proofs)");
+  console.log("7.2 claimMerklRewardsBatch(address[] tokens, uint256[] claimables, bytes32[][] proofs, uint256[] minAmountsOut)");
   console.log("  Purpose: Claim multiple Merkl rewards in one transaction");
   console.log("  Access: onlyOwner");
   console.log("  Requirements:");
@@ -304,12 +399,12 @@ async function main() {
   console.log("    - Arrays must not be empty");
   console.log("");
 
-  console.log("7.3 adminClaimMerklReward(address token, uint256 claimable, bytes32[] proof)");
+  console.log("7.3 adminClaimMerklReward(address token, uint256 claimable, bytes32[] proof, uint256 minAmountOut)");
   console.log("  Purpose: Admin claims reward on behalf of user");
   console.log("  Access: onlyAdmin");
   console.log("");
 
-  console.log("7.4 adminClaimMerklRewardsBatch(address[] tokens, uint256[] claimables, bytes32[][] proofs)");
+  console.log("7.4 adminClaimMerklRewardsBatch(address[] tokens, uint256[] claimables, bytes32[][] proofs, uint256[] minAmountsOut)");
   console.log("  Purpose: Admin batch claim");
   console.log("  Access: onlyAdmin");
   console.log("");
@@ -319,6 +414,16 @@ async function main() {
   console.log("  Returns: bool");
   console.log("");
 
+  console.log("7.6 setMerklCompoundAsset(address asset)");
+  console.log("  Purpose: Swap the owner's share of every claim into an allowed asset and deposit it");
+  console.log("  Access: onlyOwner");
+  console.log("  Behavior:");
+  console.log("    - address(0) pays rewards to the owner (default)");
+  console.log("    - Compounded amounts increase assetTotalDeposited and assetRebalanceBaseAmount");
+  console.log("    - Falls back to paying the owner when paused or no Aerodrome pool exists");
+  console.log("    - Swapped rewards need the claim's minAmountOut (MinimumOutputRequired when 0)");
+  console.log("");
+
   // ============================================================================
   // STEP 8: View Functions Documentation
   // ============================================================================
@@ -388,11 +493,11 @@ async function main() {
   console.log("    2. erc4626Redeem: Redeem from vault");
   console.log("");
 
-  console.log("9.3 _swapTokens(address tokenIn, address tokenOut, uint256 amountIn)");
-  console.log("  Purpose: Swap tokens using Aerodrome");
+  console.log("9.3 _swapTokens(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut)");
+  console.log("  Purpose: Swap tokens using Aerodrome (used by zapDeposit)");
   console.log("  Features:");
   console.log("    - Automatically selects best pool (stable vs volatile)");
-  console.log("    - 5% slippage tolerance");
+  console.log("    - Reverts below minAmountOut, or below the router quote less 5% if higher");
   console.log("");
 
   console.log("9.4 _shouldUseStablePool(...)");
@@ -432,6 +537,7 @@ async function main() {
 
   console.log("Configuration:");
   console.log("  SLIPPAGE_TOLERANCE: 500 (5% in basis points)");
+  console.log("  Default sharePriceTolerance: 100 (1% in basis points)");
   console.log("  Default minProfitForFee: 10e6 ($10 USDC)");
   console.log("");
 
@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { EPHEMERAL_NETWORKS, registryPath } = require("../lib/deployments");
 
 async function main() {
   console.log("Starting deployment...\n");
@@ -14,73 +15,52 @@ async function main() {
   console.log("Chain ID:", network.chainId.toString(), "\n");
 
   // Deployment Configuration
-  const deploymentFee = process.env.DEPLOYMENT_FEE || "0";
-  const feeRecipient = process.env.FEE_RECIPIENT || deployer.address;
+  const initialOwner = process.env.FACTORY_OWNER || deployer.address;
+  const salt = process.env.FACTORY_SALT;
 
   console.log("=== Deployment Configuration ===");
-  console.log("Initial Owner:", deployer.address);
-  console.log("Deployment Fee:", ethers.formatEther(deploymentFee), "ETH");
-  console.log("Fee Recipient:", feeRecipient);
+  console.log("Initial Owner:", initialOwner);
+  console.log("Salt:", salt || "(project default)");
   console.log("================================\n");
 
-  // Deploy UserVaultFactory
-  console.log("Deploying UserVaultFactory...");
-  const UserVaultFactory = await ethers.getContractFactory("UserVaultFactory");
-  const factory = await UserVaultFactory.deploy(
-    deployer.address,  // initialOwner
-    deploymentFee,     // deploymentFee
-    feeRecipient       // feeRecipient
-  );
-
-  await factory.waitForDeployment();
-  const factoryAddress = await factory.getAddress();
+  // Pre-flight: predict the factory address
+  const plan = await hre.run("factory:deploy", { owner: initialOwner, salt, deterministic: true, dryRun: true });
+  console.log("");
 
-  console.log("✅ UserVaultFactory deployed to:", factoryAddress);
+  // Pre-flight: the factory must have the same bytecode wherever it already exists
+  const verification = await hre.run("factory:verify-bytecode", { address: plan.address });
   console.log("");
+  if (!verification.consistent) {
+    throw new Error(
+      `Factory at ${plan.address} has different bytecode on another network; check compiler settings before deploying`
+    );
+  }
 
-  // Get deployment transaction hash
-  const deploymentTx = factory.deploymentTransaction();
-  console.log("Deployment transaction hash:", deploymentTx.hash);
+  // Deploy UserVaultFactory through the deterministic deployment proxy
+  const deployment = await hre.run("factory:deploy", { owner: initialOwner, salt, deterministic: true });
+  const factoryAddress = deployment.address;
   console.log("");
 
   // Display deployment summary
   console.log("=== Deployment Summary ===");
   console.log("UserVaultFactory:", factoryAddress);
-  console.log("Deployment Fee:", ethers.formatEther(deploymentFee), "ETH");
-  console.log("Fee Recipient:", feeRecipient);
+  console.log("Initial Owner:", initialOwner);
+  console.log("Salt:", deployment.salt);
+  console.log("Init Code Hash:", deployment.initCodeHash);
+  console.log("Transaction:", deployment.transactionHash || "(already deployed)");
   console.log("==========================\n");
 
-  // Save deployment addresses
-  const fs = require("fs");
-  const deploymentInfo = {
-    network: network.name,
-    chainId: network.chainId.toString(),
-    deployer: deployer.address,
-    timestamp: new Date().toISOString(),
-    contracts: {
-      UserVaultFactory: factoryAddress,
-    },
-    configuration: {
-      deploymentFee: deploymentFee,
-      feeRecipient: feeRecipient,
-    },
-  };
-
-  const deploymentsDir = "./deployments";
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir);
+  // The factory:deploy task records the deployment in the registry
+  if (!EPHEMERAL_NETWORKS.includes(hre.network.name)) {
+    console.log("✅ Deployment recorded in:", registryPath(hre.network.name));
   }
 
-  const filename = `${deploymentsDir}/${network.name}-${Date.now()}.json`;
-  fs.writeFileSync(filename, JSON.stringify(deploymentInfo, null, 2));
-  console.log("✅ Deployment info saved to:", filename);
-
   // Verification instructions
   if (network.chainId !== 31337n) {
     console.log("\n=== Verification Instructions ===");
     console.log("To verify the contract on Basescan, run:");
     console.log(
-      `npx hardhat verify --network ${network.name} ${factoryAddress} "${deployer.address}" "${deploymentFee}" "${feeRecipient}"`
+      `npx hardhat verify --network ${hre.network.name} ${factoryAddress} "${initialOwner}"`
     );
     console.log("=================================\n");
   }
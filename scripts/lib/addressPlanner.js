@@ -0,0 +1,236 @@
+const { ethers } = require("ethers");
+const { VAULT_CONSTRUCTOR_TYPES, deterministicSalt, vaultConstructorArgs } = require("../../sdk/vaultConfig");
+const { getLatestFactory } = require("./deployments");
+
+/**
+ * Cross-chain vault address planner
+ *
+ * Reproduces UserVaultFactory.computeVaultAddress off-chain:
+ *
+ *   keccak256(0xff ++ factory ++ salt ++ keccak256(creationCode ++ abi.encode(constructorArgs)))[12:]
+ *
+ * and compares the result across networks. A vault only lands at the same
+ * address everywhere if the factory address, the salt and every constructor
+ * argument (including per-chain asset and vault addresses) are identical.
+ */
+
+// Inputs compared between networks, in the order they are reported
+const COMPARED_FIELDS = [
+  "factory",
+  "salt",
+  "owner",
+  "admin",
+  "revenueAddress",
+  "feePercentage",
+  "rebalanceFeePercentage",
+  "merklClaimFeePercentage",
+];
+
+/**
+ * ABI-encode the UserVault_V4 constructor arguments
+ */
+function encodeVaultConstructorArgs(config) {
+  return ethers.AbiCoder.defaultAbiCoder().encode(VAULT_CONSTRUCTOR_TYPES, vaultConstructorArgs(config));
+}
+
+/**
+ * keccak256 of the vault init code (creation code + encoded constructor args)
+ */
+function vaultInitCodeHash(creationCode, config) {
+  return ethers.keccak256(ethers.concat([creationCode, encodeVaultConstructorArgs(config)]));
+}
+
+/**
+ * Off-chain equivalent of UserVaultFactory.computeVaultAddress
+ */
+function predictVaultAddress(creationCode, config) {
+  return ethers.getCreate2Address(config.factory, config.salt, vaultInitCodeHash(creationCode, config));
+}
+
+/**
+ * Resolve a network's factory address. It can be given as an address, as the
+ * deployer and nonce of a plain CREATE deployment, or left out to use the
+ * latest factory recorded in the deployment registry.
+ */
+function resolvePlannedFactory(network, factory, options) {
+  if (typeof factory === "string") {
+    return { address: ethers.getAddress(factory), source: "address" };
+  }
+  if (factory && factory.deployer !== undefined) {
+    return {
+      address: ethers.getCreateAddress({ from: factory.deployer, nonce: factory.nonce }),
+      source: "create",
+      deployer: ethers.getAddress(factory.deployer),
+      nonce: Number(factory.nonce),
+    };
+  }
+  if (factory && factory.create2Deployer !== undefined) {
+    return {
+      address: ethers.getCreate2Address(factory.create2Deployer, factory.salt, factory.initCodeHash),
+      source: "create2",
+      create2Deployer: ethers.getAddress(factory.create2Deployer),
+      salt: factory.salt,
+      initCodeHash: factory.initCodeHash,
+    };
+  }
+
+  const recorded = getLatestFactory(network, options);
+  if (!recorded) {
+    throw new Error(`${network}: no factory given and none recorded in the deployment registry`);
+  }
+  return { address: recorded.address, source: "registry" };
+}
+
+/**
+ * Merge the shared vault settings with a network's overrides into the full set of inputs
+ */
+function resolveNetworkInputs(network, shared, overrides, options) {
+  const merged = { ...shared, ...overrides };
+  const factory = resolvePlannedFactory(network, overrides.factory ?? shared.factory, options);
+
+  for (const key of ["owner", "admin", "revenueAddress"]) {
+    if (!merged[key] || !ethers.isAddress(merged[key])) {
+      throw new Error(`${network}: "${key}" must be an address`);
+    }
+  }
+  if (!Array.isArray(merged.assets) || !Array.isArray(merged.assetVaults)) {
+    throw new Error(`${network}: "assets" and "assetVaults" are required`);
+  }
+  if (merged.assets.length !== merged.assetVaults.length) {
+    throw new Error(`${network}: ${merged.assets.length} asset(s) but ${merged.assetVaults.length} vault list(s)`);
+  }
+
+  const owner = ethers.getAddress(merged.owner);
+  let salt = merged.salt;
+  if (salt === undefined) {
+    if (merged.nonce === undefined) {
+      throw new Error(`${network}: one of "salt" or "nonce" is required`);
+    }
+    salt = deterministicSalt(owner, merged.nonce);
+  }
+
+  return {
+    factory: factory.address,
+    factorySource: factory,
+    salt: ethers.hexlify(salt).toLowerCase(),
+    owner,
+    admin: ethers.getAddress(merged.admin),
+    assets: merged.assets.map((asset) => ethers.getAddress(asset)),
+    assetVaults: merged.assetVaults.map((vaults) => vaults.map((vault) => ethers.getAddress(vault))),
+    revenueAddress: ethers.getAddress(merged.revenueAddress),
+    feePercentage: BigInt(merged.feePercentage ?? 100),
+    rebalanceFeePercentage: BigInt(merged.rebalanceFeePercentage ?? 1000),
+    merklClaimFeePercentage: BigInt(merged.merklClaimFeePercentage ?? 1000),
+  };
+}
+
+/**
+ * Describe why the factory address differs between two networks
+ */
+function explainFactoryDifference(reference, other) {
+  const a = reference.factorySource;
+  const b = other.factorySource;
+  if (a.source === "create" && b.source === "create") {
+    if (a.deployer !== b.deployer) {
+      return `factory deployed by ${a.deployer} vs ${b.deployer}`;
+    }
+    if (a.nonce !== b.nonce) {
+      return `factory deployed with deployer nonce ${a.nonce} vs ${b.nonce}; deploy through a CREATE2 deployer to make it nonce independent`;
+    }
+  }
+  if (a.source === "create2" && b.source === "create2") {
+    if (a.initCodeHash !== b.initCodeHash) return "factory init code differs (compiler settings or constructor args)";
+    if (a.salt !== b.salt) return `factory CREATE2 salt ${a.salt} vs ${b.salt}`;
+  }
+  return `factory ${a.address} (${a.source}) vs ${b.address} (${b.source})`;
+}
+
+/**
+ * List every input that differs between two resolved networks
+ */
+function diffInputs(reference, other) {
+  const differences = [];
+
+  for (const field of COMPARED_FIELDS) {
+    if (reference[field] === other[field]) continue;
+    differences.push({
+      field,
+      reference: reference[field].toString(),
+      other: other[field].toString(),
+      reason: field === "factory" ? explainFactoryDifference(reference, other) : undefined,
+    });
+  }
+
+  const assetCount = Math.max(reference.assets.length, other.assets.length);
+  for (let i = 0; i < assetCount; i++) {
+    if (reference.assets[i] !== other.assets[i]) {
+      differences.push({
+        field: `assets[${i}]`,
+        reference: reference.assets[i] ?? "(missing)",
+        other: other.assets[i] ?? "(missing)",
+      });
+    }
+
+    const referenceVaults = reference.assetVaults[i] || [];
+    const otherVaults = other.assetVaults[i] || [];
+    const vaultCount = Math.max(referenceVaults.length, otherVaults.length);
+    for (let j = 0; j < vaultCount; j++) {
+      if (referenceVaults[j] !== otherVaults[j]) {
+        differences.push({
+          field: `assetVaults[${i}][${j}]`,
+          reference: referenceVaults[j] ?? "(missing)",
+          other: otherVaults[j] ?? "(missing)",
+        });
+      }
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Predict the vault address on every network of a plan and explain divergences
+ *
+ * @param creationCode UserVault_V4 creation bytecode (from the compiled artifact)
+ * @param plan { vault: shared settings, networks: { [name]: overrides } }
+ *   Shared settings: owner, admin, revenueAddress, fee percentages, salt or
+ *   nonce, and optionally assets, assetVaults and factory. Network overrides
+ *   can replace any of them; factory is an address, { deployer, nonce },
+ *   { create2Deployer, salt, initCodeHash } or omitted (deployment registry).
+ * @return { consistent, address, networks: [{ network, address, inputs, differences }] }
+ */
+function planVaultAddresses(creationCode, plan, options) {
+  const networkNames = Object.keys(plan.networks || {});
+  if (networkNames.length === 0) {
+    throw new Error("Plan has no networks");
+  }
+
+  const resolved = networkNames.map((network) => {
+    const inputs = resolveNetworkInputs(network, plan.vault || {}, plan.networks[network] || {}, options);
+    return { network, inputs, address: predictVaultAddress(creationCode, inputs) };
+  });
+
+  const reference = resolved[0];
+  const networks = resolved.map((entry) => ({
+    ...entry,
+    differences: entry === reference ? [] : diffInputs(reference.inputs, entry.inputs),
+  }));
+
+  const consistent = networks.every((entry) => entry.address === reference.address);
+  return {
+    consistent,
+    address: consistent ? reference.address : null,
+    reference: reference.network,
+    networks,
+  };
+}
+
+module.exports = {
+  VAULT_CONSTRUCTOR_TYPES,
+  deterministicSalt,
+  vaultConstructorArgs,
+  encodeVaultConstructorArgs,
+  vaultInitCodeHash,
+  predictVaultAddress,
+  planVaultAddresses,
+};
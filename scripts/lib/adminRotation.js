@@ -0,0 +1,140 @@
+const { ethers } = require("ethers");
+const { vaultAbi, simulateAndSend } = require("../../sdk/contracts");
+const { toSdkError } = require("../../sdk/errors");
+
+/**
+ * Admin rotation across many vaults
+ *
+ * UserVault_V4 hands the admin role over in two steps: the owner or the current
+ * admin calls proposeAdmin, then the new admin calls acceptAdmin, which also moves
+ * the Merkl operator permission. After a key compromise, the owner (or the old
+ * key) proposes the new admin on every vault (proposeAdminRotation), then the new
+ * key accepts them all (acceptAdminRotation). A compromised admin key cannot
+ * replace or cancel a proposal made by the owner. Both steps skip vaults they cannot act on, so a
+ * run can be repeated after a failure.
+ */
+
+async function simulate(vault, method, args) {
+  try {
+    await vault[method].staticCall(...args);
+  } catch (error) {
+    throw toSdkError(method, "simulate", error, [vault.interface]);
+  }
+}
+
+/**
+ * Propose `newAdmin` on every vault the signer owns or administers
+ *
+ * @param vaults Vault addresses
+ * @param options.signer Vault owner or current admin
+ * @param options.newAdmin Address that will accept the role
+ * @param options.dryRun Simulate the proposals without sending them
+ * @return One result per vault: { vault, status, reason, transactionHash }, with
+ *   status "proposed", "dry-run", "skipped" or "failed"
+ */
+async function proposeAdminRotation(vaults, options) {
+  const { signer, dryRun = false } = options;
+  const newAdmin = ethers.getAddress(options.newAdmin);
+  const caller = await signer.getAddress();
+
+  const results = [];
+  for (const address of vaults) {
+    const vault = new ethers.Contract(address, vaultAbi(), signer);
+    const result = { vault: vault.target, status: null, reason: null, transactionHash: null };
+    try {
+      const [owner, admin, pendingAdmin, pendingAdminByOwner] = await Promise.all([
+        vault.owner(),
+        vault.admin(),
+        vault.pendingAdmin(),
+        vault.pendingAdminByOwner(),
+      ]);
+      const byOwner = owner === caller;
+      if (admin === newAdmin) {
+        results.push({ ...result, status: "skipped", reason: `${newAdmin} is already the admin` });
+      } else if (!byOwner && admin !== caller) {
+        results.push({ ...result, status: "skipped", reason: `signer ${caller} is neither the vault owner nor the admin (${admin})` });
+      } else if (!byOwner && pendingAdminByOwner) {
+        results.push({ ...result, status: "skipped", reason: `the owner proposed ${pendingAdmin}` });
+      } else if (pendingAdmin === newAdmin && (pendingAdminByOwner || !byOwner)) {
+        // The owner proposes again over the admin's proposal, so the admin can no longer cancel it
+        results.push({ ...result, status: "skipped", reason: `${newAdmin} is already the pending admin` });
+      } else if (dryRun) {
+        await simulate(vault, "proposeAdmin", [newAdmin]);
+        results.push({ ...result, status: "dry-run" });
+      } else {
+        const { receipt } = await simulateAndSend(vault, "proposeAdmin", [newAdmin]);
+        results.push({ ...result, status: "proposed", transactionHash: receipt.hash });
+      }
+    } catch (error) {
+      results.push({ ...result, status: "failed", reason: error.reason || error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Accept the admin role on every vault where the signer is the pending admin
+ *
+ * @param vaults Vault addresses
+ * @param options.signer New admin
+ * @param options.dryRun Simulate the acceptances without sending them
+ * @return One result per vault: { vault, status, reason, transactionHash, merklOperator },
+ *   with status "accepted", "dry-run", "skipped" or "failed"; merklOperator tells
+ *   whether the new admin is a Merkl operator of the vault afterwards
+ */
+async function acceptAdminRotation(vaults, options) {
+  const { signer, dryRun = false } = options;
+  const caller = await signer.getAddress();
+
+  const results = [];
+  for (const address of vaults) {
+    const vault = new ethers.Contract(address, vaultAbi(), signer);
+    const result = { vault: vault.target, status: null, reason: null, transactionHash: null, merklOperator: null };
+    try {
+      const [admin, pendingAdmin] = await Promise.all([vault.admin(), vault.pendingAdmin()]);
+      if (admin === caller) {
+        results.push({ ...result, status: "skipped", reason: `${caller} is already the admin` });
+      } else if (pendingAdmin !== caller) {
+        const pending = pendingAdmin === ethers.ZeroAddress ? "none" : pendingAdmin;
+        results.push({ ...result, status: "skipped", reason: `signer ${caller} is not the pending admin (${pending})` });
+      } else if (dryRun) {
+        await simulate(vault, "acceptAdmin", []);
+        results.push({ ...result, status: "dry-run" });
+      } else {
+        const { receipt } = await simulateAndSend(vault, "acceptAdmin", []);
+        const merklOperator = await vault.isAdminApprovedForMerkl();
+        results.push({ ...result, status: "accepted", transactionHash: receipt.hash, merklOperator });
+      }
+    } catch (error) {
+      results.push({ ...result, status: "failed", reason: error.reason || error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * One line per vault and a summary
+ */
+function formatRotationReport(results) {
+  const icons = { proposed: "✅", accepted: "✅", "dry-run": "✅", skipped: "⚠️ ", failed: "❌" };
+  const counts = {};
+  const lines = results.map((result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    const details = [
+      result.reason,
+      typeof result.merklOperator === "boolean" ? `Merkl operator: ${result.merklOperator ? "yes" : "no"}` : null,
+      result.transactionHash ? `tx ${result.transactionHash}` : null,
+    ].filter(Boolean);
+    return `${icons[result.status]} ${result.vault}: ${result.status}${details.length ? ` (${details.join(", ")})` : ""}`;
+  });
+  const summary = Object.entries(counts)
+    .map(([status, count]) => `${count} ${status}`)
+    .join(", ");
+  return [...lines, "", `${results.length} vault(s): ${summary || "none"}`].join("\n");
+}
+
+module.exports = {
+  proposeAdminRotation,
+  acceptAdminRotation,
+  formatRotationReport,
+};
@@ -0,0 +1,26 @@
+/**
+ * Block lookups by timestamp
+ */
+
+/**
+ * Last block with a timestamp <= `timestamp`, at most `maxBlock`
+ * (binary search, so O(log n) getBlock calls)
+ */
+async function blockAtTimestamp(provider, timestamp, maxBlock) {
+  let low = 0;
+  let high = maxBlock;
+  if ((await provider.getBlock(high)).timestamp <= timestamp) return high;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if ((await provider.getBlock(middle)).timestamp <= timestamp) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+module.exports = {
+  blockAtTimestamp,
+};
@@ -0,0 +1,163 @@
+const { ethers } = require("ethers");
+
+/**
+ * Argument parsing for Hardhat tasks
+ *
+ * Every parser throws on the first value that cannot be passed to the
+ * contracts as-is, so tasks fail before any RPC call or transaction.
+ */
+
+/**
+ * Parse a single address
+ */
+function parseAddress(value, name) {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    throw new Error(`--${name}: "${value}" is not a valid address`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Parse a comma-separated address list, e.g. "0xUSDC,0xWETH"
+ */
+function parseAddressList(value, name) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new Error(`--${name}: expected a comma-separated address list`);
+  }
+  return value.split(",").map((item) => parseAddress(item.trim(), name));
+}
+
+/**
+ * Parse per-asset vault lists. Vaults of one asset are comma-separated and
+ * assets are separated by ";", e.g. "0xUsdcVault1,0xUsdcVault2;0xWethVault"
+ * becomes [[0xUsdcVault1, 0xUsdcVault2], [0xWethVault]]
+ */
+function parseAssetVaults(value, name) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new Error(`--${name}: expected per-asset vault lists such as "0xA,0xB;0xC"`);
+  }
+  return value.split(";").map((group, i) => {
+    if (group.trim() === "") {
+      throw new Error(`--${name}: vault list for asset #${i} is empty`);
+    }
+    return parseAddressList(group, name);
+  });
+}
+
+/**
+ * Parse a non-negative integer that fits in a uint256
+ */
+function parseUint(value, name) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`--${name}: "${value}" is not a non-negative integer`);
+  }
+  const parsed = BigInt(text);
+  if (parsed > ethers.MaxUint256) {
+    throw new Error(`--${name}: "${value}" does not fit in uint256`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse a duration in seconds: a plain number of seconds or a number with an
+ * s/m/h/d suffix, e.g. "90", "15m", "7d"
+ */
+function parseDuration(value, name) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`--${name}: "${value}" is not a duration such as 3600, 12h or 7d`);
+  }
+  const unit = { "": 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Parse a 32-byte hex value (salt)
+ */
+function parseBytes32(value, name) {
+  if (typeof value !== "string" || !ethers.isHexString(value, 32)) {
+    throw new Error(`--${name}: "${value}" is not a 32-byte hex string`);
+  }
+  return value.toLowerCase();
+}
+
+// UserVault_V4 fee caps in basis points (MAX_*_PERCENTAGE), by CLI option
+const FEE_CAPS = [
+  ["fee", "feePercentage", 2000n],
+  ["rebalance-fee", "rebalanceFeePercentage", 2000n],
+  ["merkl-fee", "merklClaimFeePercentage", 2000n],
+];
+
+/**
+ * Check vault configuration the same way UserVaultFactory.deployVault and the vault constructor do
+ */
+function assertVaultConfig(config) {
+  const { assets, assetVaults } = config;
+  if (assets.length === 0) {
+    throw new Error("--assets: at least one asset is required");
+  }
+  if (assets.length !== assetVaults.length) {
+    throw new Error(
+      `--vaults: got ${assetVaults.length} vault list(s) for ${assets.length} asset(s); separate assets with ";"`
+    );
+  }
+  const seen = new Set();
+  for (const asset of assets) {
+    if (asset === ethers.ZeroAddress) throw new Error("--assets: zero address");
+    if (seen.has(asset)) throw new Error(`--assets: duplicate asset ${asset}`);
+    seen.add(asset);
+  }
+  assetVaults.forEach((vaults, i) => {
+    if (new Set(vaults).size !== vaults.length) {
+      throw new Error(`--vaults: duplicate vault for asset ${assets[i]}`);
+    }
+    if (vaults.includes(ethers.ZeroAddress)) {
+      throw new Error(`--vaults: zero address for asset ${assets[i]}`);
+    }
+  });
+  for (const [option, key, cap] of FEE_CAPS) {
+    if (config[key] !== undefined && config[key] > cap) {
+      throw new Error(`--${option}: ${config[key]} bps is above the vault's cap of ${cap} bps`);
+    }
+  }
+}
+
+/**
+ * Encode a call against the contract ABI so argument mismatches fail before anything is sent
+ */
+function assertMatchesAbi(contractInterface, functionName, args) {
+  if (functionName === "constructor") {
+    try {
+      return contractInterface.encodeDeploy(args);
+    } catch (error) {
+      throw new Error(
+        `${contractInterface.deploy.format()}: arguments do not match the ABI (${error.shortMessage || error.message})`
+      );
+    }
+  }
+
+  const fragment = contractInterface.getFunction(functionName);
+  if (!fragment) {
+    throw new Error(`${functionName} is not part of the contract ABI`);
+  }
+  try {
+    contractInterface.encodeFunctionData(fragment, args);
+  } catch (error) {
+    throw new Error(
+      `${fragment.format()}: arguments do not match the ABI (${error.shortMessage || error.message})`
+    );
+  }
+  return fragment;
+}
+
+module.exports = {
+  parseAddress,
+  parseAddressList,
+  parseAssetVaults,
+  parseUint,
+  parseDuration,
+  parseBytes32,
+  assertVaultConfig,
+  assertMatchesAbi,
+};
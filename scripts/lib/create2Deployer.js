@@ -0,0 +1,111 @@
+const { ethers } = require("ethers");
+
+/**
+ * Deterministic deployment of UserVaultFactory
+ *
+ * The factory is deployed through the standard deterministic deployment proxy
+ * (https://github.com/Arachnid/deterministic-deployment-proxy), which lives at
+ * the same address on every EVM chain. Calling it with `salt ++ initCode`
+ * performs a CREATE2, so the factory address only depends on the salt and the
+ * init code (creation bytecode + initial owner), never on the deployer nonce.
+ */
+
+const DETERMINISTIC_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+// Runtime code of the proxy, installed with hardhat_setCode on local networks
+const DETERMINISTIC_DEPLOYER_CODE =
+  "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+// Networks where the proxy can be installed instead of being pre-deployed
+const INSTALLABLE_NETWORKS = ["hardhat", "localhost"];
+
+// Salt used when neither --salt nor FACTORY_SALT is given
+const DEFAULT_FACTORY_SALT = ethers.id("MorphoV1Vaults.UserVaultFactory");
+
+/**
+ * Factory init code: creation bytecode followed by the encoded initial owner
+ */
+function factoryInitCode(creationCode, initialOwner) {
+  return ethers.concat([creationCode, ethers.AbiCoder.defaultAbiCoder().encode(["address"], [initialOwner])]);
+}
+
+/**
+ * Address the proxy deploys `initCode` to for `salt`
+ */
+function predictDeterministicAddress(salt, initCode) {
+  return ethers.getCreate2Address(DETERMINISTIC_DEPLOYER, salt, ethers.keccak256(initCode));
+}
+
+/**
+ * Make sure the proxy exists on the connected network, installing it on local
+ * Hardhat networks
+ */
+async function ensureDeterministicDeployer(provider, networkName) {
+  if ((await provider.getCode(DETERMINISTIC_DEPLOYER)) !== "0x") {
+    return { installed: false };
+  }
+  if (!INSTALLABLE_NETWORKS.includes(networkName)) {
+    throw new Error(
+      `Deterministic deployment proxy ${DETERMINISTIC_DEPLOYER} is not deployed on ${networkName}; ` +
+        "deploy it with the pre-signed transaction from https://github.com/Arachnid/deterministic-deployment-proxy"
+    );
+  }
+
+  await provider.send("hardhat_setCode", [DETERMINISTIC_DEPLOYER, DETERMINISTIC_DEPLOYER_CODE]);
+  return { installed: true };
+}
+
+/**
+ * Deploy `initCode` through the proxy. Does nothing if the address already has code.
+ */
+async function deployDeterministic(signer, salt, initCode) {
+  const address = predictDeterministicAddress(salt, initCode);
+  if ((await signer.provider.getCode(address)) !== "0x") {
+    return { address, alreadyDeployed: true, transactionHash: null, blockNumber: null };
+  }
+
+  const tx = await signer.sendTransaction({ to: DETERMINISTIC_DEPLOYER, data: ethers.concat([salt, initCode]) });
+  const receipt = await tx.wait();
+
+  if ((await signer.provider.getCode(address)) === "0x") {
+    throw new Error(`Deterministic deployment to ${address} failed (transaction ${receipt.hash})`);
+  }
+
+  return { address, alreadyDeployed: false, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Compare the code at `address` on several networks with the expected runtime bytecode
+ *
+ * @param providers { [network]: provider }
+ * @return [{ network, deployed, codeHash, matches, error }]
+ *   `matches` is null where nothing is deployed or the network can't be reached
+ */
+async function compareDeployedBytecode(providers, address, expectedRuntimeCode) {
+  const expectedHash = ethers.keccak256(expectedRuntimeCode);
+  const results = [];
+
+  for (const [network, provider] of Object.entries(providers)) {
+    try {
+      const code = await provider.getCode(address);
+      const deployed = code !== "0x";
+      const codeHash = deployed ? ethers.keccak256(code) : null;
+      results.push({ network, deployed, codeHash, matches: deployed ? codeHash === expectedHash : null });
+    } catch (error) {
+      results.push({ network, deployed: null, codeHash: null, matches: null, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DETERMINISTIC_DEPLOYER,
+  DETERMINISTIC_DEPLOYER_CODE,
+  DEFAULT_FACTORY_SALT,
+  factoryInitCode,
+  predictDeterministicAddress,
+  ensureDeterministicDeployer,
+  deployDeterministic,
+  compareDeployedBytecode,
+};
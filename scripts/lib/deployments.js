@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Deployment registry
+ *
+ * One JSON manifest per network at deployments/<network>.json holding the
+ * full deployment history of factories and vaults with a single record shape:
+ *
+ *   {
+ *     kind: "factory" | "vault",
+ *     contract: "UserVaultFactory" | "UserVault_V4",
+ *     address, constructorArgs, salt, transactionHash, blockNumber,
+ *     deployer, factory, owner, admin, timestamp
+ *   }
+ *
+ * Records are only ever appended, so the latest factory of a network is the
+ * current one. The directory can be overridden with DEPLOYMENTS_DIR.
+ */
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Networks whose state disappears with the process; nothing is recorded for them
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+const KINDS = {
+  factory: "UserVaultFactory",
+  vault: "UserVault_V4",
+};
+
+function registryDir(options = {}) {
+  return options.dir || process.env.DEPLOYMENTS_DIR || DEFAULT_DIR;
+}
+
+function registryPath(network, options) {
+  return path.join(registryDir(options), `${network}.json`);
+}
+
+/**
+ * Convert BigInts (constructor args, chain ids) to strings so records are plain JSON
+ */
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsonValue(item)]));
+  }
+  return value;
+}
+
+function sameAddress(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read the manifest of a network (an empty one if nothing was recorded yet)
+ */
+function readRegistry(network, options) {
+  const file = registryPath(network, options);
+  if (!fs.existsSync(file)) {
+    return { version: SCHEMA_VERSION, network, chainId: null, deployments: [] };
+  }
+
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (registry.version !== SCHEMA_VERSION) {
+    throw new Error(`${file}: unsupported registry version ${registry.version}`);
+  }
+  if (!Array.isArray(registry.deployments)) {
+    throw new Error(`${file}: missing deployments array`);
+  }
+  return registry;
+}
+
+function writeRegistry(registry, options) {
+  const dir = registryDir(options);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(registryPath(registry.network, options), JSON.stringify(registry, null, 2) + "\n");
+}
+
+/**
+ * Validate a record and fill in derived fields
+ */
+function normalizeRecord(record) {
+  if (!KINDS[record.kind]) {
+    throw new Error(`Unknown deployment kind "${record.kind}"`);
+  }
+  if (!ethers.isAddress(record.address)) {
+    throw new Error(`Invalid deployment address "${record.address}"`);
+  }
+
+  const constructorArgs = toJsonValue(record.constructorArgs || []);
+  const normalized = {
+    kind: record.kind,
+    contract: record.contract || KINDS[record.kind],
+    address: ethers.getAddress(record.address),
+    constructorArgs,
+    salt: record.salt || null,
+    transactionHash: record.transactionHash || null,
+    blockNumber: record.blockNumber ?? null,
+    deployer: record.deployer || null,
+    factory: record.factory ? ethers.getAddress(record.factory) : null,
+    owner: null,
+    admin: null,
+    timestamp: record.timestamp || new Date().toISOString(),
+  };
+
+  if (record.kind === "vault") {
+    if (!normalized.factory) {
+      throw new Error("Vault records require the factory address");
+    }
+    // UserVault_V4 constructor: (owner, admin, assets, assetVaults, revenueAddress, fees...)
+    normalized.owner = record.owner || constructorArgs[0] || null;
+    normalized.admin = record.admin || constructorArgs[1] || null;
+  } else {
+    normalized.owner = record.owner || constructorArgs[0] || null;
+  }
+
+  return normalized;
+}
+
+/**
+ * Append a deployment to the manifest of `network`
+ */
+function recordDeployment(network, chainId, record, options) {
+  const registry = readRegistry(network, options);
+  const chain = chainId === undefined || chainId === null ? null : chainId.toString();
+
+  if (registry.chainId !== null && chain !== null && registry.chainId !== chain) {
+    throw new Error(
+      `Registry for ${network} belongs to chain ${registry.chainId}, refusing to record a chain ${chain} deployment`
+    );
+  }
+
+  const normalized = normalizeRecord(record);
+  registry.chainId = registry.chainId ?? chain;
+  registry.deployments.push(normalized);
+  writeRegistry(registry, options);
+
+  return normalized;
+}
+
+/**
+ * Query deployments of a network
+ * @param filter Optional kind, address, factory, owner and admin to match
+ */
+function queryDeployments(network, filter = {}, options) {
+  const { deployments } = readRegistry(network, options);
+  return deployments.filter((record) => {
+    if (filter.kind && record.kind !== filter.kind) return false;
+    for (const key of ["address", "factory", "owner", "admin"]) {
+      if (filter[key] && !sameAddress(record[key], filter[key])) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Most recently recorded factory of a network, or undefined
+ */
+function getLatestFactory(network, options) {
+  const factories = queryDeployments(network, { kind: "factory" }, options);
+  return factories[factories.length - 1];
+}
+
+/**
+ * Networks that have a manifest
+ */
+function listNetworks(options) {
+  const dir = registryDir(options);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .sort();
+}
+
+/**
+ * Record a deployment on the network Hardhat is connected to.
+ * Returns null on ephemeral networks, where nothing is written.
+ */
+async function recordHreDeployment(hre, record, options) {
+  if (EPHEMERAL_NETWORKS.includes(hre.network.name)) {
+    return null;
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return recordDeployment(hre.network.name, chainId, record, options);
+}
+
+/**
+ * Factory address to use: an explicit argument, then FACTORY_ADDRESS, then the registry
+ */
+function resolveFactoryAddress(hre, explicit, options) {
+  const address = explicit || process.env.FACTORY_ADDRESS || getLatestFactory(hre.network.name, options)?.address;
+  if (!address) {
+    throw new Error(
+      `No factory address for ${hre.network.name}: pass --factory, set FACTORY_ADDRESS or deploy one with factory:deploy`
+    );
+  }
+  return address;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  EPHEMERAL_NETWORKS,
+  registryPath,
+  readRegistry,
+  writeRegistry,
+  recordDeployment,
+  queryDeployments,
+  getLatestFactory,
+  listNetworks,
+  recordHreDeployment,
+  resolveFactoryAddress,
+};
@@ -0,0 +1,242 @@
+const { ethers } = require("ethers");
+const { vaultAbi, factoryAbi } = require("../../sdk/contracts");
+const { writeStore } = require("./eventStore");
+
+/**
+ * Event indexer for UserVaultFactory and its vaults
+ *
+ * Scans blocks in batches: first the factory's logs (VaultDeployed adds the
+ * vault to the watch list), then the logs of every known vault. After each
+ * batch the store is checkpointed, so an interrupted run resumes where it
+ * stopped. Before scanning, the checkpoint's block hash is compared with the
+ * chain; on a mismatch the store is rewound to the newest stored block that is
+ * still canonical and the range is indexed again.
+ */
+
+const DEFAULTS = {
+  batchSize: 2000,
+  // Blocks kept in blockHashes; a reorg deeper than this rewinds by this many blocks
+  reorgDepth: 64,
+  // Max vault addresses per eth_getLogs request
+  addressesPerQuery: 500,
+};
+
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  return value;
+}
+
+/**
+ * Named event arguments with BigInts as strings
+ */
+function normalizeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = toJsonValue(parsed.args[i]);
+  });
+  return args;
+}
+
+function compareEvents(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Resolve indexer options, filling in the contract interfaces from the artifacts
+ */
+function indexerOptions(options) {
+  return {
+    ...DEFAULTS,
+    factoryInterface: new ethers.Interface(factoryAbi()),
+    vaultInterface: new ethers.Interface(vaultAbi()),
+    ...options,
+  };
+}
+
+/**
+ * Fetch and normalize factory and vault events in [fromBlock, toBlock].
+ * Adds newly deployed vaults to store.vaults.
+ */
+async function fetchRange(store, options, fromBlock, toBlock) {
+  const { provider, factoryInterface, vaultInterface } = options;
+  const events = [];
+  const timestamps = new Map();
+
+  const normalize = async (log, source, iface) => {
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed) return null;
+
+    if (!timestamps.has(log.blockNumber)) {
+      timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+    }
+    return {
+      id: `${log.transactionHash}:${log.index}`,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      timestamp: timestamps.get(log.blockNumber),
+      source,
+      address: ethers.getAddress(log.address),
+      name: parsed.name,
+      args: normalizeArgs(parsed),
+    };
+  };
+
+  if (store.factory) {
+    const logs = await provider.getLogs({ address: store.factory, fromBlock, toBlock });
+    for (const log of logs) {
+      const event = await normalize(log, "factory", factoryInterface);
+      if (!event) continue;
+      events.push(event);
+      if (event.name === "VaultDeployed" && !store.vaults.includes(event.args.vaultAddress)) {
+        store.vaults.push(event.args.vaultAddress);
+      }
+    }
+  }
+
+  for (let i = 0; i < store.vaults.length; i += options.addressesPerQuery) {
+    const addresses = store.vaults.slice(i, i + options.addressesPerQuery);
+    const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock });
+    for (const log of logs) {
+      const event = await normalize(log, "vault", vaultInterface);
+      if (event) events.push(event);
+    }
+  }
+
+  return events.sort(compareEvents);
+}
+
+/**
+ * Vaults configured up front plus those discovered from the VaultDeployed
+ * events still in the store
+ */
+function rebuildVaults(store) {
+  const vaults = [...store.initialVaults];
+  for (const event of store.events) {
+    if (event.name === "VaultDeployed" && !vaults.includes(event.args.vaultAddress)) {
+      vaults.push(event.args.vaultAddress);
+    }
+  }
+  store.vaults = vaults;
+}
+
+/**
+ * Detect a reorg below the checkpoint and rewind the store to the newest block
+ * that is still canonical
+ *
+ * @return null if the checkpoint is canonical, else { fromBlock, toBlock, removed }
+ */
+async function rewindReorg(store, options) {
+  const { provider } = options;
+  if (!store.checkpoint) return null;
+
+  const current = await provider.getBlock(store.checkpoint.blockNumber);
+  if (current && current.hash === store.checkpoint.blockHash) return null;
+
+  const candidates = Object.keys(store.blockHashes)
+    .map(Number)
+    .filter((number) => number < store.checkpoint.blockNumber)
+    .sort((a, b) => b - a);
+
+  let ancestor = null;
+  for (const number of candidates) {
+    const block = await provider.getBlock(number);
+    if (block && block.hash === store.blockHashes[number]) {
+      ancestor = number;
+      break;
+    }
+  }
+  if (ancestor === null) {
+    ancestor = Math.max(store.startBlock - 1, store.checkpoint.blockNumber - options.reorgDepth);
+  }
+
+  const before = store.events.length;
+  store.events = store.events.filter((event) => event.blockNumber <= ancestor);
+  for (const number of Object.keys(store.blockHashes)) {
+    if (Number(number) > ancestor) delete store.blockHashes[number];
+  }
+  rebuildVaults(store);
+
+  const rewoundFrom = store.checkpoint.blockNumber;
+  if (ancestor < store.startBlock) {
+    store.checkpoint = null;
+  } else {
+    store.checkpoint = { blockNumber: ancestor, blockHash: (await provider.getBlock(ancestor)).hash };
+  }
+
+  return { fromBlock: rewoundFrom, toBlock: ancestor, removed: before - store.events.length };
+}
+
+/**
+ * Index from the checkpoint (or startBlock) up to `toBlock`
+ *
+ * @param store Event store (see eventStore.js), modified in place
+ * @param options provider, and optionally file (persist after every batch),
+ *   batchSize, reorgDepth, factoryInterface, vaultInterface
+ * @return { fromBlock, toBlock, added, reorg }
+ */
+async function syncEvents(store, toBlock, options) {
+  const resolved = indexerOptions(options);
+  const { provider } = resolved;
+
+  const reorg = await rewindReorg(store, resolved);
+  const firstBlock = store.checkpoint ? store.checkpoint.blockNumber + 1 : store.startBlock;
+  let added = 0;
+
+  for (let from = firstBlock; from <= toBlock; from += resolved.batchSize) {
+    const to = Math.min(from + resolved.batchSize - 1, toBlock);
+    const events = await fetchRange(store, resolved, from, to);
+
+    const known = new Set(store.events.map((event) => event.id));
+    for (const event of events) {
+      if (known.has(event.id)) continue;
+      store.events.push(event);
+      store.blockHashes[event.blockNumber] = event.blockHash;
+      added++;
+    }
+
+    const block = await provider.getBlock(to);
+    store.checkpoint = { blockNumber: to, blockHash: block.hash };
+    store.blockHashes[to] = block.hash;
+    for (const number of Object.keys(store.blockHashes)) {
+      if (Number(number) < to - resolved.reorgDepth) delete store.blockHashes[number];
+    }
+
+    if (resolved.file) writeStore(resolved.file, store);
+  }
+
+  return { fromBlock: firstBlock, toBlock, added, reorg };
+}
+
+/**
+ * Keep syncing new blocks until `shouldStop()` returns true
+ *
+ * @param options syncEvents options plus confirmations (blocks behind head),
+ *   pollInterval (ms), shouldStop and onSync(result) callbacks
+ */
+async function followEvents(store, options) {
+  const { provider, confirmations = 0, pollInterval = 4000, shouldStop = () => false, onSync } = options;
+
+  while (!shouldStop()) {
+    const head = (await provider.getBlockNumber()) - confirmations;
+    if (head >= store.startBlock) {
+      const result = await syncEvents(store, head, options);
+      if (onSync) await onSync(result);
+    }
+    if (shouldStop()) break;
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  }
+}
+
+module.exports = {
+  syncEvents,
+  followEvents,
+  rewindReorg,
+};
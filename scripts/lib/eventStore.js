@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JSON event store for the indexer
+ *
+ * One file per network at .indexer/<network>.json (override the directory with
+ * INDEXER_DIR):
+ *
+ *   {
+ *     version, network, chainId, factory, startBlock,
+ *     checkpoint: { blockNumber, blockHash } | null,  last fully indexed block
+ *     blockHashes: { [blockNumber]: hash },            recent blocks, for reorg detection
+ *     initialVaults: [address],                        vaults watched without a VaultDeployed event
+ *     vaults: [address],                               watched vaults, including those discovered so far
+ *     events: [event]                                  ordered by block and log index
+ *   }
+ *
+ * Events are normalized to
+ *
+ *   { id, blockNumber, blockHash, transactionHash, logIndex, timestamp,
+ *     source: "factory" | "vault", address, name, args }
+ *
+ * with BigInt arguments stored as decimal strings.
+ */
+
+const STORE_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, "..", "..", ".indexer");
+
+function storeDir(options = {}) {
+  return options.dir || process.env.INDEXER_DIR || DEFAULT_DIR;
+}
+
+function storePath(network, options) {
+  return path.join(storeDir(options), `${network}.json`);
+}
+
+/**
+ * Empty store for a network and factory
+ */
+function createStore({ network, chainId, factory, startBlock = 0, vaults = [] }) {
+  return {
+    version: STORE_VERSION,
+    network,
+    chainId: chainId === undefined || chainId === null ? null : chainId.toString(),
+    factory,
+    startBlock,
+    checkpoint: null,
+    blockHashes: {},
+    initialVaults: [...vaults],
+    vaults: [...vaults],
+    events: [],
+  };
+}
+
+/**
+ * Read a store from disk, or null if it does not exist
+ */
+function readStore(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) {
+    throw new Error(`${file}: unsupported event store version ${store.version}`);
+  }
+  return store;
+}
+
+/**
+ * Write atomically so an interrupted run never leaves a truncated store
+ */
+function writeStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Open the store at `file`, creating it when missing. An existing store must
+ * belong to the same chain and factory.
+ */
+function openStore(file, params) {
+  const existing = readStore(file);
+  if (!existing) {
+    return createStore(params);
+  }
+
+  const chainId = params.chainId === undefined || params.chainId === null ? null : params.chainId.toString();
+  if (existing.chainId !== null && chainId !== null && existing.chainId !== chainId) {
+    throw new Error(`${file} belongs to chain ${existing.chainId}, not ${chainId}`);
+  }
+  if (params.factory && existing.factory && existing.factory.toLowerCase() !== params.factory.toLowerCase()) {
+    throw new Error(`${file} indexes factory ${existing.factory}, not ${params.factory}`);
+  }
+  return existing;
+}
+
+/**
+ * Query stored events
+ * @param filter Optional address (emitting contract), name (string or array), fromBlock and toBlock
+ */
+function queryEvents(store, filter = {}) {
+  const names = filter.name === undefined ? null : [].concat(filter.name);
+  return store.events.filter((event) => {
+    if (filter.address && event.address.toLowerCase() !== filter.address.toLowerCase()) return false;
+    if (names && !names.includes(event.name)) return false;
+    if (filter.fromBlock !== undefined && event.blockNumber < filter.fromBlock) return false;
+    if (filter.toBlock !== undefined && event.blockNumber > filter.toBlock) return false;
+    return true;
+  });
+}
+
+module.exports = {
+  STORE_VERSION,
+  storePath,
+  createStore,
+  readStore,
+  writeStore,
+  openStore,
+  queryEvents,
+};
@@ -0,0 +1,73 @@
+const { parseAddress, parseAddressList } = require("./cliArgs");
+const { resolveFactoryAddress } = require("./deployments");
+
+/**
+ * Vault selection for tasks that operate on many vaults
+ *
+ * Vaults come from the factory's on-chain registry (getVaults, getOwnerVaults,
+ * getAdminVaults) rather than from event logs, so no task scans the chain with
+ * eth_getLogs.
+ */
+
+// Vaults read per getVaults call
+const PAGE_SIZE = 100;
+
+/**
+ * The factory given with --factory, FACTORY_ADDRESS or the registry
+ */
+async function factoryContract(hre, factory) {
+  const factoryAddress = parseAddress(resolveFactoryAddress(hre, factory), "factory");
+  if ((await hre.ethers.provider.getCode(factoryAddress)) === "0x") {
+    throw new Error(`No contract deployed at factory address ${factoryAddress}`);
+  }
+  return hre.ethers.getContractAt("UserVaultFactory", factoryAddress);
+}
+
+/**
+ * Every vault in the factory registry, in deployment order
+ */
+async function registryVaults(contract) {
+  const total = await contract.getTotalVaults();
+  const vaults = [];
+  for (let offset = 0n; offset < total; offset += BigInt(PAGE_SIZE)) {
+    vaults.push(...(await contract.getVaults(offset, PAGE_SIZE)));
+  }
+  return vaults;
+}
+
+/**
+ * Vaults to process: an explicit --vaults list, or the vaults of the factory
+ * (--factory, FACTORY_ADDRESS or the registry): those `admin` manages when
+ * given, else every vault in its registry
+ */
+async function resolveVaults(hre, { vaults, factory, admin }) {
+  if (vaults) {
+    return parseAddressList(vaults, "vaults");
+  }
+  const contract = await factoryContract(hre, factory);
+  return admin ? [...(await contract.getAdminVaults(admin))] : registryVaults(contract);
+}
+
+/**
+ * Vaults for an admin rotation: the factory's ownerVaults of the --owners given,
+ * else the adminVaults of `admin`, else every vault in the registry. With both,
+ * only the owners' vaults that `admin` manages.
+ */
+async function resolveAdminVaults(hre, { owners, admin, factory }) {
+  const contract = await factoryContract(hre, factory);
+  const adminVaults = admin ? await contract.getAdminVaults(parseAddress(admin, "admin")) : null;
+  if (!owners) {
+    return adminVaults ? [...adminVaults] : registryVaults(contract);
+  }
+
+  const vaults = [];
+  for (const owner of parseAddressList(owners, "owners")) {
+    vaults.push(...(await contract.getOwnerVaults(owner)));
+  }
+  return adminVaults ? vaults.filter((vault) => adminVaults.includes(vault)) : vaults;
+}
+
+module.exports = {
+  resolveVaults,
+  resolveAdminVaults,
+};
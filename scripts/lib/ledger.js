@@ -0,0 +1,413 @@
+/**
+ * PnL and fee ledger replayed from indexed vault events
+ *
+ * getAssetProfit compares the current value with assetTotalDeposited, which
+ * withdraw() reduces by the redeemed amount including profit, so on-chain PnL
+ * is lost after the first withdrawal. The ledger replays the event store (see
+ * eventStore.js) instead and keeps, per vault and asset:
+ *
+ *   costBasis      principal still invested (average cost), including Merkl
+ *                  rewards compounded into the asset
+ *   realizedYield  gross withdrawals minus the cost basis they released
+ *   fees           withdrawal and rebalance fees; Merkl fees per reward token
+ *
+ * A withdrawal releases costBasis * gross / positionValue, which needs the
+ * position value right before the withdrawal. It comes from the optional
+ * `positionValue(vault, asset, blockNumber)` callback (state at the end of that
+ * block). Without it, withdrawals release principal first ("principal-first").
+ * A full withdrawal always releases the whole cost basis.
+ *
+ * A cross-asset rebalance (CrossAssetRebalanced) moves the cost basis to the
+ * target asset, converted at the swap's price as the vault does; the source
+ * asset's yield is carried over unrealized.
+ *
+ * Owners come from VaultDeployed and follow OwnerUpdated: entries keep the
+ * owner at the time, while statements cover a vault's whole history for its
+ * current owner.
+ */
+
+const DEPOSIT_EVENTS = ["InitialDeposit", "UserDeposit"];
+
+const ENTRY_COLUMNS = [
+  "date",
+  "blockNumber",
+  "transactionHash",
+  "vault",
+  "owner",
+  "type",
+  "token",
+  "symbol",
+  "amount",
+  "fee",
+  "net",
+  "costBasisChange",
+  "realizedYield",
+  "costBasisAfter",
+  "method",
+];
+
+function positionKey(vault, asset) {
+  return `${vault}:${asset}`.toLowerCase();
+}
+
+function newPosition(vault, asset, owner) {
+  return {
+    vault,
+    asset,
+    owner,
+    costBasis: 0n,
+    deposited: 0n,
+    compounded: 0n,
+    withdrawnGross: 0n,
+    withdrawnNet: 0n,
+    realizedYield: 0n,
+    withdrawalFees: 0n,
+    rebalanceFees: 0n,
+  };
+}
+
+/**
+ * Group events by transaction, keeping block order
+ */
+function groupByTransaction(events) {
+  const groups = [];
+  let current = null;
+  for (const event of events) {
+    if (!current || current.transactionHash !== event.transactionHash) {
+      current = { transactionHash: event.transactionHash, blockNumber: event.blockNumber, events: [] };
+      groups.push(current);
+    }
+    current.events.push(event);
+  }
+  return groups;
+}
+
+/**
+ * Replay indexed events into a ledger
+ *
+ * @param events Normalized events from the event store, in chain order
+ * @param options.positionValue async (vault, asset, blockNumber) => bigint | null, optional
+ * @param options.owners { [vault]: owner } for vaults without a VaultDeployed event
+ * @return { positions, rewards, entries, owners }
+ */
+async function buildLedger(events, options = {}) {
+  const owners = {};
+  for (const [vault, owner] of Object.entries(options.owners || {})) {
+    owners[vault.toLowerCase()] = owner;
+  }
+
+  const positions = new Map();
+  const rewards = new Map();
+  const entries = [];
+
+  // Value changes earlier in the block than the current withdrawal, which a
+  // value read at the end of the previous block does not include
+  let adjustBlock = null;
+  const blockAdjustments = new Map();
+
+  const position = (vault, asset) => {
+    const key = positionKey(vault, asset);
+    if (!positions.has(key)) positions.set(key, newPosition(vault, asset, owners[vault.toLowerCase()] || null));
+    return positions.get(key);
+  };
+
+  const adjust = (key, blockNumber, delta) => {
+    if (adjustBlock !== blockNumber) {
+      adjustBlock = blockNumber;
+      blockAdjustments.clear();
+    }
+    blockAdjustments.set(key, (blockAdjustments.get(key) || 0n) + delta);
+  };
+
+  const entry = (event, fields) => {
+    const record = {
+      timestamp: event.timestamp,
+      date: new Date(event.timestamp * 1000).toISOString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      vault: event.address,
+      owner: owners[event.address.toLowerCase()] || null,
+      fee: 0n,
+      costBasisChange: 0n,
+      realizedYield: 0n,
+      costBasisAfter: null,
+      method: null,
+      ...fields,
+    };
+    entries.push(record);
+    return record;
+  };
+
+  for (const group of groupByTransaction(events)) {
+    const byName = (name) => group.events.filter((event) => event.name === name);
+
+    for (const event of group.events) {
+      if (event.name === "VaultDeployed") {
+        owners[event.args.vaultAddress.toLowerCase()] = event.args.owner;
+      }
+      if (event.name === "OwnerUpdated") {
+        owners[event.address.toLowerCase()] = event.args.newOwner;
+        for (const state of positions.values()) {
+          if (state.vault.toLowerCase() === event.address.toLowerCase()) state.owner = event.args.newOwner;
+        }
+      }
+    }
+
+    for (const event of group.events.filter((item) => DEPOSIT_EVENTS.includes(item.name))) {
+      const state = position(event.address, event.args.asset);
+      const amount = BigInt(event.args.amount);
+      state.costBasis += amount;
+      state.deposited += amount;
+      adjust(positionKey(event.address, event.args.asset), event.blockNumber, amount);
+      entry(event, {
+        type: "deposit",
+        token: event.args.asset,
+        amount,
+        net: amount,
+        costBasisChange: amount,
+        costBasisAfter: state.costBasis,
+      });
+    }
+
+    for (const event of byName("Withdrawal")) {
+      const key = positionKey(event.address, event.args.asset);
+      const state = position(event.address, event.args.asset);
+      const fee = byName("FeeCollected")
+        .filter((item) => item.address === event.address && item.args.asset === event.args.asset)
+        .reduce((sum, item) => sum + BigInt(item.args.feeAmount), 0n);
+      const net = BigInt(event.args.amount);
+      const gross = net + fee;
+
+      let released;
+      let method;
+      let valueBefore = null;
+      if (options.positionValue) {
+        const value = await options.positionValue(event.address, event.args.asset, event.blockNumber - 1);
+        if (value !== null) {
+          valueBefore = value + (adjustBlock === event.blockNumber ? blockAdjustments.get(key) || 0n : 0n);
+        }
+      }
+
+      if (valueBefore !== null && valueBefore > 0n) {
+        method = "average-cost";
+        released = gross >= valueBefore ? state.costBasis : (state.costBasis * gross) / valueBefore;
+      } else {
+        method = "principal-first";
+        released = gross < state.costBasis ? gross : state.costBasis;
+      }
+
+      state.costBasis -= released;
+      state.withdrawnGross += gross;
+      state.withdrawnNet += net;
+      state.withdrawalFees += fee;
+      state.realizedYield += gross - released;
+      adjust(key, event.blockNumber, -gross);
+
+      entry(event, {
+        type: "withdrawal",
+        token: event.args.asset,
+        amount: gross,
+        fee,
+        net,
+        costBasisChange: -released,
+        realizedYield: gross - released,
+        costBasisAfter: state.costBasis,
+        method,
+      });
+    }
+
+    for (const event of byName("Rebalanced")) {
+      const state = position(event.address, event.args.asset);
+      const feeEvent = byName("RebalanceFeeCollected").find(
+        (item) => item.address === event.address && item.args.asset === event.args.asset
+      );
+      const fee = feeEvent ? BigInt(feeEvent.args.feeAmount) : 0n;
+      const net = BigInt(event.args.amount);
+      state.rebalanceFees += fee;
+      adjust(positionKey(event.address, event.args.asset), event.blockNumber, -fee);
+
+      entry(event, {
+        type: "rebalance",
+        token: event.args.asset,
+        amount: net + fee,
+        fee,
+        net,
+        costBasisAfter: state.costBasis,
+        fromVault: event.args.fromVault,
+        toVault: event.args.toVault,
+      });
+    }
+
+    for (const event of byName("CrossAssetRebalanced")) {
+      const source = position(event.address, event.args.fromAsset);
+      const target = position(event.address, event.args.toAsset);
+      const redeemed = BigInt(event.args.redeemedAmount);
+      const fee = BigInt(event.args.feeAmount);
+      const deposited = BigInt(event.args.depositedAmount);
+      const carried = BigInt(event.args.carriedPrincipal);
+
+      const released = source.costBasis;
+      source.costBasis = 0n;
+      source.rebalanceFees += fee;
+      adjust(positionKey(event.address, event.args.fromAsset), event.blockNumber, -redeemed);
+      entry(event, {
+        type: "asset-rebalance",
+        token: event.args.fromAsset,
+        amount: redeemed,
+        fee,
+        net: redeemed - fee,
+        costBasisChange: -released,
+        costBasisAfter: 0n,
+        toAsset: event.args.toAsset,
+      });
+
+      target.costBasis += carried;
+      adjust(positionKey(event.address, event.args.toAsset), event.blockNumber, deposited);
+      entry(event, {
+        type: "asset-rebalance",
+        token: event.args.toAsset,
+        amount: deposited,
+        net: deposited,
+        costBasisChange: carried,
+        costBasisAfter: target.costBasis,
+        fromAsset: event.args.fromAsset,
+      });
+    }
+
+    for (const event of byName("MerklTokensClaimed")) {
+      const key = positionKey(event.address, event.args.token);
+      if (!rewards.has(key)) {
+        rewards.set(key, { vault: event.address, token: event.args.token, claimed: 0n, fees: 0n, paid: 0n });
+      }
+      const reward = rewards.get(key);
+      const total = BigInt(event.args.totalAmount);
+      const fee = BigInt(event.args.feeAmount);
+      reward.claimed += total;
+      reward.fees += fee;
+      reward.paid += BigInt(event.args.userAmount);
+
+      entry(event, { type: "merkl-claim", token: event.args.token, amount: total, fee, net: total - fee });
+    }
+
+    // Compounded rewards are reinvested like a deposit, after the Merkl fee
+    for (const event of byName("MerklRewardsCompounded")) {
+      const state = position(event.address, event.args.asset);
+      const amount = BigInt(event.args.depositedAmount);
+      state.costBasis += amount;
+      state.compounded += amount;
+      adjust(positionKey(event.address, event.args.asset), event.blockNumber, amount);
+      entry(event, {
+        type: "compound",
+        token: event.args.asset,
+        amount,
+        net: amount,
+        costBasisChange: amount,
+        costBasisAfter: state.costBasis,
+        rewardToken: event.args.token,
+      });
+    }
+  }
+
+  // Owners learned from later VaultDeployed events (e.g. listed in another batch)
+  for (const state of positions.values()) {
+    state.owner = state.owner || owners[state.vault.toLowerCase()] || null;
+  }
+
+  return { positions: [...positions.values()], rewards: [...rewards.values()], entries, owners };
+}
+
+function isOwnedBy(ledger, vault, owner) {
+  return (ledger.owners[vault.toLowerCase()] || "").toLowerCase() === owner.toLowerCase();
+}
+
+/**
+ * Statement of one owner's vaults for [from, to] (unix seconds, inclusive)
+ *
+ * Opening and closing figures come from replaying everything before the
+ * period; `closingValues` ({ "<vault>:<asset>": bigint }, lowercase keys) adds
+ * unrealized yield at the end of the period.
+ */
+function buildStatement(ledger, { owner, from = 0, to = Number.MAX_SAFE_INTEGER, closingValues = {} }) {
+  const ownEntries = ledger.entries.filter((item) => isOwnedBy(ledger, item.vault, owner));
+  const inPeriod = ownEntries.filter((item) => item.timestamp >= from && item.timestamp <= to);
+
+  const positions = ledger.positions
+    .filter((state) => isOwnedBy(ledger, state.vault, owner))
+    .map((state) => {
+      const key = positionKey(state.vault, state.asset);
+      const history = ownEntries.filter((item) => item.type !== "merkl-claim" && positionKey(item.vault, item.token) === key);
+      const before = history.filter((item) => item.timestamp < from);
+      const during = history.filter((item) => item.timestamp >= from && item.timestamp <= to);
+      const sum = (items, type, field) =>
+        items.filter((item) => item.type === type).reduce((total, item) => total + item[field], 0n);
+
+      const openingCostBasis = before.length ? before[before.length - 1].costBasisAfter : 0n;
+      const closingCostBasis = openingCostBasis + during.reduce((total, item) => total + item.costBasisChange, 0n);
+      const closingValue = closingValues[key];
+
+      return {
+        vault: state.vault,
+        asset: state.asset,
+        openingCostBasis,
+        deposits: sum(during, "deposit", "amount"),
+        compounded: sum(during, "compound", "amount"),
+        withdrawalsGross: sum(during, "withdrawal", "amount"),
+        withdrawalsNet: sum(during, "withdrawal", "net"),
+        realizedYield: sum(during, "withdrawal", "realizedYield"),
+        withdrawalFees: sum(during, "withdrawal", "fee"),
+        rebalanceFees: sum(during, "rebalance", "fee") + sum(during, "asset-rebalance", "fee"),
+        closingCostBasis,
+        closingValue: closingValue === undefined ? null : closingValue,
+        unrealizedYield: closingValue === undefined ? null : closingValue - closingCostBasis,
+      };
+    });
+
+  const rewards = {};
+  for (const item of inPeriod.filter((entry) => entry.type === "merkl-claim")) {
+    const key = positionKey(item.vault, item.token);
+    rewards[key] = rewards[key] || { vault: item.vault, token: item.token, claimed: 0n, fees: 0n, paid: 0n };
+    rewards[key].claimed += item.amount;
+    rewards[key].fees += item.fee;
+    rewards[key].paid += item.net;
+  }
+
+  return { owner, from, to, positions, rewards: Object.values(rewards), entries: inPeriod };
+}
+
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsonValue(item)]));
+  }
+  return value;
+}
+
+function statementToJson(statement) {
+  return JSON.stringify(toJsonValue(statement), null, 2) + "\n";
+}
+
+/**
+ * One CSV row per ledger entry; amounts in token base units
+ * @param tokens Optional { [address]: { symbol } } for the symbol column
+ */
+function statementToCsv(statement, tokens = {}) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = statement.entries.map((item) =>
+    ENTRY_COLUMNS.map((column) =>
+      escape(column === "symbol" ? tokens[item.token.toLowerCase()]?.symbol : item[column])
+    ).join(",")
+  );
+  return [ENTRY_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+  ENTRY_COLUMNS,
+  buildLedger,
+  buildStatement,
+  statementToJson,
+  statementToCsv,
+};
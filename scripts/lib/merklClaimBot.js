@@ -0,0 +1,289 @@
+const { ethers } = require("ethers");
+const { vaultAbi, simulateAndSend, parseEvents } = require("../../sdk/contracts");
+const { toSdkError } = require("../../sdk/errors");
+const { VaultClient } = require("../../sdk");
+const { USD_DECIMALS, noPriceSource, priceToUnits, toUsd } = require("./prices");
+const { DISTRIBUTOR_ABI } = require("./merklRewards");
+
+/**
+ * Merkl claim bot: claims the vaults' Merkl rewards as their admin
+ *
+ * For each vault the bot
+ *
+ *   1. checks that the signer is the vault admin and an approved Merkl operator
+ *      (the vault approves its admin on the first deposit),
+ *   2. loads the cumulative rewards and proofs from a reward source (see
+ *      merklRewards.js) and subtracts what the distributor has already sent,
+ *   3. drops tokens whose unclaimed amount is worth less than `minValueUsd`,
+ *   4. claims the rest with one adminClaimMerklRewardsBatch call, or only
+ *      simulates it in dry-run mode.
+ *
+ * Vaults whose owner set a merklCompoundAsset swap the claimed rewards into
+ * that asset and deposit them on-chain; the report records the asset and the
+ * amounts deposited (MerklRewardsCompounded). Each swap is claimed with a minimum
+ * output from the current Aerodrome quote less `slippageBps`, so a pool moved
+ * against the claim makes it revert instead of compounding at a bad price.
+ *
+ * A failing vault is recorded in the report and does not stop the run.
+ */
+
+const TOKEN_ABI = ["function symbol() view returns (string)", "function decimals() view returns (uint8)"];
+
+async function tokenMetadata(address, runner, reward) {
+  const token = new ethers.Contract(address, TOKEN_ABI, runner);
+  const [symbol, decimals] = await Promise.all([
+    reward.symbol ?? token.symbol().catch(() => address.slice(0, 10)),
+    reward.decimals ?? token.decimals().then(Number).catch(() => 18),
+  ]);
+  return { symbol, decimals };
+}
+
+/**
+ * Unclaimed rewards of one vault with their USD value and claim decision
+ */
+async function planVaultClaims(vault, distributor, options) {
+  const { source, chainId, priceSource, minValue } = options;
+  const rewards = await source.getRewards(vault.target, chainId);
+
+  const tokens = [];
+  for (const reward of rewards) {
+    const alreadyClaimed = await distributor.claimed(vault.target, reward.token);
+    const unclaimed = reward.amount > alreadyClaimed ? reward.amount - alreadyClaimed : 0n;
+    const { symbol, decimals } = await tokenMetadata(reward.token, vault.runner, reward);
+    const price = (await priceSource.getPrice({ address: reward.token, symbol })) ?? reward.price;
+    const valueUsd = toUsd(unclaimed, decimals, price);
+
+    let status = "claim";
+    if (unclaimed === 0n) {
+      status = "claimed";
+    } else if (minValue > 0n && valueUsd === null) {
+      status = "no-price";
+    } else if (minValue > 0n && valueUsd < minValue) {
+      status = "below-threshold";
+    }
+
+    tokens.push({
+      token: reward.token,
+      symbol,
+      decimals,
+      cumulative: reward.amount,
+      unclaimed,
+      valueUsd,
+      status,
+      proof: reward.proof,
+      fee: null,
+      userAmount: null,
+      minAmountOut: null,
+      compounded: null,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Claim (or simulate claiming) the rewards of one vault
+ */
+async function claimVault(address, options) {
+  const { signer, dryRun, slippageBps } = options;
+  const vault = new ethers.Contract(address, vaultAbi(), signer);
+  const result = {
+    vault: vault.target,
+    status: null,
+    reason: null,
+    compoundAsset: null,
+    tokens: [],
+    transactionHash: null,
+  };
+
+  try {
+    const [admin, approved, distributorAddress, compoundAsset] = await Promise.all([
+      vault.admin(),
+      vault.isAdminApprovedForMerkl(),
+      vault.merklDistributor(),
+      vault.merklCompoundAsset(),
+    ]);
+    const caller = await signer.getAddress();
+    if (admin !== caller) {
+      return { ...result, status: "skipped", reason: `signer ${caller} is not the vault admin (${admin})` };
+    }
+    if (!approved) {
+      return { ...result, status: "skipped", reason: "admin is not an approved Merkl operator yet" };
+    }
+
+    if (compoundAsset !== ethers.ZeroAddress) {
+      result.compoundAsset = { token: compoundAsset, ...(await tokenMetadata(compoundAsset, signer, {})) };
+    }
+
+    const distributor = new ethers.Contract(distributorAddress, DISTRIBUTOR_ABI, signer);
+    result.tokens = await planVaultClaims(vault, distributor, options);
+    const claims = result.tokens.filter((token) => token.status === "claim");
+    if (claims.length === 0) {
+      return { ...result, status: "skipped", reason: "nothing above the threshold to claim" };
+    }
+
+    const quotes = await new VaultClient(vault.target, signer).quoteClaims(
+      claims.map((c) => ({ token: c.token, amount: c.cumulative })),
+      { slippageBps }
+    );
+    claims.forEach((c, i) => (c.minAmountOut = quotes[i].minAmountOut));
+
+    const args = [
+      claims.map((c) => c.token),
+      claims.map((c) => c.cumulative),
+      claims.map((c) => c.proof),
+      claims.map((c) => c.minAmountOut),
+    ];
+    if (dryRun) {
+      try {
+        await vault.adminClaimMerklRewardsBatch.staticCall(...args);
+      } catch (error) {
+        throw toSdkError("adminClaimMerklRewardsBatch", "simulate", error, [vault.interface]);
+      }
+      return { ...result, status: "dry-run" };
+    }
+
+    const { receipt } = await simulateAndSend(vault, "adminClaimMerklRewardsBatch", args);
+    const events = parseEvents(vault, receipt);
+    for (const event of events.filter((parsed) => parsed.name === "MerklTokensClaimed")) {
+      const claim = claims.find((c) => c.token === event.args.token);
+      claim.unclaimed = event.args.totalAmount;
+      claim.fee = event.args.feeAmount;
+      claim.userAmount = event.args.userAmount;
+    }
+    for (const event of events.filter((parsed) => parsed.name === "MerklRewardsCompounded")) {
+      claims.find((c) => c.token === event.args.token).compounded = event.args.depositedAmount;
+    }
+    return { ...result, status: "claimed", transactionHash: receipt.hash };
+  } catch (error) {
+    return { ...result, status: "failed", reason: error.reason || error.message };
+  }
+}
+
+/**
+ * Run the bot over `vaults`
+ *
+ * @param vaults Vault addresses
+ * @param options.signer Admin signer
+ * @param options.source Reward source (see merklRewards.js)
+ * @param options.chainId Chain the rewards are fetched for
+ * @param options.priceSource Optional price source (see prices.js); reward prices from the source are the fallback
+ * @param options.minValueUsd Skip tokens whose unclaimed value is below this many USD (0 claims everything)
+ * @param options.slippageBps Slippage below the quote accepted for compounding swaps, in basis points (default 50)
+ * @param options.dryRun Simulate the claims without sending them
+ * @return Run report: { chainId, dryRun, source, minValueUsd, slippageBps, startedAt, vaults, totals }
+ */
+async function runClaimBot(vaults, options) {
+  const minValue = priceToUnits(options.minValueUsd ?? 0);
+  const resolved = { priceSource: noPriceSource, dryRun: false, slippageBps: 50, ...options, chainId: String(options.chainId), minValue };
+  const startedAt = new Date().toISOString();
+
+  const results = [];
+  for (const vault of vaults) {
+    results.push(await claimVault(vault, resolved));
+  }
+
+  const totals = { claimed: 0, dryRun: 0, skipped: 0, failed: 0, tokens: {}, compounded: {} };
+  for (const result of results) {
+    const key = { claimed: "claimed", "dry-run": "dryRun", skipped: "skipped", failed: "failed" }[result.status];
+    totals[key]++;
+    if (result.status !== "claimed" && result.status !== "dry-run") continue;
+
+    for (const token of result.tokens.filter((item) => item.status === "claim")) {
+      totals.tokens[token.token] = totals.tokens[token.token] || {
+        symbol: token.symbol,
+        decimals: token.decimals,
+        amount: 0n,
+        fee: 0n,
+        valueUsd: 0n,
+      };
+      const total = totals.tokens[token.token];
+      total.amount += token.unclaimed;
+      total.fee += token.fee ?? 0n;
+      total.valueUsd = total.valueUsd === null || token.valueUsd === null ? null : total.valueUsd + token.valueUsd;
+
+      if (token.compounded !== null) {
+        const { token: asset, symbol, decimals } = result.compoundAsset;
+        totals.compounded[asset] = totals.compounded[asset] || { symbol, decimals, amount: 0n };
+        totals.compounded[asset].amount += token.compounded;
+      }
+    }
+  }
+
+  return {
+    chainId: resolved.chainId,
+    dryRun: resolved.dryRun,
+    source: resolved.source.name,
+    minValueUsd: String(options.minValueUsd ?? 0),
+    slippageBps: String(resolved.slippageBps),
+    startedAt,
+    vaults: results,
+    totals,
+  };
+}
+
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsonValue(item)]));
+  }
+  return value;
+}
+
+function formatClaimReportJson(report) {
+  return JSON.stringify(toJsonValue(report), null, 2) + "\n";
+}
+
+/**
+ * Human-readable run summary, one line per vault and per claimed token
+ */
+function formatClaimReport(report) {
+  const usd = (value) => (value === null ? "n/a" : `$${ethers.formatUnits(value, USD_DECIMALS)}`);
+  const lines = [];
+
+  for (const result of report.vaults) {
+    if (result.status === "claimed" || result.status === "dry-run") {
+      const verb = result.status === "claimed" ? "claimed" : "would claim";
+      lines.push(`✅ ${result.vault}: ${verb} ${result.tokens.filter((t) => t.status === "claim").length} token(s)`);
+      if (result.compoundAsset) lines.push(`   compounding into ${result.compoundAsset.symbol}`);
+      if (result.transactionHash) lines.push(`   tx ${result.transactionHash}`);
+    } else if (result.status === "skipped") {
+      lines.push(`⚠️  ${result.vault}: skipped, ${result.reason}`);
+    } else {
+      lines.push(`❌ ${result.vault}: ${result.reason}`);
+    }
+
+    for (const token of result.tokens) {
+      const amount = ethers.formatUnits(token.unclaimed, token.decimals);
+      const fee = token.fee === null ? "" : `, fee ${ethers.formatUnits(token.fee, token.decimals)}`;
+      const asset = result.compoundAsset;
+      let compounded = "";
+      if (token.compounded !== null) {
+        compounded = ` → ${ethers.formatUnits(token.compounded, asset.decimals)} ${asset.symbol}`;
+      } else if (token.minAmountOut) {
+        compounded = ` → at least ${ethers.formatUnits(token.minAmountOut, asset.decimals)} ${asset.symbol}`;
+      }
+      lines.push(`   ${token.symbol}: ${amount} (${usd(token.valueUsd)}${fee}) ${token.status}${compounded}`);
+    }
+  }
+
+  const { totals } = report;
+  lines.push("");
+  lines.push(
+    `${report.dryRun ? `${totals.dryRun} vault(s) to claim` : `${totals.claimed} vault(s) claimed`}, ` +
+      `${totals.skipped} skipped, ${totals.failed} failed`
+  );
+  for (const total of Object.values(totals.tokens)) {
+    lines.push(`   ${total.symbol}: ${ethers.formatUnits(total.amount, total.decimals)} (${usd(total.valueUsd)})`);
+  }
+  for (const total of Object.values(totals.compounded)) {
+    lines.push(`   compounded: ${ethers.formatUnits(total.amount, total.decimals)} ${total.symbol}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  runClaimBot,
+  formatClaimReport,
+  formatClaimReportJson,
+};
@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MERKL_DISTRIBUTOR_ABI } = require("../../sdk/contracts");
+
+/**
+ * Merkl reward sources for the claim bot
+ *
+ * A reward source is any object with
+ *
+ *   name: string
+ *   getRewards(user, chainId): Promise<[{ token, amount, proof, symbol?, decimals?, price? }]>
+ *
+ * returning the cumulative amount of each reward token `user` has earned
+ * (claimed or not) with its Merkle proof against the current root. Sources
+ * are selected with a spec string: "merkl" for the Merkl API, a .json reward
+ * snapshot or a .js module exporting a source.
+ */
+
+const MERKL_API_URL = "https://api.merkl.xyz";
+
+// Merkl Distributor (same address on every chain, must match UserVault_V4.MERKL_DISTRIBUTOR)
+const MERKL_DISTRIBUTOR = "0x3Ef3D8bA38EBe18DB133cEc108f4D14CE00Dd9Ae";
+
+// Minimal view of the Merkl Distributor, shared with the SDK
+const DISTRIBUTOR_ABI = MERKL_DISTRIBUTOR_ABI;
+
+function normalizeReward(reward) {
+  return {
+    token: ethers.getAddress(reward.token),
+    amount: BigInt(reward.amount),
+    proof: reward.proof || [],
+    symbol: reward.symbol ?? null,
+    decimals: reward.decimals === undefined || reward.decimals === null ? null : Number(reward.decimals),
+    price: reward.price ?? null,
+  };
+}
+
+/**
+ * Source backed by a snapshot of the form
+ *
+ *   { chainId, root, rewards: { [user]: { [token]: { amount, proof, symbol?, decimals? } } } }
+ */
+function snapshotRewardSource(snapshot, name = "snapshot") {
+  const byUser = {};
+  for (const [user, tokens] of Object.entries(snapshot.rewards || {})) {
+    byUser[user.toLowerCase()] = Object.entries(tokens).map(([token, reward]) => normalizeReward({ ...reward, token }));
+  }
+
+  return {
+    name,
+    root: snapshot.root ?? null,
+    async getRewards(user, chainId) {
+      const expected = snapshot.chainId === undefined || snapshot.chainId === null ? null : String(snapshot.chainId);
+      if (expected !== null && expected !== String(chainId)) {
+        throw new Error(`${name} is a snapshot for chain ${snapshot.chainId}, not ${chainId}`);
+      }
+      return byUser[user.toLowerCase()] || [];
+    },
+  };
+}
+
+/**
+ * Source backed by the Merkl API (GET /v4/users/:address/rewards)
+ *
+ * @param options.baseUrl API root, defaults to MERKL_API_URL
+ * @param options.fetch fetch implementation, defaults to the global one
+ */
+function merklApiRewardSource(options = {}) {
+  const baseUrl = (options.baseUrl || MERKL_API_URL).replace(/\/$/, "");
+  const fetchImpl = options.fetch || globalThis.fetch;
+
+  return {
+    name: baseUrl,
+    async getRewards(user, chainId) {
+      const url = `${baseUrl}/v4/users/${user}/rewards?chainId=${chainId}`;
+      const response = await fetchImpl(url);
+      if (!response.ok) {
+        throw new Error(`Merkl API ${url} returned ${response.status}`);
+      }
+
+      const rewards = [];
+      for (const chain of await response.json()) {
+        for (const reward of chain.rewards || []) {
+          if (String(reward.token.chainId ?? chain.chain?.id) !== String(chainId)) continue;
+          rewards.push(
+            normalizeReward({
+              token: reward.token.address,
+              amount: reward.amount,
+              proof: reward.proofs,
+              symbol: reward.token.symbol,
+              decimals: reward.token.decimals,
+              price: reward.token.price,
+            })
+          );
+        }
+      }
+      return rewards;
+    },
+  };
+}
+
+/**
+ * Build a reward source from a spec: "merkl", a .json snapshot or a .js module
+ */
+function loadRewardSource(spec) {
+  if (!spec || spec === "merkl") {
+    return merklApiRewardSource({ baseUrl: process.env.MERKL_API_URL });
+  }
+
+  const file = path.resolve(spec);
+  if (!fs.existsSync(file)) {
+    throw new Error(`--source: ${spec} does not exist`);
+  }
+
+  if (file.endsWith(".json")) {
+    return snapshotRewardSource(JSON.parse(fs.readFileSync(file, "utf8")), path.basename(file));
+  }
+
+  const source = require(file);
+  if (typeof source.getRewards !== "function") {
+    throw new Error(`--source: ${spec} must export getRewards(user, chainId)`);
+  }
+  return { name: source.name || path.basename(file), getRewards: source.getRewards.bind(source) };
+}
+
+module.exports = {
+  MERKL_API_URL,
+  MERKL_DISTRIBUTOR,
+  DISTRIBUTOR_ABI,
+  snapshotRewardSource,
+  merklApiRewardSource,
+  loadRewardSource,
+};
@@ -0,0 +1,160 @@
+const { ethers } = require("ethers");
+
+/**
+ * Merkle trees of cumulative Merkl rewards
+ *
+ * Leaves are keccak256(abi.encode(user, token, cumulativeAmount)) and parent
+ * nodes hash the sorted pair of their children, matching the Merkl Distributor
+ * and MockMerklDistributor. Leaves are sorted so the same rewards always give
+ * the same root; an unpaired node moves up unchanged.
+ *
+ * A distribution file lists cumulative amounts per user and token:
+ *
+ *   { chainId, rewards: { [user]: { [token]: amount } } }
+ *
+ * (or `rewards: [{ user, token, amount }]`). buildRewardSnapshot turns it into
+ * the snapshot read by the claim bot (see merklRewards.js):
+ *
+ *   { chainId, root, rewards: { [user]: { [token]: { amount, proof } } } }
+ */
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+function merklLeaf(user, token, amount) {
+  return ethers.keccak256(abiCoder.encode(["address", "address", "uint256"], [user, token, BigInt(amount)]));
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a tree from cumulative rewards
+ *
+ * @param rewards [{ user, token, amount }], at most one per (user, token)
+ * @return { root, rewards: [{ user, token, amount, leaf, proof }] }
+ */
+function buildMerkleTree(rewards) {
+  if (rewards.length === 0) {
+    throw new Error("Cannot build a Merkle tree without rewards");
+  }
+
+  const seen = new Set();
+  const leaves = rewards.map((reward) => {
+    const user = ethers.getAddress(reward.user);
+    const token = ethers.getAddress(reward.token);
+    const key = `${user}:${token}`;
+    if (seen.has(key)) {
+      throw new Error(`Duplicate reward for ${user} in ${token}`);
+    }
+    seen.add(key);
+    const amount = BigInt(reward.amount);
+    return { user, token, amount, leaf: merklLeaf(user, token, amount) };
+  });
+
+  const layers = [leaves.map((item) => item.leaf).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofOf = (leaf) => {
+    const proof = [];
+    let index = layers[0].indexOf(leaf);
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  };
+
+  return {
+    root: layers[layers.length - 1][0],
+    rewards: leaves.map((item) => ({ ...item, proof: proofOf(item.leaf) })),
+  };
+}
+
+/**
+ * Recompute the root from a leaf and its proof
+ */
+function verifyProof(leaf, proof, root) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+}
+
+/**
+ * Whether `{ user, token, amount, proof }` is part of the tree with `root`
+ */
+function verifyReward(reward, root) {
+  return verifyProof(merklLeaf(reward.user, reward.token, reward.amount), reward.proof, root);
+}
+
+/**
+ * Validate a distribution and flatten it to [{ user, token, amount }]
+ */
+function parseDistribution(distribution) {
+  const entries = Array.isArray(distribution.rewards)
+    ? distribution.rewards
+    : Object.entries(distribution.rewards || {}).flatMap(([user, tokens]) =>
+        Object.entries(tokens).map(([token, amount]) => ({ user, token, amount }))
+      );
+
+  return entries.map((entry, i) => {
+    for (const field of ["user", "token"]) {
+      if (!ethers.isAddress(entry[field])) {
+        throw new Error(`rewards[${i}].${field}: "${entry[field]}" is not an address`);
+      }
+    }
+    if (!/^\d+$/.test(String(entry.amount))) {
+      throw new Error(`rewards[${i}].amount: "${entry.amount}" is not a non-negative integer`);
+    }
+    return { user: ethers.getAddress(entry.user), token: ethers.getAddress(entry.token), amount: BigInt(entry.amount) };
+  });
+}
+
+/**
+ * Tree of a distribution, as a reward snapshot with a proof for every (user, token)
+ */
+function buildRewardSnapshot(distribution) {
+  const tree = buildMerkleTree(parseDistribution(distribution));
+  const rewards = {};
+  for (const reward of tree.rewards) {
+    rewards[reward.user] = rewards[reward.user] || {};
+    rewards[reward.user][reward.token] = { amount: reward.amount.toString(), proof: reward.proof };
+  }
+  return { chainId: distribution.chainId ?? null, root: tree.root, rewards };
+}
+
+/**
+ * Check every proof of a snapshot against its root
+ * @return { root, verified, invalid: [{ user, token }] }
+ */
+function verifyRewardSnapshot(snapshot) {
+  let verified = 0;
+  const invalid = [];
+  for (const [user, tokens] of Object.entries(snapshot.rewards || {})) {
+    for (const [token, reward] of Object.entries(tokens)) {
+      if (verifyReward({ user, token, amount: reward.amount, proof: reward.proof }, snapshot.root)) {
+        verified++;
+      } else {
+        invalid.push({ user, token });
+      }
+    }
+  }
+  return { root: snapshot.root, verified, invalid };
+}
+
+module.exports = {
+  merklLeaf,
+  hashPair,
+  buildMerkleTree,
+  verifyProof,
+  verifyReward,
+  parseDistribution,
+  buildRewardSnapshot,
+  verifyRewardSnapshot,
+};
@@ -0,0 +1,109 @@
+/**
+ * Local mock ecosystem for UserVault_V4
+ *
+ * UserVault_V4 hardcodes the Bundler3, GeneralAdapter1, Aerodrome and Merkl
+ * distributor addresses, so the mocks are deployed normally and their runtime code is then
+ * copied to the hardcoded addresses with hardhat_setCode. Tokens and Morpho
+ * vaults are ordinary deployments and are passed to the vault constructor.
+ *
+ * Shared by the test fixtures and the CLI scripts; only for hardhat and localhost.
+ */
+
+// Hardcoded protocol addresses (must match UserVault_V4 constants)
+const BUNDLER_ADDRESS = "0x6BFd8137e702540E7A42B74178A4a49Ba43920C4";
+const ADAPTER_ADDRESS = "0xb98c948CFA24072e58935BC004a8A7b376AE746A";
+const MERKL_DISTRIBUTOR = "0x3Ef3D8bA38EBe18DB133cEc108f4D14CE00Dd9Ae";
+const AERODROME_ROUTER = "0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43";
+const AERODROME_FACTORY = "0x420DD381b31aEf6683db6B902084cB0FFECe40Da";
+
+// Default fee configuration (in basis points)
+const FEE_PERCENTAGE = 100; // 1%
+const REBALANCE_FEE_PERCENTAGE = 1000; // 10%
+const MERKL_CLAIM_FEE_PERCENTAGE = 1000; // 10%
+
+/**
+ * Copy the runtime code of a deployed contract to a fixed address
+ */
+async function installAt(hre, address, contract) {
+  const code = await hre.ethers.provider.getCode(await contract.getAddress());
+  await hre.network.provider.send("hardhat_setCode", [address, code]);
+  return address;
+}
+
+/**
+ * Deploy mock tokens and MetaMorpho vaults, and install the bundler, adapter,
+ * Aerodrome and Merkl distributor mocks at the addresses hardcoded in UserVault_V4
+ */
+async function deployMockEcosystem(hre) {
+  const { ethers } = hre;
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+  const weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+  const cbbtc = await MockERC20.deploy("Coinbase Wrapped BTC", "cbBTC", 8);
+  const rewardToken = await MockERC20.deploy("Morpho Token", "MORPHO", 18);
+
+  const MockMetaMorpho = await ethers.getContractFactory("MockMetaMorpho");
+  const usdcVault1 = await MockMetaMorpho.deploy(await usdc.getAddress(), "Mock USDC Vault 1", "mvUSDC1");
+  const usdcVault2 = await MockMetaMorpho.deploy(await usdc.getAddress(), "Mock USDC Vault 2", "mvUSDC2");
+  const wethVault = await MockMetaMorpho.deploy(await weth.getAddress(), "Mock WETH Vault", "mvWETH");
+  const cbbtcVault = await MockMetaMorpho.deploy(await cbbtc.getAddress(), "Mock cbBTC Vault", "mvcbBTC");
+
+  const MockBundler3 = await ethers.getContractFactory("MockBundler3");
+  await installAt(hre, BUNDLER_ADDRESS, await MockBundler3.deploy());
+
+  const MockGeneralAdapter = await ethers.getContractFactory("MockGeneralAdapter");
+  await installAt(hre, ADAPTER_ADDRESS, await MockGeneralAdapter.deploy(BUNDLER_ADDRESS));
+
+  const MockMerklDistributor = await ethers.getContractFactory("MockMerklDistributor");
+  await installAt(hre, MERKL_DISTRIBUTOR, await MockMerklDistributor.deploy());
+  // hardhat_setCode keeps storage, so clear a root published by an earlier deployment
+  await (await ethers.getContractAt("MockMerklDistributor", MERKL_DISTRIBUTOR)).updateTree(ethers.ZeroHash);
+
+  // Pools and rates are keyed by token, so fresh tokens start without any
+  await installAt(hre, AERODROME_FACTORY, await (await ethers.getContractFactory("MockAerodromeFactory")).deploy());
+  await installAt(hre, AERODROME_ROUTER, await (await ethers.getContractFactory("MockAerodromeRouter")).deploy());
+
+  return {
+    usdc,
+    weth,
+    cbbtc,
+    rewardToken,
+    usdcVault1,
+    usdcVault2,
+    wethVault,
+    cbbtcVault,
+    bundler: await ethers.getContractAt("MockBundler3", BUNDLER_ADDRESS),
+    adapter: await ethers.getContractAt("MockGeneralAdapter", ADAPTER_ADDRESS),
+    distributor: await ethers.getContractAt("MockMerklDistributor", MERKL_DISTRIBUTOR),
+    aerodromeRouter: await ethers.getContractAt("MockAerodromeRouter", AERODROME_ROUTER),
+    aerodromeFactory: await ethers.getContractAt("MockAerodromeFactory", AERODROME_FACTORY),
+  };
+}
+
+/**
+ * Open an Aerodrome pool on the mocks that pays `rateE18` / 1e18 raw units of
+ * `tokenOut` per raw unit of `tokenIn` (one direction only)
+ */
+async function addAerodromePool(hre, tokenIn, tokenOut, stable, rateE18) {
+  const { ethers } = hre;
+  const factory = await ethers.getContractAt("MockAerodromeFactory", AERODROME_FACTORY);
+  const router = await ethers.getContractAt("MockAerodromeRouter", AERODROME_ROUTER);
+  if ((await factory.getPool(tokenIn, tokenOut, stable)) === ethers.ZeroAddress) {
+    await factory.createPool(tokenIn, tokenOut, stable);
+  }
+  await router.setRate(tokenIn, tokenOut, stable, rateE18);
+}
+
+module.exports = {
+  BUNDLER_ADDRESS,
+  ADAPTER_ADDRESS,
+  MERKL_DISTRIBUTOR,
+  AERODROME_ROUTER,
+  AERODROME_FACTORY,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+  installAt,
+  deployMockEcosystem,
+  addAerodromePool,
+};
@@ -0,0 +1,232 @@
+const { ethers } = require("ethers");
+const { USD_DECIMALS, toUsd } = require("./prices");
+
+/**
+ * Portfolio report for a UserVault_V4
+ *
+ * Combines getPortfolioSummary with getAssetRebalanceInfo, getAssetFeesCollected,
+ * getAssetAllocation and getFeeInfo, resolves token symbols and decimals, and values
+ * every amount in USD with a price source (see prices.js). Renders as a table, JSON or CSV.
+ */
+
+const CSV_COLUMNS = [
+  "asset",
+  "symbol",
+  "decimals",
+  "deposited",
+  "currentValue",
+  "profit",
+  "rebalanceBase",
+  "rebalanceProfit",
+  "rebalanceFees",
+  "withdrawalFees",
+  "priceUsd",
+  "depositedUsd",
+  "currentValueUsd",
+  "profitUsd",
+];
+
+/**
+ * Symbol and decimals through IERC20Extended, with the vault's own fallbacks
+ */
+async function tokenMetadata(hre, address) {
+  const token = await hre.ethers.getContractAt("IERC20Extended", address);
+  const [symbol, decimals] = await Promise.all([
+    token.symbol().catch(() => address.slice(0, 10)),
+    // Same fallback as UserVault_V4._getTokenDecimals
+    token.decimals().then(Number).catch(() => 18),
+  ]);
+  return { symbol, decimals };
+}
+
+function formatUsd(value) {
+  return value === null ? null : ethers.formatUnits(value, USD_DECIMALS);
+}
+
+/**
+ * Read a vault's positions and value them in USD
+ *
+ * @param hre Hardhat runtime environment
+ * @param vaultAddress UserVault_V4 address
+ * @param priceSource Source from prices.js
+ */
+async function buildPortfolioReport(hre, vaultAddress, priceSource) {
+  const vault = await hre.ethers.getContractAt("UserVault_V4", vaultAddress);
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+  const [[assets, deposited, currentValues, profits], [revenueAddress, feePercentage, minProfitForFee]] =
+    await Promise.all([vault.getPortfolioSummary(), vault.getFeeInfo()]);
+
+  const totals = { depositedUsd: 0n, currentValueUsd: 0n, profitUsd: 0n, feesUsd: 0n };
+  const unpriced = [];
+  const positions = [];
+
+  for (let i = 0; i < assets.length; i++) {
+    const asset = assets[i];
+    const [
+      { symbol, decimals },
+      [baseAmount, , rebalanceProfit, rebalanceFees],
+      withdrawalFees,
+      [allocationVaults, allocationShares, allocationAssets, allocationWeights],
+    ] = await Promise.all([
+      tokenMetadata(hre, asset),
+      vault.getAssetRebalanceInfo(asset),
+      vault.getAssetFeesCollected(asset),
+      vault.getAssetAllocation(asset),
+    ]);
+
+    const price = await priceSource.getPrice({ address: asset, symbol });
+    if (price === null) unpriced.push(symbol);
+
+    const usd = {
+      deposited: toUsd(deposited[i], decimals, price),
+      currentValue: toUsd(currentValues[i], decimals, price),
+      profit: toUsd(profits[i], decimals, price),
+      fees: toUsd(withdrawalFees + rebalanceFees, decimals, price),
+    };
+    if (price !== null) {
+      totals.depositedUsd += usd.deposited;
+      totals.currentValueUsd += usd.currentValue;
+      totals.profitUsd += usd.profit;
+      totals.feesUsd += usd.fees;
+    }
+
+    const format = (amount) => ethers.formatUnits(amount, decimals);
+    positions.push({
+      asset,
+      symbol,
+      decimals,
+      deposited: format(deposited[i]),
+      currentValue: format(currentValues[i]),
+      profit: format(profits[i]),
+      rebalanceBase: format(baseAmount),
+      rebalanceProfit: format(rebalanceProfit),
+      rebalanceFees: format(rebalanceFees),
+      withdrawalFees: format(withdrawalFees),
+      // Vaults holding the asset or targeted by a weight
+      allocation: allocationVaults
+        .map((address, j) => ({
+          vault: address,
+          weight: Number(allocationWeights[j]),
+          shares: allocationShares[j].toString(),
+          currentValue: format(allocationAssets[j]),
+        }))
+        .filter((entry) => entry.weight > 0 || entry.shares !== "0"),
+      priceUsd: price === null ? null : String(price),
+      depositedUsd: formatUsd(usd.deposited),
+      currentValueUsd: formatUsd(usd.currentValue),
+      profitUsd: formatUsd(usd.profit),
+      raw: {
+        deposited: deposited[i].toString(),
+        currentValue: currentValues[i].toString(),
+        profit: profits[i].toString(),
+        rebalanceBase: baseAmount.toString(),
+        rebalanceProfit: rebalanceProfit.toString(),
+        rebalanceFees: rebalanceFees.toString(),
+        withdrawalFees: withdrawalFees.toString(),
+      },
+    });
+  }
+
+  return {
+    vault: ethers.getAddress(vaultAddress),
+    network: hre.network.name,
+    blockNumber,
+    generatedAt: new Date().toISOString(),
+    priceSource: priceSource.name,
+    fees: {
+      revenueAddress,
+      feePercentage: Number(feePercentage),
+      minProfitForFee: minProfitForFee.toString(),
+    },
+    positions,
+    totals: {
+      depositedUsd: formatUsd(totals.depositedUsd),
+      currentValueUsd: formatUsd(totals.currentValueUsd),
+      profitUsd: formatUsd(totals.profitUsd),
+      feesUsd: formatUsd(totals.feesUsd),
+    },
+    unpriced,
+  };
+}
+
+/**
+ * Cut a decimal string to `places` decimals for display
+ */
+function truncateDecimals(value, places) {
+  if (value === null) return "-";
+  const [whole, fraction = ""] = value.split(".");
+  return places === 0 ? whole : `${whole}.${fraction.padEnd(places, "0").slice(0, places)}`;
+}
+
+function formatTable(report) {
+  const headers = ["Asset", "Deposited", "Current", "Profit", "Rebal. Fees", "Withdr. Fees", "Price", "Value USD", "Profit USD"];
+  const rows = report.positions.map((position) => [
+    position.symbol,
+    truncateDecimals(position.deposited, 6),
+    truncateDecimals(position.currentValue, 6),
+    truncateDecimals(position.profit, 6),
+    truncateDecimals(position.rebalanceFees, 6),
+    truncateDecimals(position.withdrawalFees, 6),
+    truncateDecimals(position.priceUsd, 2),
+    truncateDecimals(position.currentValueUsd, 2),
+    truncateDecimals(position.profitUsd, 2),
+  ]);
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+
+  const lines = [
+    `=== Portfolio Report: ${report.vault} ===`,
+    `Network: ${report.network} (block ${report.blockNumber})`,
+    `Fee: ${report.fees.feePercentage} bps, revenue ${report.fees.revenueAddress}`,
+    "",
+    line(headers),
+    widths.map((width) => "-".repeat(width)).join("  "),
+    ...rows.map(line),
+    "",
+    `Total value: $${truncateDecimals(report.totals.currentValueUsd, 2)}`,
+    `Total deposited: $${truncateDecimals(report.totals.depositedUsd, 2)}`,
+    `Total profit: $${truncateDecimals(report.totals.profitUsd, 2)}`,
+    `Total fees collected: $${truncateDecimals(report.totals.feesUsd, 2)}`,
+  ];
+  if (report.positions.length === 0) {
+    lines.splice(6, 0, "(no deposits)");
+  }
+  const split = report.positions.filter((position) => position.allocation.length > 1);
+  if (split.length > 0) {
+    lines.push("");
+    for (const position of split) {
+      lines.push(`${position.symbol} allocation:`);
+      for (const entry of position.allocation) {
+        const target = entry.weight > 0 ? `target ${(entry.weight / 100).toFixed(2)}%` : "no target";
+        lines.push(`  ${entry.vault}  ${truncateDecimals(entry.currentValue, 6)} (${target})`);
+      }
+    }
+  }
+  if (report.unpriced.length > 0) {
+    lines.push(`⚠️  No ${report.priceSource} price for ${report.unpriced.join(", ")}; excluded from USD totals`);
+  }
+  return lines.join("\n");
+}
+
+function formatCsv(report) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = report.positions.map((position) => CSV_COLUMNS.map((column) => escape(position[column])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  tokenMetadata,
+  buildPortfolioReport,
+  formatTable,
+  formatCsv,
+  formatJson,
+};
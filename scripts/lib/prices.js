@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * USD price sources for reports
+ *
+ * A price source is any object with
+ *
+ *   name: string
+ *   getPrice({ address, symbol }): Promise<string | number | null>
+ *
+ * returning the USD price of one whole token, or null when unknown. Sources
+ * are selected with a spec string: a .json price file, a .js module exporting
+ * a source, or "none".
+ */
+
+// Prices are carried as fixed-point integers with this many decimals
+const USD_DECIMALS = 18;
+
+/**
+ * Source backed by a static map keyed by token address or symbol, e.g.
+ *   { "USDC": 1, "0x4200000000000000000000000000000000000006": "3412.55" }
+ */
+function staticPriceSource(prices, name = "static") {
+  const byKey = {};
+  for (const [key, price] of Object.entries(prices)) {
+    byKey[ethers.isAddress(key) ? key.toLowerCase() : key.toUpperCase()] = price;
+  }
+
+  return {
+    name,
+    async getPrice({ address, symbol }) {
+      return byKey[address.toLowerCase()] ?? byKey[(symbol || "").toUpperCase()] ?? null;
+    },
+  };
+}
+
+/**
+ * Source that knows no prices; reports then only show token amounts
+ */
+const noPriceSource = {
+  name: "none",
+  async getPrice() {
+    return null;
+  },
+};
+
+/**
+ * Build a price source from a spec: "none", a .json price file or a .js module
+ */
+function loadPriceSource(spec) {
+  if (!spec || spec === "none") {
+    return noPriceSource;
+  }
+
+  const file = path.resolve(spec);
+  if (!fs.existsSync(file)) {
+    throw new Error(`--prices: ${spec} does not exist`);
+  }
+
+  if (file.endsWith(".json")) {
+    return staticPriceSource(JSON.parse(fs.readFileSync(file, "utf8")), path.basename(file));
+  }
+
+  const source = require(file);
+  if (typeof source.getPrice !== "function") {
+    throw new Error(`--prices: ${spec} must export getPrice({ address, symbol })`);
+  }
+  return { name: source.name || path.basename(file), getPrice: source.getPrice.bind(source) };
+}
+
+/**
+ * Price as a USD_DECIMALS fixed-point bigint. Accepts numbers and strings,
+ * including exponent notation ("1e-7"), and truncates digits past USD_DECIMALS.
+ */
+function priceToUnits(price) {
+  const text = String(price).trim();
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid price: ${text}`);
+  }
+
+  const [, sign, whole = "", fraction = "", exponent = "0"] = match;
+  const shift = Number(exponent) + USD_DECIMALS;
+  const digits = whole + fraction;
+  const point = whole.length + shift;
+  const units = point <= 0 ? "0" : digits.padEnd(point, "0").slice(0, point);
+  const value = BigInt(units || "0");
+  return sign === "-" ? -value : value;
+}
+
+/**
+ * USD value of `amount` base units of a token with `decimals`, as a USD_DECIMALS fixed-point bigint
+ */
+function toUsd(amount, decimals, price) {
+  if (price === null || price === undefined) return null;
+  return (BigInt(amount) * priceToUnits(price)) / 10n ** BigInt(decimals);
+}
+
+module.exports = {
+  USD_DECIMALS,
+  staticPriceSource,
+  noPriceSource,
+  loadPriceSource,
+  priceToUnits,
+  toUsd,
+};
@@ -0,0 +1,343 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ERC4626_ABI, vaultAbi, simulateAndSend } = require("../../sdk/contracts");
+const { toSdkError } = require("../../sdk/errors");
+const { blockAtTimestamp } = require("./blocks");
+const { noPriceSource, toUsd } = require("./prices");
+
+/**
+ * Yield-chasing rebalance keeper
+ *
+ * For every allowed asset of a vault, the keeper measures the APY of each
+ * Morpho vault in assetAvailableVaults from its share price now and `window`
+ * seconds ago (historical calls, so the RPC node must serve past state). The
+ * best candidate replaces the active vault when
+ *
+ *   1. its APY beats the active vault's by at least `minApyDelta` basis points,
+ *   2. the extra yield expected over `horizon` seconds exceeds the rebalance
+ *      fee (rebalanceFeePercentage of the profit above the rebalance base) plus
+ *      the gas cost, and
+ *   3. the asset was not rebalanced by the keeper in the last `cooldown` seconds.
+ *
+ * Gas is only counted when the price source knows ETH and the asset. Without
+ * those prices a dry run still proposes the rebalance, but a live run holds it.
+ *
+ * Every evaluation is returned as a decision; the task appends them to a JSON
+ * lines log. Cooldowns are kept in a small state file, .keeper/<network>.json
+ * (override the directory with KEEPER_DIR).
+ */
+
+const YEAR = 365 * 24 * 3600;
+const STATE_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, "..", "..", ".keeper");
+
+const DEFAULTS = {
+  window: 7 * 86400,
+  minApyDelta: 50,
+  horizon: 30 * 86400,
+  cooldown: 86400,
+};
+
+const SHARE_ABI = [...ERC4626_ABI, "function decimals() view returns (uint8)"];
+const TOKEN_ABI = ["function symbol() view returns (string)", "function decimals() view returns (uint8)"];
+
+// ============ State ============
+
+function keeperDir(options = {}) {
+  return options.dir || process.env.KEEPER_DIR || DEFAULT_DIR;
+}
+
+function keeperStatePath(network, options) {
+  return path.join(keeperDir(options), `${network}.json`);
+}
+
+function decisionLogPath(network, options) {
+  return path.join(keeperDir(options), `${network}.decisions.jsonl`);
+}
+
+/**
+ * Keeper state: { version, lastRebalance: { "<vault>:<asset>": { timestamp, fromVault, toVault, transactionHash } } }
+ */
+function readKeeperState(file) {
+  if (!fs.existsSync(file)) {
+    return { version: STATE_VERSION, lastRebalance: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`${file}: unsupported keeper state version ${state.version}`);
+  }
+  return state;
+}
+
+function writeKeeperState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsonValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * Append decisions to a JSON lines log
+ */
+function appendDecisionLog(file, decisions) {
+  if (decisions.length === 0) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, decisions.map((decision) => JSON.stringify(toJsonValue(decision)) + "\n").join(""));
+}
+
+// ============ APY ============
+
+/**
+ * Annualized, compounded growth of a share price over `seconds`
+ */
+function annualize(priceBefore, priceNow, seconds) {
+  const growth = Number((priceNow * 10n ** 18n) / priceBefore) / 1e18;
+  return Math.pow(growth, YEAR / seconds) - 1;
+}
+
+/**
+ * APY of each ERC4626 vault over the window ending at `head`
+ *
+ * @return Map of vault => { apy, priceBefore, priceNow }; apy is null when the
+ *   vault has no share price at the start of the window
+ */
+async function measureApys(provider, vaults, head, window) {
+  const startBlock = await blockAtTimestamp(provider, head.timestamp - window, head.number);
+  const start = await provider.getBlock(startBlock);
+  const seconds = head.timestamp - start.timestamp;
+
+  const apys = new Map();
+  for (const address of vaults) {
+    const vault = new ethers.Contract(address, SHARE_ABI, provider);
+    const unit = 10n ** (await vault.decimals());
+    const priceNow = await vault.convertToAssets(unit, { blockTag: head.number });
+    let priceBefore = null;
+    try {
+      priceBefore = await vault.convertToAssets(unit, { blockTag: startBlock });
+    } catch {
+      // Not deployed yet, or historical state unavailable
+    }
+    const apy = seconds > 0 && priceBefore ? annualize(priceBefore, priceNow, seconds) : null;
+    apys.set(address, { apy, priceBefore, priceNow });
+  }
+  return apys;
+}
+
+// ============ Decisions ============
+
+/**
+ * Gas cost of a transaction in units of `asset`, or null without both prices
+ */
+async function gasCostInAsset(gasWei, asset, symbol, decimals, priceSource) {
+  const [ethPrice, assetPrice] = await Promise.all([
+    priceSource.getPrice({ address: ethers.ZeroAddress, symbol: "ETH" }),
+    priceSource.getPrice({ address: asset, symbol }),
+  ]);
+  if (ethPrice === null || assetPrice === null) return null;
+  const gasUsd = toUsd(gasWei, 18, ethPrice);
+  return (gasUsd * 10n ** BigInt(decimals)) / toUsd(10n ** 18n, 18, assetPrice);
+}
+
+/**
+ * Evaluate, and unless dry-running execute, a rebalance of one asset
+ */
+async function evaluateAsset(vault, asset, context) {
+  const { options, head, state } = context;
+  const provider = vault.runner.provider;
+  const token = new ethers.Contract(asset, TOKEN_ABI, provider);
+  const [symbol, decimals] = await Promise.all([
+    token.symbol().catch(() => asset.slice(0, 10)),
+    token.decimals().then(Number).catch(() => 18),
+  ]);
+
+  const decision = {
+    timestamp: head.timestamp,
+    blockNumber: head.number,
+    vault: vault.target,
+    asset,
+    symbol,
+    activeVault: null,
+    activeApy: null,
+    candidate: null,
+    candidateApy: null,
+    apys: {},
+    positionValue: null,
+    expectedGain: null,
+    rebalanceFee: null,
+    gasCost: null,
+    action: "hold",
+    reason: null,
+    transactionHash: null,
+  };
+  const hold = (reason) => ({ ...decision, reason });
+
+  const [hasDeposit, activeVault, available, split] = await Promise.all([
+    vault.assetHasInitialDeposit(asset),
+    vault.getAssetActiveVault(asset),
+    vault.getAssetAvailableVaults(asset),
+    vault.assetHasWeights(asset),
+  ]);
+  decision.activeVault = activeVault;
+  if (!hasDeposit) return hold("no deposit for this asset");
+  // Moving the whole active position would undo the admin's target split
+  if (split) return hold("split across vaults by target weights");
+  if (available.length < 2) return hold("no other vault available for this asset");
+
+  const apys = await measureApys(provider, available, head, options.window);
+  for (const [address, { apy }] of apys) decision.apys[address] = apy;
+  decision.activeApy = apys.get(activeVault)?.apy ?? null;
+  if (decision.activeApy === null) return hold("no APY history for the active vault");
+
+  const candidates = available
+    .filter((address) => address !== activeVault && apys.get(address).apy !== null)
+    .sort((a, b) => apys.get(b).apy - apys.get(a).apy);
+  if (candidates.length === 0) return hold("no APY history for the other vaults");
+  decision.candidate = candidates[0];
+  decision.candidateApy = apys.get(candidates[0]).apy;
+
+  const improvement = decision.candidateApy - decision.activeApy;
+  if (improvement * 10000 < options.minApyDelta) {
+    return hold(`APY improvement of ${(improvement * 100).toFixed(2)}% is below the ${options.minApyDelta} bps margin`);
+  }
+
+  const key = `${vault.target}:${asset}`.toLowerCase();
+  const last = state.lastRebalance[key];
+  if (last && head.timestamp < last.timestamp + options.cooldown) {
+    return hold(`cooldown until ${new Date((last.timestamp + options.cooldown) * 1000).toISOString()}`);
+  }
+
+  const [[baseAmount, currentValue], feePercentage] = await Promise.all([
+    vault.getAssetRebalanceInfo(asset),
+    vault.rebalanceFeePercentage(),
+  ]);
+  decision.positionValue = currentValue;
+  decision.rebalanceFee =
+    baseAmount > 0n && currentValue > baseAmount ? ((currentValue - baseAmount) * feePercentage) / 10000n : 0n;
+  // Extra yield over the horizon, with the APY difference in 1e-9 steps
+  const gainRate = BigInt(Math.floor((improvement * options.horizon * 1e9) / YEAR));
+  decision.expectedGain = (currentValue * gainRate) / 1_000_000_000n;
+
+  let gas;
+  try {
+    gas = await vault.rebalanceToVault.estimateGas(asset, decision.candidate);
+  } catch (error) {
+    const { reason } = toSdkError("rebalanceToVault", "simulate", error, [vault.interface]);
+    return { ...decision, action: "skip", reason: `rebalanceToVault would revert: ${reason}` };
+  }
+  const { gasPrice, maxFeePerGas } = await provider.getFeeData();
+  decision.gasCost = await gasCostInAsset(gas * (maxFeePerGas ?? gasPrice ?? 0n), asset, symbol, decimals, options.priceSource);
+
+  const cost = decision.rebalanceFee + (decision.gasCost ?? 0n);
+  if (decision.expectedGain <= cost) {
+    return hold(`expected gain over ${options.horizon}s does not cover the rebalance fee and gas`);
+  }
+
+  // Unpriced gas counts as 0, so such a rebalance is only ever proposed, never sent
+  if (decision.gasCost === null && !options.dryRun) {
+    return hold("gain exceeds the rebalance fee, but gas is not priced: pass a price source for ETH and the asset");
+  }
+  const reason = decision.gasCost === null ? "gain exceeds the rebalance fee (gas not priced)" : "gain exceeds fee and gas";
+  if (options.dryRun) {
+    return { ...decision, action: "propose", reason };
+  }
+
+  const { receipt } = await simulateAndSend(vault, "rebalanceToVault", [asset, decision.candidate]);
+  const block = await provider.getBlock(receipt.blockNumber);
+  state.lastRebalance[key] = {
+    timestamp: block.timestamp,
+    fromVault: activeVault,
+    toVault: decision.candidate,
+    transactionHash: receipt.hash,
+  };
+  return { ...decision, action: "rebalance", reason, transactionHash: receipt.hash };
+}
+
+/**
+ * Run the keeper over `vaults`
+ *
+ * @param vaults Vault addresses
+ * @param options.signer Vault admin
+ * @param options.state Keeper state (see readKeeperState), updated in place after each rebalance
+ * @param options.window APY window in seconds
+ * @param options.minApyDelta Required APY improvement in basis points
+ * @param options.horizon Seconds of extra yield that must pay for the fee and gas
+ * @param options.cooldown Minimum seconds between two rebalances of an asset
+ * @param options.priceSource Prices of ETH and the assets, to count gas (see prices.js); required to send rebalances
+ * @param options.dryRun Propose rebalances without sending them
+ * @return decisions, one per vault and asset
+ */
+async function runRebalanceKeeper(vaults, options) {
+  const resolved = { ...DEFAULTS, priceSource: noPriceSource, dryRun: false, ...options };
+  const { signer, state } = resolved;
+  const caller = await signer.getAddress();
+  const head = await signer.provider.getBlock("latest");
+
+  const decisions = [];
+  for (const address of vaults) {
+    const vault = new ethers.Contract(address, vaultAbi(), signer);
+    const admin = await vault.admin();
+    if (admin !== caller) {
+      decisions.push({
+        timestamp: head.timestamp,
+        blockNumber: head.number,
+        vault: vault.target,
+        asset: null,
+        action: "skip",
+        reason: `signer ${caller} is not the vault admin (${admin})`,
+      });
+      continue;
+    }
+
+    for (const asset of await vault.getAllowedAssets()) {
+      try {
+        decisions.push(await evaluateAsset(vault, asset, { options: resolved, head, state }));
+      } catch (error) {
+        decisions.push({
+          timestamp: head.timestamp,
+          blockNumber: head.number,
+          vault: vault.target,
+          asset,
+          action: "skip",
+          reason: error.reason || error.message,
+        });
+      }
+    }
+  }
+  return decisions;
+}
+
+/**
+ * One line per decision
+ */
+function formatDecision(decision) {
+  const percent = (apy) => (apy === null || apy === undefined ? "n/a" : `${(apy * 100).toFixed(2)}%`);
+  const icon = { rebalance: "✅", propose: "✅", hold: "  ", skip: "⚠️ " }[decision.action];
+  const subject = decision.symbol ? `${decision.vault} ${decision.symbol}` : decision.vault;
+  const apys = decision.candidate
+    ? ` (active ${percent(decision.activeApy)}, best ${decision.candidate} ${percent(decision.candidateApy)})`
+    : "";
+  return `${icon} ${subject}: ${decision.action}${apys}, ${decision.reason}`;
+}
+
+module.exports = {
+  DEFAULTS,
+  keeperStatePath,
+  decisionLogPath,
+  readKeeperState,
+  writeKeeperState,
+  appendDecisionLog,
+  annualize,
+  measureApys,
+  runRebalanceKeeper,
+  formatDecision,
+};
@@ -0,0 +1,124 @@
+const { ethers } = require("ethers");
+const { ERC20_ABI, ERC4626_ABI, vaultAbi } = require("../../sdk/contracts");
+
+/**
+ * Audit of Morpho shares outside an asset's active vault
+ *
+ * Deposits, partial withdrawals and rebalanceToVault only look at the active
+ * vault (assetToVault), and getAssetVaultAssets only at the asset's available
+ * vaults. For every allowed asset, the audit checks the available vaults and
+ * every whitelisted vault of that asset, and reports the shares held outside
+ * the active vault that the asset's target weights do not account for:
+ *
+ *   idle       in an available vault: counted in the position and redeemed by a
+ *              full withdrawal, but out of reach of the active-vault flows.
+ *              Move them with rebalanceBetweenVaults.
+ *   untracked  in a vault that is no longer available for the asset: missing
+ *              from getAssetVaultAssets. Add the vault back with addVaultToAsset,
+ *              then move the shares.
+ */
+
+const SHARE_ABI = [...ERC4626_ABI, ERC20_ABI.find((fragment) => fragment.includes("balanceOf"))];
+
+/**
+ * Audit one vault
+ *
+ * @param address UserVault_V4 address
+ * @param provider
+ * @param assetOf Cache of Morpho vault => asset, shared across vaults
+ * @return { vault, findings }, one finding per vault holding stranded shares:
+ *   { asset, activeVault, morphoVault, shares, assets, kind }
+ */
+async function auditVault(address, provider, assetOf) {
+  const vault = new ethers.Contract(address, vaultAbi(), provider);
+  const [assets, whitelist] = await Promise.all([vault.getAllowedAssets(), vault.getAllowedVaults()]);
+
+  const morphoAsset = async (morphoVault) => {
+    if (!assetOf.has(morphoVault)) {
+      const asset = await new ethers.Contract(morphoVault, SHARE_ABI, provider).asset().catch(() => null);
+      assetOf.set(morphoVault, asset);
+    }
+    return assetOf.get(morphoVault);
+  };
+
+  const findings = [];
+  for (const asset of assets) {
+    const [activeVault, available] = await Promise.all([
+      vault.getAssetActiveVault(asset),
+      vault.getAssetAvailableVaults(asset),
+    ]);
+    const candidates = new Set(available);
+    for (const morphoVault of whitelist) {
+      if ((await morphoAsset(morphoVault)) === asset) candidates.add(morphoVault);
+    }
+    candidates.delete(activeVault);
+
+    for (const morphoVault of candidates) {
+      const shareVault = new ethers.Contract(morphoVault, SHARE_ABI, provider);
+      const [shares, weight] = await Promise.all([
+        shareVault.balanceOf(address),
+        vault.assetVaultWeight(asset, morphoVault),
+      ]);
+      if (shares === 0n || weight > 0n) continue;
+      findings.push({
+        asset,
+        activeVault,
+        morphoVault,
+        shares,
+        assets: await shareVault.convertToAssets(shares),
+        kind: available.includes(morphoVault) ? "idle" : "untracked",
+      });
+    }
+  }
+  return { vault: vault.target, findings };
+}
+
+/**
+ * Audit every vault
+ *
+ * @param vaults UserVault_V4 addresses
+ * @param options.provider
+ * @return One result per vault: { vault, status, findings, reason }, with status
+ *   "ok", "stranded" or "failed"
+ */
+async function auditShares(vaults, { provider }) {
+  const assetOf = new Map();
+  const results = [];
+  for (const address of vaults) {
+    try {
+      const { vault, findings } = await auditVault(address, provider, assetOf);
+      results.push({ vault, status: findings.length > 0 ? "stranded" : "ok", findings, reason: null });
+    } catch (error) {
+      results.push({ vault: address, status: "failed", findings: [], reason: error.reason || error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * One line per vault, one per finding, and a summary
+ */
+function formatShareAudit(results) {
+  const icons = { ok: "✅", stranded: "⚠️ ", failed: "❌" };
+  const counts = {};
+  const lines = [];
+  for (const result of results) {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    lines.push(`${icons[result.status]} ${result.vault}: ${result.status}${result.reason ? ` (${result.reason})` : ""}`);
+    for (const finding of result.findings) {
+      lines.push(
+        `    ${finding.kind} ${finding.shares} shares (${finding.assets} of ${finding.asset}) in ${finding.morphoVault}, ` +
+          `active vault ${finding.activeVault}`
+      );
+    }
+  }
+  const summary = Object.entries(counts)
+    .map(([status, count]) => `${count} ${status}`)
+    .join(", ");
+  return [...lines, "", `${results.length} vault(s): ${summary || "none"}`].join("\n");
+}
+
+module.exports = {
+  auditShares,
+  formatShareAudit,
+};
@@ -0,0 +1,132 @@
+const { ethers } = require("ethers");
+const { predictDeterministicAddress, ensureDeterministicDeployer, deployDeterministic } = require("./create2Deployer");
+
+/**
+ * External libraries of UserVault_V4 and UserVaultFactory
+ *
+ * Part of the vault's code lives in libraries it delegatecalls (contracts/Libraries/),
+ * which keeps the vault and the factory under the EIP-170 contract size limit. Their
+ * bytecode only holds placeholders for the library addresses until it is linked.
+ *
+ * The libraries are deployed through the deterministic deployment proxy with a fixed
+ * salt, so they have the same address on every chain; the linked vault and factory
+ * bytecode, and so the CREATE2 addresses computed from it, do not depend on the network.
+ */
+
+const LIBRARY_SALT = ethers.id("MorphoV1Vaults.Libraries");
+
+/**
+ * Libraries a compiled contract links, by name
+ */
+function linkedLibraryNames(linkReferences) {
+  return Object.values(linkReferences).flatMap((libraries) => Object.keys(libraries));
+}
+
+/**
+ * Replace the library placeholders of `bytecode` with `addresses` ({ [name]: address })
+ */
+function linkBytecode(bytecode, linkReferences, addresses) {
+  let linked = bytecode;
+  for (const libraries of Object.values(linkReferences)) {
+    for (const [name, offsets] of Object.entries(libraries)) {
+      if (!addresses[name]) {
+        throw new Error(`Missing address for library ${name}`);
+      }
+      const address = addresses[name].toLowerCase().slice(2);
+      for (const { start, length } of offsets) {
+        const at = 2 + start * 2;
+        linked = linked.slice(0, at) + address + linked.slice(at + length * 2);
+      }
+    }
+  }
+  return linked;
+}
+
+/**
+ * Deterministic addresses of the libraries `contractName` links, including the ones
+ * those libraries link in turn, in deployment order
+ *
+ * @param artifacts hre.artifacts
+ * @return {Promise<{ name: string, address: string, initCode: string }[]>}
+ */
+async function libraryPlan(artifacts, contractName) {
+  const plan = [];
+  const visit = async (name) => {
+    const artifact = await artifacts.readArtifact(name);
+    for (const dependency of linkedLibraryNames(artifact.linkReferences)) {
+      if (!plan.some((entry) => entry.name === dependency)) {
+        const addresses = await visit(dependency);
+        const { bytecode, linkReferences } = await artifacts.readArtifact(dependency);
+        const initCode = linkBytecode(bytecode, linkReferences, addresses);
+        plan.push({ name: dependency, address: predictDeterministicAddress(LIBRARY_SALT, initCode), initCode });
+      }
+    }
+    return libraryAddresses(plan);
+  };
+  await visit(contractName);
+  return plan;
+}
+
+function libraryAddresses(plan) {
+  return Object.fromEntries(plan.map((entry) => [entry.name, entry.address]));
+}
+
+/**
+ * Creation and runtime bytecode of `contractName` linked against the deterministic
+ * library addresses
+ */
+async function linkedArtifact(artifacts, contractName) {
+  const artifact = await artifacts.readArtifact(contractName);
+  const libraries = libraryAddresses(await libraryPlan(artifacts, contractName));
+  return {
+    ...artifact,
+    bytecode: linkBytecode(artifact.bytecode, artifact.linkReferences, libraries),
+    deployedBytecode: linkBytecode(artifact.deployedBytecode, artifact.deployedLinkReferences, libraries),
+    libraries,
+  };
+}
+
+/**
+ * Deploy the libraries `contractName` links that are missing on the connected network.
+ * The deterministic deployment proxy is installed first on local Hardhat networks.
+ *
+ * @return {Promise<{ name: string, address: string, alreadyDeployed: boolean, transactionHash: string | null }[]>}
+ */
+async function deployLibraries(hre, signer, contractName) {
+  const plan = await libraryPlan(hre.artifacts, contractName);
+  if (plan.length === 0) return [];
+
+  await ensureDeterministicDeployer(hre.ethers.provider, hre.network.name);
+  const results = [];
+  for (const { name, initCode } of plan) {
+    const { address, alreadyDeployed, transactionHash } = await deployDeterministic(signer, LIBRARY_SALT, initCode);
+    results.push({ name, address, alreadyDeployed, transactionHash });
+  }
+  return results;
+}
+
+/**
+ * ethers ContractFactory of `contractName` linked against its libraries, deploying
+ * the missing ones first
+ */
+async function getLinkedContractFactory(hre, contractName, signer) {
+  const runner = signer ?? (await hre.ethers.getSigners())[0];
+  const deployed = await deployLibraries(hre, runner, contractName);
+  // Only the libraries the contract links itself, not the ones they link
+  const { linkReferences } = await hre.artifacts.readArtifact(contractName);
+  const libraries = Object.fromEntries(
+    deployed
+      .filter((entry) => linkedLibraryNames(linkReferences).includes(entry.name))
+      .map((entry) => [entry.name, entry.address])
+  );
+  return hre.ethers.getContractFactory(contractName, { signer: runner, libraries });
+}
+
+module.exports = {
+  LIBRARY_SALT,
+  linkBytecode,
+  libraryPlan,
+  linkedArtifact,
+  deployLibraries,
+  getLinkedContractFactory,
+};
@@ -0,0 +1,184 @@
+const { ethers } = require("ethers");
+const { factoryAbi, vaultAbi, simulateAndSend, parseEvents, signerAddress } = require("./contracts");
+const { VaultSdkError } = require("./errors");
+const { deterministicSalt, vaultConstructorArgs } = require("./vaultConfig");
+
+/**
+ * @typedef {import("ethers").Contract} UserVaultFactory ethers Contract with the artifact ABI
+ *
+ * @typedef {Object} VaultConfig
+ * @property {string} [owner] Defaults to the signer
+ * @property {string} [admin] Defaults to the signer
+ * @property {string[]} assets
+ * @property {string[][]} assetVaults Morpho vaults per asset; the first one becomes active
+ * @property {string} [revenueAddress] Defaults to the signer
+ * @property {bigint} [feePercentage] Basis points, default 100
+ * @property {bigint} [rebalanceFeePercentage] Basis points, default 1000
+ * @property {bigint} [merklClaimFeePercentage] Basis points, default 1000
+ * @property {string} [salt] 32-byte salt, or
+ * @property {bigint} [nonce] owner nonce the salt is derived from (generateDeterministicSalt)
+ *
+ * @typedef {Object} VaultFilter
+ * @property {string} [owner] Only vaults of this owner
+ * @property {string} [admin] Only vaults managed by this admin
+ * @property {string} [asset] Only vaults where this asset is allowed
+ * @property {number} [pageSize] Vaults per getVaultInfos call, default 100
+ *
+ * @typedef {Object} VaultRecord
+ * @property {string} address
+ * @property {string} owner Current owner
+ * @property {string} admin Current admin
+ * @property {string} salt CREATE2 salt
+ * @property {bigint} chainId
+ * @property {bigint} deployedAt Deployment timestamp
+ */
+
+/**
+ * Client for UserVaultFactory: predict, deploy, list and resync vaults
+ */
+class FactoryClient {
+  /**
+   * @param {string} address Factory address
+   * @param {import("ethers").ContractRunner} runner Signer for deployments, provider for reads
+   */
+  constructor(address, runner) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    /** @type {UserVaultFactory} */
+    this.contract = new ethers.Contract(this.address, factoryAbi(), runner);
+  }
+
+  /**
+   * Fill in defaults and derive the salt
+   * @param {VaultConfig} config
+   */
+  async resolveConfig(config) {
+    const signer = await signerAddress(this.runner);
+    const owner = config.owner || signer;
+    if (!owner) {
+      throw new VaultSdkError("deployVault", "simulate", "owner is required without a signer");
+    }
+
+    let salt = config.salt;
+    if (salt === undefined) {
+      if (config.nonce === undefined) {
+        throw new VaultSdkError("deployVault", "simulate", "one of salt or nonce is required");
+      }
+      salt = deterministicSalt(owner, config.nonce);
+    }
+
+    return {
+      owner,
+      admin: config.admin || signer,
+      assets: config.assets,
+      assetVaults: config.assetVaults,
+      revenueAddress: config.revenueAddress || signer,
+      feePercentage: BigInt(config.feePercentage ?? 100),
+      rebalanceFeePercentage: BigInt(config.rebalanceFeePercentage ?? 1000),
+      merklClaimFeePercentage: BigInt(config.merklClaimFeePercentage ?? 1000),
+      salt,
+    };
+  }
+
+  /**
+   * Address a vault with this configuration is (or would be) deployed at
+   * @param {VaultConfig} config
+   */
+  async predict(config) {
+    const resolved = await this.resolveConfig(config);
+    return this.contract.computeVaultAddress(...vaultConstructorArgs(resolved), resolved.salt);
+  }
+
+  /**
+   * Deploy a vault through the factory
+   * @param {VaultConfig} config
+   * @return {Promise<{ address: string, salt: string, receipt: import("ethers").TransactionReceipt }>}
+   */
+  async deploy(config) {
+    const resolved = await this.resolveConfig(config);
+    const { result, receipt } = await simulateAndSend(this.contract, "deployVault", [
+      ...vaultConstructorArgs(resolved),
+      resolved.salt,
+    ]);
+
+    const event = parseEvents(this.contract, receipt).find((parsed) => parsed.name === "VaultDeployed");
+    return { address: event ? event.args.vaultAddress : result, salt: resolved.salt, receipt };
+  }
+
+  /**
+   * Vaults deployed by the factory, from its registry. Owner and admin are the
+   * current ones, after any transfer, recovery or handover. Filters combine; the
+   * owner and admin filters use the factory's indexes, otherwise the registry is
+   * read in pages of `pageSize`.
+   * @param {VaultFilter} filter
+   * @return {Promise<VaultRecord[]>}
+   */
+  async list(filter = {}) {
+    const pageSize = filter.pageSize ?? 100;
+    let infos;
+    if (filter.owner || filter.admin) {
+      const indices = filter.owner
+        ? await this.contract.getVaultIndicesByOwner(filter.owner)
+        : await Promise.all(
+            (await this.contract.getAdminVaults(filter.admin)).map((vault) => this.contract.vaultIndex(vault))
+          );
+      infos = await Promise.all(indices.map((index) => this.contract.getVaultInfo(index)));
+    } else {
+      const total = await this.contract.getTotalVaults();
+      infos = [];
+      for (let offset = 0n; offset < total; offset += BigInt(pageSize)) {
+        infos.push(...(await this.contract.getVaultInfos(offset, pageSize)));
+      }
+    }
+
+    const records = infos.map((info) => ({
+      address: info.vaultAddress,
+      owner: info.owner,
+      admin: info.admin,
+      salt: info.salt,
+      chainId: info.chainId,
+      deployedAt: info.deployedAt,
+    }));
+    const matches = (address, expected) => !expected || address === ethers.getAddress(expected);
+
+    const filtered = records.filter(
+      (record) => matches(record.owner, filter.owner) && matches(record.admin, filter.admin)
+    );
+    if (!filter.asset) return filtered;
+
+    const allowed = await Promise.all(
+      filtered.map((record) => new ethers.Contract(record.address, vaultAbi(), this.runner).isAllowedAsset(filter.asset))
+    );
+    return filtered.filter((record, i) => allowed[i]);
+  }
+
+  /**
+   * Vaults whose ownerVaults or adminVaults entry no longer matches their current
+   * owner or admin, e.g. after the vault reported FactorySyncFailed
+   * @param {VaultFilter} filter Narrows the vaults checked, as in list
+   * @return {Promise<(VaultRecord & { indexedOwner: string, indexedAdmin: string })[]>}
+   */
+  async staleVaults(filter = {}) {
+    const records = await this.list(filter);
+    const indexed = await Promise.all(
+      records.map(async (record) => ({
+        ...record,
+        indexedOwner: await this.contract.vaultOwner(record.address),
+        indexedAdmin: await this.contract.vaultAdmin(record.address),
+      }))
+    );
+    return indexed.filter((record) => record.indexedOwner !== record.owner || record.indexedAdmin !== record.admin);
+  }
+
+  /**
+   * Move a vault's factory index entries to its current owner and admin. Anyone can call it
+   * @param {string} vault
+   * @return {Promise<{ events: import("ethers").LogDescription[], receipt: import("ethers").TransactionReceipt }>}
+   */
+  async resync(vault) {
+    const { receipt } = await simulateAndSend(this.contract, "resync", [vault]);
+    return { events: parseEvents(this.contract, receipt), receipt };
+  }
+}
+
+module.exports = FactoryClient;
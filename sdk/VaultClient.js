@@ -0,0 +1,1046 @@
+const { ethers } = require("ethers");
+const { ERC20_ABI, ERC4626_ABI, MERKL_DISTRIBUTOR_ABI, vaultAbi, simulateAndSend, parseEvents, signerAddress } = require("./contracts");
+const { VaultSdkError } = require("./errors");
+
+/**
+ * @typedef {import("ethers").Contract} UserVault_V4 ethers Contract with the artifact ABI
+ *
+ * @typedef {Object} MerklReward
+ * @property {string} token Reward token
+ * @property {bigint} amount Cumulative claimable amount from the Merkl API
+ * @property {string[]} proof Merkle proof
+ * @property {bigint} [minAmountOut] Minimum compound asset output of the reward's swap, overrides the quote
+ *
+ * @typedef {Object} ClaimQuote
+ * @property {string} token Reward token
+ * @property {bigint} unclaimed Cumulative amount less what the distributor already sent
+ * @property {bigint} fee Merkl claim fee sent to the revenue address
+ * @property {bigint} userAmount Owner's share, paid out or compounded
+ * @property {string | null} compoundAsset merklCompoundAsset, null when rewards are paid out
+ * @property {bigint} amountOut getEstimatedSwapOutput of userAmount into the compound asset, 0 without a swap
+ * @property {bigint} minAmountOut amountOut less the slippage, the default minimum for the claim
+ *
+ * @typedef {Object} TxResult
+ * @property {string} method Contract method that was called
+ * @property {import("ethers").TransactionReceipt} receipt
+ * @property {import("ethers").LogDescription[]} events Vault events of the transaction
+ *
+ * @typedef {Object} WithdrawPreview
+ * @property {string} vault Morpho vault to redeem from
+ * @property {bigint} shares Shares of that vault to redeem
+ * @property {bigint} assets Asset amount to request, type(uint256).max for a full withdrawal
+ * @property {boolean} full Whether every vault is emptied
+ * @property {bigint} redeemed Expected amount redeemed, before the performance fee
+ * @property {bigint} fee Performance fee from calculateFeeFromProfit
+ * @property {bigint} net Expected amount received by the owner
+ * @property {bigint} minReceived Lowest net amount the requested assets can yield, the default minimum
+ * @property {Object} position Position before the withdrawal (see getPosition)
+ *
+ * @typedef {Object} DepositPreview
+ * @property {string} method initialDeposit or userDeposit
+ * @property {string[]} vaults Morpho vaults the amount goes to
+ * @property {bigint[]} amounts Amount deposited into each vault
+ * @property {bigint} shares previewDeposit summed across those vaults
+ * @property {bigint} minShares shares less the slippage, the default minimum
+ *
+ * @typedef {Object} RedeemPreview
+ * @property {string} method withdraw, or withdrawFromVault for a vault other than the active one
+ * @property {string} vault Morpho vault to redeem from, the active vault for a full redeem
+ * @property {bigint} shares Shares to redeem, 0 for everything
+ * @property {bigint} redeemed previewRedeem of those shares, before the performance fee
+ * @property {bigint} fee Performance fee from calculateFeeFromProfit
+ * @property {bigint} net Expected amount received by the owner
+ * @property {bigint} minReceived net less the slippage, the default minimum
+ *
+ * @typedef {Object} VaultAllocation
+ * @property {string} vault Morpho vault from the asset's available vaults
+ * @property {bigint} shares Shares held
+ * @property {bigint} assets Value of the shares in the asset
+ * @property {bigint} weight Target weight in basis points, 0 when deposits go to the active vault
+ *
+ * @typedef {Object} ReallocationMove
+ * @property {string} fromVault
+ * @property {string} toVault
+ * @property {bigint} shares Shares of fromVault to move
+ * @property {bigint} amount Their value in the asset
+ *
+ * @typedef {Object} RebalanceSimulation
+ * @property {string} asset
+ * @property {string} fromVault Active Morpho vault, redeemed in full
+ * @property {string} toVault
+ * @property {bigint} shares Shares of fromVault to redeem
+ * @property {bigint} redeemed previewRedeem of those shares
+ * @property {bigint} baseAmount Rebalance base before the move
+ * @property {bigint} movedBase Part of the base carried by the redeemed shares (all of it unless the asset is split)
+ * @property {bigint} profit Redeemed amount above the moved base, charged with the rebalance fee
+ * @property {bigint} feePercentage rebalanceFeePercentage in basis points
+ * @property {bigint} fee Rebalance fee sent to the revenue address
+ * @property {bigint} amount Amount deposited into toVault
+ * @property {bigint} newBaseAmount Rebalance base after the move
+ * @property {bigint} expectedShares previewDeposit of `amount` in toVault
+ * @property {bigint} depositValue previewRedeem of the expected shares
+ * @property {bigint} slippage `amount` minus `depositValue`, lost to the target vault's rounding and entry costs
+ * @property {bigint} maxDeposit toVault's maxDeposit for this vault
+ * @property {string[]} warnings Reasons the rebalance may still fail or lose value
+ *
+ * @typedef {Object} AssetRebalanceSimulation
+ * @property {string} fromAsset Asset whose vaults are all redeemed
+ * @property {string} toAsset
+ * @property {bigint} redeemed previewRedeem of every fromAsset vault
+ * @property {bigint} baseAmount Rebalance base of fromAsset
+ * @property {bigint} profit Redeemed amount above the base, charged with the rebalance fee
+ * @property {bigint} fee Rebalance fee sent to the revenue address
+ * @property {bigint} amountIn Amount swapped
+ * @property {{ stable: boolean, pool: string }} route Aerodrome pool the swap uses
+ * @property {bigint} amountOut Expected swap output from getSwapRoute
+ * @property {bigint} minAmountOut amountOut less the slippage, the default minimum for rebalanceToAsset
+ * @property {bigint} principal assetTotalDeposited of fromAsset
+ * @property {bigint} carriedPrincipal That principal in toAsset at the swap's price
+ * @property {string} toVault Active vault of toAsset
+ * @property {bigint} expectedShares previewDeposit of amountOut in toVault
+ * @property {bigint} maxDeposit toVault's maxDeposit for this vault
+ * @property {{ deposited: bigint, baseAmount: bigint, assets: bigint, initial: boolean }} newPosition
+ *   toAsset after the move: deposited total, rebalance base and value
+ * @property {boolean} adminAllowed Whether the owner lets the admin call rebalanceToAsset
+ * @property {string[]} warnings Reasons the rebalance may still fail or lose value
+ *
+ * @typedef {Object} ZapQuote
+ * @property {string} tokenIn Token to deposit
+ * @property {bigint} amountIn
+ * @property {string} asset Allowed asset it is swapped into
+ * @property {string} vault Active Morpho vault that receives the asset
+ * @property {bigint} amountOut getEstimatedSwapOutput through the pool the swap would use
+ * @property {bigint} minAmountOut amountOut less the slippage, the default minimum for zapDeposit
+ * @property {boolean} initial Whether the zap makes the asset's initial deposit
+ *
+ * @typedef {Object} PendingChange
+ * @property {number} parameter ParameterChange enum value
+ * @property {string} name Parameter, as named by its vault getter (e.g. "feePercentage")
+ * @property {bigint | string} current Value in effect, an address for revenueAddress
+ * @property {bigint | string} value Queued value
+ * @property {bigint} executableAt Timestamp from which executeParameterChange applies it
+ * @property {boolean} ready Whether the delay has passed at the latest block
+ *
+ * @typedef {Object} Ownership
+ * @property {string} owner
+ * @property {string | null} pendingOwner Proposed owner waiting for acceptOwner
+ * @property {string | null} guardian Account that can start a recovery, null when recovery is off
+ * @property {Object | null} recovery Pending recovery: { newOwner, executableAt, ready }
+ * @property {string | null} factory Factory whose owner index follows the vault, null for direct deployments
+ */
+
+// ParameterChange enum order, with the vault getter and the admin function that queues a change
+const PARAMETERS = [
+  { name: "feePercentage", setter: "updateFeePercentage" },
+  { name: "rebalanceFeePercentage", setter: "updateRebalanceFeePercentage" },
+  { name: "merklClaimFeePercentage", setter: "updateMerklClaimFeePercentage" },
+  { name: "minProfitForFee", setter: "updateMinProfitForFee" },
+  { name: "revenueAddress", setter: "updateRevenueAddress" },
+  { name: "changeDelay", setter: "updateChangeDelay" },
+];
+
+function parameterIndex(method, name) {
+  const index = PARAMETERS.findIndex((parameter) => parameter.name === name);
+  if (index === -1) {
+    const names = PARAMETERS.map((parameter) => parameter.name).join(", ");
+    throw new VaultSdkError(method, "simulate", `unknown parameter "${name}", expected one of ${names}`);
+  }
+  return index;
+}
+
+/**
+ * High-level client for one UserVault_V4
+ *
+ * Every write is simulated first; reverts surface as VaultSdkError with the
+ * decoded reason instead of raw call exceptions.
+ */
+class VaultClient {
+  /**
+   * @param {string} address Vault address
+   * @param {import("ethers").ContractRunner} runner Signer for writes, provider for reads
+   */
+  constructor(address, runner) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    /** @type {UserVault_V4} */
+    this.contract = new ethers.Contract(this.address, vaultAbi(), runner);
+  }
+
+  // ============ Reads ============
+
+  /**
+   * Per-asset position: active Morpho vault and its shares, the value across all vaults,
+   * and the split over the available vaults
+   */
+  async getPosition(asset) {
+    const [activeVault, hasInitialDeposit, shares, assets, totalDeposited, split, allocation] = await Promise.all([
+      this.contract.getAssetActiveVault(asset),
+      this.contract.assetHasInitialDeposit(asset),
+      this.contract.getAssetVaultBalance(asset),
+      this.contract.getAssetVaultAssets(asset),
+      this.contract.assetTotalDeposited(asset),
+      this.contract.assetHasWeights(asset),
+      this.getAllocation(asset),
+    ]);
+    return { asset: ethers.getAddress(asset), activeVault, hasInitialDeposit, shares, assets, totalDeposited, split, allocation };
+  }
+
+  /**
+   * Shares, value and target weight of an asset in each of its available vaults
+   * @return {Promise<VaultAllocation[]>}
+   */
+  async getAllocation(asset) {
+    const [vaults, shares, assets, weights] = await this.contract.getAssetAllocation(asset);
+    return vaults.map((vault, i) => ({ vault, shares: shares[i], assets: assets[i], weight: weights[i] }));
+  }
+
+  /**
+   * Positions of every allowed asset
+   */
+  async getPositions() {
+    const assets = await this.contract.getAllowedAssets();
+    return Promise.all(assets.map((asset) => this.getPosition(asset)));
+  }
+
+  /**
+   * Timelocked parameter changes waiting for executeParameterChange
+   * @return {Promise<PendingChange[]>}
+   */
+  async getPendingChanges() {
+    const provider = this.runner.provider ?? this.runner;
+    const [block, entries] = await Promise.all([
+      provider.getBlock("latest"),
+      Promise.all(
+        PARAMETERS.map((parameter, index) =>
+          Promise.all([this.contract.pendingChanges(index), this.contract[parameter.name]()])
+        )
+      ),
+    ]);
+
+    return entries.flatMap(([[value, executableAt], current], index) => {
+      if (executableAt === 0n) return [];
+      const { name } = PARAMETERS[index];
+      return [
+        {
+          parameter: index,
+          name,
+          current,
+          value: name === "revenueAddress" ? ethers.getAddress(ethers.toBeHex(value, 20)) : value,
+          executableAt,
+          ready: BigInt(block.timestamp) >= executableAt,
+        },
+      ];
+    });
+  }
+
+  /**
+   * Owner, pending owner transfer, guardian and pending recovery
+   * @return {Promise<Ownership>}
+   */
+  async getOwnership() {
+    const provider = this.runner.provider ?? this.runner;
+    const [block, owner, pendingOwner, guardian, recoveryOwner, executableAt, factory] = await Promise.all([
+      provider.getBlock("latest"),
+      this.contract.owner(),
+      this.contract.pendingOwner(),
+      this.contract.guardian(),
+      this.contract.recoveryOwner(),
+      this.contract.recoveryExecutableAt(),
+      this.contract.factory(),
+    ]);
+    const orNull = (address) => (address === ethers.ZeroAddress ? null : address);
+
+    return {
+      owner,
+      pendingOwner: orNull(pendingOwner),
+      guardian: orNull(guardian),
+      recovery: orNull(recoveryOwner) && {
+        newOwner: recoveryOwner,
+        executableAt,
+        ready: BigInt(block.timestamp) >= executableAt,
+      },
+      factory: orNull(factory),
+    };
+  }
+
+  /**
+   * Preview withdrawing `assetAmount` of the asset (omit it for everything): the Morpho
+   * vault and shares to redeem, and the net amount after calculateFeeFromProfit.
+   * The active vault is used when it holds enough, otherwise the first other vault
+   * that does; failing both, the active vault is emptied.
+   *
+   * @param {string} asset
+   * @param {bigint} [assetAmount]
+   * @return {Promise<WithdrawPreview>}
+   */
+  async previewWithdraw(asset, assetAmount) {
+    const position = await this.getPosition(asset);
+    if (!position.hasInitialDeposit) {
+      throw new VaultSdkError("withdraw", "simulate", "NoDeposits()");
+    }
+    if (assetAmount === undefined) {
+      const [fee, net] = await this.contract.calculateFeeFromProfit(asset, position.assets);
+      return {
+        vault: position.activeVault,
+        shares: position.shares,
+        assets: ethers.MaxUint256,
+        full: true,
+        redeemed: position.assets,
+        fee,
+        net,
+        minReceived: net,
+        position,
+      };
+    }
+
+    const funded = position.allocation.filter((entry) => entry.shares > 0n);
+    const candidates = [
+      { vault: position.activeVault, shares: position.shares },
+      ...funded.filter((entry) => entry.vault !== position.activeVault),
+    ];
+    let choice = { ...candidates[0], needed: candidates[0].shares };
+    for (const candidate of candidates) {
+      const morphoVault = new ethers.Contract(candidate.vault, ERC4626_ABI, this.runner);
+      const needed = await morphoVault.previewWithdraw(assetAmount);
+      if (needed <= candidate.shares) {
+        choice = { ...candidate, needed };
+        break;
+      }
+    }
+
+    const capped = choice.needed >= choice.shares;
+    // Emptying the only funded vault is a full withdrawal
+    const full = capped && funded.every((entry) => entry.vault === choice.vault);
+    const shares = capped ? choice.shares : choice.needed;
+
+    const morphoVault = new ethers.Contract(choice.vault, ERC4626_ABI, this.runner);
+    const [redeemed, available] = await Promise.all([
+      morphoVault.previewRedeem(shares),
+      morphoVault.convertToAssets(choice.shares),
+    ]);
+    const assets = full ? ethers.MaxUint256 : capped ? available : assetAmount;
+    const [[fee, net], [, minReceived]] = await Promise.all([
+      this.contract.calculateFeeFromProfit(asset, redeemed),
+      // previewWithdraw rounds shares up, so at least the requested amount is redeemed
+      this.contract.calculateFeeFromProfit(asset, full ? redeemed : assets),
+    ]);
+    return { vault: choice.vault, shares, assets, full, redeemed, fee, net, minReceived, position };
+  }
+
+  /**
+   * Preview depositing `amount` of the asset with previewDeposit of the Morpho vaults it
+   * goes to: the initial vault, the active vault, or each weighted vault's part.
+   * The previews are read before the deposit, so a share price moved within the deposit
+   * transaction makes it revert below the minimum.
+   *
+   * @param {string} asset
+   * @param {bigint} amount
+   * @param {{ vault?: string, slippageBps?: number | bigint }} options
+   *   vault: Morpho vault for the initial deposit (defaults to the asset's first available vault)
+   * @return {Promise<DepositPreview>}
+   */
+  async previewDeposit(asset, amount, options = {}) {
+    const position = await this.getPosition(asset);
+    let vaults = [position.activeVault];
+    let amounts = [amount];
+
+    if (!position.hasInitialDeposit) {
+      const vault = options.vault || position.allocation[0]?.vault;
+      if (!vault) {
+        throw new VaultSdkError("initialDeposit", "simulate", "AssetNotAllowed()");
+      }
+      vaults = [vault];
+    } else if (position.split) {
+      // Same split as the contract: rounding dust goes to the last weighted vault
+      const weighted = position.allocation.filter((entry) => entry.weight > 0n);
+      let remaining = amount;
+      vaults = weighted.map((entry) => entry.vault);
+      amounts = weighted.map((entry, i) => {
+        const part = i === weighted.length - 1 ? remaining : (amount * entry.weight) / 10000n;
+        remaining -= part;
+        return part;
+      });
+    }
+
+    const previews = await Promise.all(
+      vaults.map((vault, i) =>
+        amounts[i] > 0n ? new ethers.Contract(vault, ERC4626_ABI, this.runner).previewDeposit(amounts[i]) : 0n
+      )
+    );
+    const shares = previews.reduce((total, value) => total + value, 0n);
+    const slippage = BigInt(options.slippageBps ?? 0);
+    return {
+      method: position.hasInitialDeposit ? "userDeposit" : "initialDeposit",
+      vaults,
+      amounts,
+      shares,
+      minShares: (shares * (10000n - slippage)) / 10000n,
+    };
+  }
+
+  /**
+   * Preview redeeming `shares` of the active vault, or of `options.vault`, with the
+   * fee rule of calculateFeeFromProfit. Omit `shares` to redeem every vault of the asset,
+   * or all of `options.vault`.
+   *
+   * @param {string} asset
+   * @param {bigint} [shares]
+   * @param {{ vault?: string, slippageBps?: number | bigint }} options
+   * @return {Promise<RedeemPreview>}
+   */
+  async previewRedeem(asset, shares, options = {}) {
+    const position = await this.getPosition(asset);
+    if (!position.hasInitialDeposit) {
+      throw new VaultSdkError("withdraw", "simulate", "NoDeposits()");
+    }
+
+    const vault = options.vault ? ethers.getAddress(options.vault) : position.activeVault;
+    const method = vault === position.activeVault ? "withdraw" : "withdrawFromVault";
+    const entry = position.allocation.find((candidate) => candidate.vault === vault);
+    if (!entry) {
+      throw new VaultSdkError(method, "simulate", "VaultNotAvailable()");
+    }
+
+    let redeemed;
+    if (shares === undefined || shares === 0n) {
+      // withdraw(asset, 0) empties every vault, withdrawFromVault(…, 0) only the chosen one
+      redeemed =
+        method === "withdraw"
+          ? position.allocation.reduce((total, candidate) => total + candidate.assets, 0n)
+          : entry.assets;
+      shares = 0n;
+    } else {
+      redeemed = await new ethers.Contract(vault, ERC4626_ABI, this.runner).previewRedeem(shares);
+    }
+
+    const [fee, net] = await this.contract.calculateFeeFromProfit(asset, redeemed);
+    const slippage = BigInt(options.slippageBps ?? 0);
+    return { method, vault, shares, redeemed, fee, net, minReceived: (net * (10000n - slippage)) / 10000n };
+  }
+
+  /**
+   * Preview rebalanceToVault without sending it, using previewRedeem/previewDeposit of
+   * the two Morpho vaults and the contract's fee rule. Conditions the contract rejects
+   * throw a VaultSdkError; the admin check is left out so any runner can preview.
+   *
+   * @param {string} asset
+   * @param {string} toVault
+   * @return {Promise<RebalanceSimulation>}
+   */
+  async simulateRebalance(asset, toVault) {
+    const fail = (reason) => new VaultSdkError("rebalanceToVault", "simulate", reason);
+    const target = ethers.getAddress(toVault);
+    const [position, allowedAsset, allowedVault, available, paused, [baseAmount], feePercentage] = await Promise.all([
+      this.getPosition(asset),
+      this.contract.isAllowedAsset(asset),
+      this.contract.isAllowedVault(target),
+      this.contract.isVaultAvailableForAsset(asset, target),
+      this.contract.paused(),
+      this.contract.getAssetRebalanceInfo(asset),
+      this.contract.rebalanceFeePercentage(),
+    ]);
+
+    // Same order as the modifiers and requires of rebalanceToVault
+    if (!allowedAsset) throw fail("AssetNotAllowed()");
+    if (!allowedVault) throw fail("VaultNotAllowed()");
+    if (paused) throw fail("EnforcedPause()");
+    if (!position.hasInitialDeposit) throw fail("NoDeposits()");
+    if (!available) throw fail("VaultNotAvailable()");
+    if (position.activeVault === target) throw fail("SameVault()");
+
+    const from = new ethers.Contract(position.activeVault, ERC4626_ABI, this.runner);
+    const to = new ethers.Contract(target, ERC4626_ABI, this.runner);
+    if (ethers.getAddress(await to.asset()) !== position.asset) throw fail("VaultAssetMismatch()");
+    if (position.shares === 0n) throw fail("NoFunds()");
+
+    const [redeemed, movedValue] = await Promise.all([
+      from.previewRedeem(position.shares),
+      from.convertToAssets(position.shares),
+    ]);
+    // Same rule as _moveBetweenVaults: the fee only applies to profit above a non-zero
+    // base, pro rata to the moved value when the asset is split across vaults
+    const movedBase = position.assets === 0n ? baseAmount : (baseAmount * movedValue) / position.assets;
+    const profit = movedBase > 0n && redeemed > movedBase ? redeemed - movedBase : 0n;
+    const fee = (profit * feePercentage) / 10000n;
+    const amount = redeemed - fee;
+
+    const [expectedShares, maxDeposit] = await Promise.all([to.previewDeposit(amount), to.maxDeposit(this.address)]);
+    const depositValue = await to.previewRedeem(expectedShares);
+
+    const warnings = [];
+    if (maxDeposit < amount) {
+      warnings.push(`Target vault accepts at most ${maxDeposit} of the ${amount} to deposit`);
+    }
+    if (expectedShares === 0n) {
+      warnings.push("Deposit would mint no shares");
+    }
+    if (movedBase > redeemed) {
+      warnings.push(`Redeems ${movedBase - redeemed} less than the rebalance base`);
+    }
+
+    return {
+      asset: position.asset,
+      fromVault: position.activeVault,
+      toVault: target,
+      shares: position.shares,
+      redeemed,
+      baseAmount,
+      movedBase,
+      profit,
+      feePercentage,
+      fee,
+      amount,
+      newBaseAmount: baseAmount - movedBase + amount,
+      expectedShares,
+      depositValue,
+      slippage: amount > depositValue ? amount - depositValue : 0n,
+      maxDeposit,
+      warnings,
+    };
+  }
+
+  /**
+   * Preview rebalanceToAsset: the redeemed amount and fee, the Aerodrome route and output,
+   * and the toAsset position afterwards. Conditions the contract rejects throw a
+   * VaultSdkError; the caller check is left out so any runner can preview.
+   *
+   * @param {string} fromAsset
+   * @param {string} toAsset
+   * @param {{ slippageBps?: number | bigint }} options slippageBps: allowed output shortfall (default 50)
+   * @return {Promise<AssetRebalanceSimulation>}
+   */
+  async simulateAssetRebalance(fromAsset, toAsset, options = {}) {
+    const fail = (reason) => new VaultSdkError("rebalanceToAsset", "simulate", reason);
+    const [from, to, allowedFrom, allowedTo, paused, [baseAmount], [toBase], feePercentage, adminAllowed] =
+      await Promise.all([
+        this.getPosition(fromAsset),
+        this.getPosition(toAsset),
+        this.contract.isAllowedAsset(fromAsset),
+        this.contract.isAllowedAsset(toAsset),
+        this.contract.paused(),
+        this.contract.getAssetRebalanceInfo(fromAsset),
+        this.contract.getAssetRebalanceInfo(toAsset),
+        this.contract.rebalanceFeePercentage(),
+        this.contract.adminCrossAssetRebalanceAllowed(),
+      ]);
+
+    // Same order as the modifiers and requires of rebalanceToAsset
+    if (!allowedFrom || !allowedTo) throw fail("AssetNotAllowed()");
+    if (paused) throw fail("EnforcedPause()");
+    if (from.asset === to.asset) throw fail("SameAsset()");
+    if (!from.hasInitialDeposit) throw fail("NoDeposits()");
+
+    const redeemedPerVault = await Promise.all(
+      from.allocation
+        .filter((entry) => entry.shares > 0n)
+        .map((entry) => new ethers.Contract(entry.vault, ERC4626_ABI, this.runner).previewRedeem(entry.shares))
+    );
+    const redeemed = redeemedPerVault.reduce((sum, value) => sum + value, 0n);
+    if (redeemed === 0n) throw fail("NoFunds()");
+
+    const profit = baseAmount > 0n && redeemed > baseAmount ? redeemed - baseAmount : 0n;
+    const fee = (profit * feePercentage) / 10000n;
+    const amountIn = redeemed - fee;
+
+    const [stable, pool, amountOut] = await this.contract.getSwapRoute(from.asset, to.asset, amountIn);
+    if (pool === ethers.ZeroAddress) throw fail("NoPool()");
+
+    const slippage = BigInt(options.slippageBps ?? 50);
+    const carriedPrincipal = (from.totalDeposited * amountOut) / amountIn;
+    const toVault = new ethers.Contract(to.activeVault, ERC4626_ABI, this.runner);
+    const [expectedShares, maxDeposit] = await Promise.all([
+      toVault.previewDeposit(amountOut),
+      toVault.maxDeposit(this.address),
+    ]);
+
+    const warnings = [];
+    if (maxDeposit < amountOut) {
+      warnings.push(`Target vault accepts at most ${maxDeposit} of the ${amountOut} to deposit`);
+    }
+    if (baseAmount > redeemed) {
+      warnings.push(`Redeems ${baseAmount - redeemed} less than the rebalance base`);
+    }
+    if (!adminAllowed) {
+      warnings.push("Only the owner can send it: the admin has no cross-asset consent");
+    }
+
+    return {
+      fromAsset: from.asset,
+      toAsset: to.asset,
+      redeemed,
+      baseAmount,
+      profit,
+      fee,
+      amountIn,
+      route: { stable, pool },
+      amountOut,
+      minAmountOut: (amountOut * (10000n - slippage)) / 10000n,
+      principal: from.totalDeposited,
+      carriedPrincipal,
+      toVault: to.activeVault,
+      expectedShares,
+      maxDeposit,
+      newPosition: {
+        deposited: to.totalDeposited + carriedPrincipal,
+        baseAmount: toBase + amountOut,
+        assets: to.assets + amountOut,
+        initial: !to.hasInitialDeposit,
+      },
+      adminAllowed,
+      warnings,
+    };
+  }
+
+  /**
+   * Quote zapDeposit with the vault's getEstimatedSwapOutput, which picks the same
+   * Aerodrome pool (stable or volatile) as the swap
+   *
+   * @param {string} tokenIn
+   * @param {bigint} amountIn
+   * @param {string} asset
+   * @param {{ slippageBps?: number | bigint }} options slippageBps: allowed output shortfall (default 50)
+   * @return {Promise<ZapQuote>}
+   */
+  async quoteZap(tokenIn, amountIn, asset, options = {}) {
+    const fail = (reason) => new VaultSdkError("zapDeposit", "simulate", reason);
+    const [allowedAsset, vault, hasInitialDeposit] = await Promise.all([
+      this.contract.isAllowedAsset(asset),
+      this.contract.getAssetActiveVault(asset),
+      this.contract.assetHasInitialDeposit(asset),
+    ]);
+    if (!allowedAsset) throw fail("AssetNotAllowed()");
+    if (ethers.getAddress(tokenIn) === ethers.getAddress(asset)) throw fail("SameAsset()");
+
+    const amountOut = await this.contract.getEstimatedSwapOutput(tokenIn, asset, amountIn);
+    if (amountOut === 0n) throw fail("NoPool()");
+
+    const slippage = BigInt(options.slippageBps ?? 50);
+    return {
+      tokenIn: ethers.getAddress(tokenIn),
+      amountIn,
+      asset: ethers.getAddress(asset),
+      vault,
+      amountOut,
+      minAmountOut: (amountOut * (10000n - slippage)) / 10000n,
+      initial: !hasInitialDeposit,
+    };
+  }
+
+  /**
+   * Quote what claiming `rewards` pays out or compounds. When the owner compounds rewards,
+   * every token other than the compound asset is swapped on Aerodrome during the claim and
+   * needs a minimum output, computed here from the current pool quote.
+   *
+   * @param {MerklReward | MerklReward[]} rewards
+   * @param {{ slippageBps?: number | bigint }} options slippageBps defaults to 50 (0.5%)
+   * @return {Promise<ClaimQuote[]>}
+   */
+  async quoteClaims(rewards, options = {}) {
+    const list = Array.isArray(rewards) ? rewards : [rewards];
+    const [compoundAsset, feePercentage, distributorAddress] = await Promise.all([
+      this.contract.merklCompoundAsset(),
+      this.contract.merklClaimFeePercentage(),
+      this.contract.merklDistributor(),
+    ]);
+    const distributor = new ethers.Contract(distributorAddress, MERKL_DISTRIBUTOR_ABI, this.runner);
+    const slippage = BigInt(options.slippageBps ?? 50);
+
+    const quotes = [];
+    for (const { token, amount } of list) {
+      const cumulative = BigInt(amount);
+      const alreadyClaimed = await distributor.claimed(this.address, token);
+      const unclaimed = cumulative > alreadyClaimed ? cumulative - alreadyClaimed : 0n;
+      const fee = (unclaimed * feePercentage) / 10000n;
+      const userAmount = unclaimed - fee;
+
+      const swapped = compoundAsset !== ethers.ZeroAddress && ethers.getAddress(token) !== compoundAsset;
+      const amountOut =
+        swapped && userAmount > 0n ? await this.contract.getEstimatedSwapOutput(token, compoundAsset, userAmount) : 0n;
+      quotes.push({
+        token: ethers.getAddress(token),
+        unclaimed,
+        fee,
+        userAmount,
+        compoundAsset: compoundAsset === ethers.ZeroAddress ? null : compoundAsset,
+        amountOut,
+        minAmountOut: (amountOut * (10000n - slippage)) / 10000n,
+      });
+    }
+    return quotes;
+  }
+
+  // ============ Writes ============
+
+  /**
+   * Deposit `amount` of `asset`, approving the vault first if needed.
+   * Uses initialDeposit for the first deposit of an asset and userDeposit afterwards.
+   * The transaction reverts if fewer than `minShares` shares are minted, by default
+   * the previewed shares lowered by `slippageBps`.
+   *
+   * @param {string} asset
+   * @param {bigint} amount
+   * @param {{ vault?: string, approve?: boolean, minShares?: bigint, slippageBps?: number | bigint }} options
+   *   vault: Morpho vault for the initial deposit (defaults to the asset's first available vault)
+   *   approve: approve the exact amount when the allowance is too low (default true)
+   * @return {Promise<TxResult & { shares: bigint }>}
+   */
+  async deposit(asset, amount, options = {}) {
+    const preview = await this.previewDeposit(asset, amount, options);
+    const minShares = options.minShares ?? preview.minShares;
+
+    if (options.approve !== false) {
+      await this.ensureAllowance(asset, amount);
+    }
+
+    const args =
+      preview.method === "userDeposit" ? [asset, amount, minShares] : [asset, preview.vaults[0], amount, minShares];
+    const result = await this._send(preview.method, args);
+    return { ...result, shares: preview.shares };
+  }
+
+  /**
+   * Deposit `amountIn` of any token into `asset`'s vault through an Aerodrome swap.
+   * The swap is quoted first; it reverts below `minAmountOut`, by default the quote
+   * less `slippageBps`.
+   *
+   * @param {string} tokenIn
+   * @param {bigint} amountIn
+   * @param {string} asset
+   * @param {{ minAmountOut?: bigint, slippageBps?: number | bigint, approve?: boolean }} options
+   * @return {Promise<TxResult & { quote: ZapQuote }>}
+   */
+  async zapDeposit(tokenIn, amountIn, asset, options = {}) {
+    const quote = await this.quoteZap(tokenIn, amountIn, asset, options);
+
+    if (options.approve !== false) {
+      await this.ensureAllowance(tokenIn, amountIn);
+    }
+
+    const minAmountOut = options.minAmountOut ?? quote.minAmountOut;
+    const result = await this._send("zapDeposit", [tokenIn, amountIn, asset, minAmountOut]);
+    return { ...result, quote };
+  }
+
+  /**
+   * Approve the vault to pull `amount` of `asset` from the signer if the allowance is lower
+   * @return {Promise<import("ethers").TransactionReceipt | null>} null when no approval was needed
+   */
+  async ensureAllowance(asset, amount) {
+    const owner = await signerAddress(this.runner);
+    const token = new ethers.Contract(asset, ERC20_ABI, this.runner);
+    if ((await token.allowance(owner, this.address)) >= amount) {
+      return null;
+    }
+    const { receipt } = await simulateAndSend(token, "approve", [this.address, amount]);
+    return receipt;
+  }
+
+  /**
+   * Withdraw `assetAmount` of `asset` (before the performance fee) with withdrawAssets;
+   * omit it to withdraw everything. The transaction reverts if the owner would receive
+   * less than `minReceived` after the fee, by default the previewed minimum lowered by
+   * `slippageBps`.
+   *
+   * @param {string} asset
+   * @param {bigint} [assetAmount]
+   * @param {{ minReceived?: bigint, slippageBps?: number | bigint }} options
+   * @return {Promise<TxResult & { shares: bigint, net: bigint }>}
+   */
+  async withdraw(asset, assetAmount, options = {}) {
+    const preview = await this.previewWithdraw(asset, assetAmount);
+    const slippage = BigInt(options.slippageBps ?? 0);
+    const minReceived = options.minReceived ?? (preview.minReceived * (10000n - slippage)) / 10000n;
+    // A full withdrawal redeems every share, which avoids leaving dust behind
+    const result = await this._send("withdrawAssets", [asset, preview.vault, preview.assets, minReceived]);
+    return { ...result, shares: preview.shares, net: preview.net };
+  }
+
+  /**
+   * Redeem `shares` of the active vault, or of `options.vault` with withdrawFromVault;
+   * omit them to redeem everything. The transaction reverts if the owner would receive
+   * less than `minReceived` after the fee, by default the previewed net amount lowered
+   * by `slippageBps`.
+   *
+   * @param {string} asset
+   * @param {bigint} [shares]
+   * @param {{ vault?: string, minReceived?: bigint, slippageBps?: number | bigint }} options
+   * @return {Promise<TxResult & { net: bigint }>}
+   */
+  async redeem(asset, shares, options = {}) {
+    const preview = await this.previewRedeem(asset, shares, options);
+    const minReceived = options.minReceived ?? preview.minReceived;
+    const args =
+      preview.method === "withdraw"
+        ? [asset, preview.shares, minReceived]
+        : [asset, preview.vault, preview.shares, minReceived];
+    const result = await this._send(preview.method, args);
+    return { ...result, net: preview.net };
+  }
+
+  /**
+   * Move an asset's position to another of its available Morpho vaults (admin).
+   * Use simulateRebalance to preview the fee and the target vault's shares first.
+   * @return {Promise<TxResult>}
+   */
+  async rebalance(asset, toVault) {
+    return this._send("rebalanceToVault", [asset, toVault]);
+  }
+
+  /**
+   * Move the whole position of `fromAsset` into `toAsset` through an Aerodrome swap
+   * (owner, or admin with the owner's consent). The swap reverts below `minAmountOut`,
+   * by default the simulated output less `slippageBps`.
+   *
+   * @param {string} fromAsset
+   * @param {string} toAsset
+   * @param {{ minAmountOut?: bigint, slippageBps?: number | bigint }} options
+   * @return {Promise<TxResult & { simulation: AssetRebalanceSimulation }>}
+   */
+  async rebalanceToAsset(fromAsset, toAsset, options = {}) {
+    const simulation = await this.simulateAssetRebalance(fromAsset, toAsset, options);
+    const minAmountOut = options.minAmountOut ?? simulation.minAmountOut;
+    const result = await this._send("rebalanceToAsset", [fromAsset, toAsset, minAmountOut]);
+    return { ...result, simulation };
+  }
+
+  /**
+   * Queue a fee, minProfitForFee, revenueAddress or changeDelay change (admin).
+   * It can be executed once the vault's changeDelay has passed.
+   *
+   * @param {string} name Parameter, as named by its vault getter
+   * @param {bigint | string} value
+   * @return {Promise<TxResult>}
+   */
+  async queueChange(name, value) {
+    return this._send(PARAMETERS[parameterIndex("queueChange", name)].setter, [value]);
+  }
+
+  /**
+   * Apply a queued change whose delay has passed (owner or admin)
+   * @return {Promise<TxResult>}
+   */
+  async executeChange(name) {
+    return this._send("executeParameterChange", [parameterIndex("executeParameterChange", name)]);
+  }
+
+  /**
+   * Cancel a queued change (owner or admin): the owner's veto
+   * @return {Promise<TxResult>}
+   */
+  async cancelChange(name) {
+    return this._send("cancelParameterChange", [parameterIndex("cancelParameterChange", name)]);
+  }
+
+  /**
+   * Propose `newAdmin` as the vault admin (owner or admin). The transfer completes when
+   * the new admin calls acceptAdmin. Once the owner has proposed, only the owner can
+   * replace or cancel the proposal.
+   * @return {Promise<TxResult>}
+   */
+  async proposeAdmin(newAdmin) {
+    return this._send("proposeAdmin", [newAdmin]);
+  }
+
+  /**
+   * Become the admin of a vault whose admin proposed the signer (pending admin).
+   * The Merkl operator permission moves from the old admin to the signer.
+   * @return {Promise<TxResult>}
+   */
+  async acceptAdmin() {
+    return this._send("acceptAdmin", []);
+  }
+
+  /**
+   * Withdraw a pending admin transfer (owner or admin; only the owner for one the owner proposed)
+   * @return {Promise<TxResult>}
+   */
+  async cancelAdminTransfer() {
+    return this._send("cancelAdminTransfer", []);
+  }
+
+  /**
+   * Propose `newOwner` as the vault owner (owner). The transfer completes when the
+   * new owner calls acceptOwner.
+   * @return {Promise<TxResult>}
+   */
+  async proposeOwner(newOwner) {
+    return this._send("proposeOwner", [newOwner]);
+  }
+
+  /**
+   * Become the owner of a vault whose owner proposed the signer (pending owner).
+   * A factory vault moves to the signer in the factory's owner index.
+   * @return {Promise<TxResult>}
+   */
+  async acceptOwner() {
+    return this._send("acceptOwner", []);
+  }
+
+  /**
+   * Withdraw a pending owner transfer (owner)
+   * @return {Promise<TxResult>}
+   */
+  async cancelOwnerTransfer() {
+    return this._send("cancelOwnerTransfer", []);
+  }
+
+  /**
+   * Choose the account that can recover the vault, or ethers.ZeroAddress to turn recovery off (owner)
+   * @return {Promise<TxResult>}
+   */
+  async setGuardian(guardian) {
+    return this._send("setGuardian", [guardian]);
+  }
+
+  /**
+   * Start moving the vault to `newOwner` (guardian). It can be executed after
+   * RECOVERY_DELAY unless the owner cancels it first.
+   * @return {Promise<TxResult>}
+   */
+  async initiateRecovery(newOwner) {
+    return this._send("initiateRecovery", [newOwner]);
+  }
+
+  /**
+   * Cancel the pending recovery (owner or guardian)
+   * @return {Promise<TxResult>}
+   */
+  async cancelRecovery() {
+    return this._send("cancelRecovery", []);
+  }
+
+  /**
+   * Hand the vault to the recovery owner once the delay has passed (guardian or the new owner)
+   * @return {Promise<TxResult>}
+   */
+  async executeRecovery() {
+    return this._send("executeRecovery", []);
+  }
+
+  /**
+   * Make `vault` the active vault of `asset` (admin). Shares of the old active vault
+   * outside the target weights move with it, charged as a rebalance.
+   * @return {Promise<TxResult>}
+   */
+  async setActiveVault(asset, vault) {
+    return this._send("setAssetActiveVault", [asset, vault]);
+  }
+
+  /**
+   * Set target weights that split new deposits of `asset` across its vaults (admin)
+   *
+   * @param {string} asset
+   * @param {Record<string, number | bigint>} weights Basis points per vault, summing to 10000; {} to stop splitting
+   * @return {Promise<TxResult>}
+   */
+  async setAllocation(asset, weights) {
+    const vaults = Object.keys(weights);
+    return this._send("setAssetVaultWeights", [asset, vaults, vaults.map((vault) => BigInt(weights[vault]))]);
+  }
+
+  /**
+   * Moves that bring the asset's current split to its target weights: value is taken
+   * from vaults above their target and given to vaults below it, largest first
+   *
+   * @param {string} asset
+   * @return {Promise<ReallocationMove[]>} empty when the asset has no target weights
+   */
+  async planReallocation(asset) {
+    const [split, allocation] = await Promise.all([this.contract.assetHasWeights(asset), this.getAllocation(asset)]);
+    if (!split) return [];
+
+    const total = allocation.reduce((sum, entry) => sum + entry.assets, 0n);
+    const entries = allocation.map((entry) => ({ ...entry, delta: entry.assets - (total * entry.weight) / 10000n }));
+    const byDelta = (a, b) => (a.delta < b.delta ? -1 : a.delta > b.delta ? 1 : 0);
+    const sources = entries.filter((entry) => entry.delta > 0n).sort((a, b) => byDelta(b, a));
+    const targets = entries.filter((entry) => entry.delta < 0n).sort(byDelta);
+
+    const moves = [];
+    for (const source of sources) {
+      const morphoVault = new ethers.Contract(source.vault, ERC4626_ABI, this.runner);
+      let remainingShares = source.shares;
+      for (const target of targets) {
+        if (source.delta === 0n || remainingShares === 0n) break;
+        if (target.delta === 0n) continue;
+
+        const amount = source.delta < -target.delta ? source.delta : -target.delta;
+        let shares = await morphoVault.previewWithdraw(amount);
+        // A vault without a target weight is emptied completely
+        const last = source.weight === 0n && amount === source.delta;
+        if (last || shares > remainingShares) shares = remainingShares;
+        if (shares === 0n) continue;
+
+        moves.push({ fromVault: source.vault, toVault: target.vault, shares, amount });
+        remainingShares -= shares;
+        source.delta -= amount;
+        target.delta += amount;
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * Move value between the asset's vaults until it matches the target weights (admin).
+   * Each move is one rebalanceBetweenVaults call and pays the rebalance fee on its profit.
+   *
+   * @param {string} asset
+   * @return {Promise<Array<TxResult & { move: ReallocationMove }>>}
+   */
+  async reallocate(asset) {
+    const results = [];
+    for (const move of await this.planReallocation(asset)) {
+      const result = await this._send("rebalanceBetweenVaults", [asset, move.fromVault, move.toVault, move.shares]);
+      results.push({ ...result, move });
+    }
+    return results;
+  }
+
+  /**
+   * Claim Merkl rewards. The owner and the admin use their respective entry points,
+   * and several rewards are claimed in one batch call.
+   * Rewards swapped into the compound asset revert below their `minAmountOut`,
+   * by default the quoteClaims output lowered by `slippageBps`.
+   *
+   * @param {MerklReward | MerklReward[]} rewards
+   * @param {{ slippageBps?: number | bigint }} options
+   * @return {Promise<TxResult>}
+   */
+  async claim(rewards, options = {}) {
+    const list = Array.isArray(rewards) ? rewards : [rewards];
+    if (list.length === 0) {
+      throw new VaultSdkError("claim", "simulate", "Nothing to claim");
+    }
+
+    const caller = await signerAddress(this.runner);
+    const [owner, admin] = await Promise.all([this.contract.owner(), this.contract.admin()]);
+    let prefix;
+    if (caller === owner) {
+      prefix = "claimMerkl";
+    } else if (caller === admin) {
+      prefix = "adminClaimMerkl";
+    } else {
+      throw new VaultSdkError("claim", "simulate", `${caller} is neither the vault owner nor its admin`);
+    }
+
+    const quotes = await this.quoteClaims(list, options);
+    const minAmountsOut = list.map((reward, i) => reward.minAmountOut ?? quotes[i].minAmountOut);
+
+    if (list.length === 1) {
+      const [{ token, amount, proof }] = list;
+      return this._send(`${prefix}Reward`, [token, amount, proof, minAmountsOut[0]]);
+    }
+    return this._send(`${prefix}RewardsBatch`, [
+      list.map((reward) => reward.token),
+      list.map((reward) => reward.amount),
+      list.map((reward) => reward.proof),
+      minAmountsOut,
+    ]);
+  }
+
+  async _send(method, args) {
+    const { receipt } = await simulateAndSend(this.contract, method, args);
+    return { method, receipt, events: parseEvents(this.contract, receipt) };
+  }
+}
+
+module.exports = VaultClient;
@@ -0,0 +1,100 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { toSdkError } = require("./errors");
+
+/**
+ * Contract ABIs and the simulate-then-send helper shared by the clients
+ *
+ * ABIs come from the Hardhat artifacts, so `npx hardhat compile` must have run.
+ * The contracts are untyped ethers Contracts: no TypeChain typings are generated.
+ */
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const ERC4626_ABI = [
+  "function asset() view returns (address)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function previewWithdraw(uint256 assets) view returns (uint256)",
+  "function previewRedeem(uint256 shares) view returns (uint256)",
+  "function previewDeposit(uint256 assets) view returns (uint256)",
+  "function maxDeposit(address receiver) view returns (uint256)",
+];
+
+// Minimal view of the Merkl Distributor. For claimed(), the real distributor
+// returns (uint208 amount, uint48 timestamp, bytes32 root); only the first word is decoded.
+const MERKL_DISTRIBUTOR_ABI = [
+  "function claimed(address user, address token) view returns (uint256 amount)",
+  "function getMerkleRoot() view returns (bytes32)",
+];
+
+function loadAbi(source, name) {
+  try {
+    return require(path.join(ARTIFACTS_DIR, source, `${name}.json`)).abi;
+  } catch {
+    throw new Error(`Missing ${name} artifact; run npx hardhat compile first`);
+  }
+}
+
+/**
+ * Simulate a contract call with staticCall, then send it and wait for the receipt.
+ * Reverts in either step are rethrown as VaultSdkError.
+ *
+ * @return {Promise<{ result: any, receipt: ethers.TransactionReceipt }>}
+ *   result is the simulated return value
+ */
+async function simulateAndSend(contract, method, args, overrides = {}) {
+  let result;
+  try {
+    result = await contract[method].staticCall(...args, overrides);
+  } catch (error) {
+    throw toSdkError(method, "simulate", error, [contract.interface]);
+  }
+
+  try {
+    const tx = await contract[method](...args, overrides);
+    const receipt = await tx.wait();
+    return { result, receipt };
+  } catch (error) {
+    throw toSdkError(method, "send", error, [contract.interface]);
+  }
+}
+
+/**
+ * Parsed logs of a receipt emitted by `contract`
+ */
+function parseEvents(contract, receipt) {
+  return receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Address of the runner's signer, or null for read-only runners
+ */
+async function signerAddress(runner) {
+  return runner && typeof runner.getAddress === "function" ? runner.getAddress() : null;
+}
+
+module.exports = {
+  ERC20_ABI,
+  ERC4626_ABI,
+  MERKL_DISTRIBUTOR_ABI,
+  vaultAbi: () => loadAbi("userVaultV4.sol", "UserVault_V4"),
+  factoryAbi: () => loadAbi("UserVaultFactory.sol", "UserVaultFactory"),
+  simulateAndSend,
+  parseEvents,
+  signerAddress,
+};
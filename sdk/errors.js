@@ -0,0 +1,100 @@
+const { ethers } = require("ethers");
+
+/**
+ * Revert decoding for SDK calls
+ *
+ * Contract calls made by the SDK are simulated first; when a simulation or a
+ * transaction reverts, the raw ethers error is turned into a VaultSdkError
+ * whose message names the method and the decoded reason.
+ */
+
+// Custom errors raised by the OpenZeppelin contracts and tokens the vaults call into
+const KNOWN_ERRORS = new ethers.Interface([
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC4626ExceededMaxWithdraw(address owner, uint256 assets, uint256 max)",
+  "error ERC4626ExceededMaxRedeem(address owner, uint256 shares, uint256 max)",
+  "error FailedDeployment()",
+  "error InsufficientBalance(uint256 balance, uint256 needed)",
+]);
+
+class VaultSdkError extends Error {
+  /**
+   * @param {string} method Contract method that failed
+   * @param {string} stage "simulate" or "send"
+   * @param {string} reason Decoded revert reason
+   * @param {Error} cause Original ethers error
+   */
+  constructor(method, stage, reason, cause) {
+    super(`${method} ${stage === "simulate" ? "would revert" : "reverted"}: ${reason}`);
+    this.name = "VaultSdkError";
+    this.method = method;
+    this.stage = stage;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Find the revert data of an ethers error (it may be nested by the provider)
+ */
+function findRevertData(error) {
+  for (let current = error; current; current = current.error || current.info?.error) {
+    if (typeof current.data === "string" && ethers.isHexString(current.data)) return current.data;
+    if (typeof current.data?.data === "string") return current.data.data;
+  }
+  return null;
+}
+
+function formatParsedError(parsed) {
+  if (parsed.name === "Error") return parsed.args[0];
+  if (parsed.name === "Panic") return `Panic(0x${parsed.args[0].toString(16)})`;
+  return `${parsed.name}(${parsed.args.map((arg) => arg.toString()).join(", ")})`;
+}
+
+/**
+ * Readable revert reason of an ethers error
+ * @param {Error} error
+ * @param {ethers.Interface[]} interfaces Contract interfaces to decode custom errors with
+ */
+function decodeRevert(error, interfaces = []) {
+  if (error.revert) {
+    return formatParsedError(error.revert);
+  }
+
+  const data = findRevertData(error);
+  if (data && data !== "0x") {
+    for (const iface of [...interfaces, KNOWN_ERRORS]) {
+      try {
+        const parsed = iface.parseError(data);
+        if (parsed) return formatParsedError(parsed);
+      } catch {
+        // Not an error of this interface
+      }
+    }
+    return `unknown error ${data.slice(0, 10)}`;
+  }
+
+  if (error.reason) return error.reason;
+  return error.shortMessage || error.message;
+}
+
+/**
+ * Wrap an ethers error into a VaultSdkError
+ */
+function toSdkError(method, stage, error, interfaces) {
+  if (error instanceof VaultSdkError) return error;
+  return new VaultSdkError(method, stage, decodeRevert(error, interfaces), error);
+}
+
+module.exports = {
+  VaultSdkError,
+  decodeRevert,
+  toSdkError,
+};
@@ -0,0 +1,11 @@
+// JavaScript SDK for UserVault_V4 and UserVaultFactory
+const VaultClient = require("./VaultClient");
+const FactoryClient = require("./FactoryClient");
+const { VaultSdkError, decodeRevert } = require("./errors");
+
+module.exports = {
+  VaultClient,
+  FactoryClient,
+  VaultSdkError,
+  decodeRevert,
+};
@@ -0,0 +1,48 @@
+const { ethers } = require("ethers");
+
+/**
+ * UserVault_V4 constructor layout and the factory's deterministic salt
+ *
+ * Shared by FactoryClient and the address planner so both build the same
+ * constructor arguments and salts as UserVaultFactory.
+ */
+
+const VAULT_CONSTRUCTOR_TYPES = [
+  "address", // owner
+  "address", // admin
+  "address[]", // assets
+  "address[][]", // assetVaults
+  "address", // revenueAddress
+  "uint256", // feePercentage
+  "uint256", // rebalanceFeePercentage
+  "uint256", // merklClaimFeePercentage
+];
+
+/**
+ * Salt used by generateDeterministicSalt / deployVaultWithNonce
+ */
+function deterministicSalt(owner, nonce) {
+  return ethers.solidityPackedKeccak256(["address", "uint256"], [owner, nonce]);
+}
+
+/**
+ * Constructor arguments of UserVault_V4, in order
+ */
+function vaultConstructorArgs(config) {
+  return [
+    config.owner,
+    config.admin,
+    config.assets,
+    config.assetVaults,
+    config.revenueAddress,
+    config.feePercentage,
+    config.rebalanceFeePercentage,
+    config.merklClaimFeePercentage,
+  ];
+}
+
+module.exports = {
+  VAULT_CONSTRUCTOR_TYPES,
+  deterministicSalt,
+  vaultConstructorArgs,
+};
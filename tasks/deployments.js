@@ -0,0 +1,52 @@
+const { task } = require("hardhat/config");
+const { parseAddress } = require("../scripts/lib/cliArgs");
+const { listNetworks, readRegistry, queryDeployments } = require("../scripts/lib/deployments");
+
+/**
+ * deployments:list - query the deployment registry of the selected network
+ */
+task("deployments:list", "List recorded factory and vault deployments")
+  .addOptionalParam("kind", "Only list this kind: factory or vault")
+  .addOptionalParam("owner", "Only list vaults of this owner")
+  .addOptionalParam("admin", "Only list vaults managed by this admin")
+  .addOptionalParam("factory", "Only list vaults deployed by this factory")
+  .addFlag("allNetworks", "List every network that has a manifest")
+  .addFlag("json", "Print raw JSON records")
+  .setAction(async (args, hre) => {
+    if (args.kind && !["factory", "vault"].includes(args.kind)) {
+      throw new Error(`--kind: expected "factory" or "vault", got "${args.kind}"`);
+    }
+
+    const filter = {
+      kind: args.kind,
+      owner: args.owner && parseAddress(args.owner, "owner"),
+      admin: args.admin && parseAddress(args.admin, "admin"),
+      factory: args.factory && parseAddress(args.factory, "factory"),
+    };
+
+    const networks = args.allNetworks ? listNetworks() : [hre.network.name];
+    const results = {};
+    for (const network of networks) {
+      results[network] = queryDeployments(network, filter);
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return results;
+    }
+
+    for (const network of networks) {
+      const { chainId } = readRegistry(network);
+      const records = results[network];
+      console.log(`=== ${network}${chainId ? ` (chain ${chainId})` : ""}: ${records.length} deployment(s) ===`);
+      for (const record of records) {
+        const parts = [`${record.kind.padEnd(7)} ${record.address}`];
+        if (record.kind === "vault") parts.push(`owner=${record.owner}`, `admin=${record.admin}`);
+        if (record.blockNumber !== null) parts.push(`block=${record.blockNumber}`);
+        parts.push(record.timestamp);
+        console.log("  " + parts.join("  "));
+      }
+    }
+
+    return results;
+  });
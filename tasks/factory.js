@@ -0,0 +1,491 @@
+const { task, types } = require("hardhat/config");
+const {
+  parseAddress,
+  parseAddressList,
+  parseAssetVaults,
+  parseUint,
+  parseBytes32,
+  assertVaultConfig,
+  assertMatchesAbi,
+} = require("../scripts/lib/cliArgs");
+const {
+  registryPath,
+  recordHreDeployment,
+  resolveFactoryAddress,
+  getLatestFactory,
+} = require("../scripts/lib/deployments");
+const {
+  DETERMINISTIC_DEPLOYER,
+  DEFAULT_FACTORY_SALT,
+  factoryInitCode,
+  predictDeterministicAddress,
+  ensureDeterministicDeployer,
+  deployDeterministic,
+  compareDeployedBytecode,
+} = require("../scripts/lib/create2Deployer");
+const { linkedArtifact, deployLibraries } = require("../scripts/lib/vaultLibraries");
+const { vaultConstructorArgs, deterministicSalt } = require("../sdk/vaultConfig");
+const { resolveAdminVaults } = require("../scripts/lib/factoryVaults");
+const { proposeAdminRotation, acceptAdminRotation, formatRotationReport } = require("../scripts/lib/adminRotation");
+const { FactoryClient } = require("../sdk");
+
+/**
+ * Hardhat tasks for UserVaultFactory
+ *
+ *   factory:deploy           Deploy a new factory (optionally through the CREATE2 proxy)
+ *   factory:verify-bytecode  Compare the deployed factory bytecode across networks
+ *   factory:predict          Compute the CREATE2 address of a vault
+ *   factory:deploy-vault     Deploy a vault through the factory
+ *   factory:list             List vaults deployed by the factory
+ *   factory:rotate-admin     Hand the admin role of the factory's vaults to a new key
+ *   factory:resync           Repair the owner and admin indexes of vaults whose factory update failed
+ */
+
+/**
+ * Register the vault configuration parameters shared by predict and deploy-vault
+ */
+function withVaultConfigParams(definition) {
+  return definition
+    .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+    .addOptionalParam("owner", "Vault owner (defaults to the signer)")
+    .addOptionalParam("admin", "Vault admin (defaults to the signer)")
+    .addParam("assets", "Comma-separated asset addresses, e.g. 0xUSDC,0xWETH")
+    .addParam("vaults", "Per-asset vault lists: vaults comma-separated, assets separated by ';'")
+    .addOptionalParam("revenue", "Revenue address (defaults to the signer)")
+    .addOptionalParam("fee", "Withdrawal fee in basis points", "100")
+    .addOptionalParam("rebalanceFee", "Rebalance fee in basis points", "1000")
+    .addOptionalParam("merklFee", "Merkl claim fee in basis points", "1000")
+    .addOptionalParam("salt", "32-byte salt (mutually exclusive with --nonce)")
+    .addOptionalParam("nonce", "Owner nonce used to derive the salt (mutually exclusive with --salt)");
+}
+
+/**
+ * Validate task arguments and turn them into the factory's argument order
+ */
+async function resolveVaultConfig(args, hre) {
+  const [signer] = await hre.ethers.getSigners();
+
+  const config = {
+    factory: parseAddress(resolveFactoryAddress(hre, args.factory), "factory"),
+    owner: args.owner ? parseAddress(args.owner, "owner") : signer.address,
+    admin: args.admin ? parseAddress(args.admin, "admin") : signer.address,
+    assets: parseAddressList(args.assets, "assets"),
+    assetVaults: parseAssetVaults(args.vaults, "vaults"),
+    revenueAddress: args.revenue ? parseAddress(args.revenue, "revenue") : signer.address,
+    feePercentage: parseUint(args.fee, "fee"),
+    rebalanceFeePercentage: parseUint(args.rebalanceFee, "rebalance-fee"),
+    merklClaimFeePercentage: parseUint(args.merklFee, "merkl-fee"),
+    salt: undefined,
+    nonce: undefined,
+  };
+  assertVaultConfig(config);
+
+  if (args.salt !== undefined && args.nonce !== undefined) {
+    throw new Error("Pass either --salt or --nonce, not both");
+  }
+  if (args.salt !== undefined) {
+    config.salt = parseBytes32(args.salt, "salt");
+  } else if (args.nonce !== undefined) {
+    config.nonce = parseUint(args.nonce, "nonce");
+    config.salt = deterministicSalt(config.owner, config.nonce);
+  } else {
+    throw new Error("One of --salt or --nonce is required");
+  }
+
+  return config;
+}
+
+async function getFactory(hre, address) {
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(`No contract deployed at factory address ${address}`);
+  }
+  return hre.ethers.getContractAt("UserVaultFactory", address);
+}
+
+function printVaultConfig(config) {
+  console.log("=== Vault Configuration ===");
+  console.log("Owner:", config.owner);
+  console.log("Admin:", config.admin);
+  console.log("Revenue Address:", config.revenueAddress);
+  config.assets.forEach((asset, i) => {
+    console.log(`Asset ${asset}:`, config.assetVaults[i].join(", "));
+  });
+  console.log("Fee Percentage:", config.feePercentage.toString(), "bps");
+  console.log("Rebalance Fee:", config.rebalanceFeePercentage.toString(), "bps");
+  console.log("Merkl Claim Fee:", config.merklClaimFeePercentage.toString(), "bps");
+  console.log("Salt:", config.salt);
+  console.log("============================\n");
+}
+
+task("factory:deploy", "Deploy UserVaultFactory")
+  .addOptionalParam("owner", "Initial factory owner (defaults to the signer)")
+  .addFlag("deterministic", "Deploy through the deterministic deployment proxy (same address on every chain)")
+  .addOptionalParam("salt", "CREATE2 salt for --deterministic (defaults to FACTORY_SALT or the project salt)")
+  .addFlag("dryRun", "With --deterministic, only print the predicted factory address")
+  .setAction(async (args, hre) => {
+    const [deployer] = await hre.ethers.getSigners();
+    const initialOwner = args.owner ? parseAddress(args.owner, "owner") : deployer.address;
+
+    // Bytecode linked against the deterministic library addresses
+    const artifact = await linkedArtifact(hre.artifacts, "UserVaultFactory");
+    const UserVaultFactory = new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+    assertMatchesAbi(UserVaultFactory.interface, "constructor", [initialOwner]);
+
+    if (args.deterministic) {
+      return deployFactoryDeterministic(hre, deployer, UserVaultFactory, initialOwner, args);
+    }
+    if (args.dryRun || args.salt !== undefined) {
+      throw new Error("--salt and --dry-run require --deterministic");
+    }
+
+    console.log("Deploying UserVaultFactory...");
+    console.log("  Network:", hre.network.name);
+    console.log("  Deployer:", deployer.address);
+    console.log("  Initial Owner:", initialOwner);
+
+    await deployFactoryLibraries(hre, deployer);
+    const factory = await UserVaultFactory.deploy(initialOwner);
+    await factory.waitForDeployment();
+    const receipt = await factory.deploymentTransaction().wait();
+
+    const address = await factory.getAddress();
+    console.log("✅ UserVaultFactory deployed to:", address);
+    console.log("   Transaction:", receipt.hash);
+
+    const record = await recordHreDeployment(hre, {
+      kind: "factory",
+      address,
+      constructorArgs: [initialOwner],
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      deployer: deployer.address,
+    });
+    if (record) {
+      console.log("   Recorded in", registryPath(hre.network.name));
+    }
+
+    return { address, initialOwner, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  });
+
+/**
+ * factory:deploy --deterministic: CREATE2 through the deterministic deployment proxy
+ */
+async function deployFactoryDeterministic(hre, deployer, UserVaultFactory, initialOwner, args) {
+  const salt = parseBytes32(args.salt || process.env.FACTORY_SALT || DEFAULT_FACTORY_SALT, "salt");
+  const initCode = factoryInitCode(UserVaultFactory.bytecode, initialOwner);
+  const initCodeHash = hre.ethers.keccak256(initCode);
+  const predicted = predictDeterministicAddress(salt, initCode);
+
+  console.log("Deploying UserVaultFactory deterministically...");
+  console.log("  Network:", hre.network.name);
+  console.log("  Deployer:", deployer.address);
+  console.log("  Initial Owner:", initialOwner);
+  console.log("  Proxy:", DETERMINISTIC_DEPLOYER);
+  console.log("  Salt:", salt);
+  console.log("  Init Code Hash:", initCodeHash);
+  console.log("  Predicted Address:", predicted);
+
+  const result = { address: predicted, initialOwner, salt, initCodeHash };
+
+  if (args.dryRun) {
+    result.deployed = (await hre.ethers.provider.getCode(predicted)) !== "0x";
+    console.log(result.deployed ? "⚠️  Already deployed on this network" : "Dry run, nothing deployed");
+    return result;
+  }
+
+  const { installed } = await ensureDeterministicDeployer(hre.ethers.provider, hre.network.name);
+  if (installed) {
+    console.log("  Installed the deterministic deployment proxy on", hre.network.name);
+  }
+
+  await deployFactoryLibraries(hre, deployer);
+  const deployment = await deployDeterministic(deployer, salt, initCode);
+  Object.assign(result, deployment);
+
+  if (deployment.alreadyDeployed) {
+    console.log("⚠️  UserVaultFactory already deployed at:", predicted);
+  } else {
+    console.log("✅ UserVaultFactory deployed to:", predicted);
+    console.log("   Transaction:", deployment.transactionHash);
+  }
+
+  // Record new deployments, and existing ones the registry doesn't know as current yet
+  if (!deployment.alreadyDeployed || getLatestFactory(hre.network.name)?.address !== predicted) {
+    const record = await recordHreDeployment(hre, {
+      kind: "factory",
+      address: predicted,
+      constructorArgs: [initialOwner],
+      salt,
+      transactionHash: deployment.transactionHash,
+      blockNumber: deployment.blockNumber,
+      deployer: deployer.address,
+    });
+    if (record) {
+      console.log("   Recorded in", registryPath(hre.network.name));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Deploy the libraries the factory and its vaults link, through the deterministic
+ * deployment proxy; those already on the network are left as they are
+ */
+async function deployFactoryLibraries(hre, deployer) {
+  for (const library of await deployLibraries(hre, deployer, "UserVaultFactory")) {
+    if (library.alreadyDeployed) {
+      console.log(`  Library ${library.name}: ${library.address} (already deployed)`);
+    } else {
+      console.log(`  Library ${library.name}: ${library.address} (transaction ${library.transactionHash})`);
+    }
+  }
+}
+
+task("factory:verify-bytecode", "Check that the factory deployed on each network matches the local build")
+  .addOptionalParam("address", "Factory address (defaults to the latest recorded factory)")
+  .addOptionalParam("networks", "Comma-separated networks to check (defaults to every configured network with a URL)")
+  .setAction(async (args, hre) => {
+    const address = parseAddress(resolveFactoryAddress(hre, args.address), "address");
+    const { deployedBytecode } = await linkedArtifact(hre.artifacts, "UserVaultFactory");
+
+    const names = args.networks
+      ? args.networks.split(",").map((name) => name.trim())
+      : [
+          hre.network.name,
+          ...Object.keys(hre.config.networks).filter(
+            (name) => name !== hre.network.name && name !== "localhost" && hre.config.networks[name].url
+          ),
+        ];
+
+    const providers = {};
+    for (const name of names) {
+      providers[name] = networkProvider(hre, name);
+    }
+
+    let results;
+    try {
+      results = await compareDeployedBytecode(providers, address, deployedBytecode);
+    } finally {
+      for (const [name, provider] of Object.entries(providers)) {
+        if (name !== hre.network.name) provider.destroy();
+      }
+    }
+
+    console.log("=== Factory Bytecode ===");
+    console.log("Address:", address);
+    for (const result of results) {
+      if (result.error) {
+        console.log(`  ⚠️  ${result.network}: unreachable (${result.error})`);
+      } else if (!result.deployed) {
+        console.log(`  -  ${result.network}: not deployed`);
+      } else if (result.matches) {
+        console.log(`  ✅ ${result.network}: matches local build`);
+      } else {
+        console.log(`  ❌ ${result.network}: bytecode differs (${result.codeHash})`);
+      }
+    }
+
+    const consistent = results.every((result) => result.matches !== false);
+    return { address, consistent, results };
+  });
+
+/**
+ * Provider for a configured network; the connected network reuses Hardhat's provider
+ */
+function networkProvider(hre, name) {
+  if (name === hre.network.name) {
+    return hre.ethers.provider;
+  }
+  const config = hre.config.networks[name];
+  if (!config || !config.url) {
+    throw new Error(`--networks: "${name}" is not a configured network with a URL`);
+  }
+  // A static network avoids endless chain detection retries on unreachable RPCs
+  const staticNetwork = config.chainId ? hre.ethers.Network.from(config.chainId) : undefined;
+  return new hre.ethers.JsonRpcProvider(config.url, staticNetwork, { staticNetwork });
+}
+
+withVaultConfigParams(task("factory:predict", "Compute the CREATE2 address of a vault"))
+  .setAction(async (args, hre) => {
+    const config = await resolveVaultConfig(args, hre);
+    const factory = await getFactory(hre, config.factory);
+
+    const callArgs = [...vaultConstructorArgs(config), config.salt];
+    assertMatchesAbi(factory.interface, "computeVaultAddress", callArgs);
+
+    printVaultConfig(config);
+    const predicted = await factory.computeVaultAddress(...callArgs);
+    const existing = await factory.deployedVaults(config.owner, config.salt);
+
+    console.log("Predicted Vault Address:", predicted);
+    if (existing !== hre.ethers.ZeroAddress) {
+      console.log("⚠️  A vault is already deployed for this owner and salt:", existing);
+    }
+
+    return predicted;
+  });
+
+withVaultConfigParams(task("factory:deploy-vault", "Deploy a UserVault_V4 through the factory"))
+  .setAction(async (args, hre) => {
+    const config = await resolveVaultConfig(args, hre);
+    const factory = await getFactory(hre, config.factory);
+
+    const callArgs = [...vaultConstructorArgs(config), config.salt];
+    assertMatchesAbi(factory.interface, "deployVault", callArgs);
+
+    printVaultConfig(config);
+
+    if ((await factory.deployedVaults(config.owner, config.salt)) !== hre.ethers.ZeroAddress) {
+      throw new Error(`A vault already exists for owner ${config.owner} and salt ${config.salt}`);
+    }
+
+    const predicted = await factory.computeVaultAddress(...callArgs);
+    console.log("Predicted Vault Address:", predicted);
+
+    console.log("Deploying vault...");
+    const tx = await factory.deployVault(...callArgs);
+    console.log("Transaction hash:", tx.hash);
+    const receipt = await tx.wait();
+
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "VaultDeployed");
+
+    if (!event) {
+      throw new Error("VaultDeployed event not found in receipt");
+    }
+
+    const vaultAddress = event.args.vaultAddress;
+    console.log("✅ Vault deployed at:", vaultAddress);
+    console.log("   Gas used:", receipt.gasUsed.toString());
+    if (vaultAddress !== predicted) {
+      console.log("⚠️  Deployed address differs from the prediction:", predicted);
+    }
+
+    const deployment = {
+      address: vaultAddress,
+      factory: config.factory,
+      constructorArgs: vaultConstructorArgs(config),
+      salt: config.salt,
+      nonce: config.nonce,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+    };
+
+    const record = await recordHreDeployment(hre, {
+      kind: "vault",
+      ...deployment,
+      deployer: receipt.from,
+    });
+    if (record) {
+      console.log("   Recorded in", registryPath(hre.network.name));
+    }
+
+    return deployment;
+  });
+
+task("factory:list", "List vaults deployed by a UserVaultFactory")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("owner", "Only list vaults of this owner")
+  .addOptionalParam("admin", "Only list vaults managed by this admin")
+  .addOptionalParam("asset", "Only list vaults where this asset is allowed")
+  .addOptionalParam("pageSize", "Vaults read per registry call", 100, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, parseAddress(resolveFactoryAddress(hre, args.factory), "factory"));
+    if (args.pageSize <= 0) throw new Error("--page-size must be positive");
+
+    const vaults = await new FactoryClient(factory.target, hre.ethers.provider).list({
+      owner: args.owner && parseAddress(args.owner, "owner"),
+      admin: args.admin && parseAddress(args.admin, "admin"),
+      asset: args.asset && parseAddress(args.asset, "asset"),
+      pageSize: args.pageSize,
+    });
+
+    console.log(`Found ${vaults.length} vault(s) of ${await factory.getTotalVaults()}`);
+    for (const vault of vaults) {
+      console.log(`  ${vault.address}  owner=${vault.owner}  admin=${vault.admin}`);
+    }
+
+    return vaults;
+  });
+
+task("factory:rotate-admin", "Propose a new admin on every factory vault the signer owns or administers, or accept them as the new admin")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("owners", "Comma-separated owners whose vaults to rotate")
+  .addOptionalParam("admin", "Admin whose vaults to rotate (defaults to the signer; with --accept, the previous admin)")
+  .addOptionalParam("newAdmin", "Admin to propose; required unless --accept")
+  .addFlag("accept", "Accept the admin role on every vault where the signer is the pending admin")
+  .addFlag("dryRun", "Simulate without sending transactions")
+  .setAction(async (args, hre) => {
+    if (args.accept === (args.newAdmin !== undefined)) {
+      throw new Error("Pass either --new-admin (run as the owner or the current admin) or --accept (run as the new admin)");
+    }
+    const newAdmin = args.accept ? null : parseAddress(args.newAdmin, "new-admin");
+    const [signer] = await hre.ethers.getSigners();
+    const vaults = await resolveAdminVaults(hre, {
+      factory: args.factory,
+      owners: args.owners,
+      // The new admin is only pending, so the accept step finds vaults by the previous admin or scans the registry
+      admin: args.admin ?? (args.accept ? undefined : signer.address),
+    });
+
+    console.log("=== Admin Rotation ===");
+    console.log("Network:", hre.network.name);
+    console.log("Signer:", signer.address);
+    console.log("Step:", args.accept ? "accept" : `propose ${newAdmin}`);
+    console.log("Vaults:", vaults.length);
+    if (args.dryRun) console.log("Mode: dry run");
+    console.log("");
+
+    const results = args.accept
+      ? await acceptAdminRotation(vaults, { signer, dryRun: args.dryRun })
+      : await proposeAdminRotation(vaults, { signer, newAdmin, dryRun: args.dryRun });
+    console.log(formatRotationReport(results));
+    if (!args.accept && results.some((result) => result.status === "proposed")) {
+      console.log("\nNext: run factory:rotate-admin --accept with the new admin's key");
+    }
+
+    return results;
+  });
+
+task("factory:resync", "Move vaults to their current owner and admin in the factory indexes")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("vaults", "Comma-separated vaults to resync (defaults to every vault whose index is stale)")
+  .addFlag("dryRun", "List the stale vaults without sending transactions")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre, parseAddress(resolveFactoryAddress(hre, args.factory), "factory"));
+    const [signer] = await hre.ethers.getSigners();
+    const client = new FactoryClient(factory.target, signer);
+
+    const stale = await client.staleVaults();
+    const vaults = args.vaults ? parseAddressList(args.vaults, "vaults") : stale.map((record) => record.address);
+
+    console.log("=== Factory Index Resync ===");
+    console.log("Network:", hre.network.name);
+    console.log("Factory:", factory.target);
+    for (const record of stale) {
+      console.log(`  ${record.address}  owner ${record.indexedOwner} -> ${record.owner}  admin ${record.indexedAdmin} -> ${record.admin}`);
+    }
+    if (vaults.length === 0) {
+      console.log("✅ Every vault is indexed under its current owner and admin");
+      return [];
+    }
+    if (args.dryRun) {
+      console.log(`Mode: dry run, ${vaults.length} vault(s) to resync`);
+      return vaults;
+    }
+
+    for (const vault of vaults) {
+      const { events } = await client.resync(vault);
+      console.log(`✅ ${vault}: ${events.length ? events.map((event) => event.name).join(", ") : "already in sync"}`);
+    }
+    return vaults;
+  });
@@ -0,0 +1,9 @@
+// Registers all project Hardhat tasks
+require("./factory");
+require("./planner");
+require("./deployments");
+require("./vault");
+require("./indexer");
+require("./ledger");
+require("./merkl");
+require("./keeper");
@@ -0,0 +1,98 @@
+const { task, types } = require("hardhat/config");
+const { parseAddress, parseAddressList } = require("../scripts/lib/cliArgs");
+const { queryDeployments, resolveFactoryAddress } = require("../scripts/lib/deployments");
+const { storePath, openStore, writeStore } = require("../scripts/lib/eventStore");
+const { syncEvents, followEvents } = require("../scripts/lib/eventIndexer");
+
+/**
+ * indexer:sync - index factory and vault events into the JSON event store
+ */
+
+/**
+ * Block to start a new store from: the factory's deployment block when it is recorded
+ */
+function defaultStartBlock(network, factory) {
+  const [record] = queryDeployments(network, { kind: "factory", address: factory });
+  return record && record.blockNumber !== null ? Number(record.blockNumber) : 0;
+}
+
+function printSyncResult(result) {
+  if (result.reorg) {
+    console.log(
+      `⚠️  Reorg: rewound from block ${result.reorg.fromBlock} to ${result.reorg.toBlock}, dropped ${result.reorg.removed} event(s)`
+    );
+  }
+  if (result.fromBlock <= result.toBlock) {
+    console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.added} new event(s)`);
+  }
+}
+
+task("indexer:sync", "Index UserVaultFactory and vault events into a local JSON store")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("vaults", "Comma-separated vaults to index in addition to the factory's")
+  .addOptionalParam("fromBlock", "First block for a new store (defaults to the factory deployment block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block to index (defaults to the head minus confirmations)", undefined, types.int)
+  .addOptionalParam("confirmations", "Stay this many blocks behind the head", 0, types.int)
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("store", "Event store file (defaults to .indexer/<network>.json)")
+  .addFlag("follow", "Keep indexing new blocks until interrupted")
+  .addOptionalParam("pollInterval", "Milliseconds between polls with --follow", 4000, types.int)
+  .setAction(async (args, hre) => {
+    const network = hre.network.name;
+    const factory = parseAddress(resolveFactoryAddress(hre, args.factory), "factory");
+    const vaults = args.vaults ? parseAddressList(args.vaults, "vaults") : [];
+    const file = args.store || storePath(network);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const store = openStore(file, {
+      network,
+      chainId,
+      factory,
+      startBlock: args.fromBlock ?? defaultStartBlock(network, factory),
+      vaults,
+    });
+    for (const vault of vaults) {
+      if (!store.initialVaults.includes(vault)) {
+        store.initialVaults.push(vault);
+        store.vaults.push(vault);
+      }
+    }
+
+    console.log("=== Event Indexer ===");
+    console.log("Network:", network);
+    console.log("Factory:", factory);
+    console.log("Store:", file);
+    console.log("Checkpoint:", store.checkpoint ? store.checkpoint.blockNumber : `none (start at ${store.startBlock})`);
+    console.log("");
+
+    const options = { provider: hre.ethers.provider, file, batchSize: args.batchSize };
+
+    if (args.follow) {
+      let stopped = false;
+      const stop = () => {
+        stopped = true;
+      };
+      process.once("SIGINT", stop);
+      console.log("Following new blocks, Ctrl-C to stop");
+      try {
+        await followEvents(store, {
+          ...options,
+          confirmations: args.confirmations,
+          pollInterval: args.pollInterval,
+          shouldStop: () => stopped,
+          onSync: printSyncResult,
+        });
+      } finally {
+        process.removeListener("SIGINT", stop);
+      }
+    } else {
+      const head = (await hre.ethers.provider.getBlockNumber()) - args.confirmations;
+      const result = await syncEvents(store, args.toBlock ?? head, options);
+      printSyncResult(result);
+    }
+
+    writeStore(file, store);
+    console.log(`✅ ${store.events.length} event(s) from ${store.vaults.length} vault(s) in ${file}`);
+
+    return store;
+  });
@@ -0,0 +1,67 @@
+const { task } = require("hardhat/config");
+const { parseDuration, parseUint } = require("../scripts/lib/cliArgs");
+const { resolveVaults } = require("../scripts/lib/factoryVaults");
+const { loadPriceSource } = require("../scripts/lib/prices");
+const {
+  DEFAULTS,
+  keeperStatePath,
+  decisionLogPath,
+  readKeeperState,
+  writeKeeperState,
+  appendDecisionLog,
+  runRebalanceKeeper,
+  formatDecision,
+} = require("../scripts/lib/rebalanceKeeper");
+
+/**
+ * keeper:rebalance - move each asset to its best-yielding Morpho vault
+ */
+
+task("keeper:rebalance", "Rebalance vault assets to the available Morpho vault with the best recent APY")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("vaults", "Comma-separated vaults to process instead of all factory vaults")
+  .addOptionalParam("window", "APY measurement window, e.g. 7d or 3600", `${DEFAULTS.window}`)
+  .addOptionalParam("minApyDelta", "Required APY improvement in basis points", `${DEFAULTS.minApyDelta}`)
+  .addOptionalParam("horizon", "Period whose extra yield must cover fee and gas, e.g. 30d", `${DEFAULTS.horizon}`)
+  .addOptionalParam("cooldown", "Minimum time between two rebalances of an asset, e.g. 1d", `${DEFAULTS.cooldown}`)
+  .addOptionalParam("prices", "Price source for ETH and the assets, to count gas; needed to send rebalances (JSON file, JS module or none)", "none")
+  .addFlag("dryRun", "Only propose rebalances")
+  .addOptionalParam("state", "Keeper state file (defaults to .keeper/<network>.json)")
+  .addOptionalParam("log", "Decision log, JSON lines (defaults to .keeper/<network>.decisions.jsonl)")
+  .setAction(async (args, hre) => {
+    const options = {
+      window: parseDuration(args.window, "window"),
+      minApyDelta: Number(parseUint(args.minApyDelta, "min-apy-delta")),
+      horizon: parseDuration(args.horizon, "horizon"),
+      cooldown: parseDuration(args.cooldown, "cooldown"),
+      priceSource: loadPriceSource(args.prices),
+      dryRun: args.dryRun,
+    };
+    const stateFile = args.state || keeperStatePath(hre.network.name);
+    const logFile = args.log || decisionLogPath(hre.network.name);
+    const [signer] = await hre.ethers.getSigners();
+    const vaults = await resolveVaults(hre, args);
+
+    console.log("=== Rebalance Keeper ===");
+    console.log("Network:", hre.network.name);
+    console.log("Admin:", signer.address);
+    console.log("Vaults:", vaults.length);
+    console.log(`Window: ${options.window}s, margin: ${options.minApyDelta} bps, horizon: ${options.horizon}s`);
+    if (options.dryRun) console.log("Mode: dry run");
+    else if (args.prices === "none") console.log("⚠️  No --prices: rebalances are held because gas cannot be priced");
+    console.log("");
+
+    const state = readKeeperState(stateFile);
+    const decisions = await runRebalanceKeeper(vaults, { ...options, signer, state });
+
+    for (const decision of decisions) {
+      console.log(formatDecision(decision));
+      if (decision.transactionHash) console.log(`   tx ${decision.transactionHash}`);
+    }
+
+    appendDecisionLog(logFile, decisions);
+    if (!options.dryRun) writeKeeperState(stateFile, state);
+    console.log(`\n✅ ${decisions.length} decision(s) appended to ${logFile}`);
+
+    return decisions;
+  });
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { parseAddress } = require("../scripts/lib/cliArgs");
+const { blockAtTimestamp } = require("../scripts/lib/blocks");
+const { storePath, readStore } = require("../scripts/lib/eventStore");
+const { buildLedger, buildStatement, statementToJson, statementToCsv } = require("../scripts/lib/ledger");
+
+/**
+ * ledger:statement - per-owner PnL and fee statement from the event store
+ */
+
+/**
+ * Unix seconds from a unix timestamp or an ISO date; a bare date as `to` covers the whole day
+ */
+function parseTime(value, name, endOfDay) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new Error(`--${name}: "${value}" is not a date or unix timestamp`);
+  }
+  const seconds = Math.floor(millis / 1000);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86399 : seconds;
+}
+
+task("ledger:statement", "Realized/unrealized PnL and fees of an owner's vaults, from indexed events")
+  .addParam("owner", "Vault owner")
+  .addOptionalParam("from", "Period start: ISO date or unix timestamp")
+  .addOptionalParam("to", "Period end: ISO date or unix timestamp (a bare date includes the whole day)")
+  .addOptionalParam("store", "Event store file (defaults to .indexer/<network>.json)")
+  .addOptionalParam("format", "Output format: json or csv", "json")
+  .addOptionalParam("output", "Write the statement to this file instead of stdout")
+  .setAction(async (args, hre) => {
+    if (!["json", "csv"].includes(args.format)) {
+      throw new Error(`--format: expected json or csv, got "${args.format}"`);
+    }
+    const owner = parseAddress(args.owner, "owner");
+    const from = args.from ? parseTime(args.from, "from", false) : 0;
+    const to = args.to ? parseTime(args.to, "to", true) : Number.MAX_SAFE_INTEGER;
+
+    const file = args.store || storePath(hre.network.name);
+    const store = readStore(file);
+    if (!store || !store.checkpoint) {
+      throw new Error(`No indexed events in ${file}; run indexer:sync first`);
+    }
+
+    const valueAt = async (vault, asset, blockTag) => {
+      try {
+        const contract = await hre.ethers.getContractAt("UserVault_V4", vault);
+        return await contract.getAssetVaultAssets(asset, { blockTag });
+      } catch {
+        // Historical state unavailable (non-archive node)
+        return null;
+      }
+    };
+
+    const ledger = await buildLedger(store.events, { positionValue: valueAt });
+
+    const endBlock = await blockAtTimestamp(hre.ethers.provider, to, store.checkpoint.blockNumber);
+    const closingValues = {};
+    for (const position of ledger.positions) {
+      const value = await valueAt(position.vault, position.asset, endBlock);
+      if (value !== null) closingValues[`${position.vault}:${position.asset}`.toLowerCase()] = value;
+    }
+
+    const statement = buildStatement(ledger, { owner, from, to, closingValues });
+    statement.endBlock = endBlock;
+
+    const tokens = {};
+    for (const address of new Set(statement.entries.map((entry) => entry.token))) {
+      const token = await hre.ethers.getContractAt("IERC20Extended", address);
+      tokens[address.toLowerCase()] = { symbol: await token.symbol().catch(() => null) };
+    }
+
+    const rendered = args.format === "csv" ? statementToCsv(statement, tokens) : statementToJson(statement);
+    if (args.output) {
+      fs.writeFileSync(args.output, rendered);
+      console.log(`✅ ${statement.entries.length} ledger entries for ${owner} written to ${args.output}`);
+    } else {
+      process.stdout.write(rendered);
+    }
+
+    return statement;
+  });
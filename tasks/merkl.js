@@ -0,0 +1,118 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { parseUint } = require("../scripts/lib/cliArgs");
+const { resolveVaults } = require("../scripts/lib/factoryVaults");
+const { loadPriceSource } = require("../scripts/lib/prices");
+const { MERKL_DISTRIBUTOR, DISTRIBUTOR_ABI, loadRewardSource } = require("../scripts/lib/merklRewards");
+const { runClaimBot, formatClaimReport, formatClaimReportJson } = require("../scripts/lib/merklClaimBot");
+const { buildRewardSnapshot, verifyRewardSnapshot } = require("../scripts/lib/merkleTree");
+
+/**
+ * Merkl tasks
+ *
+ *   merkl:claim   Claim Merkl rewards of factory vaults as their admin
+ *   merkl:tree    Build a reward tree and proofs from a distribution file
+ *   merkl:verify  Check a reward snapshot's proofs, and optionally the distributor root
+ */
+
+function readJson(file, name) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`--${name}: ${file} does not exist`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+task("merkl:claim", "Claim Merkl rewards of factory vaults with adminClaimMerklRewardsBatch")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("vaults", "Comma-separated vaults to process instead of the factory vaults the signer administers")
+  .addOptionalParam("source", "Reward source: merkl (the Merkl API), a JSON snapshot or a JS module", "merkl")
+  .addOptionalParam("prices", "Price source: a JSON price file, a JS module exporting getPrice, or none", "none")
+  .addOptionalParam("minValue", "Skip tokens whose unclaimed value is below this many USD", "0")
+  .addOptionalParam("slippage", "Allowed compounding swap output shortfall in basis points", "50")
+  .addFlag("dryRun", "Simulate the claims without sending transactions")
+  .addOptionalParam("report", "Write the JSON run report to this file")
+  .setAction(async (args, hre) => {
+    if (!/^\d+(\.\d+)?$/.test(args.minValue)) {
+      throw new Error(`--min-value: expected a USD amount, got "${args.minValue}"`);
+    }
+    const slippageBps = parseUint(args.slippage, "slippage");
+    if (slippageBps > 10000n) {
+      throw new Error(`--slippage: ${args.slippage} bps is more than 100%`);
+    }
+    const [signer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const source = loadRewardSource(args.source);
+    const vaults = await resolveVaults(hre, { ...args, admin: signer.address });
+
+    console.log("=== Merkl Claim Bot ===");
+    console.log("Network:", hre.network.name);
+    console.log("Admin:", signer.address);
+    console.log("Source:", source.name);
+    console.log("Vaults:", vaults.length);
+    console.log("Min value:", `$${args.minValue}`);
+    console.log("Slippage:", `${args.slippage} bps`);
+    if (args.dryRun) console.log("Mode: dry run");
+    console.log("");
+
+    const report = await runClaimBot(vaults, {
+      signer,
+      source,
+      chainId,
+      priceSource: loadPriceSource(args.prices),
+      minValueUsd: args.minValue,
+      slippageBps,
+      dryRun: args.dryRun,
+    });
+    report.network = hre.network.name;
+
+    console.log(formatClaimReport(report));
+    if (args.report) {
+      fs.writeFileSync(args.report, formatClaimReportJson(report));
+      console.log(`\n✅ Report written to ${args.report}`);
+    }
+
+    return report;
+  });
+
+task("merkl:tree", "Build a Merkl reward tree with per-user proofs from a distribution file")
+  .addParam("distribution", "JSON file: { chainId, rewards: { [user]: { [token]: cumulativeAmount } } }")
+  .addOptionalParam("output", "Write the reward snapshot (root and proofs) to this file instead of stdout")
+  .setAction(async (args) => {
+    const snapshot = buildRewardSnapshot(readJson(args.distribution, "distribution"));
+    const rendered = JSON.stringify(snapshot, null, 2) + "\n";
+
+    if (args.output) {
+      fs.writeFileSync(args.output, rendered);
+      console.log(`✅ Root ${snapshot.root} written to ${args.output}`);
+    } else {
+      process.stdout.write(rendered);
+    }
+
+    return snapshot;
+  });
+
+task("merkl:verify", "Verify the proofs of a Merkl reward snapshot")
+  .addParam("snapshot", "Reward snapshot written by merkl:tree")
+  .addFlag("onchain", "Also compare the root with the Merkl distributor on the selected network")
+  .setAction(async (args, hre) => {
+    const snapshot = readJson(args.snapshot, "snapshot");
+    const result = verifyRewardSnapshot(snapshot);
+
+    console.log("Root:", result.root);
+    console.log(`Verified ${result.verified} proof(s)`);
+    for (const { user, token } of result.invalid) {
+      console.log(`❌ Invalid proof for ${user} in ${token}`);
+    }
+
+    if (args.onchain) {
+      const distributor = new hre.ethers.Contract(MERKL_DISTRIBUTOR, DISTRIBUTOR_ABI, hre.ethers.provider);
+      result.onchainRoot = await distributor.getMerkleRoot();
+      result.rootMatches = result.onchainRoot === result.root;
+      console.log(result.rootMatches ? "✅ Matches the distributor root" : `❌ Distributor root is ${result.onchainRoot}`);
+    }
+
+    if (result.invalid.length > 0 || result.rootMatches === false) {
+      throw new Error(`${args.snapshot} does not verify`);
+    }
+    return result;
+  });
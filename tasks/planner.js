@@ -0,0 +1,50 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { planVaultAddresses } = require("../scripts/lib/addressPlanner");
+const { linkedArtifact } = require("../scripts/lib/vaultLibraries");
+
+/**
+ * factory:plan - predict a vault's address on several networks from a plan file, offline
+ */
+task("factory:plan", "Predict a vault's CREATE2 address on every network of a plan and explain divergences")
+  .addParam("plan", "Path to a JSON plan: { vault: {...shared settings}, networks: { <name>: {...overrides} } }")
+  .addFlag("json", "Print the full result as JSON")
+  .setAction(async (args, hre) => {
+    if (!fs.existsSync(args.plan)) {
+      throw new Error(`--plan: ${args.plan} does not exist`);
+    }
+    const plan = JSON.parse(fs.readFileSync(args.plan, "utf8"));
+
+    await hre.run("compile", { quiet: true });
+    const { bytecode } = await linkedArtifact(hre.artifacts, "UserVault_V4");
+
+    const result = planVaultAddresses(bytecode, plan);
+
+    if (args.json) {
+      console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+      return result;
+    }
+
+    console.log("=== Vault Address Plan ===");
+    for (const entry of result.networks) {
+      console.log(`${entry.network.padEnd(16)} ${entry.address}  (factory ${entry.inputs.factory}, ${entry.inputs.factorySource.source})`);
+    }
+    console.log("");
+
+    if (result.consistent) {
+      console.log("✅ Same vault address on every network:", result.address);
+      return result;
+    }
+
+    console.log(`❌ Vault addresses diverge. Differences relative to ${result.reference}:`);
+    for (const entry of result.networks) {
+      if (entry.differences.length === 0) continue;
+      console.log(`  ${entry.network}:`);
+      for (const difference of entry.differences) {
+        console.log(`    - ${difference.field}: ${difference.reference} vs ${difference.other}`);
+        if (difference.reason) console.log(`      ${difference.reason}`);
+      }
+    }
+
+    return result;
+  });
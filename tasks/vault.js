@@ -0,0 +1,207 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { parseAddress, parseUint } = require("../scripts/lib/cliArgs");
+const { resolveVaults } = require("../scripts/lib/factoryVaults");
+const { loadPriceSource } = require("../scripts/lib/prices");
+const { auditShares, formatShareAudit } = require("../scripts/lib/shareAudit");
+const { tokenMetadata, buildPortfolioReport, formatTable, formatCsv, formatJson } = require("../scripts/lib/portfolioReport");
+const { VaultClient } = require("../sdk");
+
+/**
+ * Hardhat tasks for UserVault_V4
+ *
+ *   vault:report                    Per-asset positions, fees and USD valuation
+ *   vault:simulate-rebalance        Preview a rebalance: redeemed amount, fee, new base and target shares
+ *   vault:simulate-asset-rebalance  Preview moving a position to another asset: swap route and resulting position
+ *   vault:pending-changes           Timelocked fee, revenue address and delay changes queued on factory vaults
+ *   vault:audit-shares              Morpho shares factory vaults hold outside their assets' active vaults
+ */
+
+const FORMATTERS = {
+  table: (report) => formatTable(report) + "\n",
+  json: formatJson,
+  csv: formatCsv,
+};
+
+async function requireVault(hre, value) {
+  const vaultAddress = parseAddress(value, "vault");
+  if ((await hre.ethers.provider.getCode(vaultAddress)) === "0x") {
+    throw new Error(`No contract deployed at vault address ${vaultAddress}`);
+  }
+  return vaultAddress;
+}
+
+task("vault:report", "Report a vault's positions, fees and USD value")
+  .addParam("vault", "UserVault_V4 address")
+  .addOptionalParam("prices", "Price source: a JSON price file, a JS module exporting getPrice, or none", "none")
+  .addOptionalParam("format", "Output format: table, json or csv", "table")
+  .addOptionalParam("output", "Write the report to this file instead of stdout")
+  .setAction(async (args, hre) => {
+    const formatter = FORMATTERS[args.format];
+    if (!formatter) {
+      throw new Error(`--format: expected one of ${Object.keys(FORMATTERS).join(", ")}, got "${args.format}"`);
+    }
+
+    const vaultAddress = await requireVault(hre, args.vault);
+    const report = await buildPortfolioReport(hre, vaultAddress, loadPriceSource(args.prices));
+    const rendered = formatter(report);
+
+    if (args.output) {
+      fs.writeFileSync(args.output, rendered);
+      console.log(`✅ ${args.format} report written to ${args.output}`);
+    } else {
+      process.stdout.write(rendered);
+    }
+
+    return report;
+  });
+
+task("vault:simulate-rebalance", "Preview rebalanceToVault: redeemed amount, fee, new base and target vault shares")
+  .addParam("vault", "UserVault_V4 address")
+  .addParam("asset", "Asset to rebalance")
+  .addParam("to", "Morpho vault to move the asset to")
+  .setAction(async (args, hre) => {
+    const vaultAddress = await requireVault(hre, args.vault);
+    const client = new VaultClient(vaultAddress, hre.ethers.provider);
+    const simulation = await client.simulateRebalance(parseAddress(args.asset, "asset"), parseAddress(args.to, "to"));
+
+    const [token, fromShares, toShares] = await Promise.all(
+      [simulation.asset, simulation.fromVault, simulation.toVault].map((address) => tokenMetadata(hre, address))
+    );
+    const amount = (value) => `${hre.ethers.formatUnits(value, token.decimals)} ${token.symbol}`;
+    const shares = (value, metadata) => `${hre.ethers.formatUnits(value, metadata.decimals)} ${metadata.symbol}`;
+
+    console.log("=== Rebalance Simulation ===");
+    console.log("Vault:", vaultAddress);
+    console.log("Asset:", `${token.symbol} (${simulation.asset})`);
+    console.log("From:", simulation.fromVault);
+    console.log("To:", simulation.toVault);
+    console.log("");
+    console.log("Redeem:", shares(simulation.shares, fromShares));
+    console.log("Redeemed:", amount(simulation.redeemed));
+    console.log("Rebalance base:", amount(simulation.baseAmount));
+    console.log("Profit:", amount(simulation.profit));
+    console.log(`Fee (${Number(simulation.feePercentage) / 100}%):`, amount(simulation.fee));
+    console.log("Deposit:", amount(simulation.amount));
+    console.log("New rebalance base:", amount(simulation.newBaseAmount));
+    console.log("Expected shares:", shares(simulation.expectedShares, toShares));
+    console.log("Deposit value:", `${amount(simulation.depositValue)} (slippage ${amount(simulation.slippage)})`);
+    console.log("Max deposit:", simulation.maxDeposit === hre.ethers.MaxUint256 ? "unlimited" : amount(simulation.maxDeposit));
+    console.log("");
+
+    for (const warning of simulation.warnings) {
+      console.log(`⚠️  ${warning}`);
+    }
+    if (simulation.warnings.length === 0) {
+      console.log("✅ Rebalance can proceed");
+    }
+
+    return simulation;
+  });
+
+task("vault:simulate-asset-rebalance", "Preview rebalanceToAsset: fee, Aerodrome route and output, and the new position")
+  .addParam("vault", "UserVault_V4 address")
+  .addParam("from", "Asset to move out of")
+  .addParam("to", "Asset to move into")
+  .addOptionalParam("slippage", "Allowed swap output shortfall in basis points", "50")
+  .setAction(async (args, hre) => {
+    const slippageBps = parseUint(args.slippage, "slippage");
+    if (slippageBps > 10000n) {
+      throw new Error(`--slippage: ${args.slippage} bps is more than 100%`);
+    }
+    const vaultAddress = await requireVault(hre, args.vault);
+    const client = new VaultClient(vaultAddress, hre.ethers.provider);
+    const simulation = await client.simulateAssetRebalance(parseAddress(args.from, "from"), parseAddress(args.to, "to"), {
+      slippageBps,
+    });
+
+    const [fromToken, toToken] = await Promise.all(
+      [simulation.fromAsset, simulation.toAsset].map((address) => tokenMetadata(hre, address))
+    );
+    const from = (value) => `${hre.ethers.formatUnits(value, fromToken.decimals)} ${fromToken.symbol}`;
+    const to = (value) => `${hre.ethers.formatUnits(value, toToken.decimals)} ${toToken.symbol}`;
+    const { newPosition } = simulation;
+
+    console.log("=== Cross-Asset Rebalance Simulation ===");
+    console.log("Vault:", vaultAddress);
+    console.log("From:", `${fromToken.symbol} (${simulation.fromAsset})`);
+    console.log("To:", `${toToken.symbol} (${simulation.toAsset})`);
+    console.log("");
+    console.log("Redeemed:", from(simulation.redeemed));
+    console.log("Rebalance base:", from(simulation.baseAmount));
+    console.log("Fee:", from(simulation.fee));
+    console.log("Swap:", from(simulation.amountIn));
+    console.log("Route:", `${fromToken.symbol} → ${toToken.symbol} via ${simulation.route.stable ? "stable" : "volatile"} pool ${simulation.route.pool}`);
+    console.log("Expected output:", to(simulation.amountOut));
+    console.log(`Minimum output (${args.slippage} bps):`, to(simulation.minAmountOut));
+    console.log("Principal carried:", `${from(simulation.principal)} → ${to(simulation.carriedPrincipal)}`);
+    console.log("");
+    console.log(`${toToken.symbol} position after the move${newPosition.initial ? " (initial deposit)" : ""}:`);
+    console.log("  Vault:", simulation.toVault);
+    console.log("  Value:", to(newPosition.assets));
+    console.log("  Deposited:", to(newPosition.deposited));
+    console.log("  Rebalance base:", to(newPosition.baseAmount));
+    console.log("");
+
+    for (const warning of simulation.warnings) {
+      console.log(`⚠️  ${warning}`);
+    }
+    if (simulation.warnings.length === 0) {
+      console.log("✅ Rebalance can proceed");
+    }
+
+    return simulation;
+  });
+
+/**
+ * Render a parameter value with its unit
+ */
+function formatParameter(name, value) {
+  if (name === "revenueAddress") return value;
+  if (name === "changeDelay") return `${Number(value) / 3600}h`;
+  if (name === "minProfitForFee") return value.toString();
+  return `${value} bps`;
+}
+
+task("vault:pending-changes", "List timelocked parameter changes queued on factory vaults")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("vaults", "Comma-separated vaults to check instead of all factory vaults")
+  .setAction(async (args, hre) => {
+    const vaults = await resolveVaults(hre, args);
+    const results = [];
+    for (const vault of vaults) {
+      const changes = await new VaultClient(vault, hre.ethers.provider).getPendingChanges();
+      if (changes.length > 0) results.push({ vault, changes });
+    }
+
+    const total = results.reduce((sum, result) => sum + result.changes.length, 0);
+    console.log(`=== Pending Changes (${total} on ${results.length} of ${vaults.length} vault(s)) ===`);
+    for (const { vault, changes } of results) {
+      console.log(`\n${vault}`);
+      for (const change of changes) {
+        const when = new Date(Number(change.executableAt) * 1000).toISOString();
+        console.log(
+          `  ${change.ready ? "✅" : "⏳"} ${change.name}: ${formatParameter(change.name, change.current)} → ` +
+            `${formatParameter(change.name, change.value)}, executable ${change.ready ? "since" : "at"} ${when}`
+        );
+      }
+    }
+    if (total === 0) {
+      console.log("No pending changes");
+    }
+
+    return results;
+  });
+
+task("vault:audit-shares", "Find Morpho shares that factory vaults hold outside their assets' active vaults")
+  .addOptionalParam("factory", "UserVaultFactory address (defaults to the latest recorded factory)")
+  .addOptionalParam("vaults", "Comma-separated vaults to check instead of all factory vaults")
+  .setAction(async (args, hre) => {
+    const vaults = await resolveVaults(hre, args);
+    console.log(`=== Share Audit (${vaults.length} vault(s)) ===`);
+
+    const results = await auditShares(vaults, { provider: hre.ethers.provider });
+    console.log(formatShareAudit(results));
+
+    return results;
+  });
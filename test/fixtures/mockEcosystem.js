@@ -0,0 +1,124 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { buildRewardSnapshot } = require("../../scripts/lib/merkleTree");
+const mocks = require("../../scripts/lib/mockEcosystem");
+const vaultLibraries = require("../../scripts/lib/vaultLibraries");
+
+const {
+  BUNDLER_ADDRESS,
+  ADAPTER_ADDRESS,
+  MERKL_DISTRIBUTOR,
+  AERODROME_ROUTER,
+  AERODROME_FACTORY,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+} = mocks;
+
+// Mock ecosystem helpers (scripts/lib/mockEcosystem.js) bound to the test network
+const installAt = (address, contract) => mocks.installAt(hre, address, contract);
+const deployMockEcosystem = () => mocks.deployMockEcosystem(hre);
+const addAerodromePool = (tokenIn, tokenOut, stable, rateE18) =>
+  mocks.addAerodromePool(hre, tokenIn, tokenOut, stable, rateE18);
+// ContractFactory with the vault libraries deployed and linked (scripts/lib/vaultLibraries.js)
+const getLinkedContractFactory = (name, signer) => vaultLibraries.getLinkedContractFactory(hre, name, signer);
+
+/**
+ * Deploy a UserVault_V4 on top of the mock ecosystem with USDC (two vaults),
+ * WETH and cbBTC, and fund the owner and admin with every asset
+ */
+async function deployUserVaultFixture() {
+  const [owner, admin, revenueAddr, other] = await ethers.getSigners();
+  const ecosystem = await deployMockEcosystem();
+  const { usdc, weth, cbbtc, usdcVault1, usdcVault2, wethVault, cbbtcVault } = ecosystem;
+
+  const UserVault = await getLinkedContractFactory("UserVault_V4");
+  const vault = await UserVault.deploy(
+    owner.address,
+    admin.address,
+    [await usdc.getAddress(), await weth.getAddress(), await cbbtc.getAddress()],
+    [
+      [await usdcVault1.getAddress(), await usdcVault2.getAddress()],
+      [await wethVault.getAddress()],
+      [await cbbtcVault.getAddress()],
+    ],
+    revenueAddr.address,
+    FEE_PERCENTAGE,
+    REBALANCE_FEE_PERCENTAGE,
+    MERKL_CLAIM_FEE_PERCENTAGE
+  );
+  await vault.waitForDeployment();
+
+  const vaultAddress = await vault.getAddress();
+  for (const token of [usdc, weth, cbbtc]) {
+    const unit = 10n ** (await token.decimals());
+    for (const signer of [owner, admin]) {
+      await token.mint(signer.address, 1_000_000n * unit);
+      await token.connect(signer).approve(vaultAddress, ethers.MaxUint256);
+    }
+  }
+
+  return { ...ecosystem, vault, owner, admin, revenueAddr, other };
+}
+
+/**
+ * Deploy a UserVaultFactory and a USDC vault through it (two Morpho vaults),
+ * and fund the vault owner with USDC
+ */
+async function deployFactoryVaultFixture() {
+  const [deployer, owner, admin, revenue] = await ethers.getSigners();
+  const ecosystem = await deployMockEcosystem();
+  const { usdc, usdcVault1, usdcVault2 } = ecosystem;
+
+  const factory = await (await getLinkedContractFactory("UserVaultFactory")).deploy(deployer.address);
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  await factory.deployVaultWithNonce(
+    owner.address,
+    admin.address,
+    [await usdc.getAddress()],
+    [[await usdcVault1.getAddress(), await usdcVault2.getAddress()]],
+    revenue.address,
+    FEE_PERCENTAGE,
+    REBALANCE_FEE_PERCENTAGE,
+    MERKL_CLAIM_FEE_PERCENTAGE,
+    1
+  );
+  const [vaultAddress] = await factory.getOwnerVaults(owner.address);
+  const vault = await ethers.getContractAt("UserVault_V4", vaultAddress);
+
+  await usdc.mint(owner.address, ethers.parseUnits("10000", 6));
+  await usdc.connect(owner).approve(vaultAddress, ethers.MaxUint256);
+
+  return { ...ecosystem, factory, vault, deployer, owner, admin, revenue, startBlock };
+}
+
+/**
+ * Publish a Merkl root for cumulative `rewards` ([{ user, token, amount }]) on
+ * the mock distributor. Returns the reward snapshot with every proof, see
+ * scripts/lib/merkleTree.js.
+ */
+async function publishMerklRewards(rewards) {
+  const snapshot = buildRewardSnapshot({ chainId: 31337, rewards });
+  const distributor = await ethers.getContractAt("MockMerklDistributor", MERKL_DISTRIBUTOR);
+  await distributor.updateTree(snapshot.root);
+  return snapshot;
+}
+
+module.exports = {
+  BUNDLER_ADDRESS,
+  ADAPTER_ADDRESS,
+  MERKL_DISTRIBUTOR,
+  AERODROME_ROUTER,
+  AERODROME_FACTORY,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+  installAt,
+  deployMockEcosystem,
+  getLinkedContractFactory,
+  deployUserVaultFixture,
+  deployFactoryVaultFixture,
+  publishMerklRewards,
+  addAerodromePool,
+};
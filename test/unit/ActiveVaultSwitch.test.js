@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, REBALANCE_FEE_PERCENTAGE } = require("../fixtures/mockEcosystem");
+const { auditShares, formatShareAudit } = require("../../scripts/lib/shareAudit");
+const { VaultClient } = require("../../sdk");
+
+describe("UserVault_V4 Active Vault Switching", function () {
+  const BPS = 10000n;
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  async function deployDepositedFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, owner, usdc, usdcVault1 } = fixture;
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    await usdcVault1.accrueYield(USDC("100"));
+
+    return fixture;
+  }
+
+  it("Should move the active vault's shares along with the switch", async function () {
+    const { vault, admin, revenueAddr, usdc, usdcVault1, usdcVault2 } = await loadFixture(deployDepositedFixture);
+    const value = await vault.getAssetVaultAssets(usdc);
+
+    await expect(vault.connect(admin).setAssetActiveVault(usdc, usdcVault2))
+      .to.emit(vault, "Rebalanced")
+      .and.to.emit(vault, "RebalanceFeeCollected")
+      .and.to.emit(vault, "AssetVaultUpdated")
+      .withArgs(usdc.target, usdcVault1.target, usdcVault2.target);
+
+    const fee = ((value - USDC("1000")) * BigInt(REBALANCE_FEE_PERCENTAGE)) / BPS;
+    expect(await usdc.balanceOf(revenueAddr.address)).to.be.closeTo(fee, 1n);
+    expect(await usdcVault1.balanceOf(vault)).to.equal(0n);
+    expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault2.target);
+    expect(await vault.getAssetVaultAssets(usdc)).to.be.closeTo(value - fee, 1n);
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("1000"));
+    expect((await vault.getAssetRebalanceInfo(usdc))[0]).to.be.closeTo(value - fee, 1n);
+
+    // The base was reset, so moving back charges nothing for the same profit
+    await expect(vault.connect(admin).setAssetActiveVault(usdc, usdcVault1)).to.not.emit(vault, "RebalanceFeeCollected");
+    expect(await usdc.balanceOf(revenueAddr.address)).to.be.closeTo(fee, 1n);
+  });
+
+  it("Should only repoint when there is nothing to strand", async function () {
+    const { vault, owner, admin, usdc, usdcVault1, usdcVault2 } = await loadFixture(deployUserVaultFixture);
+
+    // No deposits yet
+    await expect(vault.connect(admin).setAssetActiveVault(usdc, usdcVault2)).to.not.emit(vault, "Rebalanced");
+    expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault2.target);
+
+    // Shares of a vault with a target weight belong to the allocation
+    await vault.connect(admin).setAssetVaultWeights(usdc, [usdcVault1, usdcVault2], [5000, 5000]);
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    const shares = await usdcVault1.balanceOf(vault);
+    await expect(vault.connect(admin).setAssetActiveVault(usdc, usdcVault2)).to.not.emit(vault, "Rebalanced");
+    expect(await usdcVault1.balanceOf(vault)).to.equal(shares);
+
+    // Without weights they would be stranded, and moving them needs the vault unpaused
+    await vault.connect(admin).setAssetVaultWeights(usdc, [], []);
+    await vault.connect(admin).pause();
+    await expect(vault.connect(admin).setAssetActiveVault(usdc, usdcVault1)).to.be.revertedWithCustomError(
+      vault,
+      "EnforcedPause"
+    );
+  });
+
+  it("Should reject the deprecated switch while the active vault holds shares", async function () {
+    const { vault, admin, usdc, usdcVault1, usdcVault2 } = await loadFixture(deployDepositedFixture);
+
+    await expect(vault.connect(admin).updateAssetVault(usdc, usdcVault2)).to.be.revertedWithCustomError(vault, "ActiveVaultHoldsShares");
+
+    // Allowed once the active vault is empty
+    await vault.connect(admin).rebalanceBetweenVaults(usdc, usdcVault1, usdcVault2, 0);
+    await expect(vault.connect(admin).updateAssetVault(usdc, usdcVault2))
+      .to.emit(vault, "AssetVaultUpdated")
+      .withArgs(usdc.target, usdcVault1.target, usdcVault2.target);
+
+    const { method, events } = await new VaultClient(vault.target, admin).setActiveVault(
+      usdc.target,
+      usdcVault1.target
+    );
+    expect(method).to.equal("setAssetActiveVault");
+    expect(events.map((event) => event.name)).to.include.members(["Rebalanced", "AssetVaultUpdated"]);
+    expect(await usdcVault2.balanceOf(vault)).to.equal(0n);
+  });
+
+  it("Should report shares held outside the active vault", async function () {
+    const { vault, owner, admin, usdc, usdcVault1, usdcVault2 } = await loadFixture(deployDepositedFixture);
+    expect((await auditShares([vault.target], { provider: ethers.provider }))[0]).to.include({ status: "ok" });
+
+    // Idle: half the position in an available vault without a target weight
+    const shares = (await usdcVault1.balanceOf(vault)) / 2n;
+    await vault.connect(admin).rebalanceBetweenVaults(usdc, usdcVault1, usdcVault2, shares);
+    const idle = await usdcVault2.balanceOf(vault);
+
+    let [result] = await auditShares([vault.target], { provider: ethers.provider });
+    expect(result.status).to.equal("stranded");
+    expect(result.findings).to.have.length(1);
+    expect(result.findings[0]).to.include({
+      asset: usdc.target,
+      activeVault: usdcVault1.target,
+      morphoVault: usdcVault2.target,
+      shares: idle,
+      kind: "idle",
+    });
+
+    // Untracked: shares of a vault that is no longer available for the asset
+    await vault.connect(admin).rebalanceBetweenVaults(usdc, usdcVault2, usdcVault1, 0);
+    await vault.connect(admin).removeVaultFromAsset(usdc, usdcVault2);
+    await usdc.connect(owner).approve(usdcVault2, USDC("50"));
+    await usdcVault2.connect(owner).deposit(USDC("50"), vault);
+
+    [result] = await hre.run("vault:audit-shares", { vaults: vault.target });
+    expect(result.findings.map((finding) => finding.kind)).to.deep.equal(["untracked"]);
+    expect(result.findings[0].assets).to.equal(USDC("50"));
+    expect(formatShareAudit([result])).to.contain(`untracked ${result.findings[0].shares} shares`);
+
+    const [failed] = await auditShares([usdc.target], { provider: ethers.provider });
+    expect(failed.status).to.equal("failed");
+  });
+});
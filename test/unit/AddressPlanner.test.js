@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const {
+  deterministicSalt,
+  predictVaultAddress,
+  planVaultAddresses,
+} = require("../../scripts/lib/addressPlanner");
+const { linkedArtifact } = require("../../scripts/lib/vaultLibraries");
+const { getLinkedContractFactory } = require("../fixtures/mockEcosystem");
+
+describe("Cross-chain address planner", function () {
+  const OWNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const ADMIN = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  const USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+  const USDC_VAULT = "0x1111111111111111111111111111111111111111";
+  const OTHER_VAULT = "0x2222222222222222222222222222222222222222";
+  const FACTORY_DEPLOYER = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  let creationCode;
+
+  before(async function () {
+    ({ bytecode: creationCode } = await linkedArtifact(hre.artifacts, "UserVault_V4"));
+  });
+
+  function basePlan() {
+    return {
+      vault: {
+        owner: OWNER,
+        admin: ADMIN,
+        revenueAddress: ADMIN,
+        assets: [USDC],
+        assetVaults: [[USDC_VAULT]],
+        nonce: 1,
+        factory: { deployer: FACTORY_DEPLOYER, nonce: 0 },
+      },
+      networks: { base: {}, "base-sepolia": {} },
+    };
+  }
+
+  it("Should match UserVaultFactory.computeVaultAddress", async function () {
+    const [deployer] = await ethers.getSigners();
+    const factory = await (await getLinkedContractFactory("UserVaultFactory")).deploy(deployer.address);
+    const salt = await factory.generateDeterministicSalt(OWNER, 5);
+
+    const config = {
+      factory: await factory.getAddress(),
+      salt,
+      owner: OWNER,
+      admin: ADMIN,
+      assets: [USDC],
+      assetVaults: [[USDC_VAULT, OTHER_VAULT]],
+      revenueAddress: ADMIN,
+      feePercentage: 100n,
+      rebalanceFeePercentage: 1000n,
+      merklClaimFeePercentage: 1000n,
+    };
+
+    expect(deterministicSalt(OWNER, 5)).to.equal(salt);
+    expect(predictVaultAddress(creationCode, config)).to.equal(
+      await factory.computeVaultAddress(
+        config.owner,
+        config.admin,
+        config.assets,
+        config.assetVaults,
+        config.revenueAddress,
+        config.feePercentage,
+        config.rebalanceFeePercentage,
+        config.merklClaimFeePercentage,
+        config.salt
+      )
+    );
+  });
+
+  it("Should report a consistent address when all inputs match", function () {
+    const result = planVaultAddresses(creationCode, basePlan());
+
+    expect(result.consistent).to.be.true;
+    expect(result.networks[0].address).to.equal(result.networks[1].address);
+    expect(result.address).to.equal(result.networks[0].address);
+  });
+
+  it("Should explain a per-chain vault address difference", function () {
+    const plan = basePlan();
+    plan.networks["base-sepolia"] = { assetVaults: [[OTHER_VAULT]] };
+
+    const result = planVaultAddresses(creationCode, plan);
+    const [difference] = result.networks[1].differences;
+
+    expect(result.consistent).to.be.false;
+    expect(difference).to.deep.include({ field: "assetVaults[0][0]", reference: USDC_VAULT, other: OTHER_VAULT });
+  });
+
+  it("Should explain a factory deployer nonce difference", function () {
+    const plan = basePlan();
+    plan.networks["base-sepolia"] = { factory: { deployer: FACTORY_DEPLOYER, nonce: 3 } };
+
+    const result = planVaultAddresses(creationCode, plan);
+    const differences = result.networks[1].differences;
+
+    expect(differences).to.have.length(1);
+    expect(differences[0].field).to.equal("factory");
+    expect(differences[0].reason).to.contain("deployer nonce 0 vs 3");
+  });
+
+  it("Should run the factory:plan task from a plan file", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "plan-"));
+    const file = path.join(dir, "plan.json");
+    fs.writeFileSync(file, JSON.stringify(basePlan()));
+
+    try {
+      const result = await hre.run("factory:plan", { plan: file });
+      expect(result.consistent).to.be.true;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject incomplete plans", function () {
+    const plan = basePlan();
+    delete plan.vault.nonce;
+    expect(() => planVaultAddresses(creationCode, plan)).to.throw('one of "salt" or "nonce" is required');
+    expect(() => planVaultAddresses(creationCode, { vault: {}, networks: {} })).to.throw("no networks");
+  });
+});
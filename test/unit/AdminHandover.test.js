@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployUserVaultFixture,
+  deployFactoryVaultFixture,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+} = require("../fixtures/mockEcosystem");
+const { proposeAdminRotation, acceptAdminRotation } = require("../../scripts/lib/adminRotation");
+const { VaultClient } = require("../../sdk");
+
+describe("UserVault_V4 Admin Handover", function () {
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  async function deployHandoverFixture() {
+    const fixture = await deployUserVaultFixture();
+    const newAdmin = (await ethers.getSigners())[4];
+    return { ...fixture, newAdmin };
+  }
+
+  it("Should transfer the admin role only when the proposed admin accepts", async function () {
+    const { vault, owner, admin, other, newAdmin } = await loadFixture(deployHandoverFixture);
+
+    await expect(vault.connect(other).proposeAdmin(newAdmin.address)).to.be.revertedWithCustomError(vault, "OnlyOwnerOrAdmin");
+    await expect(vault.connect(admin).proposeAdmin(ethers.ZeroAddress)).to.be.revertedWithCustomError(vault, "InvalidAdmin");
+    await expect(vault.connect(admin).proposeAdmin(admin.address)).to.be.revertedWithCustomError(vault, "AlreadyAdmin");
+
+    await expect(vault.connect(admin).proposeAdmin(newAdmin.address))
+      .to.emit(vault, "AdminTransferProposed")
+      .withArgs(admin.address, newAdmin.address);
+    expect(await vault.pendingAdmin()).to.equal(newAdmin.address);
+    expect(await vault.pendingAdminByOwner()).to.be.false;
+    // The current admin keeps the role until then
+    expect(await vault.admin()).to.equal(admin.address);
+    await vault.connect(admin).updateMinProfitForFee(200);
+
+    await expect(vault.connect(other).acceptAdmin()).to.be.revertedWithCustomError(vault, "OnlyPendingAdmin");
+    await expect(vault.connect(newAdmin).acceptAdmin())
+      .to.emit(vault, "AdminUpdated")
+      .withArgs(admin.address, newAdmin.address)
+      .and.to.not.emit(vault, "MerklOperatorApproved");
+
+    expect(await vault.admin()).to.equal(newAdmin.address);
+    expect(await vault.pendingAdmin()).to.equal(ethers.ZeroAddress);
+    await expect(vault.connect(admin).pause()).to.be.revertedWithCustomError(vault, "OnlyAdmin");
+    await expect(vault.connect(newAdmin).acceptAdmin()).to.be.revertedWithCustomError(vault, "OnlyPendingAdmin");
+  });
+
+  it("Should move the Merkl operator permission to the new admin", async function () {
+    const { vault, owner, admin, newAdmin, usdc, usdcVault1, distributor } = await loadFixture(deployHandoverFixture);
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    expect(await distributor.operators(vault, admin)).to.equal(1n);
+
+    await vault.connect(admin).proposeAdmin(newAdmin.address);
+    await expect(vault.connect(newAdmin).acceptAdmin())
+      .to.emit(vault, "MerklOperatorRevoked")
+      .withArgs(admin.address)
+      .and.to.emit(vault, "MerklOperatorApproved")
+      .withArgs(newAdmin.address);
+
+    expect(await distributor.operators(vault, admin)).to.equal(0n);
+    expect(await distributor.operators(vault, newAdmin)).to.equal(1n);
+    expect(await vault.isAdminApprovedForMerkl()).to.be.true;
+
+    // Handing the role back restores the original operator
+    await vault.connect(newAdmin).proposeAdmin(admin.address);
+    await new VaultClient(vault.target, admin).acceptAdmin();
+    expect(await distributor.operators(vault, admin)).to.equal(1n);
+    expect(await distributor.operators(vault, newAdmin)).to.equal(0n);
+  });
+
+  it("Should let the owner or the admin cancel a pending transfer", async function () {
+    const { vault, owner, admin, other, newAdmin } = await loadFixture(deployHandoverFixture);
+
+    await expect(vault.connect(owner).cancelAdminTransfer()).to.be.revertedWithCustomError(vault, "NoPendingAdmin");
+    await vault.connect(admin).proposeAdmin(other.address);
+    // Proposing again replaces the pending admin
+    await vault.connect(admin).proposeAdmin(newAdmin.address);
+    await expect(vault.connect(other).acceptAdmin()).to.be.revertedWithCustomError(vault, "OnlyPendingAdmin");
+
+    await expect(vault.connect(other).cancelAdminTransfer()).to.be.revertedWithCustomError(vault, "OnlyOwnerOrAdmin");
+    await expect(vault.connect(owner).cancelAdminTransfer())
+      .to.emit(vault, "AdminTransferCancelled")
+      .withArgs(newAdmin.address);
+    await expect(vault.connect(newAdmin).acceptAdmin()).to.be.revertedWithCustomError(vault, "OnlyPendingAdmin");
+  });
+
+  it("Should let the owner rotate out a compromised admin, which cannot replace or cancel the transfer", async function () {
+    const { vault, owner, admin, other, newAdmin } = await loadFixture(deployHandoverFixture);
+    const nextOwner = (await ethers.getSigners())[5];
+
+    // The compromised admin key races to hand the role to its own address
+    await vault.connect(admin).proposeAdmin(other.address);
+    await expect(vault.connect(owner).proposeAdmin(newAdmin.address))
+      .to.emit(vault, "AdminTransferProposed")
+      .withArgs(admin.address, newAdmin.address);
+    expect(await vault.pendingAdminByOwner()).to.be.true;
+
+    await expect(vault.connect(admin).proposeAdmin(other.address)).to.be.revertedWithCustomError(vault, "OwnerProposedAdmin");
+    await expect(vault.connect(admin).cancelAdminTransfer()).to.be.revertedWithCustomError(vault, "OwnerProposedAdmin");
+    const [rotation] = await proposeAdminRotation([vault.target], { signer: admin, newAdmin: other.address });
+    expect(rotation.status).to.equal("skipped");
+    expect(rotation.reason).to.contain("the owner proposed");
+
+    await expect(vault.connect(other).acceptAdmin()).to.be.revertedWithCustomError(vault, "OnlyPendingAdmin");
+    await expect(vault.connect(newAdmin).acceptAdmin())
+      .to.emit(vault, "AdminUpdated")
+      .withArgs(admin.address, newAdmin.address);
+    expect(await vault.pendingAdminByOwner()).to.be.false;
+    await expect(vault.connect(admin).pause()).to.be.revertedWithCustomError(vault, "OnlyAdmin");
+
+    // The owner can withdraw their own proposal, and one left pending does not outlive their ownership
+    await vault.connect(owner).proposeAdmin(other.address);
+    await expect(vault.connect(owner).cancelAdminTransfer())
+      .to.emit(vault, "AdminTransferCancelled")
+      .withArgs(other.address);
+    expect(await vault.pendingAdminByOwner()).to.be.false;
+
+    await vault.connect(owner).proposeAdmin(other.address);
+    await vault.connect(owner).proposeOwner(nextOwner.address);
+    await expect(vault.connect(nextOwner).acceptOwner())
+      .to.emit(vault, "AdminTransferCancelled")
+      .withArgs(other.address);
+    expect(await vault.pendingAdmin()).to.equal(ethers.ZeroAddress);
+    expect(await vault.pendingAdminByOwner()).to.be.false;
+  });
+
+  it("Should rotate the admin of every factory vault with factory:rotate-admin", async function () {
+    const { factory, vault, deployer, owner, revenue, usdc, usdcVault1 } = await loadFixture(deployFactoryVaultFixture);
+    const [, , , , newAdmin, otherOwner] = await ethers.getSigners();
+
+    // Two vaults administered by the first signer, which tasks run as
+    for (const [vaultOwner, nonce] of [
+      [owner, 2],
+      [otherOwner, 1],
+    ]) {
+      await factory.deployVaultWithNonce(
+        vaultOwner.address,
+        deployer.address,
+        [usdc.target],
+        [[usdcVault1.target]],
+        revenue.address,
+        FEE_PERCENTAGE,
+        REBALANCE_FEE_PERCENTAGE,
+        MERKL_CLAIM_FEE_PERCENTAGE,
+        nonce
+      );
+    }
+    const [, ownerVault] = await factory.getOwnerVaults(owner.address);
+    const [otherVault] = await factory.getOwnerVaults(otherOwner.address);
+
+    await expect(hre.run("factory:rotate-admin", { factory: factory.target })).to.be.rejectedWith("--new-admin");
+
+    // Only the signer's adminVaults, narrowed to --owners when given
+    const dryRun = await hre.run("factory:rotate-admin", {
+      factory: factory.target,
+      owners: owner.address,
+      newAdmin: newAdmin.address,
+      dryRun: true,
+    });
+    expect(dryRun.map((result) => [result.vault, result.status])).to.deep.equal([[ownerVault, "dry-run"]]);
+    expect(await (await ethers.getContractAt("UserVault_V4", ownerVault)).pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+    const proposed = await hre.run("factory:rotate-admin", { factory: factory.target, newAdmin: newAdmin.address });
+    expect(proposed.map((result) => [result.vault, result.status])).to.deep.equal([
+      [ownerVault, "proposed"],
+      [otherVault, "proposed"],
+    ]);
+
+    const accepted = await acceptAdminRotation([vault.target, ownerVault, otherVault], { signer: newAdmin });
+    expect(accepted.map((result) => result.status)).to.deep.equal(["skipped", "accepted", "accepted"]);
+    expect(await factory.getAdminVaults(deployer.address)).to.deep.equal([]);
+    for (const address of [ownerVault, otherVault]) {
+      expect(await (await ethers.getContractAt("UserVault_V4", address)).admin()).to.equal(newAdmin.address);
+    }
+
+    // Nothing left to do on a second run
+    const again = await hre.run("factory:rotate-admin", {
+      factory: factory.target,
+      admin: newAdmin.address,
+      newAdmin: newAdmin.address,
+    });
+    expect(again.map((result) => result.status)).to.deep.equal(["skipped", "skipped"]);
+  });
+});
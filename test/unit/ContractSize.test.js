@@ -0,0 +1,36 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFactoryVaultFixture } = require("../fixtures/mockEcosystem");
+const { libraryPlan, linkedArtifact } = require("../../scripts/lib/vaultLibraries");
+
+// EIP-170 runtime and EIP-3860 init code limits
+const MAX_RUNTIME_SIZE = 24576;
+const MAX_INIT_CODE_SIZE = 49152;
+
+const byteLength = (code) => (code.length - 2) / 2;
+
+describe("Contract size limits", function () {
+  it("Should run with the size limits enforced on the Hardhat network", function () {
+    expect(hre.config.networks.hardhat.allowUnlimitedContractSize).to.equal(false);
+  });
+
+  it("Should keep the vault, the factory and every library under the limits", async function () {
+    const libraries = (await libraryPlan(hre.artifacts, "UserVaultFactory")).map((library) => library.name);
+    expect(libraries).to.include.members(["VaultCode", "VaultBundler", "VaultSwap"]);
+
+    for (const name of ["UserVault_V4", "UserVaultFactory", ...libraries]) {
+      const { bytecode, deployedBytecode } = await linkedArtifact(hre.artifacts, name);
+      expect(byteLength(deployedBytecode), `${name} runtime size`).to.be.at.most(MAX_RUNTIME_SIZE);
+      expect(byteLength(bytecode), `${name} init code size`).to.be.at.most(MAX_INIT_CODE_SIZE);
+    }
+  });
+
+  it("Should deploy the factory and a vault through it", async function () {
+    const { factory, vault, owner } = await loadFixture(deployFactoryVaultFixture);
+
+    expect(await factory.isFactoryVault(vault.target)).to.equal(true);
+    expect(await vault.owner()).to.equal(owner.address);
+    expect(await vault.factory()).to.equal(factory.target);
+  });
+});
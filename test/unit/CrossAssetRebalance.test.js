@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, addAerodromePool, REBALANCE_FEE_PERCENTAGE } = require("../fixtures/mockEcosystem");
+const { createStore } = require("../../scripts/lib/eventStore");
+const { syncEvents } = require("../../scripts/lib/eventIndexer");
+const { buildLedger } = require("../../scripts/lib/ledger");
+const { VaultClient, VaultSdkError } = require("../../sdk");
+
+describe("UserVault_V4 Cross-Asset Rebalance", function () {
+  const BPS = 10000n;
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+  const WETH = (amount) => ethers.parseEther(amount);
+  // Raw USDC per raw WETH, scaled by 1e18: 1 WETH = `price` USDC
+  const RATE = (price) => ethers.parseUnits(price, 6);
+
+  async function deployCrossAssetFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, owner, weth, usdc, wethVault } = fixture;
+
+    await vault.connect(owner).initialDeposit(weth, wethVault, WETH("1"), 0);
+    // 10% yield above the 1 WETH rebalance base
+    await wethVault.accrueYield(WETH("0.1"));
+    await addAerodromePool(weth, usdc, false, RATE("3000"));
+
+    return { ...fixture, client: new VaultClient(vault.target, ethers.provider) };
+  }
+
+  it("Should redeem, charge the rebalance fee, swap and deposit into the target asset", async function () {
+    const { vault, owner, revenueAddr, weth, usdc, client } = await loadFixture(deployCrossAssetFixture);
+    const simulation = await client.simulateAssetRebalance(weth.target, usdc.target);
+
+    expect(simulation.redeemed).to.be.closeTo(WETH("1.1"), 1n);
+    expect(simulation.fee).to.equal(((simulation.redeemed - WETH("1")) * BigInt(REBALANCE_FEE_PERCENTAGE)) / BPS);
+    expect(simulation.amountOut).to.equal((simulation.amountIn * RATE("3000")) / WETH("1"));
+    expect(simulation.route.stable).to.be.false;
+    // 1 WETH of principal at the swap's price
+    expect(simulation.carriedPrincipal).to.be.closeTo(USDC("3000"), 1n);
+    expect(simulation.newPosition).to.include({ initial: true, baseAmount: simulation.amountOut });
+
+    await expect(vault.connect(owner).rebalanceToAsset(weth, usdc, simulation.minAmountOut))
+      .to.emit(vault, "CrossAssetRebalanced")
+      .withArgs(
+        weth.target,
+        usdc.target,
+        simulation.redeemed,
+        simulation.fee,
+        simulation.amountOut,
+        simulation.carriedPrincipal
+      )
+      .and.to.emit(vault, "RebalanceFeeCollected");
+
+    expect(await weth.balanceOf(revenueAddr.address)).to.equal(simulation.fee);
+    expect(await vault.getAssetVaultAssets(weth)).to.equal(0n);
+    expect(await vault.assetTotalDeposited(weth)).to.equal(0n);
+    expect(await vault.getAssetRebalanceBaseAmount(weth)).to.equal(0n);
+    expect(await vault.assetHasInitialDeposit(weth)).to.be.false;
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(simulation.carriedPrincipal);
+    expect((await vault.getAssetRebalanceInfo(usdc))[0]).to.equal(simulation.amountOut);
+    expect(await vault.getAssetVaultAssets(usdc)).to.be.closeTo(simulation.amountOut, 1n);
+
+    // Only the yield after the fee is still profit for the withdrawal fee
+    const [fee] = await vault.calculateFeeFromProfit(usdc, simulation.amountOut);
+    expect(fee).to.equal(((simulation.amountOut - simulation.carriedPrincipal) * 100n) / BPS);
+
+    // The ledger moves the cost basis along with the position
+    const store = createStore({ network: "hardhat", chainId: 31337n, vaults: [vault.target] });
+    await syncEvents(store, await ethers.provider.getBlockNumber(), { provider: ethers.provider });
+    const { positions } = await buildLedger(store.events);
+    const byAsset = Object.fromEntries(positions.map((position) => [position.asset, position]));
+    expect(byAsset[weth.target]).to.include({ costBasis: 0n, rebalanceFees: simulation.fee });
+    expect(byAsset[usdc.target].costBasis).to.equal(simulation.carriedPrincipal);
+  });
+
+  it("Should carry the USDC principal into WETH at the swap's price and clear the USDC position", async function () {
+    const { vault, owner, usdc, weth, usdcVault1, wethVault } = await loadFixture(deployUserVaultFixture);
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("3000"), 0);
+    await usdcVault1.accrueYield(USDC("300"));
+    // 1 WETH = 3000 USDC: raw WETH per raw USDC, scaled by 1e18
+    await addAerodromePool(usdc, weth, false, ethers.parseUnits("1", 30) / 3000n);
+
+    const client = new VaultClient(vault.target, ethers.provider);
+    const simulation = await client.simulateAssetRebalance(usdc.target, weth.target);
+    await vault.connect(owner).rebalanceToAsset(usdc, weth, simulation.minAmountOut);
+
+    // 3000 USDC of principal is about 1 WETH; the swap output is WETH's new rebalance base
+    const principal = (USDC("3000") * simulation.amountOut) / simulation.amountIn;
+    expect(principal).to.be.closeTo(WETH("1"), WETH("0.000001"));
+    expect(await vault.assetTotalDeposited(weth)).to.equal(principal);
+    expect(await vault.getAssetRebalanceBaseAmount(weth)).to.equal(simulation.amountOut);
+    expect(await vault.assetHasInitialDeposit(weth)).to.be.true;
+    expect(await vault.getAssetVaultAssets(weth)).to.be.closeTo(simulation.amountOut, 1n);
+    expect(await wethVault.balanceOf(vault)).to.be.gt(0n);
+
+    // Nothing of the USDC position is left, so USDC starts over with an initial deposit
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(0n);
+    expect(await vault.getAssetRebalanceBaseAmount(usdc)).to.equal(0n);
+    expect(await vault.assetHasInitialDeposit(usdc)).to.be.false;
+    expect(await vault.getAssetProfit(usdc)).to.equal(0n);
+    await expect(vault.connect(owner).userDeposit(usdc, USDC("100"), 0)).to.be.revertedWithCustomError(vault, "NoDeposits");
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("100"), 0);
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("100"));
+    expect(await vault.getAssetRebalanceBaseAmount(usdc)).to.equal(USDC("100"));
+  });
+
+  it("Should need the owner's consent for the admin", async function () {
+    const { vault, owner, admin, other, weth, usdc } = await loadFixture(deployCrossAssetFixture);
+
+    await expect(vault.connect(admin).rebalanceToAsset(weth, usdc, 1)).to.be.revertedWithCustomError(vault, "OwnerConsentRequired");
+    await expect(vault.connect(other).rebalanceToAsset(weth, usdc, 1)).to.be.revertedWithCustomError(vault, "OnlyOwnerOrAdmin");
+    await expect(vault.connect(admin).setCrossAssetRebalanceConsent(true)).to.be.revertedWithCustomError(vault, "OnlyOwner");
+
+    await expect(vault.connect(owner).setCrossAssetRebalanceConsent(true))
+      .to.emit(vault, "CrossAssetRebalanceConsentUpdated")
+      .withArgs(true);
+    const { method, simulation } = await new VaultClient(vault.target, admin).rebalanceToAsset(weth.target, usdc.target);
+    expect(method).to.equal("rebalanceToAsset");
+    expect(simulation.warnings).to.deep.equal([]);
+    expect(await vault.getAssetVaultAssets(usdc)).to.be.closeTo(simulation.amountOut, 1n);
+  });
+
+  it("Should enforce the minimum output and reject impossible moves", async function () {
+    const { vault, owner, weth, usdc, cbbtc, client, aerodromeRouter } = await loadFixture(deployCrossAssetFixture);
+    const { minAmountOut, amountOut } = await client.simulateAssetRebalance(weth.target, usdc.target, { slippageBps: 0 });
+    expect(minAmountOut).to.equal(amountOut);
+
+    // The price drops between the preview and the transaction
+    await addAerodromePool(weth, usdc, false, RATE("2900"));
+    await expect(vault.connect(owner).rebalanceToAsset(weth, usdc, minAmountOut)).to.be.revertedWithCustomError(
+      aerodromeRouter,
+      "InsufficientOutputAmount"
+    );
+
+    await expect(vault.connect(owner).rebalanceToAsset(weth, usdc, 0)).to.be.revertedWithCustomError(vault, "MinimumOutputRequired");
+    await expect(vault.connect(owner).rebalanceToAsset(weth, weth, 1)).to.be.revertedWithCustomError(vault, "SameAsset");
+    await expect(vault.connect(owner).rebalanceToAsset(cbbtc, usdc, 1)).to.be.revertedWithCustomError(vault, "NoDeposits");
+    await expect(vault.connect(owner).rebalanceToAsset(weth, cbbtc, 1)).to.be.revertedWithCustomError(vault, "NoPool");
+
+    await expect(client.simulateAssetRebalance(weth.target, cbbtc.target)).to.be.rejectedWith(
+      VaultSdkError,
+      "rebalanceToAsset would revert: NoPool()"
+    );
+    await expect(client.simulateAssetRebalance(cbbtc.target, usdc.target)).to.be.rejectedWith(
+      "NoDeposits()"
+    );
+  });
+
+  it("Should print the route and new position with vault:simulate-asset-rebalance", async function () {
+    const { vault, weth, usdc } = await loadFixture(deployCrossAssetFixture);
+
+    const simulation = await hre.run("vault:simulate-asset-rebalance", {
+      vault: vault.target,
+      from: weth.target,
+      to: usdc.target,
+      slippage: "100",
+    });
+
+    expect(simulation.minAmountOut).to.equal((simulation.amountOut * 9900n) / BPS);
+    expect(simulation.warnings).to.deep.equal(["Only the owner can send it: the admin has no cross-asset consent"]);
+    expect(await vault.getAssetVaultAssets(usdc)).to.equal(0n);
+    await expect(
+      hre.run("vault:simulate-asset-rebalance", { vault: vault.target, from: weth.target, to: usdc.target, slippage: "1%" })
+    ).to.be.rejectedWith("--slippage");
+  });
+});
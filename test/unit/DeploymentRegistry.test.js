@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  readRegistry,
+  recordDeployment,
+  queryDeployments,
+  getLatestFactory,
+  listNetworks,
+  resolveFactoryAddress,
+} = require("../../scripts/lib/deployments");
+
+describe("Deployment registry", function () {
+  const OWNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const ADMIN = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  const FACTORY_1 = "0x1111111111111111111111111111111111111111";
+  const FACTORY_2 = "0x2222222222222222222222222222222222222222";
+  const VAULT = "0x3333333333333333333333333333333333333333";
+
+  let dir;
+  let options;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    options = { dir };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function recordVault(network = "base-sepolia") {
+    return recordDeployment(
+      network,
+      84532n,
+      {
+        kind: "vault",
+        address: VAULT,
+        factory: FACTORY_2,
+        constructorArgs: [OWNER, ADMIN, [VAULT], [[VAULT]], ADMIN, 100n, 1000n, 1000n],
+        salt: "0x" + "ab".repeat(32),
+        transactionHash: "0x" + "cd".repeat(32),
+        blockNumber: 42,
+      },
+      options
+    );
+  }
+
+  it("Should start with an empty manifest", function () {
+    expect(readRegistry("base", options)).to.deep.equal({
+      version: 1,
+      network: "base",
+      chainId: null,
+      deployments: [],
+    });
+  });
+
+  it("Should keep factory history and return the latest factory", function () {
+    recordDeployment("base-sepolia", 84532n, { kind: "factory", address: FACTORY_1, constructorArgs: [ADMIN] }, options);
+    recordDeployment("base-sepolia", 84532n, { kind: "factory", address: FACTORY_2, constructorArgs: [ADMIN] }, options);
+
+    expect(queryDeployments("base-sepolia", { kind: "factory" }, options)).to.have.length(2);
+    expect(getLatestFactory("base-sepolia", options).address).to.equal(FACTORY_2);
+    expect(readRegistry("base-sepolia", options).chainId).to.equal("84532");
+  });
+
+  it("Should store vault records with owner, admin and JSON-safe constructor args", function () {
+    const record = recordVault();
+
+    expect(record.owner).to.equal(OWNER);
+    expect(record.admin).to.equal(ADMIN);
+    expect(record.constructorArgs[5]).to.equal("100");
+
+    expect(queryDeployments("base-sepolia", { owner: OWNER.toLowerCase() }, options)).to.have.length(1);
+    expect(queryDeployments("base-sepolia", { admin: OWNER }, options)).to.have.length(0);
+    expect(queryDeployments("base-sepolia", { factory: FACTORY_2, kind: "vault" }, options)).to.have.length(1);
+  });
+
+  it("Should reject invalid records and chain mismatches", function () {
+    expect(() => recordDeployment("base", 8453n, { kind: "proxy", address: VAULT }, options)).to.throw("Unknown deployment kind");
+    expect(() => recordDeployment("base", 8453n, { kind: "vault", address: VAULT }, options)).to.throw("factory address");
+
+    recordVault("base-sepolia");
+    expect(() =>
+      recordDeployment("base-sepolia", 8453n, { kind: "factory", address: FACTORY_1 }, options)
+    ).to.throw("belongs to chain 84532");
+  });
+
+  it("Should list networks with a manifest", function () {
+    recordVault("base-sepolia");
+    recordDeployment("base", 8453n, { kind: "factory", address: FACTORY_1 }, options);
+
+    expect(listNetworks(options)).to.deep.equal(["base", "base-sepolia"]);
+  });
+
+  it("Should resolve the factory from the registry unless one is given", function () {
+    const fakeHre = { network: { name: "base-sepolia" } };
+    expect(() => resolveFactoryAddress(fakeHre, undefined, options)).to.throw("No factory address");
+
+    recordDeployment("base-sepolia", 84532n, { kind: "factory", address: FACTORY_1 }, options);
+    expect(resolveFactoryAddress(fakeHre, undefined, options)).to.equal(FACTORY_1);
+    expect(resolveFactoryAddress(fakeHre, FACTORY_2, options)).to.equal(FACTORY_2);
+  });
+
+  describe("deployments:list", function () {
+    let previousDir;
+
+    beforeEach(function () {
+      previousDir = process.env.DEPLOYMENTS_DIR;
+      process.env.DEPLOYMENTS_DIR = dir;
+    });
+
+    afterEach(function () {
+      if (previousDir === undefined) delete process.env.DEPLOYMENTS_DIR;
+      else process.env.DEPLOYMENTS_DIR = previousDir;
+    });
+
+    it("Should filter records across networks", async function () {
+      recordVault("base-sepolia");
+      recordDeployment("base", 8453n, { kind: "factory", address: FACTORY_1 }, options);
+
+      const results = await hre.run("deployments:list", { allNetworks: true, kind: "vault" });
+
+      expect(results.base).to.have.length(0);
+      expect(results["base-sepolia"].map((record) => record.address)).to.deep.equal([VAULT]);
+    });
+
+    it("Should reject unknown kinds", async function () {
+      await expect(hre.run("deployments:list", { kind: "proxy" })).to.be.rejectedWith("--kind");
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFactoryVaultFixture } = require("../fixtures/mockEcosystem");
+const { createStore, readStore, queryEvents } = require("../../scripts/lib/eventStore");
+const { syncEvents, followEvents } = require("../../scripts/lib/eventIndexer");
+
+describe("Event indexer", function () {
+  async function deployIndexedVaultFixture() {
+    const fixture = await deployFactoryVaultFixture();
+    const newStore = () =>
+      createStore({ network: "hardhat", chainId: 31337n, factory: fixture.factory.target, startBlock: fixture.startBlock });
+    return { ...fixture, newStore };
+  }
+
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  async function head() {
+    return ethers.provider.getBlockNumber();
+  }
+
+  it("Should discover factory vaults and normalize their events", async function () {
+    const { vault, owner, admin, usdc, usdcVault1, usdcVault2, newStore } = await loadFixture(deployIndexedVaultFixture);
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    await vault.connect(admin).updateFeePercentage(200);
+    await time.increase(await vault.changeDelay());
+    await vault.connect(admin).executeParameterChange(0); // ParameterChange.FeePercentage
+    await usdcVault1.accrueYield(USDC("50"));
+    await vault.connect(admin).rebalanceToVault(usdc, usdcVault2);
+    await vault.connect(owner).withdraw(usdc, 0, 0);
+
+    const store = newStore();
+    const result = await syncEvents(store, await head(), { provider: ethers.provider });
+
+    expect(store.vaults).to.deep.equal([vault.target]);
+    expect(result.added).to.equal(store.events.length);
+
+    const names = store.events.map((event) => event.name);
+    expect(names).to.include.members([
+      "VaultDeployed",
+      "InitialDeposit",
+      "ParameterChangeQueued",
+      "FeePercentageUpdated",
+      "RebalanceFeeCollected",
+      "Rebalanced",
+      "FeeCollected",
+      "Withdrawal",
+    ]);
+    expect(names.indexOf("VaultDeployed")).to.be.lessThan(names.indexOf("InitialDeposit"));
+
+    const [deposit] = queryEvents(store, { address: vault.target, name: "InitialDeposit" });
+    expect(deposit.source).to.equal("vault");
+    expect(deposit.args).to.deep.equal({
+      asset: await usdc.getAddress(),
+      vault: await usdcVault1.getAddress(),
+      amount: USDC("1000").toString(),
+    });
+    expect(deposit.timestamp).to.be.a("number");
+  });
+
+  it("Should resume from the persisted checkpoint without duplicates", async function () {
+    const { vault, owner, usdc, usdcVault1, newStore } = await loadFixture(deployIndexedVaultFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    const file = path.join(dir, "hardhat.json");
+
+    try {
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("100"), 0);
+      const middle = await head();
+      await vault.connect(owner).userDeposit(usdc, USDC("200"), 0);
+      await vault.connect(owner).userDeposit(usdc, USDC("300"), 0);
+
+      await syncEvents(newStore(), middle, { provider: ethers.provider, file, batchSize: 2 });
+      const resumed = readStore(file);
+      expect(resumed.checkpoint.blockNumber).to.equal(middle);
+
+      await syncEvents(resumed, await head(), { provider: ethers.provider, file, batchSize: 2 });
+      const oneShot = newStore();
+      await syncEvents(oneShot, await head(), { provider: ethers.provider });
+
+      expect(readStore(file).events.map((event) => event.id)).to.deep.equal(oneShot.events.map((event) => event.id));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should rewind and re-index after a reorg", async function () {
+    const { vault, owner, usdc, usdcVault1, newStore } = await loadFixture(deployIndexedVaultFixture);
+    const store = newStore();
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("100"), 0);
+    const snapshot = await network.provider.send("evm_snapshot");
+    await vault.connect(owner).userDeposit(usdc, USDC("1000"), 0);
+    await syncEvents(store, await head(), { provider: ethers.provider });
+
+    // Replace the last block with a different one
+    await network.provider.send("evm_revert", [snapshot]);
+    await vault.connect(owner).userDeposit(usdc, USDC("500"), 0);
+    await network.provider.send("hardhat_mine", ["0x2"]);
+
+    const result = await syncEvents(store, await head(), { provider: ethers.provider });
+
+    expect(result.reorg).to.not.be.null;
+    expect(result.reorg.removed).to.equal(1);
+    const amounts = queryEvents(store, { name: "UserDeposit" }).map((event) => event.args.amount);
+    expect(amounts).to.deep.equal([USDC("500").toString()]);
+  });
+
+  it("Should follow new blocks until stopped", async function () {
+    const { vault, owner, usdc, usdcVault1, newStore } = await loadFixture(deployIndexedVaultFixture);
+    const store = newStore();
+    const syncs = [];
+
+    await followEvents(store, {
+      provider: ethers.provider,
+      pollInterval: 10,
+      onSync: async (result) => {
+        syncs.push(result);
+        if (syncs.length === 1) await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("100"), 0);
+      },
+      shouldStop: () => syncs.length >= 3,
+    });
+
+    expect(queryEvents(store, { name: "InitialDeposit" })).to.have.length(1);
+  });
+
+  it("Should run indexer:sync into a store file", async function () {
+    const { factory, vault, owner, usdc, usdcVault1 } = await loadFixture(deployIndexedVaultFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    const file = path.join(dir, "hardhat.json");
+
+    try {
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("100"), 0);
+      const store = await hre.run("indexer:sync", { factory: factory.target, store: file, fromBlock: 0 });
+
+      expect(store.vaults).to.deep.equal([vault.target]);
+      expect(readStore(file).events.map((event) => event.name)).to.include("InitialDeposit");
+      await expect(
+        hre.run("indexer:sync", { factory: vault.target, store: file })
+      ).to.be.rejectedWith("indexes factory");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
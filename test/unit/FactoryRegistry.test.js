@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFactoryVaultFixture,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+} = require("../fixtures/mockEcosystem");
+const { FactoryClient } = require("../../sdk");
+
+describe("UserVaultFactory Vault Registry", function () {
+  async function deployRegistryFixture() {
+    const fixture = await deployFactoryVaultFixture();
+    const { factory, owner, admin, revenue, usdc, weth, usdcVault1, wethVault } = fixture;
+    const [, , , , other, newAdmin] = await ethers.getSigners();
+
+    const deploy = async (vaultOwner, vaultAdmin, assets, assetVaults) => {
+      await factory.deployVaultWithNonce(
+        vaultOwner,
+        vaultAdmin,
+        assets,
+        assetVaults,
+        revenue.address,
+        FEE_PERCENTAGE,
+        REBALANCE_FEE_PERCENTAGE,
+        MERKL_CLAIM_FEE_PERCENTAGE,
+        2
+      );
+      const vaults = await factory.getOwnerVaults(vaultOwner);
+      return vaults[vaults.length - 1];
+    };
+    // Fixture vault, then a second vault of the owner, then a WETH vault of another owner and admin
+    const secondVault = await deploy(owner.address, admin.address, [usdc.target], [[usdcVault1.target]]);
+    const wethOnly = await deploy(other.address, other.address, [weth.target], [[wethVault.target]]);
+
+    return { ...fixture, other, newAdmin, secondVault, wethOnly };
+  }
+
+  it("Should register every vault in deployment order, in pages", async function () {
+    const { factory, vault, owner, admin, other, secondVault, wethOnly } = await loadFixture(deployRegistryFixture);
+
+    expect(await factory.getTotalVaults()).to.equal(3n);
+    expect(await factory.getVaults(0, 2)).to.deep.equal([vault.target, secondVault]);
+    expect(await factory.getVaults(2, 2)).to.deep.equal([wethOnly]);
+    expect(await factory.getVaults(3, 2)).to.deep.equal([]);
+    expect(await factory.vaultIndex(wethOnly)).to.equal(2n);
+    expect(await factory.getVaultIndicesByOwner(owner.address)).to.deep.equal([0n, 1n]);
+    expect(await factory.getAdminVaults(admin.address)).to.deep.equal([vault.target, secondVault]);
+
+    const [info] = await factory.getVaultInfos(2, 10);
+    expect(info.vaultAddress).to.equal(wethOnly);
+    expect(info.owner).to.equal(other.address);
+    expect(info.admin).to.equal(other.address);
+    expect(info.chainId).to.equal(31337n);
+    expect(info.salt).to.equal(await factory.generateDeterministicSalt(other.address, 2));
+    expect(info.deployedAt).to.equal(await time.latest());
+    await expect(factory.getVaultInfo(3)).to.be.revertedWith("Invalid index");
+  });
+
+  it("Should move a vault to its new admin's index when the handover completes", async function () {
+    const { factory, vault, admin, newAdmin, secondVault } = await loadFixture(deployRegistryFixture);
+
+    await vault.connect(admin).proposeAdmin(newAdmin.address);
+    // Nothing moves until the new admin accepts
+    expect(await factory.getAdminVaults(newAdmin.address)).to.deep.equal([]);
+
+    await expect(vault.connect(newAdmin).acceptAdmin())
+      .to.emit(factory, "VaultAdminUpdated")
+      .withArgs(vault.target, admin.address, newAdmin.address);
+
+    expect(await factory.getAdminVaults(admin.address)).to.deep.equal([secondVault]);
+    expect(await factory.getAdminVaults(newAdmin.address)).to.deep.equal([vault.target]);
+    expect((await factory.getVaultInfo(0)).admin).to.equal(newAdmin.address);
+    await expect(factory.updateVaultAdmin(admin.address, newAdmin.address)).to.be.revertedWith("Not vault");
+  });
+
+  it("Should list current owners and admins with FactoryClient", async function () {
+    const { factory, vault, owner, admin, other, newAdmin, weth, secondVault, wethOnly } =
+      await loadFixture(deployRegistryFixture);
+    const client = new FactoryClient(factory.target, ethers.provider);
+
+    await vault.connect(admin).proposeAdmin(newAdmin.address);
+    await vault.connect(newAdmin).acceptAdmin();
+    await vault.connect(owner).proposeOwner(other.address);
+    await vault.connect(other).acceptOwner();
+
+    const listed = await client.list({ pageSize: 2 });
+    expect(listed.map((record) => record.address)).to.deep.equal([vault.target, secondVault, wethOnly]);
+    expect(listed[0]).to.include({ owner: other.address, admin: newAdmin.address });
+
+    const addresses = async (filter) => (await client.list(filter)).map((record) => record.address);
+    expect(await addresses({ owner: other.address })).to.deep.equal([wethOnly, vault.target]);
+    expect(await addresses({ admin: admin.address })).to.deep.equal([secondVault]);
+    expect(await addresses({ owner: other.address, asset: weth.target })).to.deep.equal([wethOnly]);
+  });
+});
@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMockEcosystem, getLinkedContractFactory } = require("../fixtures/mockEcosystem");
+const { parseAssetVaults, parseUint } = require("../../scripts/lib/cliArgs");
+const {
+  DETERMINISTIC_DEPLOYER,
+  factoryInitCode,
+  ensureDeterministicDeployer,
+  deployDeterministic,
+} = require("../../scripts/lib/create2Deployer");
+
+describe("Factory tasks", function () {
+  async function deployTaskFixture() {
+    const [deployer, user1] = await ethers.getSigners();
+    const ecosystem = await deployMockEcosystem();
+
+    const UserVaultFactory = await getLinkedContractFactory("UserVaultFactory");
+    const factory = await UserVaultFactory.deploy(deployer.address);
+    await factory.waitForDeployment();
+
+    const vaultConfig = {
+      factory: await factory.getAddress(),
+      owner: user1.address,
+      assets: [await ecosystem.usdc.getAddress(), await ecosystem.weth.getAddress()].join(","),
+      vaults: [
+        [await ecosystem.usdcVault1.getAddress(), await ecosystem.usdcVault2.getAddress()].join(","),
+        await ecosystem.wethVault.getAddress(),
+      ].join(";"),
+    };
+
+    return { ...ecosystem, factory, deployer, user1, vaultConfig };
+  }
+
+  describe("argument parsing", function () {
+    it("Should parse per-asset vault lists", function () {
+      const a = "0x1111111111111111111111111111111111111111";
+      const b = "0x2222222222222222222222222222222222222222";
+      const c = "0x3333333333333333333333333333333333333333";
+
+      expect(parseAssetVaults(`${a},${b};${c}`, "vaults")).to.deep.equal([[a, b], [c]]);
+    });
+
+    it("Should reject malformed values", function () {
+      expect(() => parseAssetVaults("0x1111;", "vaults")).to.throw("--vaults");
+      expect(() => parseUint("-1", "fee")).to.throw("--fee");
+      expect(() => parseUint("1.5", "fee")).to.throw("--fee");
+    });
+  });
+
+  describe("factory:deploy", function () {
+    it("Should deploy a factory owned by the given owner", async function () {
+      const [, user1] = await ethers.getSigners();
+
+      const { address } = await hre.run("factory:deploy", { owner: user1.address });
+      const factory = await ethers.getContractAt("UserVaultFactory", address);
+
+      expect(await factory.owner()).to.equal(user1.address);
+    });
+  });
+
+  describe("factory:deploy --deterministic", function () {
+    it("Should deploy through the proxy at the predicted address", async function () {
+      const [deployer] = await ethers.getSigners();
+      const salt = ethers.id("FactoryTasks.deterministic");
+
+      const plan = await hre.run("factory:deploy", { owner: deployer.address, salt, deterministic: true, dryRun: true });
+      const UserVaultFactory = await getLinkedContractFactory("UserVaultFactory");
+      const initCode = factoryInitCode(UserVaultFactory.bytecode, deployer.address);
+
+      expect(plan.deployed).to.be.false;
+      expect(plan.address).to.equal(
+        ethers.getCreate2Address(DETERMINISTIC_DEPLOYER, salt, ethers.keccak256(initCode))
+      );
+
+      const deployment = await hre.run("factory:deploy", { owner: deployer.address, salt, deterministic: true });
+      const factory = await ethers.getContractAt("UserVaultFactory", deployment.address);
+
+      expect(deployment.address).to.equal(plan.address);
+      expect(deployment.alreadyDeployed).to.be.false;
+      expect(await factory.owner()).to.equal(deployer.address);
+
+      const again = await hre.run("factory:deploy", { owner: deployer.address, salt, deterministic: true });
+      expect(again.alreadyDeployed).to.be.true;
+      expect(again.address).to.equal(plan.address);
+    });
+
+    it("Should not depend on the deployer or its nonce", async function () {
+      const [deployer, user1] = await ethers.getSigners();
+      const salt = ethers.id("FactoryTasks.nonce-independent");
+
+      const plan = await hre.run("factory:deploy", { owner: deployer.address, salt, deterministic: true, dryRun: true });
+      await deployer.sendTransaction({ to: user1.address, value: 1n });
+      const replanned = await hre.run("factory:deploy", {
+        owner: deployer.address,
+        salt,
+        deterministic: true,
+        dryRun: true,
+      });
+      expect(replanned.address).to.equal(plan.address);
+
+      const UserVaultFactory = await getLinkedContractFactory("UserVaultFactory");
+      await ensureDeterministicDeployer(ethers.provider, "hardhat");
+      const deployment = await deployDeterministic(
+        user1,
+        salt,
+        factoryInitCode(UserVaultFactory.bytecode, deployer.address)
+      );
+      expect(deployment.address).to.equal(plan.address);
+    });
+
+    it("Should require the proxy to exist on live networks", async function () {
+      const provider = { getCode: async () => "0x" };
+
+      await expect(ensureDeterministicDeployer(provider, "base")).to.be.rejectedWith(
+        "Deterministic deployment proxy"
+      );
+      await expect(hre.run("factory:deploy", { dryRun: true })).to.be.rejectedWith("require --deterministic");
+    });
+  });
+
+  describe("factory:verify-bytecode", function () {
+    it("Should report matching, different and missing bytecode", async function () {
+      const { factory, usdc } = await loadFixture(deployTaskFixture);
+
+      const matching = await hre.run("factory:verify-bytecode", {
+        address: await factory.getAddress(),
+        networks: "hardhat",
+      });
+      expect(matching.consistent).to.be.true;
+      expect(matching.results[0]).to.include({ network: "hardhat", deployed: true, matches: true });
+
+      const different = await hre.run("factory:verify-bytecode", {
+        address: await usdc.getAddress(),
+        networks: "hardhat",
+      });
+      expect(different.consistent).to.be.false;
+      expect(different.results[0].matches).to.be.false;
+
+      const missing = await hre.run("factory:verify-bytecode", {
+        address: ethers.Wallet.createRandom().address,
+        networks: "hardhat",
+      });
+      expect(missing.consistent).to.be.true;
+      expect(missing.results[0]).to.include({ deployed: false, matches: null });
+    });
+
+    it("Should reject unknown networks", async function () {
+      const { factory } = await loadFixture(deployTaskFixture);
+
+      await expect(
+        hre.run("factory:verify-bytecode", { address: await factory.getAddress(), networks: "nowhere" })
+      ).to.be.rejectedWith('"nowhere" is not a configured network');
+    });
+  });
+
+  describe("factory:predict and factory:deploy-vault", function () {
+    it("Should deploy the vault at the predicted address", async function () {
+      const { factory, user1, vaultConfig } = await loadFixture(deployTaskFixture);
+
+      const predicted = await hre.run("factory:predict", { ...vaultConfig, nonce: "7" });
+      const deployment = await hre.run("factory:deploy-vault", { ...vaultConfig, nonce: "7" });
+
+      expect(deployment.address).to.equal(predicted);
+      expect(await factory.getOwnerVaults(user1.address)).to.deep.equal([predicted]);
+      expect(deployment.salt).to.equal(await factory.generateDeterministicSalt(user1.address, 7));
+    });
+
+    it("Should fail fast when vault lists do not match the assets", async function () {
+      const { vaultConfig } = await loadFixture(deployTaskFixture);
+      const onlyOneList = vaultConfig.vaults.split(";")[0];
+
+      await expect(
+        hre.run("factory:deploy-vault", { ...vaultConfig, vaults: onlyOneList, nonce: "1" })
+      ).to.be.rejectedWith("got 1 vault list(s) for 2 asset(s)");
+    });
+
+    it("Should fail fast on invalid addresses and salts", async function () {
+      const { vaultConfig } = await loadFixture(deployTaskFixture);
+
+      await expect(
+        hre.run("factory:predict", { ...vaultConfig, owner: "0x1234", nonce: "1" })
+      ).to.be.rejectedWith("--owner");
+      await expect(
+        hre.run("factory:predict", { ...vaultConfig, salt: "0x01" })
+      ).to.be.rejectedWith("--salt");
+      await expect(
+        hre.run("factory:predict", vaultConfig)
+      ).to.be.rejectedWith("One of --salt or --nonce is required");
+    });
+
+    it("Should refuse a factory address without code", async function () {
+      const { vaultConfig, user1 } = await loadFixture(deployTaskFixture);
+
+      await expect(
+        hre.run("factory:predict", { ...vaultConfig, factory: user1.address, nonce: "1" })
+      ).to.be.rejectedWith("No contract deployed");
+    });
+  });
+
+  describe("factory:list", function () {
+    it("Should list vaults from the registry, filtered by owner, admin and asset", async function () {
+      const { user1, deployer, usdc, weth, usdcVault1, vaultConfig } = await loadFixture(deployTaskFixture);
+
+      const { address } = await hre.run("factory:deploy-vault", { ...vaultConfig, nonce: "1" });
+      const { address: usdcOnly } = await hre.run("factory:deploy-vault", {
+        ...vaultConfig,
+        owner: deployer.address,
+        admin: user1.address,
+        assets: usdc.target,
+        vaults: usdcVault1.target,
+        nonce: "1",
+      });
+
+      const all = await hre.run("factory:list", { factory: vaultConfig.factory, pageSize: 1 });
+      expect(all.map((vault) => vault.address)).to.deep.equal([address, usdcOnly]);
+      expect(all[0]).to.include({ owner: user1.address, admin: deployer.address });
+
+      const list = (filter) => hre.run("factory:list", { factory: vaultConfig.factory, ...filter });
+      const addresses = async (filter) => (await list(filter)).map((vault) => vault.address);
+      expect(await addresses({ owner: user1.address })).to.deep.equal([address]);
+      expect(await addresses({ admin: user1.address })).to.deep.equal([usdcOnly]);
+      expect(await addresses({ asset: weth.target })).to.deep.equal([address]);
+      expect(await addresses({ owner: user1.address, admin: user1.address })).to.deep.equal([]);
+
+      await expect(list({ owner: "0x1234" })).to.be.rejectedWith("--owner");
+      await expect(list({ pageSize: 0 })).to.be.rejectedWith("--page-size");
+    });
+  });
+
+  describe("factory:resync", function () {
+    it("Should find vaults with stale indexes and move them to their current owner", async function () {
+      const { factory, user1, vaultConfig } = await loadFixture(deployTaskFixture);
+      const [, , newOwner] = await ethers.getSigners();
+      const { address } = await hre.run("factory:deploy-vault", { ...vaultConfig, nonce: "1" });
+      const vault = await ethers.getContractAt("UserVault_V4", address);
+
+      // The owner change happens while the factory cannot be called
+      const code = await ethers.provider.getCode(factory.target);
+      await ethers.provider.send("hardhat_setCode", [factory.target, "0x60006000fd"]);
+      await vault.connect(user1).proposeOwner(newOwner.address);
+      await expect(vault.connect(newOwner).acceptOwner()).to.emit(vault, "FactorySyncFailed");
+      await ethers.provider.send("hardhat_setCode", [factory.target, code]);
+
+      expect(await hre.run("factory:resync", { factory: vaultConfig.factory, dryRun: true })).to.deep.equal([address]);
+      expect(await factory.getOwnerVaults(user1.address)).to.deep.equal([address]);
+
+      expect(await hre.run("factory:resync", { factory: vaultConfig.factory })).to.deep.equal([address]);
+      expect(await factory.getOwnerVaults(user1.address)).to.deep.equal([]);
+      expect(await factory.getOwnerVaults(newOwner.address)).to.deep.equal([address]);
+      expect(await hre.run("factory:resync", { factory: vaultConfig.factory })).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, FEE_PERCENTAGE } = require("../fixtures/mockEcosystem");
+
+describe("UserVault_V4 Fee Accounting", function () {
+  const BPS = 10000n;
+  const MIN_PROFIT_FOR_FEE = 10_000_000n; // default 10e6 ($10 in USDC)
+
+  // Expected withdrawal fee for a given redeemed amount, mirroring calculateFeeFromProfit
+  function expectedFee(redeemed, deposited, threshold) {
+    if (redeemed <= deposited) return 0n;
+    const profit = redeemed - deposited;
+    if (profit <= threshold) return 0n;
+    return (profit * BigInt(FEE_PERCENTAGE)) / BPS;
+  }
+
+  describe("Deposit tracking", function () {
+    it("Should set deposited and base amount on initialDeposit", async function () {
+      const { vault, owner, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+      const amount = ethers.parseUnits("1000", 6);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, amount, 0);
+
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(amount);
+      expect(await vault.assetRebalanceBaseAmount(usdc)).to.equal(amount);
+      expect(await vault.assetHasInitialDeposit(usdc)).to.be.true;
+    });
+
+    it("Should accumulate userDeposit and adminDeposit into both trackers", async function () {
+      const { vault, owner, admin, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, ethers.parseUnits("1000", 6), 0);
+      await vault.connect(owner).userDeposit(usdc, ethers.parseUnits("250", 6), 0);
+      await expect(vault.connect(admin).adminDeposit(usdc, ethers.parseUnits("750", 6), 0))
+        .to.emit(vault, "UserDeposit")
+        .withArgs(await usdc.getAddress(), await usdcVault1.getAddress(), ethers.parseUnits("750", 6));
+
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(ethers.parseUnits("2000", 6));
+      expect(await vault.assetRebalanceBaseAmount(usdc)).to.equal(ethers.parseUnits("2000", 6));
+      expect(await vault.getAssetVaultAssets(usdc)).to.equal(ethers.parseUnits("2000", 6));
+    });
+
+    it("Should reject userDeposit and adminDeposit before the initial deposit", async function () {
+      const { vault, owner, admin, usdc } = await loadFixture(deployUserVaultFixture);
+
+      await expect(vault.connect(owner).userDeposit(usdc, 1n, 0))
+        .to.be.revertedWithCustomError(vault, "NoDeposits");
+      await expect(vault.connect(admin).adminDeposit(usdc, 1n, 0))
+        .to.be.revertedWithCustomError(vault, "NoDeposits");
+    });
+  });
+
+  describe("Withdrawal fees", function () {
+    it("Should charge the fee on profit only and emit FeeCollected and Withdrawal", async function () {
+      const { vault, owner, revenueAddr, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+      const deposited = ethers.parseUnits("1000", 6);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, deposited, 0);
+      await usdcVault1.accrueYield(ethers.parseUnits("100", 6));
+
+      const redeemed = await usdcVault1.previewRedeem(await usdcVault1.balanceOf(vault));
+      const fee = expectedFee(redeemed, deposited, MIN_PROFIT_FOR_FEE);
+      expect(fee).to.be.gt(0);
+
+      const [viewFee, viewUserAmount] = await vault.calculateFeeFromProfit(usdc, redeemed);
+      expect(viewFee).to.equal(fee);
+      expect(viewUserAmount).to.equal(redeemed - fee);
+
+      const ownerBefore = await usdc.balanceOf(owner.address);
+
+      await expect(vault.connect(owner).withdraw(usdc, 0, 0))
+        .to.emit(vault, "FeeCollected")
+        .withArgs(await usdc.getAddress(), await usdcVault1.getAddress(), fee, redeemed - fee)
+        .and.to.emit(vault, "Withdrawal")
+        .withArgs(await usdc.getAddress(), await usdcVault1.getAddress(), owner.address, redeemed - fee);
+
+      expect(await usdc.balanceOf(revenueAddr.address)).to.equal(fee);
+      expect(await usdc.balanceOf(owner.address)).to.equal(ownerBefore + redeemed - fee);
+      expect(await vault.assetTotalFeesCollected(usdc)).to.equal(fee);
+      expect(await vault.getAssetFeesCollected(usdc)).to.equal(fee);
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(0);
+    });
+
+    it("Should not charge a fee when the position is at a loss", async function () {
+      const { vault, owner, revenueAddr, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, ethers.parseUnits("1000", 6), 0);
+      await usdcVault1.simulateLoss(ethers.parseUnits("100", 6));
+
+      await expect(vault.connect(owner).withdraw(usdc, 0, 0))
+        .to.not.emit(vault, "FeeCollected");
+
+      expect(await usdc.balanceOf(revenueAddr.address)).to.equal(0);
+    });
+
+    it("Should decrease deposited by the redeemed amount on partial share withdrawals", async function () {
+      const { vault, owner, revenueAddr, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+      const deposited = ethers.parseUnits("1000", 6);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, deposited, 0);
+      await usdcVault1.accrueYield(ethers.parseUnits("200", 6));
+
+      // First half: redeemed value is below total deposited, so no fee
+      const halfShares = (await usdcVault1.balanceOf(vault)) / 2n;
+      const firstRedeemed = await usdcVault1.previewRedeem(halfShares);
+
+      await expect(vault.connect(owner).withdraw(usdc, halfShares, 0))
+        .to.emit(vault, "Withdrawal")
+        .withArgs(await usdc.getAddress(), await usdcVault1.getAddress(), owner.address, firstRedeemed);
+
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(deposited - firstRedeemed);
+      expect(await usdc.balanceOf(revenueAddr.address)).to.equal(0);
+
+      // Second half: remaining deposited is compared against the rest of the position
+      const remainingDeposited = deposited - firstRedeemed;
+      const secondRedeemed = await usdcVault1.previewRedeem(await usdcVault1.balanceOf(vault));
+      const fee = expectedFee(secondRedeemed, remainingDeposited, MIN_PROFIT_FOR_FEE);
+
+      await vault.connect(owner).withdraw(usdc, 0, 0);
+
+      expect(await usdc.balanceOf(revenueAddr.address)).to.equal(fee);
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(0);
+    });
+
+    it("Should cap share withdrawals at the vault balance", async function () {
+      const { vault, owner, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, ethers.parseUnits("1000", 6), 0);
+      await vault.connect(owner).withdraw(usdc, ethers.MaxUint256, 0);
+
+      expect(await usdcVault1.balanceOf(vault)).to.equal(0);
+      await expect(vault.connect(owner).withdraw(usdc, 0, 0)).to.be.revertedWithCustomError(vault, "NoFunds");
+    });
+  });
+
+  describe("minProfitForFee threshold across decimals", function () {
+    // minProfitForFee is expressed in 6 decimals and converted with _convertToAssetDecimals
+    const cases = [
+      { name: "USDC", decimals: 6, token: "usdc", vault: "usdcVault1", threshold: MIN_PROFIT_FOR_FEE },
+      { name: "cbBTC", decimals: 8, token: "cbbtc", vault: "cbbtcVault", threshold: MIN_PROFIT_FOR_FEE * 100n },
+      { name: "WETH", decimals: 18, token: "weth", vault: "wethVault", threshold: MIN_PROFIT_FOR_FEE * 10n ** 12n },
+    ];
+
+    for (const { name, decimals, token, vault: vaultKey, threshold } of cases) {
+      describe(`${name} (${decimals} decimals)`, function () {
+        async function depositedFixture() {
+          const fixture = await deployUserVaultFixture();
+          const deposited = 1000n * 10n ** BigInt(decimals);
+          await fixture.vault.connect(fixture.owner).initialDeposit(fixture[token], fixture[vaultKey], deposited, 0);
+          return { ...fixture, deposited };
+        }
+
+        it("Should not charge a fee on profit equal to the threshold", async function () {
+          const { vault, deposited, ...fixture } = await loadFixture(depositedFixture);
+
+          const [fee, userAmount] = await vault.calculateFeeFromProfit(fixture[token], deposited + threshold);
+          expect(fee).to.equal(0);
+          expect(userAmount).to.equal(deposited + threshold);
+        });
+
+        it("Should charge a fee on the whole profit once above the threshold", async function () {
+          const { vault, deposited, ...fixture } = await loadFixture(depositedFixture);
+          const profit = threshold + 1n;
+
+          const [fee, userAmount] = await vault.calculateFeeFromProfit(fixture[token], deposited + profit);
+          expect(fee).to.equal((profit * BigInt(FEE_PERCENTAGE)) / BPS);
+          expect(userAmount).to.equal(deposited + profit - fee);
+        });
+
+        it("Should apply the threshold on real yield at withdrawal", async function () {
+          const { vault, owner, revenueAddr, deposited, ...fixture } = await loadFixture(depositedFixture);
+          const asset = fixture[token];
+          const morphoVault = fixture[vaultKey];
+
+          await morphoVault.accrueYield(threshold * 3n);
+
+          const redeemed = await morphoVault.previewRedeem(await morphoVault.balanceOf(vault));
+          const fee = expectedFee(redeemed, deposited, threshold);
+          expect(fee).to.be.gt(0);
+
+          await expect(vault.connect(owner).withdraw(asset, 0, 0))
+            .to.emit(vault, "FeeCollected")
+            .withArgs(await asset.getAddress(), await morphoVault.getAddress(), fee, redeemed - fee);
+
+          expect(await asset.balanceOf(revenueAddr.address)).to.equal(fee);
+        });
+      });
+    }
+
+    it("Should follow updateMinProfitForFee", async function () {
+      const { vault, owner, admin, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+      const deposited = ethers.parseUnits("1000", 6);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, deposited, 0);
+      await vault.connect(admin).updateMinProfitForFee(ethers.parseUnits("100", 6));
+      await time.increase(await vault.changeDelay());
+      await expect(vault.connect(admin).executeParameterChange(3)) // ParameterChange.MinProfitForFee
+        .to.emit(vault, "MinProfitForFeeUpdated")
+        .withArgs(MIN_PROFIT_FOR_FEE, ethers.parseUnits("100", 6));
+
+      const [feeBelow] = await vault.calculateFeeFromProfit(usdc, deposited + ethers.parseUnits("50", 6));
+      expect(feeBelow).to.equal(0);
+
+      const [feeAbove] = await vault.calculateFeeFromProfit(usdc, deposited + ethers.parseUnits("150", 6));
+      expect(feeAbove).to.equal((ethers.parseUnits("150", 6) * BigInt(FEE_PERCENTAGE)) / BPS);
+    });
+  });
+
+  describe("Rebalance base amount", function () {
+    it("Should charge the rebalance fee on profit above the base and reset the base", async function () {
+      const { vault, owner, admin, revenueAddr, usdc, usdcVault1, usdcVault2 } = await loadFixture(deployUserVaultFixture);
+      const deposited = ethers.parseUnits("1000", 6);
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, deposited, 0);
+      await usdcVault1.accrueYield(ethers.parseUnits("100", 6));
+
+      const redeemed = await usdcVault1.previewRedeem(await usdcVault1.balanceOf(vault));
+      const profit = redeemed - deposited;
+      const fee = (profit * (await vault.rebalanceFeePercentage())) / BPS;
+
+      await expect(vault.connect(admin).rebalanceToVault(usdc, usdcVault2))
+        .to.emit(vault, "RebalanceFeeCollected")
+        .withArgs(await usdc.getAddress(), profit, fee, redeemed - fee);
+
+      expect(await usdc.balanceOf(revenueAddr.address)).to.equal(fee);
+      expect(await vault.assetRebalanceBaseAmount(usdc)).to.equal(redeemed - fee);
+      expect(await vault.assetTotalRebalanceFees(usdc)).to.equal(fee);
+      // Withdrawal accounting is independent of the rebalance base
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(deposited);
+    });
+  });
+});
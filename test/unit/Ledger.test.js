@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFactoryVaultFixture, publishMerklRewards } = require("../fixtures/mockEcosystem");
+const { createStore } = require("../../scripts/lib/eventStore");
+const { syncEvents } = require("../../scripts/lib/eventIndexer");
+const { ENTRY_COLUMNS, buildLedger, buildStatement, statementToCsv } = require("../../scripts/lib/ledger");
+
+describe("PnL and fee ledger", function () {
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  /**
+   * deposit 1000 -> +100 yield -> withdraw half -> +600 yield -> rebalance
+   * (fee on profit above the rebalance base) -> Merkl claim -> full withdrawal
+   */
+  async function deployHistoryFixture() {
+    const fixture = await deployFactoryVaultFixture();
+    const { vault, owner, admin, usdc, usdcVault1, usdcVault2, rewardToken, distributor, factory, startBlock } = fixture;
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    await usdcVault1.accrueYield(USDC("100"));
+    await time.increase(86400);
+    await vault.connect(owner).withdraw(usdc, (await vault.getAssetVaultBalance(usdc)) / 2n, 0);
+    const secondPeriodStart = (await time.latest()) + 1;
+
+    await time.increase(86400);
+    await usdcVault1.accrueYield(USDC("600"));
+    await vault.connect(admin).rebalanceToVault(usdc, usdcVault2);
+
+    const reward = { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("100") };
+    await rewardToken.mint(distributor, reward.amount);
+    const { rewards } = await publishMerklRewards([reward]);
+    await vault.connect(owner).claimMerklReward(rewardToken, reward.amount, rewards[vault.target][rewardToken.target].proof, 0);
+
+    const balanceBefore = await usdc.balanceOf(owner.address);
+    await vault.connect(owner).withdraw(usdc, 0, 0);
+    const finalNet = (await usdc.balanceOf(owner.address)) - balanceBefore;
+
+    const store = createStore({ network: "hardhat", chainId: 31337n, factory: factory.target, startBlock });
+    await syncEvents(store, await ethers.provider.getBlockNumber(), { provider: ethers.provider });
+
+    const positionValue = (vaultAddress, asset, blockTag) =>
+      vault.attach(vaultAddress).getAssetVaultAssets(asset, { blockTag });
+
+    return { ...fixture, store, positionValue, secondPeriodStart, finalNet };
+  }
+
+  it("Should keep realized yield across withdrawals with average cost", async function () {
+    const { store, positionValue, vault, usdc } = await loadFixture(deployHistoryFixture);
+
+    const ledger = await buildLedger(store.events, { positionValue });
+    const [position] = ledger.positions;
+    const withdrawals = ledger.entries.filter((entry) => entry.type === "withdrawal");
+
+    // Half of a 1100 position: 550 out, 500 of principal released
+    expect(withdrawals[0].method).to.equal("average-cost");
+    expect(withdrawals[0].costBasisChange).to.be.closeTo(-USDC("500"), 1n);
+    expect(withdrawals[0].realizedYield).to.be.closeTo(USDC("50"), 1n);
+
+    // All yield (700) minus the rebalance fee (10% of the 150 above the 1000 base)
+    expect(position.rebalanceFees).to.be.closeTo(USDC("15"), 1n);
+    expect(position.realizedYield).to.be.closeTo(USDC("685"), 2n);
+    expect(position.costBasis).to.equal(0n);
+    expect(position.withdrawalFees).to.equal(withdrawals[1].fee);
+    expect(withdrawals[1].fee).to.be.greaterThan(0n);
+
+    // The vault itself has forgotten the deposits
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(0n);
+  });
+
+  it("Should fall back to principal-first without historical values", async function () {
+    const { store } = await loadFixture(deployHistoryFixture);
+
+    const ledger = await buildLedger(store.events);
+    const [first, second] = ledger.entries.filter((entry) => entry.type === "withdrawal");
+
+    expect(first.method).to.equal("principal-first");
+    expect(first.realizedYield).to.equal(0n);
+    expect(ledger.positions[0].realizedYield).to.equal(first.realizedYield + second.realizedYield);
+    expect(ledger.positions[0].realizedYield).to.be.closeTo(USDC("685"), 2n);
+  });
+
+  it("Should track Merkl rewards and fees per token", async function () {
+    const { store, rewardToken } = await loadFixture(deployHistoryFixture);
+
+    const { rewards } = await buildLedger(store.events);
+
+    expect(rewards).to.have.length(1);
+    expect(rewards[0]).to.include({
+      token: await rewardToken.getAddress(),
+      claimed: ethers.parseEther("100"),
+      fees: ethers.parseEther("10"),
+      paid: ethers.parseEther("90"),
+    });
+  });
+
+  it("Should build a per-owner statement for a date range", async function () {
+    const { store, positionValue, owner, admin, secondPeriodStart, finalNet } = await loadFixture(deployHistoryFixture);
+    const ledger = await buildLedger(store.events, { positionValue });
+
+    const statement = buildStatement(ledger, { owner: owner.address, from: secondPeriodStart });
+    const [position] = statement.positions;
+
+    expect(statement.entries.map((entry) => entry.type)).to.deep.equal(["rebalance", "merkl-claim", "withdrawal"]);
+    expect(position.openingCostBasis).to.be.closeTo(USDC("500"), 1n);
+    expect(position.deposits).to.equal(0n);
+    expect(position.withdrawalsNet).to.equal(finalNet);
+    expect(position.closingCostBasis).to.equal(0n);
+    expect(position.unrealizedYield).to.be.null;
+
+    expect(buildStatement(ledger, { owner: admin.address }).entries).to.deep.equal([]);
+  });
+
+  it("Should export statements with ledger:statement", async function () {
+    const { store, owner } = await loadFixture(deployHistoryFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+    const storeFile = path.join(dir, "hardhat.json");
+    const output = path.join(dir, "statement.csv");
+    fs.writeFileSync(storeFile, JSON.stringify(store));
+
+    try {
+      const statement = await hre.run("ledger:statement", {
+        owner: owner.address,
+        store: storeFile,
+        format: "csv",
+        output,
+      });
+      const [header, ...rows] = fs.readFileSync(output, "utf8").trim().split("\n");
+
+      expect(header).to.equal(ENTRY_COLUMNS.join(","));
+      expect(rows).to.have.length(statement.entries.length);
+      expect(rows[0]).to.contain(",deposit,").and.to.contain(",USDC,");
+      expect(statement.positions[0].closingValue).to.equal(0n);
+      expect(statementToCsv(statement)).to.contain("merkl-claim");
+
+      await expect(
+        hre.run("ledger:statement", { owner: owner.address, store: path.join(dir, "missing.json") })
+      ).to.be.rejectedWith("run indexer:sync first");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
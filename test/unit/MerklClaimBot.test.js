@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFactoryVaultFixture,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+  publishMerklRewards,
+} = require("../fixtures/mockEcosystem");
+const { snapshotRewardSource, merklApiRewardSource } = require("../../scripts/lib/merklRewards");
+const { staticPriceSource } = require("../../scripts/lib/prices");
+const { runClaimBot, formatClaimReport } = require("../../scripts/lib/merklClaimBot");
+
+describe("Merkl claim bot", function () {
+  const prices = staticPriceSource({ MORPHO: 2, WETH: 3000 });
+
+  async function deployClaimFixture() {
+    const fixture = await deployFactoryVaultFixture();
+    const { factory, vault, deployer, owner, admin, revenue, usdc, usdcVault1, rewardToken, weth, distributor } = fixture;
+
+    // A second vault administered by the first signer, which tasks run as
+    await factory.deployVaultWithNonce(
+      owner.address,
+      deployer.address,
+      [await usdc.getAddress()],
+      [[await usdcVault1.getAddress()]],
+      revenue.address,
+      FEE_PERCENTAGE,
+      REBALANCE_FEE_PERCENTAGE,
+      MERKL_CLAIM_FEE_PERCENTAGE,
+      2
+    );
+    const [, deployerVaultAddress] = await factory.getOwnerVaults(owner.address);
+    const deployerVault = await ethers.getContractAt("UserVault_V4", deployerVaultAddress);
+    await usdc.connect(owner).approve(deployerVaultAddress, ethers.MaxUint256);
+
+    // The first deposit approves the admin as Merkl operator
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, ethers.parseUnits("1000", 6), 0);
+    await deployerVault.connect(owner).initialDeposit(usdc, usdcVault1, ethers.parseUnits("1000", 6), 0);
+
+    await rewardToken.mint(distributor, ethers.parseEther("1000"));
+    await weth.mint(distributor, ethers.parseEther("10"));
+
+    const snapshot = await publishMerklRewards([
+      { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("100") },
+      { user: vault.target, token: weth.target, amount: ethers.parseEther("0.0001") },
+      { user: deployerVault.target, token: rewardToken.target, amount: ethers.parseEther("40") },
+      { user: admin.address, token: rewardToken.target, amount: ethers.parseEther("50") },
+    ]);
+
+    return { ...fixture, deployerVault, snapshot, source: snapshotRewardSource(snapshot) };
+  }
+
+  it("Should simulate claims in dry-run mode without sending them", async function () {
+    const { vault, admin, owner, rewardToken, source } = await loadFixture(deployClaimFixture);
+
+    const report = await runClaimBot([vault.target], {
+      signer: admin,
+      source,
+      chainId: 31337,
+      priceSource: prices,
+      minValueUsd: 1,
+      dryRun: true,
+    });
+
+    const [result] = report.vaults;
+    expect(result.status).to.equal("dry-run");
+    expect(result.tokens.map((token) => [token.symbol, token.status])).to.deep.equal([
+      ["MORPHO", "claim"],
+      ["WETH", "below-threshold"],
+    ]);
+    expect(report.totals.tokens[rewardToken.target]).to.include({
+      amount: ethers.parseEther("100"),
+      valueUsd: ethers.parseEther("200"),
+    });
+    expect(await rewardToken.balanceOf(owner.address)).to.equal(0n);
+  });
+
+  it("Should claim the unclaimed delta with real proofs and split the fee", async function () {
+    const { vault, admin, owner, revenue, rewardToken, distributor, source } = await loadFixture(deployClaimFixture);
+    const options = { signer: admin, source, chainId: 31337, priceSource: prices, minValueUsd: 1 };
+
+    const report = await runClaimBot([vault.target], options);
+    const [result] = report.vaults;
+
+    expect(result.status).to.equal("claimed");
+    expect(result.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(result.tokens[0]).to.include({ fee: ethers.parseEther("10"), userAmount: ethers.parseEther("90") });
+    expect(await rewardToken.balanceOf(owner.address)).to.equal(ethers.parseEther("90"));
+    expect(await rewardToken.balanceOf(revenue.address)).to.equal(ethers.parseEther("10"));
+    expect(await distributor.claimed(vault, rewardToken)).to.equal(ethers.parseEther("100"));
+
+    // Nothing new until the cumulative amount grows
+    const again = await runClaimBot([vault.target], options);
+    expect(again.vaults[0]).to.include({ status: "skipped", reason: "nothing above the threshold to claim" });
+    expect(again.vaults[0].tokens[0]).to.include({ unclaimed: 0n, status: "claimed" });
+
+    const grown = snapshotRewardSource(
+      await publishMerklRewards([
+        { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("150") },
+      ])
+    );
+    const third = await runClaimBot([vault.target], { ...options, source: grown });
+    expect(third.vaults[0].tokens[0]).to.include({ unclaimed: ethers.parseEther("50"), status: "claim" });
+    expect(await rewardToken.balanceOf(owner.address)).to.equal(ethers.parseEther("135"));
+  });
+
+  it("Should skip vaults it cannot claim for and keep going after failures", async function () {
+    const { vault, deployerVault, admin, rewardToken, snapshot } = await loadFixture(deployClaimFixture);
+
+    // Inflate the vault's amount so its proof no longer matches the root
+    const tampered = JSON.parse(JSON.stringify(snapshot));
+    tampered.rewards[vault.target][rewardToken.target].amount = ethers.parseEther("1000").toString();
+
+    const report = await runClaimBot([vault.target, deployerVault.target], {
+      signer: admin,
+      source: snapshotRewardSource(tampered),
+      chainId: 31337,
+    });
+
+    expect(report.vaults[0]).to.include({ status: "failed", reason: "Invalid proof" });
+    expect(report.vaults[1].status).to.equal("skipped");
+    expect(report.vaults[1].reason).to.contain("is not the vault admin");
+    expect(report.totals).to.include({ claimed: 0, failed: 1, skipped: 1 });
+    expect(formatClaimReport(report)).to.contain("❌").and.to.contain("Invalid proof");
+
+    await expect(
+      runClaimBot([vault.target], { signer: admin, source: snapshotRewardSource(snapshot), chainId: 8453 })
+    ).to.eventually.have.nested.property("vaults[0].reason", "snapshot is a snapshot for chain 31337, not 8453");
+  });
+
+  it("Should skip vaults whose admin is not a Merkl operator yet", async function () {
+    const { factory, owner, admin, revenue, usdc, usdcVault1, source } = await loadFixture(deployClaimFixture);
+    await factory.deployVaultWithNonce(
+      owner.address,
+      admin.address,
+      [await usdc.getAddress()],
+      [[await usdcVault1.getAddress()]],
+      revenue.address,
+      FEE_PERCENTAGE,
+      REBALANCE_FEE_PERCENTAGE,
+      MERKL_CLAIM_FEE_PERCENTAGE,
+      3
+    );
+    const [, , fresh] = await factory.getOwnerVaults(owner.address);
+
+    const report = await runClaimBot([fresh], { signer: admin, source, chainId: 31337 });
+
+    expect(report.vaults[0]).to.include({ status: "skipped", reason: "admin is not an approved Merkl operator yet" });
+  });
+
+  it("Should read cumulative rewards and proofs from the Merkl API", async function () {
+    const requests = [];
+    const source = merklApiRewardSource({
+      baseUrl: "https://merkl.test/",
+      fetch: async (url) => {
+        requests.push(url);
+        return {
+          ok: true,
+          json: async () => [
+            {
+              chain: { id: 31337 },
+              rewards: [
+                {
+                  amount: "1000",
+                  claimed: "400",
+                  proofs: ["0x" + "11".repeat(32)],
+                  token: { chainId: 31337, address: "0x" + "ab".repeat(20), symbol: "MORPHO", decimals: 18, price: 1.5 },
+                },
+              ],
+            },
+          ],
+        };
+      },
+    });
+
+    const [reward] = await source.getRewards("0x" + "01".repeat(20), 31337);
+
+    expect(requests).to.deep.equal([`https://merkl.test/v4/users/0x${"01".repeat(20)}/rewards?chainId=31337`]);
+    expect(reward).to.include({ amount: 1000n, symbol: "MORPHO", decimals: 18, price: 1.5 });
+    expect(reward.token).to.equal(ethers.getAddress("0x" + "ab".repeat(20)));
+  });
+
+  it("Should claim every factory vault it administers with merkl:claim", async function () {
+    const { factory, deployerVault, owner, rewardToken, snapshot } = await loadFixture(deployClaimFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "merkl-"));
+    const sourceFile = path.join(dir, "rewards.json");
+    const reportFile = path.join(dir, "report.json");
+    fs.writeFileSync(sourceFile, JSON.stringify(snapshot));
+
+    try {
+      const dryRun = await hre.run("merkl:claim", { factory: factory.target, source: sourceFile, dryRun: true });
+      // Only the vaults in the signer's adminVaults index are processed
+      expect(dryRun.vaults.map((result) => result.status)).to.deep.equal(["dry-run"]);
+
+      await hre.run("merkl:claim", { factory: factory.target, source: sourceFile, report: reportFile });
+      const written = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+
+      expect(written.vaults.map((result) => [result.vault, result.status])).to.deep.equal([
+        [deployerVault.target, "claimed"],
+      ]);
+      expect(written.vaults[0].tokens[0].fee).to.equal(ethers.parseEther("4").toString());
+      expect(await rewardToken.balanceOf(owner.address)).to.equal(ethers.parseEther("36"));
+
+      await expect(
+        hre.run("merkl:claim", { factory: factory.target, source: sourceFile, minValue: "ten" })
+      ).to.be.rejectedWith("--min-value");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
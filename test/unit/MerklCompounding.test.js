@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFactoryVaultFixture, publishMerklRewards, addAerodromePool } = require("../fixtures/mockEcosystem");
+const { createStore } = require("../../scripts/lib/eventStore");
+const { syncEvents } = require("../../scripts/lib/eventIndexer");
+const { buildLedger } = require("../../scripts/lib/ledger");
+const { snapshotRewardSource } = require("../../scripts/lib/merklRewards");
+const { runClaimBot, formatClaimReport } = require("../../scripts/lib/merklClaimBot");
+const { VaultClient } = require("../../sdk");
+
+describe("Merkl reward compounding", function () {
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  async function deployCompoundFixture() {
+    const fixture = await deployFactoryVaultFixture();
+    const { vault, owner, usdc, usdcVault1, rewardToken, weth, distributor } = fixture;
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    await vault.connect(owner).setMerklCompoundAsset(usdc);
+    // 1 MORPHO = 2 USDC; no pool for WETH
+    await addAerodromePool(rewardToken, usdc, false, USDC("2"));
+
+    await rewardToken.mint(distributor, ethers.parseEther("1000"));
+    await weth.mint(distributor, ethers.parseEther("10"));
+    await usdc.mint(distributor, USDC("1000"));
+    const snapshot = await publishMerklRewards([
+      { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("100") },
+      { user: vault.target, token: weth.target, amount: ethers.parseEther("1") },
+      { user: vault.target, token: usdc.target, amount: USDC("50") },
+    ]);
+
+    // minAmountOut is the caller's quote of the swap into the compound asset
+    const claimArgs = (token, minAmountOut = 0n) => {
+      const reward = snapshot.rewards[vault.target][token.target];
+      return [token, reward.amount, reward.proof, minAmountOut];
+    };
+    return { ...fixture, snapshot, claimArgs };
+  }
+
+  it("Should let only the owner choose an allowed compound asset", async function () {
+    const { vault, owner, admin, usdc, weth } = await loadFixture(deployCompoundFixture);
+
+    expect(await vault.merklCompoundAsset()).to.equal(usdc.target);
+    await expect(vault.connect(admin).setMerklCompoundAsset(ethers.ZeroAddress)).to.be.revertedWithCustomError(vault, "OnlyOwner");
+    await expect(vault.connect(owner).setMerklCompoundAsset(weth)).to.be.revertedWithCustomError(vault, "AssetNotAllowed");
+    await expect(vault.connect(owner).setMerklCompoundAsset(ethers.ZeroAddress))
+      .to.emit(vault, "MerklCompoundAssetUpdated")
+      .withArgs(usdc.target, ethers.ZeroAddress);
+  });
+
+  it("Should swap the owner's share into the asset and count it as principal", async function () {
+    const { vault, owner, revenue, usdc, rewardToken, claimArgs } = await loadFixture(deployCompoundFixture);
+
+    // 10% Merkl fee: 90 MORPHO swapped into 180 USDC
+    await expect(vault.connect(owner).claimMerklReward(...claimArgs(rewardToken, USDC("180"))))
+      .to.emit(vault, "MerklTokensClaimed")
+      .withArgs(rewardToken.target, ethers.parseEther("100"), ethers.parseEther("10"), ethers.parseEther("90"))
+      .and.to.emit(vault, "MerklRewardsCompounded")
+      .withArgs(rewardToken.target, usdc.target, ethers.parseEther("90"), USDC("180"));
+
+    expect(await rewardToken.balanceOf(owner.address)).to.equal(0n);
+    expect(await rewardToken.balanceOf(revenue.address)).to.equal(ethers.parseEther("10"));
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("1180"));
+    expect((await vault.getAssetRebalanceInfo(usdc))[0]).to.equal(USDC("1180"));
+    expect(await vault.getAssetVaultAssets(usdc)).to.be.closeTo(USDC("1180"), 1n);
+
+    // The Merkl fee was the only fee: withdrawing the compounded reward is not profit
+    await expect(vault.connect(owner).withdraw(usdc, 0, 0)).to.not.emit(vault, "FeeCollected");
+  });
+
+  it("Should require the caller's minimum output for a compounding swap", async function () {
+    const { vault, owner, usdc, rewardToken, claimArgs } = await loadFixture(deployCompoundFixture);
+
+    await expect(vault.connect(owner).claimMerklReward(...claimArgs(rewardToken))).to.be.revertedWithCustomError(
+      vault,
+      "MinimumOutputRequired"
+    );
+
+    // The pool is pushed to 1 MORPHO = 1.95 USDC before the claim: within the vault's own
+    // quote tolerance, but below the 180 USDC the caller quoted
+    await addAerodromePool(rewardToken, usdc, false, USDC("1.95"));
+    const router = await ethers.getContractAt("MockAerodromeRouter", await vault.AERODROME_ROUTER());
+    await expect(
+      vault.connect(owner).claimMerklReward(...claimArgs(rewardToken, (USDC("180") * 995n) / 1000n))
+    ).to.be.revertedWithCustomError(router, "InsufficientOutputAmount");
+
+    await expect(vault.connect(owner).claimMerklReward(...claimArgs(rewardToken, USDC("175.5"))))
+      .to.emit(vault, "MerklRewardsCompounded")
+      .withArgs(rewardToken.target, usdc.target, ethers.parseEther("90"), USDC("175.5"));
+  });
+
+  it("Should quote the compounding minimums in the SDK and claim with them", async function () {
+    const { vault, owner, usdc, weth, rewardToken, snapshot } = await loadFixture(deployCompoundFixture);
+    const client = new VaultClient(vault.target, owner);
+    const rewards = [rewardToken, weth, usdc].map((token) => ({
+      token: token.target,
+      ...snapshot.rewards[vault.target][token.target],
+    }));
+
+    const [morpho, noPool, asset] = await client.quoteClaims(rewards);
+    expect(morpho).to.include({ unclaimed: ethers.parseEther("100"), userAmount: ethers.parseEther("90") });
+    expect(morpho.amountOut).to.equal(USDC("180"));
+    expect(morpho.minAmountOut).to.equal(USDC("179.1"));
+    expect(noPool.minAmountOut).to.equal(0n);
+    expect(asset.minAmountOut).to.equal(0n);
+
+    const { method, events } = await client.claim(rewards);
+    expect(method).to.equal("claimMerklRewardsBatch");
+    const compounded = events.filter((event) => event.name === "MerklRewardsCompounded");
+    expect(compounded.map((event) => event.args.depositedAmount)).to.deep.equal([USDC("180"), USDC("45")]);
+  });
+
+  it("Should deposit the asset itself, and pay out what cannot be compounded", async function () {
+    const { vault, owner, admin, usdc, weth, rewardToken, claimArgs } = await loadFixture(deployCompoundFixture);
+
+    await expect(vault.connect(owner).claimMerklReward(...claimArgs(usdc)))
+      .to.emit(vault, "MerklRewardsCompounded")
+      .withArgs(usdc.target, usdc.target, USDC("45"), USDC("45"));
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("1045"));
+
+    // No Aerodrome pool for WETH
+    await expect(vault.connect(owner).claimMerklReward(...claimArgs(weth))).to.not.emit(vault, "MerklRewardsCompounded");
+    expect(await weth.balanceOf(owner.address)).to.equal(ethers.parseEther("0.9"));
+
+    // Deposits are paused
+    await vault.connect(admin).pause();
+    await vault.connect(owner).claimMerklReward(...claimArgs(rewardToken));
+    expect(await rewardToken.balanceOf(owner.address)).to.equal(ethers.parseEther("90"));
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("1045"));
+  });
+
+  it("Should report compounded rewards in the claim bot and the ledger", async function () {
+    const { vault, admin, usdc, rewardToken, snapshot, factory, startBlock } = await loadFixture(deployCompoundFixture);
+
+    const report = await runClaimBot([vault.target], {
+      signer: admin,
+      source: snapshotRewardSource(snapshot),
+      chainId: 31337,
+    });
+
+    const [result] = report.vaults;
+    expect(result.status).to.equal("claimed");
+    expect(result.compoundAsset).to.include({ token: usdc.target, symbol: "USDC", decimals: 6 });
+    const morpho = result.tokens.find((token) => token.token === rewardToken.target);
+    expect(morpho.minAmountOut).to.equal(USDC("179.1"));
+    expect(morpho.compounded).to.equal(USDC("180"));
+    expect(report.totals.compounded[usdc.target].amount).to.equal(USDC("225"));
+    const text = formatClaimReport(report);
+    expect(text).to.contain("compounding into USDC");
+    expect(text).to.contain("MORPHO: 100.0 (n/a, fee 10.0) claim → 180.0 USDC");
+    expect(text).to.contain("compounded: 225.0 USDC");
+
+    const store = createStore({ network: "hardhat", chainId: 31337n, factory: factory.target, startBlock });
+    await syncEvents(store, await ethers.provider.getBlockNumber(), { provider: ethers.provider });
+    const ledger = await buildLedger(store.events);
+    const [position] = ledger.positions;
+    expect(position.compounded).to.equal(USDC("225"));
+    expect(position.costBasis).to.equal(USDC("1225"));
+    expect(ledger.entries.filter((entry) => entry.type === "compound")).to.have.length(2);
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, publishMerklRewards } = require("../fixtures/mockEcosystem");
+const {
+  merklLeaf,
+  buildMerkleTree,
+  verifyProof,
+  verifyReward,
+  parseDistribution,
+  buildRewardSnapshot,
+  verifyRewardSnapshot,
+} = require("../../scripts/lib/merkleTree");
+
+describe("Merkl reward trees", function () {
+  const address = (byte) => ethers.getAddress("0x" + byte.repeat(20));
+  const USER_A = address("0a");
+  const USER_B = address("0b");
+  const USER_C = address("0c");
+  const TOKEN = address("70");
+
+  describe("Off-chain", function () {
+    const distribution = {
+      chainId: 8453,
+      rewards: {
+        [USER_A]: { [TOKEN]: "1000" },
+        [USER_B]: { [TOKEN]: "2500" },
+        [USER_C]: { [TOKEN]: "1" },
+      },
+    };
+
+    it("Should build a root and a verifying proof for every reward", function () {
+      const snapshot = buildRewardSnapshot(distribution);
+
+      expect(snapshot.chainId).to.equal(8453);
+      expect(snapshot.root).to.match(/^0x[0-9a-f]{64}$/);
+      expect(verifyRewardSnapshot(snapshot)).to.deep.equal({ root: snapshot.root, verified: 3, invalid: [] });
+
+      const { amount, proof } = snapshot.rewards[USER_B][TOKEN];
+      expect(verifyReward({ user: USER_B, token: TOKEN, amount, proof }, snapshot.root)).to.be.true;
+      expect(verifyReward({ user: USER_B, token: TOKEN, amount: "2501", proof }, snapshot.root)).to.be.false;
+      expect(verifyReward({ user: USER_A, token: TOKEN, amount, proof }, snapshot.root)).to.be.false;
+    });
+
+    it("Should give the same root regardless of reward order", function () {
+      const rewards = parseDistribution(distribution);
+
+      expect(buildMerkleTree([...rewards].reverse()).root).to.equal(buildMerkleTree(rewards).root);
+      expect(rewards).to.deep.include({ user: USER_C, token: TOKEN, amount: 1n });
+    });
+
+    it("Should use the leaf as root of a single-reward tree", function () {
+      const tree = buildMerkleTree([{ user: USER_A, token: TOKEN, amount: 5n }]);
+
+      expect(tree.root).to.equal(merklLeaf(USER_A, TOKEN, 5n));
+      expect(tree.rewards[0].proof).to.deep.equal([]);
+      expect(verifyProof(tree.rewards[0].leaf, [], tree.root)).to.be.true;
+    });
+
+    it("Should reject invalid distributions", function () {
+      expect(() => parseDistribution({ rewards: [{ user: "0x1234", token: TOKEN, amount: "1" }] })).to.throw(
+        'rewards[0].user: "0x1234" is not an address'
+      );
+      expect(() => parseDistribution({ rewards: [{ user: USER_A, token: TOKEN, amount: "-1" }] })).to.throw(
+        "is not a non-negative integer"
+      );
+      expect(() =>
+        buildRewardSnapshot({
+          rewards: [
+            { user: USER_A, token: TOKEN, amount: "1" },
+            { user: USER_A.toLowerCase(), token: TOKEN, amount: "2" },
+          ],
+        })
+      ).to.throw("Duplicate reward");
+    });
+  });
+
+  describe("Mock distributor", function () {
+    async function deployRewardsFixture() {
+      const fixture = await deployUserVaultFixture();
+      const { vault, owner, usdc, usdcVault1, rewardToken, weth, distributor } = fixture;
+
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, ethers.parseUnits("1000", 6), 0);
+      await rewardToken.mint(distributor, ethers.parseEther("1000"));
+      await weth.mint(distributor, ethers.parseEther("10"));
+
+      const claimArgs = (snapshot, tokens) => [
+        tokens.map((token) => token.target),
+        tokens.map((token) => snapshot.rewards[vault.target][token.target].amount),
+        tokens.map((token) => snapshot.rewards[vault.target][token.target].proof),
+        tokens.map(() => 0n),
+      ];
+      return { ...fixture, claimArgs };
+    }
+
+    it("Should require a published root and a matching proof", async function () {
+      const { vault, owner, rewardToken, other } = await loadFixture(deployRewardsFixture);
+      const amount = ethers.parseEther("100");
+
+      await expect(vault.connect(owner).claimMerklReward(rewardToken, amount, [], 0)).to.be.revertedWith(
+        "Invalid uninitialized root"
+      );
+
+      const { rewards } = await publishMerklRewards([
+        { user: vault.target, token: rewardToken.target, amount },
+        { user: other.address, token: rewardToken.target, amount },
+      ]);
+      const { proof } = rewards[vault.target][rewardToken.target];
+
+      await expect(vault.connect(owner).claimMerklReward(rewardToken, amount + 1n, proof, 0)).to.be.revertedWith(
+        "Invalid proof"
+      );
+      await expect(
+        vault.connect(owner).claimMerklReward(rewardToken, amount, rewards[other.address][rewardToken.target].proof, 0)
+      ).to.be.revertedWith("Invalid proof");
+    });
+
+    it("Should split the fee of every token of a batch claim", async function () {
+      const { vault, admin, owner, revenueAddr, rewardToken, weth, claimArgs } = await loadFixture(deployRewardsFixture);
+      const snapshot = await publishMerklRewards([
+        { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("100") },
+        { user: vault.target, token: weth.target, amount: ethers.parseEther("2") },
+      ]);
+
+      await expect(vault.connect(admin).adminClaimMerklRewardsBatch(...claimArgs(snapshot, [rewardToken, weth])))
+        .to.emit(vault, "MerklTokensClaimed")
+        .withArgs(rewardToken.target, ethers.parseEther("100"), ethers.parseEther("10"), ethers.parseEther("90"))
+        .and.to.emit(vault, "MerklTokensClaimed")
+        .withArgs(weth.target, ethers.parseEther("2"), ethers.parseEther("0.2"), ethers.parseEther("1.8"));
+
+      expect(await weth.balanceOf(revenueAddr.address)).to.equal(ethers.parseEther("0.2"));
+      expect(await rewardToken.balanceOf(owner.address)).to.equal(ethers.parseEther("90"));
+    });
+
+    it("Should pay nothing on a double claim", async function () {
+      const { vault, owner, rewardToken, distributor, claimArgs } = await loadFixture(deployRewardsFixture);
+      const snapshot = await publishMerklRewards([
+        { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("100") },
+      ]);
+      const args = claimArgs(snapshot, [rewardToken]);
+
+      await vault.connect(owner).claimMerklRewardsBatch(...args);
+      await expect(vault.connect(owner).claimMerklRewardsBatch(...args))
+        .to.emit(distributor, "Claimed")
+        .withArgs(vault.target, rewardToken.target, 0)
+        .and.not.to.emit(vault, "MerklTokensClaimed");
+
+      expect(await rewardToken.balanceOf(owner.address)).to.equal(ethers.parseEther("90"));
+    });
+
+    it("Should only pay the increase of a cumulative amount", async function () {
+      const { vault, owner, revenueAddr, rewardToken, distributor, claimArgs } = await loadFixture(deployRewardsFixture);
+
+      const first = await publishMerklRewards([
+        { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("100") },
+      ]);
+      await vault.connect(owner).claimMerklRewardsBatch(...claimArgs(first, [rewardToken]));
+
+      const second = await publishMerklRewards([
+        { user: vault.target, token: rewardToken.target, amount: ethers.parseEther("130") },
+      ]);
+      await expect(vault.connect(owner).claimMerklRewardsBatch(...claimArgs(second, [rewardToken])))
+        .to.emit(vault, "MerklTokensClaimed")
+        .withArgs(rewardToken.target, ethers.parseEther("30"), ethers.parseEther("3"), ethers.parseEther("27"));
+
+      expect(await distributor.claimed(vault, rewardToken)).to.equal(ethers.parseEther("130"));
+      expect(await rewardToken.balanceOf(revenueAddr.address)).to.equal(ethers.parseEther("13"));
+
+      // An older, smaller cumulative amount is no longer in the tree
+      await expect(vault.connect(owner).claimMerklRewardsBatch(...claimArgs(first, [rewardToken]))).to.be.revertedWith(
+        "Invalid proof"
+      );
+    });
+  });
+
+  describe("Tasks", function () {
+    it("Should build a snapshot with merkl:tree and check it with merkl:verify", async function () {
+      const { vault, rewardToken, distributor } = await loadFixture(deployUserVaultFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "merkl-tree-"));
+      const distributionFile = path.join(dir, "distribution.json");
+      const snapshotFile = path.join(dir, "snapshot.json");
+      fs.writeFileSync(
+        distributionFile,
+        JSON.stringify({ chainId: 31337, rewards: { [vault.target]: { [rewardToken.target]: "100" }, [USER_A]: { [TOKEN]: "7" } } })
+      );
+
+      try {
+        const snapshot = await hre.run("merkl:tree", { distribution: distributionFile, output: snapshotFile });
+        expect(JSON.parse(fs.readFileSync(snapshotFile, "utf8"))).to.deep.equal(snapshot);
+
+        await expect(hre.run("merkl:verify", { snapshot: snapshotFile, onchain: true })).to.be.rejectedWith(
+          "does not verify"
+        );
+        await distributor.updateTree(snapshot.root);
+        const result = await hre.run("merkl:verify", { snapshot: snapshotFile, onchain: true });
+        expect(result).to.include({ verified: 2, rootMatches: true });
+
+        snapshot.rewards[USER_A][TOKEN].amount = "8";
+        fs.writeFileSync(snapshotFile, JSON.stringify(snapshot));
+        await expect(hre.run("merkl:verify", { snapshot: snapshotFile })).to.be.rejectedWith("does not verify");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
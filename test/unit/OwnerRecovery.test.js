@@ -0,0 +1,280 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployUserVaultFixture,
+  deployFactoryVaultFixture,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+} = require("../fixtures/mockEcosystem");
+const { createStore } = require("../../scripts/lib/eventStore");
+const { syncEvents } = require("../../scripts/lib/eventIndexer");
+const { buildLedger, buildStatement } = require("../../scripts/lib/ledger");
+const { VaultClient, FactoryClient } = require("../../sdk");
+
+describe("UserVault_V4 Owner Transfer and Recovery", function () {
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+  const RECOVERY_DELAY = 7 * 24 * 60 * 60;
+
+  async function deployOwnerFixture() {
+    const fixture = await deployUserVaultFixture();
+    const [, , , , newOwner, guardian] = await ethers.getSigners();
+    return { ...fixture, newOwner, guardian };
+  }
+
+  async function deployFactoryOwnerFixture() {
+    const fixture = await deployFactoryVaultFixture();
+    const { factory, owner, admin, revenue, usdc, usdcVault1 } = fixture;
+    const [, , , , newOwner, guardian] = await ethers.getSigners();
+
+    // A second vault of the same owner, after the fixture's in ownerVaults
+    await factory.deployVaultWithNonce(
+      owner.address,
+      admin.address,
+      [usdc.target],
+      [[usdcVault1.target]],
+      revenue.address,
+      FEE_PERCENTAGE,
+      REBALANCE_FEE_PERCENTAGE,
+      MERKL_CLAIM_FEE_PERCENTAGE,
+      2
+    );
+    const [, secondVault] = await factory.getOwnerVaults(owner.address);
+    return { ...fixture, secondVault, newOwner, guardian };
+  }
+
+  it("Should transfer ownership only when the proposed owner accepts", async function () {
+    const { vault, owner, admin, other, newOwner, usdc, usdcVault1 } = await loadFixture(deployOwnerFixture);
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    expect(await vault.factory()).to.equal(ethers.ZeroAddress);
+
+    await expect(vault.connect(admin).proposeOwner(newOwner.address)).to.be.revertedWithCustomError(vault, "OnlyOwner");
+    await expect(vault.connect(owner).proposeOwner(ethers.ZeroAddress)).to.be.revertedWithCustomError(vault, "InvalidOwner");
+    await expect(vault.connect(owner).proposeOwner(owner.address)).to.be.revertedWithCustomError(vault, "AlreadyOwner");
+
+    await expect(vault.connect(owner).proposeOwner(other.address))
+      .to.emit(vault, "OwnerTransferProposed")
+      .withArgs(owner.address, other.address);
+    await expect(vault.connect(owner).cancelOwnerTransfer())
+      .to.emit(vault, "OwnerTransferCancelled")
+      .withArgs(other.address);
+    await expect(vault.connect(owner).cancelOwnerTransfer()).to.be.revertedWithCustomError(vault, "NoPendingOwner");
+    await expect(vault.connect(other).acceptOwner()).to.be.revertedWithCustomError(vault, "OnlyPendingOwner");
+
+    await vault.connect(owner).proposeOwner(newOwner.address);
+    await expect(vault.connect(newOwner).acceptOwner())
+      .to.emit(vault, "OwnerUpdated")
+      .withArgs(owner.address, newOwner.address);
+    expect(await vault.owner()).to.equal(newOwner.address);
+    expect(await vault.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+    // Withdrawals now need, and pay, the new owner
+    await expect(vault.connect(owner).withdraw(usdc, 0, 0)).to.be.revertedWithCustomError(vault, "OnlyOwner");
+    await vault.connect(newOwner).withdraw(usdc, 0, 0);
+    expect(await usdc.balanceOf(newOwner.address)).to.equal(USDC("1000"));
+  });
+
+  it("Should move the vault between owners in the factory indexes", async function () {
+    const { factory, vault, secondVault, owner, newOwner } = await loadFixture(deployFactoryOwnerFixture);
+    expect(await vault.factory()).to.equal(factory.target);
+    const salt = await factory.vaultSalt(vault);
+    expect(salt).to.equal(await factory.generateDeterministicSalt(owner.address, 1));
+
+    await vault.connect(owner).proposeOwner(newOwner.address);
+    await expect(vault.connect(newOwner).acceptOwner())
+      .to.emit(factory, "VaultOwnerUpdated")
+      .withArgs(vault.target, owner.address, newOwner.address);
+
+    expect(await factory.getOwnerVaults(owner.address)).to.deep.equal([secondVault]);
+    expect(await factory.getOwnerVaults(newOwner.address)).to.deep.equal([vault.target]);
+    expect(await factory.vaultOwner(vault)).to.equal(newOwner.address);
+    // The salt stays taken for the owner the vault was deployed for, and free for the new owner
+    expect(await factory.deployedVaults(owner.address, salt)).to.equal(vault.target);
+    expect(await factory.deployedVaults(newOwner.address, salt)).to.equal(ethers.ZeroAddress);
+
+    const listed = await new FactoryClient(factory.target, ethers.provider).list();
+    expect(listed.map((item) => item.owner)).to.deep.equal([newOwner.address, owner.address]);
+    await expect(factory.updateVaultOwner(owner.address, newOwner.address)).to.be.revertedWith("Not vault");
+  });
+
+  it("Should let the guardian recover the vault after the delay", async function () {
+    const { factory, vault, secondVault, owner, admin, newOwner, guardian } = await loadFixture(
+      deployFactoryOwnerFixture
+    );
+
+    await expect(vault.connect(admin).setGuardian(guardian.address)).to.be.revertedWithCustomError(vault, "OnlyOwner");
+    await expect(vault.connect(owner).setGuardian(owner.address)).to.be.revertedWithCustomError(vault, "InvalidGuardian");
+    await expect(vault.connect(guardian).initiateRecovery(newOwner.address)).to.be.revertedWithCustomError(vault, "OnlyGuardian");
+    await expect(vault.connect(owner).setGuardian(guardian.address))
+      .to.emit(vault, "GuardianUpdated")
+      .withArgs(ethers.ZeroAddress, guardian.address);
+
+    await expect(vault.connect(guardian).initiateRecovery(owner.address)).to.be.revertedWithCustomError(vault, "InvalidOwner");
+    const tx = vault.connect(guardian).initiateRecovery(newOwner.address);
+    const executableAt = (await time.latest()) + 1 + RECOVERY_DELAY;
+    await expect(tx).to.emit(vault, "RecoveryInitiated").withArgs(guardian.address, newOwner.address, executableAt);
+
+    await expect(vault.connect(newOwner).executeRecovery()).to.be.revertedWithCustomError(vault, "RecoveryDelayNotPassed");
+    await time.increaseTo(executableAt);
+    await expect(vault.connect(admin).executeRecovery()).to.be.revertedWithCustomError(vault, "OnlyGuardianOrRecoveryOwner");
+    await expect(vault.connect(newOwner).executeRecovery())
+      .to.emit(vault, "OwnerUpdated")
+      .withArgs(owner.address, newOwner.address)
+      .and.to.emit(factory, "VaultOwnerUpdated");
+
+    expect(await vault.owner()).to.equal(newOwner.address);
+    expect(await vault.recoveryOwner()).to.equal(ethers.ZeroAddress);
+    expect(await vault.guardian()).to.equal(guardian.address);
+    expect(await factory.getOwnerVaults(owner.address)).to.deep.equal([secondVault]);
+    expect(await factory.getOwnerVaults(newOwner.address)).to.deep.equal([vault.target]);
+  });
+
+  it("Should let the owner veto a recovery", async function () {
+    const { vault, owner, admin, other, newOwner, guardian } = await loadFixture(deployOwnerFixture);
+    await vault.connect(owner).setGuardian(guardian.address);
+
+    await vault.connect(guardian).initiateRecovery(newOwner.address);
+    await expect(vault.connect(admin).cancelRecovery()).to.be.revertedWithCustomError(vault, "OnlyOwnerOrGuardian");
+    await expect(vault.connect(owner).cancelRecovery())
+      .to.emit(vault, "RecoveryCancelled")
+      .withArgs(newOwner.address, owner.address);
+    await expect(vault.connect(owner).cancelRecovery()).to.be.revertedWithCustomError(vault, "NoPendingRecovery");
+    await time.increase(RECOVERY_DELAY);
+    await expect(vault.connect(newOwner).executeRecovery()).to.be.revertedWithCustomError(vault, "NoPendingRecovery");
+
+    // Replacing the guardian drops the recovery its predecessor started
+    await vault.connect(guardian).initiateRecovery(newOwner.address);
+    await expect(vault.connect(owner).setGuardian(other.address))
+      .to.emit(vault, "RecoveryCancelled")
+      .and.to.emit(vault, "GuardianUpdated")
+      .withArgs(guardian.address, other.address);
+    expect(await vault.recoveryOwner()).to.equal(ethers.ZeroAddress);
+
+    // An owner transfer also ends a pending recovery
+    await vault.connect(other).initiateRecovery(newOwner.address);
+    await vault.connect(owner).proposeOwner(admin.address);
+    await vault.connect(admin).acceptOwner();
+    expect(await vault.recoveryOwner()).to.equal(ethers.ZeroAddress);
+    expect(await vault.owner()).to.equal(admin.address);
+  });
+
+  it("Should reset the previous owner's consent and compounding choices", async function () {
+    const { vault, owner, newOwner, guardian, usdc } = await loadFixture(deployOwnerFixture);
+    const setChoices = async (signer) => {
+      await vault.connect(signer).setCrossAssetRebalanceConsent(true);
+      await vault.connect(signer).setMerklCompoundAsset(usdc);
+    };
+
+    await setChoices(owner);
+    await vault.connect(owner).proposeOwner(newOwner.address);
+    await expect(vault.connect(newOwner).acceptOwner())
+      .to.emit(vault, "CrossAssetRebalanceConsentUpdated")
+      .withArgs(false)
+      .and.to.emit(vault, "MerklCompoundAssetUpdated")
+      .withArgs(usdc.target, ethers.ZeroAddress);
+    expect(await vault.adminCrossAssetRebalanceAllowed()).to.equal(false);
+    expect(await vault.merklCompoundAsset()).to.equal(ethers.ZeroAddress);
+
+    await setChoices(newOwner);
+    await vault.connect(newOwner).setGuardian(guardian.address);
+    await vault.connect(guardian).initiateRecovery(owner.address);
+    await time.increase(RECOVERY_DELAY);
+    await expect(vault.connect(guardian).executeRecovery())
+      .to.emit(vault, "CrossAssetRebalanceConsentUpdated")
+      .and.to.emit(vault, "MerklCompoundAssetUpdated");
+    expect(await vault.adminCrossAssetRebalanceAllowed()).to.equal(false);
+    expect(await vault.merklCompoundAsset()).to.equal(ethers.ZeroAddress);
+  });
+
+  it("Should report a failed factory index update without blocking the handover", async function () {
+    const { factory, vault, owner, admin, newOwner, guardian } = await loadFixture(deployFactoryOwnerFixture);
+    // The factory now reverts every call (PUSH1 0 PUSH1 0 REVERT)
+    await ethers.provider.send("hardhat_setCode", [factory.target, "0x60006000fd"]);
+
+    await vault.connect(owner).proposeOwner(newOwner.address);
+    await expect(vault.connect(newOwner).acceptOwner())
+      .to.emit(vault, "FactorySyncFailed")
+      .withArgs(factory.interface.getFunction("updateVaultOwner").selector, "0x")
+      .and.to.emit(vault, "OwnerUpdated");
+    expect(await vault.owner()).to.equal(newOwner.address);
+
+    await vault.connect(admin).proposeAdmin(guardian.address);
+    await expect(vault.connect(guardian).acceptAdmin())
+      .to.emit(vault, "FactorySyncFailed")
+      .withArgs(factory.interface.getFunction("updateVaultAdmin").selector, "0x")
+      .and.to.emit(vault, "AdminUpdated");
+    expect(await vault.admin()).to.equal(guardian.address);
+  });
+
+  it("Should move a vault from the recorded owner and admin, and resync it after a failed update", async function () {
+    const { factory, vault, secondVault, owner, admin, newOwner, guardian } = await loadFixture(
+      deployFactoryOwnerFixture
+    );
+    const [, , , , , , other] = await ethers.getSigners();
+    const code = await ethers.provider.getCode(factory.target);
+
+    // The factory misses one owner change and one admin handover
+    await ethers.provider.send("hardhat_setCode", [factory.target, "0x60006000fd"]);
+    await vault.connect(owner).proposeOwner(newOwner.address);
+    await expect(vault.connect(newOwner).acceptOwner()).to.emit(vault, "FactorySyncFailed");
+    await vault.connect(admin).proposeAdmin(guardian.address);
+    await expect(vault.connect(guardian).acceptAdmin()).to.emit(vault, "FactorySyncFailed");
+    await ethers.provider.send("hardhat_setCode", [factory.target, code]);
+
+    // The next owner change moves the vault from the owner the factory recorded,
+    // leaving the other vault's entry alone
+    await vault.connect(newOwner).proposeOwner(other.address);
+    await expect(vault.connect(other).acceptOwner())
+      .to.emit(factory, "VaultOwnerUpdated")
+      .withArgs(vault.target, owner.address, other.address);
+    expect(await factory.getOwnerVaults(owner.address)).to.deep.equal([secondVault]);
+    expect(await factory.getOwnerVaults(newOwner.address)).to.deep.equal([]);
+    expect(await factory.getOwnerVaults(other.address)).to.deep.equal([vault.target]);
+
+    // Anyone can bring the stale admin index in line with the vault
+    expect(await factory.getAdminVaults(admin.address)).to.deep.equal([vault.target, secondVault]);
+    await expect(factory.connect(other).resync(vault))
+      .to.emit(factory, "VaultAdminUpdated")
+      .withArgs(vault.target, admin.address, guardian.address)
+      .and.not.to.emit(factory, "VaultOwnerUpdated");
+    expect(await factory.getAdminVaults(admin.address)).to.deep.equal([secondVault]);
+    expect(await factory.getAdminVaults(guardian.address)).to.deep.equal([vault.target]);
+    expect(await factory.vaultAdmin(vault)).to.equal(guardian.address);
+
+    await expect(factory.resync(vault)).to.not.emit(factory, "VaultAdminUpdated");
+    await expect(factory.resync(other.address)).to.be.revertedWith("Not vault");
+  });
+
+  it("Should report ownership in the SDK and hand statements to the new owner", async function () {
+    const { factory, vault, owner, newOwner, guardian, usdc, usdcVault1, startBlock } = await loadFixture(
+      deployFactoryOwnerFixture
+    );
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    const ownerClient = new VaultClient(vault.target, owner);
+
+    await ownerClient.setGuardian(guardian.address);
+    await new VaultClient(vault.target, guardian).initiateRecovery(newOwner.address);
+    const ownership = await ownerClient.getOwnership();
+    expect(ownership).to.include({ owner: owner.address, pendingOwner: null, guardian: guardian.address });
+    expect(ownership.factory).to.equal(factory.target);
+    expect(ownership.recovery).to.include({ newOwner: newOwner.address, ready: false });
+
+    await ownerClient.cancelRecovery();
+    const { method, events } = await ownerClient.proposeOwner(newOwner.address);
+    expect(method).to.equal("proposeOwner");
+    expect(events.map((event) => event.name)).to.deep.equal(["OwnerTransferProposed"]);
+    expect((await ownerClient.getOwnership()).pendingOwner).to.equal(newOwner.address);
+    await new VaultClient(vault.target, newOwner).acceptOwner();
+    expect(await ownerClient.getOwnership()).to.include({ owner: newOwner.address, recovery: null });
+
+    const store = createStore({ network: "hardhat", chainId: 31337n, factory: factory.target, startBlock });
+    await syncEvents(store, await ethers.provider.getBlockNumber(), { provider: ethers.provider });
+    const ledger = await buildLedger(store.events);
+    const [deposit] = ledger.entries;
+    expect(deposit.owner).to.equal(owner.address);
+    expect(ledger.positions[0].owner).to.equal(newOwner.address);
+    expect(buildStatement(ledger, { owner: newOwner.address }).positions[0].closingCostBasis).to.equal(USDC("1000"));
+    expect(buildStatement(ledger, { owner: owner.address }).positions).to.deep.equal([]);
+  });
+});
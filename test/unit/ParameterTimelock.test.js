@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployUserVaultFixture,
+  deployFactoryVaultFixture,
+  getLinkedContractFactory,
+  FEE_PERCENTAGE,
+  REBALANCE_FEE_PERCENTAGE,
+  MERKL_CLAIM_FEE_PERCENTAGE,
+} = require("../fixtures/mockEcosystem");
+const { VaultClient, VaultSdkError } = require("../../sdk");
+
+describe("UserVault_V4 Timelocked Parameter Changes", function () {
+  const DAY = 86400n;
+  // ParameterChange enum
+  const FEE = 0;
+  const REBALANCE_FEE = 1;
+  const MERKL_FEE = 2;
+  const REVENUE = 4;
+  const DELAY = 5;
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  it("Should cap every fee at deployment and when it is queued", async function () {
+    const { vault, admin, owner, revenueAddr, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+
+    await expect(vault.connect(admin).updateFeePercentage(2001)).to.be.revertedWithCustomError(vault, "FeeTooHigh");
+    await expect(vault.connect(admin).updateRebalanceFeePercentage(10001)).to.be.revertedWithCustomError(vault, "FeeTooHigh");
+    await expect(vault.connect(admin).updateMerklClaimFeePercentage(2001)).to.be.revertedWithCustomError(vault, "FeeTooHigh");
+    await expect(vault.connect(admin).updateChangeDelay(DAY - 1n)).to.be.revertedWithCustomError(vault, "InvalidChangeDelay");
+    await expect(vault.connect(admin).updateChangeDelay(31n * DAY)).to.be.revertedWithCustomError(vault, "InvalidChangeDelay");
+    await expect(vault.connect(owner).updateFeePercentage(0)).to.be.revertedWithCustomError(vault, "OnlyAdmin");
+
+    const UserVault = await getLinkedContractFactory("UserVault_V4");
+    const deploy = (fees) =>
+      UserVault.deploy(owner.address, admin.address, [usdc.target], [[usdcVault1.target]], revenueAddr.address, ...fees);
+    await expect(deploy([2001, 1000, 1000])).to.be.revertedWithCustomError(UserVault, "FeeTooHigh");
+    await expect(deploy([100, 2001, 1000])).to.be.revertedWithCustomError(UserVault, "FeeTooHigh");
+    await expect(deploy([100, 1000, 2001])).to.be.revertedWithCustomError(UserVault, "FeeTooHigh");
+    await expect(deploy([2000, 2000, 2000])).to.not.be.reverted;
+  });
+
+  it("Should apply a queued change only after the delay", async function () {
+    const { vault, owner, admin, other, revenueAddr } = await loadFixture(deployUserVaultFixture);
+    expect(await vault.changeDelay()).to.equal(2n * DAY);
+
+    await expect(vault.connect(admin).updateFeePercentage(2000)).to.emit(vault, "ParameterChangeQueued");
+    const [value, executableAt] = await vault.pendingChanges(FEE);
+    expect(value).to.equal(2000n);
+    expect(executableAt).to.equal(BigInt(await time.latest()) + 2n * DAY);
+    expect(await vault.feePercentage()).to.equal(BigInt(FEE_PERCENTAGE));
+
+    await expect(vault.connect(admin).executeParameterChange(FEE)).to.be.revertedWithCustomError(vault, "ChangeDelayNotPassed");
+    await expect(vault.connect(admin).executeParameterChange(MERKL_FEE)).to.be.revertedWithCustomError(vault, "NoPendingChange");
+
+    await time.increaseTo(executableAt);
+    await expect(vault.connect(other).executeParameterChange(FEE)).to.be.revertedWithCustomError(vault, "OnlyOwnerOrAdmin");
+    await expect(vault.connect(admin).executeParameterChange(FEE))
+      .to.emit(vault, "FeePercentageUpdated")
+      .withArgs(FEE_PERCENTAGE, 2000);
+    expect(await vault.feePercentage()).to.equal(2000n);
+    expect((await vault.pendingChanges(FEE)).executableAt).to.equal(0n);
+
+    await vault.connect(admin).updateRevenueAddress(other.address);
+    await time.increase(2n * DAY);
+    await expect(vault.connect(owner).executeParameterChange(REVENUE))
+      .to.emit(vault, "RevenueAddressUpdated")
+      .withArgs(revenueAddr.address, other.address);
+    expect(await vault.revenueAddress()).to.equal(other.address);
+  });
+
+  it("Should let the owner veto a change or withdraw under the current fee", async function () {
+    const { vault, owner, admin, revenueAddr, usdc, usdcVault1 } = await loadFixture(deployUserVaultFixture);
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    await usdcVault1.accrueYield(USDC("100"));
+
+    await vault.connect(admin).updateRebalanceFeePercentage(2000);
+    await expect(vault.connect(owner).cancelParameterChange(REBALANCE_FEE))
+      .to.emit(vault, "ParameterChangeCancelled")
+      .withArgs(REBALANCE_FEE, 2000, owner.address);
+    await time.increase(2n * DAY);
+    await expect(vault.connect(admin).executeParameterChange(REBALANCE_FEE)).to.be.revertedWithCustomError(vault, "NoPendingChange");
+    expect(await vault.rebalanceFeePercentage()).to.equal(BigInt(REBALANCE_FEE_PERCENTAGE));
+
+    // Queued but not yet executable: the withdrawal pays the fee in effect
+    await vault.connect(admin).updateFeePercentage(2000);
+    const revenueBefore = await usdc.balanceOf(revenueAddr.address);
+    await vault.connect(owner).withdraw(usdc, 0, 0);
+    const fee = (await usdc.balanceOf(revenueAddr.address)) - revenueBefore;
+    expect(fee).to.be.closeTo((USDC("100") * BigInt(FEE_PERCENTAGE)) / 10000n, 1n);
+
+    await expect(vault.connect(owner).cancelParameterChange(MERKL_FEE)).to.be.revertedWithCustomError(vault, "NoPendingChange");
+    expect(await vault.merklClaimFeePercentage()).to.equal(BigInt(MERKL_CLAIM_FEE_PERCENTAGE));
+  });
+
+  it("Should timelock the delay itself and restart it when a change is requeued", async function () {
+    const { vault, admin } = await loadFixture(deployUserVaultFixture);
+
+    await vault.connect(admin).updateChangeDelay(7n * DAY);
+    await time.increase(DAY);
+    // Replacing a pending change restarts its delay
+    await vault.connect(admin).updateChangeDelay(5n * DAY);
+    await time.increase(DAY);
+    await expect(vault.connect(admin).executeParameterChange(DELAY)).to.be.revertedWithCustomError(vault, "ChangeDelayNotPassed");
+    await time.increase(DAY);
+    await expect(vault.connect(admin).executeParameterChange(DELAY))
+      .to.emit(vault, "ChangeDelayUpdated")
+      .withArgs(2n * DAY, 5n * DAY);
+
+    await vault.connect(admin).updateMerklClaimFeePercentage(500);
+    expect((await vault.pendingChanges(MERKL_FEE)).executableAt).to.equal(BigInt(await time.latest()) + 5n * DAY);
+  });
+
+  it("Should list pending changes with the SDK and vault:pending-changes", async function () {
+    const { vault, admin, owner, deployer, factory } = await loadFixture(deployFactoryVaultFixture);
+    const adminClient = new VaultClient(vault.target, admin);
+
+    await adminClient.queueChange("feePercentage", 150n);
+    await adminClient.queueChange("revenueAddress", deployer.address);
+    await expect(adminClient.queueChange("fee", 150n)).to.be.rejectedWith(VaultSdkError, 'unknown parameter "fee"');
+
+    const changes = await adminClient.getPendingChanges();
+    expect(changes.map((change) => change.name)).to.deep.equal(["feePercentage", "revenueAddress"]);
+    expect(changes[0]).to.include({ parameter: FEE, current: BigInt(FEE_PERCENTAGE), value: 150n, ready: false });
+    expect(changes[1].value).to.equal(deployer.address);
+
+    await new VaultClient(vault.target, owner).cancelChange("revenueAddress");
+    await time.increase(2n * DAY);
+
+    const results = await hre.run("vault:pending-changes", { factory: factory.target });
+    expect(results).to.have.length(1);
+    expect(results[0].vault).to.equal(vault.target);
+    expect(results[0].changes).to.have.length(1);
+    expect(results[0].changes[0]).to.include({ name: "feePercentage", ready: true });
+
+    await adminClient.executeChange("feePercentage");
+    expect(await hre.run("vault:pending-changes", { factory: factory.target })).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture } = require("../fixtures/mockEcosystem");
+const { staticPriceSource, loadPriceSource, toUsd } = require("../../scripts/lib/prices");
+const { CSV_COLUMNS, buildPortfolioReport, formatCsv, formatTable } = require("../../scripts/lib/portfolioReport");
+
+describe("Portfolio report", function () {
+  async function deployReportFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, owner, usdc, weth, usdcVault1, wethVault } = fixture;
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, ethers.parseUnits("1000", 6), 0);
+    await vault.connect(owner).initialDeposit(weth, wethVault, ethers.parseEther("2"), 0);
+    // 10% yield on USDC
+    await usdcVault1.accrueYield(ethers.parseUnits("100", 6));
+
+    return { ...fixture, vaultAddress: await vault.getAddress() };
+  }
+
+  const prices = staticPriceSource({ USDC: 1, WETH: "2500.5" });
+
+  it("Should format positions with symbols, decimals and USD values", async function () {
+    const { vaultAddress, usdc } = await loadFixture(deployReportFixture);
+
+    const report = await buildPortfolioReport(hre, vaultAddress, prices);
+    const [usdcPosition, wethPosition] = report.positions;
+
+    expect(usdcPosition).to.include({
+      asset: await usdc.getAddress(),
+      symbol: "USDC",
+      decimals: 6,
+      deposited: "1000.0",
+      priceUsd: "1",
+      depositedUsd: "1000.0",
+    });
+    expect(Number(usdcPosition.currentValue)).to.be.closeTo(1100, 0.01);
+    expect(Number(usdcPosition.profitUsd)).to.be.closeTo(100, 0.01);
+    expect(wethPosition).to.include({ symbol: "WETH", decimals: 18, depositedUsd: "5001.0" });
+    expect(Number(report.totals.depositedUsd)).to.equal(6001);
+    expect(report.fees.feePercentage).to.equal(100);
+    expect(report.unpriced).to.deep.equal([]);
+  });
+
+  it("Should leave unpriced assets out of USD totals", async function () {
+    const { vaultAddress } = await loadFixture(deployReportFixture);
+
+    const report = await buildPortfolioReport(hre, vaultAddress, staticPriceSource({ USDC: 1 }));
+
+    expect(report.unpriced).to.deep.equal(["WETH"]);
+    expect(report.positions[1].currentValueUsd).to.be.null;
+    expect(report.totals.depositedUsd).to.equal("1000.0");
+    expect(formatTable(report)).to.contain("No static price for WETH");
+  });
+
+  it("Should render CSV with one row per asset", async function () {
+    const { vaultAddress } = await loadFixture(deployReportFixture);
+
+    const csv = formatCsv(await buildPortfolioReport(hre, vaultAddress, prices));
+    const [header, ...rows] = csv.trim().split("\n");
+
+    expect(header).to.equal(CSV_COLUMNS.join(","));
+    expect(rows).to.have.length(2);
+    expect(rows[1].split(",")[1]).to.equal("WETH");
+  });
+
+  it("Should run vault:report with a price file and write JSON", async function () {
+    const { vaultAddress } = await loadFixture(deployReportFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "report-"));
+    const priceFile = path.join(dir, "prices.json");
+    const output = path.join(dir, "report.json");
+    fs.writeFileSync(priceFile, JSON.stringify({ usdc: 1, weth: 2000 }));
+
+    try {
+      await hre.run("vault:report", { vault: vaultAddress, prices: priceFile, format: "json", output });
+      const written = JSON.parse(fs.readFileSync(output, "utf8"));
+
+      expect(written.priceSource).to.equal("prices.json");
+      expect(written.positions[1].depositedUsd).to.equal("4000.0");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject unknown formats and missing price files", async function () {
+    const { vaultAddress } = await loadFixture(deployReportFixture);
+
+    await expect(hre.run("vault:report", { vault: vaultAddress, format: "xml" })).to.be.rejectedWith("--format");
+    expect(() => loadPriceSource("missing-prices.json")).to.throw("--prices");
+  });
+
+  it("Should value amounts with fixed-point precision", function () {
+    expect(toUsd(1_500_000n, 6, "0.999")).to.equal(ethers.parseEther("1.4985"));
+    expect(toUsd(-(10n ** 8n), 8, 95000)).to.equal(-ethers.parseEther("95000"));
+    expect(toUsd(1n, 18, null)).to.be.null;
+  });
+
+  it("Should value tokens priced below 1e-6 without throwing", function () {
+    // String(1e-7) is "1e-7", which parseUnits rejects
+    expect(toUsd(10n ** 18n, 18, 1e-7)).to.equal(100_000_000_000n);
+    expect(toUsd(10n ** 18n, 18, "2.5E-9")).to.equal(2_500_000_000n);
+    expect(toUsd(10n ** 18n, 18, 1e-19)).to.equal(0n);
+    expect(toUsd(10n ** 6n, 6, 1.5e21)).to.equal(ethers.parseEther("1500000000000000000000"));
+  });
+});
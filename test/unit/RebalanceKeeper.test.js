@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFactoryVaultFixture } = require("../fixtures/mockEcosystem");
+const { staticPriceSource } = require("../../scripts/lib/prices");
+const { runRebalanceKeeper, readKeeperState } = require("../../scripts/lib/rebalanceKeeper");
+
+describe("Rebalance keeper", function () {
+  const DAY = 86400;
+  const YEAR = 365 * DAY;
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  /**
+   * Grow each mock vault at its own APR (in bps) for `days`, one accrual per day
+   */
+  async function grow(rates, days) {
+    for (let day = 0; day < days; day++) {
+      await time.increase(DAY);
+      for (const [mockVault, aprBps] of rates) {
+        const totalAssets = await mockVault.totalAssets();
+        await mockVault.accrueYield((totalAssets * BigInt(aprBps) * BigInt(DAY)) / (BigInt(YEAR) * 10000n));
+      }
+    }
+  }
+
+  async function deployKeeperFixture() {
+    const fixture = await deployFactoryVaultFixture();
+    const { vault, deployer, owner, usdc, usdcVault1, usdcVault2 } = fixture;
+
+    // Other depositors, so both Morpho vaults have a share price before the vault enters
+    await usdc.mint(deployer.address, USDC("20000"));
+    for (const mockVault of [usdcVault1, usdcVault2]) {
+      await usdc.connect(deployer).approve(mockVault, ethers.MaxUint256);
+      await mockVault.connect(deployer).deposit(USDC("10000"), deployer.address);
+    }
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+
+    return { ...fixture, state: { version: 1, lastRebalance: {} } };
+  }
+
+  async function deployDivergingFixture() {
+    const fixture = await deployKeeperFixture();
+    await grow(
+      [
+        [fixture.usdcVault1, 200],
+        [fixture.usdcVault2, 1000],
+      ],
+      7
+    );
+    return fixture;
+  }
+
+  it("Should measure APYs from share prices and propose the better vault", async function () {
+    const { vault, admin, usdc, usdcVault1, usdcVault2, state } = await loadFixture(deployDivergingFixture);
+
+    const [decision] = await runRebalanceKeeper([vault.target], { signer: admin, state, dryRun: true });
+
+    expect(decision).to.include({
+      asset: await usdc.getAddress(),
+      symbol: "USDC",
+      activeVault: usdcVault1.target,
+      candidate: usdcVault2.target,
+      action: "propose",
+    });
+    expect(decision.activeApy).to.be.closeTo(0.0202, 0.001);
+    expect(decision.candidateApy).to.be.closeTo(0.1052, 0.002);
+    // ~8.5% over 30 days on ~1000 USDC, well above the fee on ~0.4 USDC of profit
+    expect(decision.expectedGain).to.be.closeTo(USDC("7"), USDC("0.2"));
+    expect(decision.rebalanceFee).to.be.lessThan(USDC("0.05"));
+    expect(decision.gasCost).to.be.null;
+    expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault1.target);
+  });
+
+  it("Should count gas when ETH and the asset are priced", async function () {
+    const { vault, admin, state } = await loadFixture(deployDivergingFixture);
+    const priceSource = staticPriceSource({ ETH: 3000, USDC: 1 });
+
+    const [decision] = await runRebalanceKeeper([vault.target], { signer: admin, state, priceSource, dryRun: true });
+
+    expect(decision.gasCost).to.be.greaterThan(0n);
+    expect(decision.reason).to.equal("gain exceeds fee and gas");
+  });
+
+  it("Should hold instead of executing when gas is not priced", async function () {
+    const { vault, admin, usdc, usdcVault1, state } = await loadFixture(deployDivergingFixture);
+
+    const [decision] = await runRebalanceKeeper([vault.target], { signer: admin, state });
+
+    expect(decision.action).to.equal("hold");
+    expect(decision.gasCost).to.be.null;
+    expect(decision.reason).to.contain("gas is not priced");
+    expect(decision.transactionHash).to.be.null;
+    expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault1.target);
+    expect(state.lastRebalance).to.deep.equal({});
+
+    // ETH alone is not enough to price gas in USDC
+    const [ethOnly] = await runRebalanceKeeper([vault.target], {
+      signer: admin,
+      state,
+      priceSource: staticPriceSource({ ETH: 3000 }),
+    });
+    expect(ethOnly.action).to.equal("hold");
+  });
+
+  it("Should execute, record the rebalance and respect the cooldown", async function () {
+    const { vault, admin, usdc, usdcVault1, usdcVault2, state } = await loadFixture(deployDivergingFixture);
+    const priceSource = staticPriceSource({ ETH: 3000, USDC: 1 });
+
+    const [decision] = await runRebalanceKeeper([vault.target], { signer: admin, state, priceSource });
+
+    expect(decision.action).to.equal("rebalance");
+    expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault2.target);
+    const key = `${vault.target}:${await usdc.getAddress()}`.toLowerCase();
+    expect(state.lastRebalance[key]).to.include({
+      fromVault: usdcVault1.target,
+      toVault: usdcVault2.target,
+      transactionHash: decision.transactionHash,
+    });
+
+    // Vault 1 now grows faster, but the asset moved less than a day ago
+    await time.increase(3600);
+    await usdcVault1.accrueYield(USDC("2000"));
+    const [cooling] = await runRebalanceKeeper([vault.target], { signer: admin, state, window: 3600 });
+    expect(cooling.action).to.equal("hold");
+    expect(cooling.reason).to.match(/^cooldown until /);
+  });
+
+  it("Should hold when the improvement is below the margin", async function () {
+    const { vault, admin, usdcVault1, usdcVault2, state } = await loadFixture(deployKeeperFixture);
+    await grow(
+      [
+        [usdcVault1, 200],
+        [usdcVault2, 230],
+      ],
+      7
+    );
+
+    const [decision] = await runRebalanceKeeper([vault.target], { signer: admin, state, minApyDelta: 50 });
+
+    expect(decision.action).to.equal("hold");
+    expect(decision.reason).to.contain("below the 50 bps margin");
+  });
+
+  it("Should hold when the rebalance fee outweighs the expected gain", async function () {
+    const { vault, admin, usdcVault1, usdcVault2, state } = await loadFixture(deployKeeperFixture);
+    // A 20% jump before the window: large profit above the rebalance base, hence a large fee
+    await usdcVault1.accrueYield(USDC("2000"));
+    await grow(
+      [
+        [usdcVault1, 200],
+        [usdcVault2, 1000],
+      ],
+      8
+    );
+
+    const [decision] = await runRebalanceKeeper([vault.target], { signer: admin, state, dryRun: true });
+
+    expect(decision.action).to.equal("hold");
+    expect(decision.rebalanceFee).to.be.greaterThan(decision.expectedGain);
+    expect(decision.reason).to.contain("does not cover the rebalance fee and gas");
+  });
+
+  it("Should skip vaults the signer does not administer", async function () {
+    const { vault, state } = await loadFixture(deployKeeperFixture);
+    const other = (await ethers.getSigners())[5];
+
+    const [decision] = await runRebalanceKeeper([vault.target], { signer: other, state });
+
+    expect(decision.action).to.equal("skip");
+    expect(decision.reason).to.contain("is not the vault admin");
+  });
+
+  it("Should log decisions and persist the keeper state with keeper:rebalance", async function () {
+    const { vault, admin, deployer, usdc, usdcVault2 } = await loadFixture(deployDivergingFixture);
+    await vault.connect(admin).proposeAdmin(deployer.address);
+    await vault.connect(deployer).acceptAdmin();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+    const stateFile = path.join(dir, "hardhat.json");
+    const log = path.join(dir, "decisions.jsonl");
+    const prices = path.join(dir, "prices.json");
+    fs.writeFileSync(prices, JSON.stringify({ ETH: 3000, USDC: 1 }));
+    const args = { vaults: vault.target, state: stateFile, log, window: "7d", prices };
+
+    try {
+      await hre.run("keeper:rebalance", { ...args, dryRun: true });
+      expect(fs.existsSync(stateFile)).to.be.false;
+
+      await hre.run("keeper:rebalance", args);
+      expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault2.target);
+      expect(Object.keys(readKeeperState(stateFile).lastRebalance)).to.have.length(1);
+
+      await hre.run("keeper:rebalance", args);
+      const lines = fs.readFileSync(log, "utf8").trim().split("\n").map(JSON.parse);
+      expect(lines.map((line) => line.action)).to.deep.equal(["propose", "rebalance", "hold"]);
+      expect(lines[1].expectedGain).to.be.a("string");
+
+      await expect(hre.run("keeper:rebalance", { ...args, window: "a week" })).to.be.rejectedWith("--window");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
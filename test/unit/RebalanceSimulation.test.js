@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture } = require("../fixtures/mockEcosystem");
+const { VaultClient, VaultSdkError } = require("../../sdk");
+
+describe("Rebalance simulation", function () {
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  async function deploySimulationFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, owner, other, usdc, usdcVault1, usdcVault2 } = fixture;
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    // Someone else in the target vault, whose share price then rises
+    await usdc.mint(other.address, USDC("1000"));
+    await usdc.connect(other).approve(usdcVault2, ethers.MaxUint256);
+    await usdcVault2.connect(other).deposit(USDC("1000"), other.address);
+    await usdcVault2.accrueYield(USDC("250"));
+
+    return { ...fixture, client: new VaultClient(vault.target, ethers.provider) };
+  }
+
+  it("Should preview the fee, new base and target shares of the actual rebalance", async function () {
+    const { vault, admin, usdc, usdcVault1, usdcVault2, revenueAddr, client } = await loadFixture(deploySimulationFixture);
+    await usdcVault1.accrueYield(USDC("100"));
+
+    const simulation = await client.simulateRebalance(usdc.target, usdcVault2.target);
+
+    expect(simulation).to.include({ fromVault: usdcVault1.target, toVault: usdcVault2.target, baseAmount: USDC("1000") });
+    expect(simulation.redeemed).to.be.closeTo(USDC("1100"), 1n);
+    expect(simulation.fee).to.equal((simulation.profit * 1000n) / 10000n);
+    expect(simulation.amount).to.equal(simulation.redeemed - simulation.fee);
+    expect(simulation.slippage).to.be.lessThanOrEqual(1n);
+    expect(simulation.warnings).to.deep.equal([]);
+
+    await vault.connect(admin).rebalanceToVault(usdc, usdcVault2);
+
+    expect(await usdc.balanceOf(revenueAddr.address)).to.equal(simulation.fee);
+    expect(await usdcVault2.balanceOf(vault)).to.equal(simulation.expectedShares);
+    expect((await vault.getAssetRebalanceInfo(usdc))[0]).to.equal(simulation.amount);
+  });
+
+  it("Should flag a target vault whose maxDeposit is below the amount", async function () {
+    const { vault, admin, usdc, usdcVault2, client } = await loadFixture(deploySimulationFixture);
+    await usdcVault2.setDepositCap((await usdcVault2.totalAssets()) + USDC("600"));
+
+    const simulation = await client.simulateRebalance(usdc.target, usdcVault2.target);
+
+    expect(simulation.maxDeposit).to.equal(USDC("600"));
+    expect(simulation.warnings).to.deep.equal([`Target vault accepts at most ${USDC("600")} of the ${simulation.amount} to deposit`]);
+    await expect(vault.connect(admin).rebalanceToVault(usdc, usdcVault2)).to.be.revertedWithCustomError(
+      usdcVault2,
+      "ERC4626ExceededMaxDeposit"
+    );
+  });
+
+  it("Should reject what rebalanceToVault would reject", async function () {
+    const { vault, admin, usdc, weth, usdcVault1, usdcVault2, client } = await loadFixture(deploySimulationFixture);
+
+    await expect(client.simulateRebalance(usdc.target, usdcVault1.target)).to.be.rejectedWith(
+      VaultSdkError,
+      "rebalanceToVault would revert: SameVault()"
+    );
+    await expect(client.simulateRebalance(weth.target, usdcVault2.target)).to.be.rejectedWith(
+      "NoDeposits()"
+    );
+
+    await vault.connect(admin).pause();
+    await expect(client.simulateRebalance(usdc.target, usdcVault2.target)).to.be.rejectedWith("EnforcedPause()");
+  });
+
+  it("Should print the preview with vault:simulate-rebalance without changing state", async function () {
+    const { vault, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySimulationFixture);
+
+    const simulation = await hre.run("vault:simulate-rebalance", {
+      vault: vault.target,
+      asset: usdc.target,
+      to: usdcVault2.target,
+    });
+
+    expect(simulation.fee).to.equal(0n);
+    expect(simulation.amount).to.equal(simulation.redeemed);
+    expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault1.target);
+    await expect(
+      hre.run("vault:simulate-rebalance", { vault: vault.target, asset: usdc.target, to: "usdc" })
+    ).to.be.rejectedWith("--to");
+  });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, publishMerklRewards, getLinkedContractFactory } = require("../fixtures/mockEcosystem");
+const { VaultClient, FactoryClient, VaultSdkError } = require("../../sdk");
+
+describe("SDK", function () {
+  async function deploySdkFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, usdc, owner, admin } = fixture;
+
+    // Start without allowance so the client has to approve
+    await usdc.connect(owner).approve(vault, 0);
+
+    return {
+      ...fixture,
+      ownerClient: new VaultClient(await vault.getAddress(), owner),
+      adminClient: new VaultClient(await vault.getAddress(), admin),
+    };
+  }
+
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  describe("VaultClient", function () {
+    it("Should approve and use initialDeposit, then userDeposit", async function () {
+      const { ownerClient, vault, usdc, usdcVault2, owner } = await loadFixture(deploySdkFixture);
+
+      const first = await ownerClient.deposit(await usdc.getAddress(), USDC("1000"), { vault: await usdcVault2.getAddress() });
+      expect(first.method).to.equal("initialDeposit");
+      expect(first.events.map((event) => event.name)).to.include("InitialDeposit");
+      expect(await vault.getAssetActiveVault(usdc)).to.equal(await usdcVault2.getAddress());
+
+      const second = await ownerClient.deposit(await usdc.getAddress(), USDC("500"));
+      expect(second.method).to.equal("userDeposit");
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("1500"));
+      expect(await usdc.allowance(owner.address, await vault.getAddress())).to.equal(0n);
+    });
+
+    it("Should withdraw an asset amount rather than shares", async function () {
+      const { ownerClient, usdc, usdcVault1, owner } = await loadFixture(deploySdkFixture);
+      const asset = await usdc.getAddress();
+
+      await ownerClient.deposit(asset, USDC("1000"));
+      // Shares are worth more than one unit each once yield accrues
+      await usdcVault1.accrueYield(USDC("1000"));
+
+      const before = await usdc.balanceOf(owner.address);
+      const { shares } = await ownerClient.withdraw(asset, USDC("400"));
+      const received = (await usdc.balanceOf(owner.address)) - before;
+
+      expect(shares).to.be.lessThan(USDC("400"));
+      expect(received).to.be.closeTo(USDC("400"), 1n);
+
+      await ownerClient.withdraw(asset);
+      const position = await ownerClient.getPosition(asset);
+      expect(position.shares).to.equal(0n);
+    });
+
+    it("Should rebalance and claim as admin", async function () {
+      const { ownerClient, adminClient, usdc, usdcVault2, rewardToken, distributor, owner } =
+        await loadFixture(deploySdkFixture);
+      const asset = await usdc.getAddress();
+
+      await ownerClient.deposit(asset, USDC("1000"));
+      await adminClient.rebalance(asset, await usdcVault2.getAddress());
+      expect((await adminClient.getPosition(asset)).activeVault).to.equal(await usdcVault2.getAddress());
+
+      const amount = ethers.parseEther("100");
+      const token = await rewardToken.getAddress();
+      await rewardToken.mint(distributor, amount);
+      const { rewards } = await publishMerklRewards([{ user: adminClient.address, token, amount }]);
+      const { method } = await adminClient.claim({ token, amount, proof: rewards[adminClient.address][token].proof });
+
+      expect(method).to.equal("adminClaimMerklReward");
+      expect(await rewardToken.balanceOf(owner.address)).to.equal(ethers.parseEther("90"));
+    });
+
+    it("Should surface require reasons from the simulation", async function () {
+      const { vault, usdc, other } = await loadFixture(deploySdkFixture);
+      const outsider = new VaultClient(await vault.getAddress(), other);
+
+      await expect(outsider.deposit(await usdc.getAddress(), USDC("1"), { approve: false }))
+        .to.be.rejectedWith(VaultSdkError, "initialDeposit would revert: OnlyOwner()");
+    });
+
+    it("Should decode custom errors raised by other contracts", async function () {
+      const { ownerClient, usdc } = await loadFixture(deploySdkFixture);
+
+      const error = await ownerClient
+        .deposit(await usdc.getAddress(), USDC("1"), { approve: false })
+        .catch((caught) => caught);
+
+      expect(error).to.be.instanceOf(VaultSdkError);
+      expect(error.stage).to.equal("simulate");
+      expect(error.reason).to.match(/^ERC20InsufficientAllowance\(/);
+    });
+
+    it("Should refuse to withdraw an asset without deposits", async function () {
+      const { ownerClient, weth } = await loadFixture(deploySdkFixture);
+
+      await expect(ownerClient.withdraw(await weth.getAddress(), 1n)).to.be.rejectedWith("NoDeposits()");
+    });
+  });
+
+  describe("FactoryClient", function () {
+    it("Should predict, deploy and list vaults", async function () {
+      const { usdc, usdcVault1, owner, other } = await loadFixture(deploySdkFixture);
+      const factory = await (await getLinkedContractFactory("UserVaultFactory")).deploy(owner.address);
+      const client = new FactoryClient(await factory.getAddress(), owner);
+
+      const config = {
+        owner: other.address,
+        assets: [await usdc.getAddress()],
+        assetVaults: [[await usdcVault1.getAddress()]],
+        nonce: 1n,
+      };
+
+      const predicted = await client.predict(config);
+      const { address } = await client.deploy(config);
+      expect(address).to.equal(predicted);
+
+      const [listed] = await client.list();
+      expect(listed).to.include({ address, owner: other.address, admin: owner.address, chainId: 31337n });
+      expect(await client.list({ owner: other.address })).to.deep.equal([listed]);
+      expect(await client.list({ admin: other.address })).to.deep.equal([]);
+
+      await expect(client.deploy(config)).to.be.rejectedWith(VaultSdkError, "deployVault would revert: Exists");
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployUserVaultFixture, addAerodromePool, publishMerklRewards } = require("../fixtures/mockEcosystem");
+const { VaultClient, VaultSdkError } = require("../../sdk");
+
+describe("UserVault_V4 Bundler Slippage Protection", function () {
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+  const WETH = (amount) => ethers.parseEther(amount);
+
+  async function deploySlippageFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, owner, usdc, usdcVault1 } = fixture;
+
+    // The vault is the only depositor: a 10 USDC shift moves the share price by 1%
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+
+    return { ...fixture, ownerClient: new VaultClient(vault.target, owner) };
+  }
+
+  // The caller's minimums are checked after the adapter's share price bounds: widen the
+  // tolerance so that a minimum is what a price move runs into
+  async function deployMinimumsFixture() {
+    const fixture = await deploySlippageFixture();
+    await fixture.vault.connect(fixture.admin).updateSharePriceTolerance(500);
+    return fixture;
+  }
+
+  it("Should let only the admin set the share price tolerance, up to the cap", async function () {
+    const { vault, owner, admin } = await loadFixture(deploySlippageFixture);
+
+    expect(await vault.sharePriceTolerance()).to.equal(100n);
+    await expect(vault.connect(owner).updateSharePriceTolerance(50)).to.be.revertedWithCustomError(vault, "OnlyAdmin");
+    await expect(vault.connect(admin).updateSharePriceTolerance(1001)).to.be.revertedWithCustomError(
+      vault,
+      "ToleranceTooHigh"
+    );
+    await expect(vault.connect(admin).updateSharePriceTolerance(1000))
+      .to.emit(vault, "SharePriceToleranceUpdated")
+      .withArgs(100n, 1000n);
+  });
+
+  it("Should bound deposits and withdrawals by the tolerance even with open minimums", async function () {
+    const { vault, owner, adapter, usdc, usdcVault1 } = await loadFixture(deploySlippageFixture);
+
+    await adapter.setPriceShift(usdcVault1, USDC("20"));
+    await expect(vault.connect(owner).userDeposit(usdc, USDC("100"), 0)).to.be.revertedWith("Slippage exceeded");
+
+    await adapter.setPriceShift(usdcVault1, -USDC("20"));
+    await expect(vault.connect(owner).withdraw(usdc, 0, 0)).to.be.revertedWith("Slippage exceeded");
+
+    // Within the 1% tolerance
+    await adapter.setPriceShift(usdcVault1, -USDC("5"));
+    await expect(vault.connect(owner).withdraw(usdc, 0, 0)).to.emit(vault, "Withdrawal");
+  });
+
+  it("Should bound the admin's rebalances and the active vault migration by the tolerance", async function () {
+    const { vault, owner, admin, adapter, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySlippageFixture);
+
+    await adapter.setPriceShift(usdcVault1, -USDC("20"));
+    await expect(vault.connect(admin).rebalanceToVault(usdc, usdcVault2)).to.be.revertedWith("Slippage exceeded");
+
+    await adapter.setPriceShift(usdcVault1, -USDC("20"));
+    await expect(vault.connect(admin).rebalanceBetweenVaults(usdc, usdcVault1, usdcVault2, 0)).to.be.revertedWith(
+      "Slippage exceeded"
+    );
+
+    await adapter.setPriceShift(usdcVault1, -USDC("20"));
+    await expect(vault.connect(admin).setAssetActiveVault(usdc, usdcVault2)).to.be.revertedWith("Slippage exceeded");
+
+    // The emergency exit is bounded too
+    await vault.connect(admin).pause();
+    await adapter.setPriceShift(usdcVault1, -USDC("20"));
+    await expect(vault.connect(owner).emergencyWithdraw(usdc)).to.be.revertedWith("Slippage exceeded");
+    await vault.connect(admin).unpause();
+
+    await adapter.setPriceShift(usdcVault1, -USDC("5"));
+    await expect(vault.connect(admin).rebalanceToVault(usdc, usdcVault2)).to.emit(vault, "Rebalanced");
+    expect(await vault.assetToVault(usdc)).to.equal(usdcVault2.target);
+  });
+
+  it("Should bound zap deposits and cross-asset rebalances by the tolerance", async function () {
+    const { vault, owner, adapter, usdc, weth, usdcVault1, wethVault, rewardToken } =
+      await loadFixture(deploySlippageFixture);
+    // 1 MORPHO = 2 USDC, 1 WETH = 3000 USDC
+    await addAerodromePool(rewardToken, usdc, false, USDC("2"));
+    await addAerodromePool(weth, usdc, false, USDC("3000"));
+    await rewardToken.mint(owner.address, WETH("100"));
+    await rewardToken.connect(owner).approve(vault, WETH("100"));
+
+    await adapter.setPriceShift(usdcVault1, USDC("20"));
+    await expect(vault.connect(owner).zapDeposit(rewardToken, WETH("100"), usdc, USDC("200"))).to.be.revertedWith(
+      "Slippage exceeded"
+    );
+    await adapter.setPriceShift(usdcVault1, 0);
+    await expect(vault.connect(owner).zapDeposit(rewardToken, WETH("100"), usdc, USDC("200"))).to.emit(
+      vault,
+      "UserDeposit"
+    );
+
+    // The redeem of the position being moved out, then the deposit of the swapped amount
+    await vault.connect(owner).initialDeposit(weth, wethVault, WETH("1"), 0);
+    await adapter.setPriceShift(wethVault, -WETH("0.02"));
+    await expect(vault.connect(owner).rebalanceToAsset(weth, usdc, USDC("2900"))).to.be.revertedWith(
+      "Slippage exceeded"
+    );
+    await adapter.setPriceShift(wethVault, 0);
+    await adapter.setPriceShift(usdcVault1, USDC("30"));
+    await expect(vault.connect(owner).rebalanceToAsset(weth, usdc, USDC("2900"))).to.be.revertedWith(
+      "Slippage exceeded"
+    );
+    await adapter.setPriceShift(usdcVault1, 0);
+    await expect(vault.connect(owner).rebalanceToAsset(weth, usdc, USDC("2900"))).to.emit(vault, "CrossAssetRebalanced");
+  });
+
+  it("Should bound the deposit of compounded Merkl rewards by the tolerance", async function () {
+    const { vault, owner, admin, adapter, usdc, usdcVault1, rewardToken, distributor } =
+      await loadFixture(deploySlippageFixture);
+    await vault.connect(owner).setMerklCompoundAsset(usdc);
+    await addAerodromePool(rewardToken, usdc, false, USDC("2"));
+    await rewardToken.mint(distributor, WETH("100"));
+    const snapshot = await publishMerklRewards([
+      { user: vault.target, token: rewardToken.target, amount: WETH("100") },
+    ]);
+    const reward = snapshot.rewards[vault.target][rewardToken.target];
+
+    // 90 MORPHO after the 10% Merkl fee, swapped into 180 USDC
+    await adapter.setPriceShift(usdcVault1, USDC("20"));
+    await expect(
+      vault.connect(admin).adminClaimMerklReward(rewardToken, reward.amount, reward.proof, USDC("180"))
+    ).to.be.revertedWith("Slippage exceeded");
+
+    await adapter.setPriceShift(usdcVault1, 0);
+    await expect(
+      vault.connect(admin).adminClaimMerklReward(rewardToken, reward.amount, reward.proof, USDC("180"))
+    ).to.emit(vault, "MerklRewardsCompounded");
+  });
+
+  it("Should revert a redeem that returns less than the caller's minimum", async function () {
+    const { vault, owner, adapter, usdc, usdcVault1 } = await loadFixture(deployMinimumsFixture);
+
+    // The price drops inside the withdrawal, after any quote the transaction could take
+    await adapter.setPriceShift(usdcVault1, -USDC("20"));
+    await expect(vault.connect(owner).withdraw(usdc, 0, USDC("990")))
+      .to.be.revertedWithCustomError(vault, "InsufficientAmountReceived")
+      .withArgs(anyValue, USDC("990"));
+
+    await adapter.setPriceShift(usdcVault1, 0);
+    await expect(vault.connect(owner).withdraw(usdc, 0, USDC("990"))).to.emit(vault, "Withdrawal");
+  });
+
+  it("Should pay out the redeemed balance, not the preview, above the minimum", async function () {
+    const { vault, owner, adapter, usdc, usdcVault1 } = await loadFixture(deploySlippageFixture);
+    const before = await usdc.balanceOf(owner.address);
+
+    await adapter.setPriceShift(usdcVault1, -USDC("5"));
+    await expect(vault.connect(owner).withdraw(usdc, 0, USDC("990"))).to.emit(vault, "Withdrawal");
+
+    const received = (await usdc.balanceOf(owner.address)) - before;
+    expect(received).to.be.closeTo(USDC("995"), 1n);
+    expect(await usdc.balanceOf(vault)).to.equal(0n);
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("1000") - received);
+  });
+
+  it("Should revert a deposit that mints fewer shares than the caller's minimum", async function () {
+    const { vault, owner, admin, adapter, usdc, usdcVault1 } = await loadFixture(deployMinimumsFixture);
+    const quoted = await usdcVault1.previewDeposit(USDC("100"));
+
+    // A 2% price rise inside the deposit
+    await adapter.setPriceShift(usdcVault1, USDC("20"));
+    await expect(vault.connect(owner).userDeposit(usdc, USDC("100"), (quoted * 99n) / 100n))
+      .to.be.revertedWithCustomError(vault, "InsufficientShares")
+      .withArgs(anyValue, (quoted * 99n) / 100n);
+
+    await vault.connect(owner).userDeposit(usdc, USDC("100"), (quoted * 97n) / 100n);
+    expect(await vault.getAssetVaultAssets(usdc)).to.be.closeTo(USDC("1120"), 1n);
+
+    // The admin's deposits take the same minimum
+    await usdc.mint(admin.address, USDC("100"));
+    await usdc.connect(admin).approve(vault, USDC("100"));
+    await expect(
+      vault.connect(admin).adminDeposit(usdc, USDC("100"), await usdcVault1.previewDeposit(USDC("101")))
+    ).to.be.revertedWithCustomError(vault, "InsufficientShares");
+  });
+
+  it("Should pass minimums computed from previews through the SDK", async function () {
+    const { vault, owner, ownerClient, adapter, usdc, usdcVault1 } = await loadFixture(deployMinimumsFixture);
+
+    await adapter.setPriceShift(usdcVault1, USDC("20"));
+    const error = await ownerClient.deposit(usdc.target, USDC("100"), { slippageBps: 100 }).catch((caught) => caught);
+    expect(error).to.be.instanceOf(VaultSdkError);
+    expect(error.message).to.contain("userDeposit would revert: InsufficientShares(");
+
+    const { method, shares } = await ownerClient.deposit(usdc.target, USDC("100"), { slippageBps: 300 });
+    expect(method).to.equal("userDeposit");
+    expect(await vault.getAssetVaultBalance(usdc)).to.be.lessThan(USDC("1000") + shares);
+
+    // Under the previewed net amount: both the assets and the shares paths revert
+    await adapter.setPriceShift(usdcVault1, -USDC("5"));
+    await expect(ownerClient.withdraw(usdc.target)).to.be.rejectedWith("InsufficientAmountReceived(");
+    const half = (await vault.getAssetVaultBalance(usdc)) / 2n;
+    await expect(ownerClient.redeem(usdc.target, half)).to.be.rejectedWith("withdraw would revert: InsufficientAmountReceived(");
+
+    const before = await usdc.balanceOf(owner.address);
+    const { net } = await ownerClient.redeem(usdc.target, half, { slippageBps: 100 });
+    expect((await usdc.balanceOf(owner.address)) - before).to.be.within((net * 99n) / 100n, net);
+    await ownerClient.withdraw(usdc.target, undefined, { slippageBps: 100 });
+  });
+});
@@ -1,24 +1,19 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../fixtures/mockEcosystem");
 
 describe("UserVaultFactory", function () {
   // Fixture to deploy the factory
   async function deployFactoryFixture() {
-    const [owner, user1, user2, feeRecipient, admin] = await ethers.getSigners();
+    const [owner, user1, user2, admin] = await ethers.getSigners();
 
-    const deploymentFee = ethers.parseEther("0.001");
-
-    const UserVaultFactory = await ethers.getContractFactory("UserVaultFactory");
-    const factory = await UserVaultFactory.deploy(
-      owner.address,
-      deploymentFee,
-      feeRecipient.address
-    );
+    const UserVaultFactory = await getLinkedContractFactory("UserVaultFactory");
+    const factory = await UserVaultFactory.deploy(owner.address);
 
     await factory.waitForDeployment();
 
-    return { factory, owner, user1, user2, feeRecipient, admin, deploymentFee };
+    return { factory, owner, user1, user2, admin };
   }
 
   describe("Deployment", function () {
@@ -27,29 +22,6 @@ describe("UserVaultFactory", function () {
       expect(await factory.owner()).to.equal(owner.address);
     });
 
-    it("Should set the correct deployment fee", async function () {
-      const { factory, deploymentFee } = await loadFixture(deployFactoryFixture);
-      expect(await factory.deploymentFee()).to.equal(deploymentFee);
-    });
-
-    it("Should set the correct fee recipient", async function () {
-      const { factory, feeRecipient } = await loadFixture(deployFactoryFixture);
-      expect(await factory.feeRecipient()).to.equal(feeRecipient.address);
-    });
-
-    it("Should use owner as fee recipient if zero address provided", async function () {
-      const [owner] = await ethers.getSigners();
-      const UserVaultFactory = await ethers.getContractFactory("UserVaultFactory");
-      const factory = await UserVaultFactory.deploy(
-        owner.address,
-        0,
-        ethers.ZeroAddress
-      );
-      await factory.waitForDeployment();
-
-      expect(await factory.feeRecipient()).to.equal(owner.address);
-    });
-
     it("Should start with zero total vaults", async function () {
       const { factory } = await loadFixture(deployFactoryFixture);
       expect(await factory.getTotalVaults()).to.equal(0);
@@ -97,8 +69,7 @@ describe("UserVaultFactory", function () {
         user1.address,
         admin.address,
         [mockAsset],
-        [mockVault],
-        [mockVault],
+        [[mockVault]],
         user1.address,
         100,
         1000,
@@ -110,8 +81,7 @@ describe("UserVaultFactory", function () {
         user1.address,
         admin.address,
         [mockAsset],
-        [mockVault],
-        [mockVault],
+        [[mockVault]],
         user1.address,
         100,
         1000,
@@ -135,8 +105,7 @@ describe("UserVaultFactory", function () {
         user1.address,
         admin.address,
         [mockAsset],
-        [mockVault],
-        [mockVault],
+        [[mockVault]],
         user1.address,
         100,
         1000,
@@ -148,8 +117,7 @@ describe("UserVaultFactory", function () {
         user1.address,
         admin.address,
         [mockAsset],
-        [mockVault],
-        [mockVault],
+        [[mockVault]],
         user1.address,
         100,
         1000,
@@ -162,51 +130,6 @@ describe("UserVaultFactory", function () {
   });
 
   describe("Access Control", function () {
-    describe("setDeploymentFee", function () {
-      it("Should allow owner to set deployment fee", async function () {
-        const { factory, owner } = await loadFixture(deployFactoryFixture);
-        const newFee = ethers.parseEther("0.002");
-
-        await expect(factory.connect(owner).setDeploymentFee(newFee))
-          .to.not.be.reverted;
-
-        expect(await factory.deploymentFee()).to.equal(newFee);
-      });
-
-      it("Should reject non-owner setting deployment fee", async function () {
-        const { factory, user1 } = await loadFixture(deployFactoryFixture);
-        const newFee = ethers.parseEther("0.002");
-
-        await expect(factory.connect(user1).setDeploymentFee(newFee))
-          .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
-      });
-    });
-
-    describe("setFeeRecipient", function () {
-      it("Should allow owner to set fee recipient", async function () {
-        const { factory, owner, user1 } = await loadFixture(deployFactoryFixture);
-
-        await expect(factory.connect(owner).setFeeRecipient(user1.address))
-          .to.not.be.reverted;
-
-        expect(await factory.feeRecipient()).to.equal(user1.address);
-      });
-
-      it("Should reject zero address as fee recipient", async function () {
-        const { factory, owner } = await loadFixture(deployFactoryFixture);
-
-        await expect(factory.connect(owner).setFeeRecipient(ethers.ZeroAddress))
-          .to.be.revertedWith("Invalid recipient");
-      });
-
-      it("Should reject non-owner setting fee recipient", async function () {
-        const { factory, user1, user2 } = await loadFixture(deployFactoryFixture);
-
-        await expect(factory.connect(user1).setFeeRecipient(user2.address))
-          .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
-      });
-    });
-
     describe("pause/unpause", function () {
       it("Should allow owner to pause", async function () {
         const { factory, owner } = await loadFixture(deployFactoryFixture);
@@ -252,35 +175,19 @@ describe("UserVaultFactory", function () {
       expect(indices.length).to.equal(0);
     });
 
-    it("Should return false for non-factory vault", async function () {
-      const { factory, user1 } = await loadFixture(deployFactoryFixture);
-
-      const isFromFactory = await factory.isVaultFromFactory(user1.address);
-      expect(isFromFactory).to.be.false;
-    });
-  });
-
-  describe("Emergency Withdraw", function () {
-    it("Should allow owner to withdraw ETH (skipped - contract has no receive function)", async function () {
-      // Note: The UserVaultFactory contract doesn't have a receive() function,
-      // so it cannot accept plain ETH transfers. ETH can only come from deployment fees.
-      // This test would need the factory to receive deployment fees first.
+    it("Should return empty pages for a factory with no vaults", async function () {
       const { factory } = await loadFixture(deployFactoryFixture);
-      expect(await factory.getAddress()).to.not.equal(ethers.ZeroAddress);
-    });
-
-    it("Should revert if no balance to withdraw", async function () {
-      const { factory, owner } = await loadFixture(deployFactoryFixture);
 
-      await expect(factory.connect(owner).emergencyWithdraw())
-        .to.be.revertedWith("No balance to withdraw");
+      expect(await factory.getVaults(0, 10)).to.deep.equal([]);
+      expect(await factory.getVaultInfos(0, 10)).to.deep.equal([]);
+      await expect(factory.getVaultInfo(0)).to.be.revertedWith("Invalid index");
     });
 
-    it("Should reject non-owner emergency withdraw", async function () {
+    it("Should return false for non-factory vault", async function () {
       const { factory, user1 } = await loadFixture(deployFactoryFixture);
 
-      await expect(factory.connect(user1).emergencyWithdraw())
-        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      const isFromFactory = await factory.isVaultFromFactory(user1.address);
+      expect(isFromFactory).to.be.false;
     });
   });
 });
@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, FEE_PERCENTAGE } = require("../fixtures/mockEcosystem");
+const { VaultClient } = require("../../sdk");
+const { noPriceSource } = require("../../scripts/lib/prices");
+const { buildPortfolioReport, formatTable } = require("../../scripts/lib/portfolioReport");
+const { runRebalanceKeeper } = require("../../scripts/lib/rebalanceKeeper");
+
+describe("UserVault_V4 Multi-vault Allocation", function () {
+  const BPS = 10000n;
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  async function deploySplitFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, owner, admin, usdc, usdcVault1, usdcVault2 } = fixture;
+
+    await vault.connect(admin).setAssetVaultWeights(usdc, [usdcVault1, usdcVault2], [6000, 4000]);
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+
+    return fixture;
+  }
+
+  describe("Target weights", function () {
+    it("Should validate and clear weights", async function () {
+      const { vault, admin, owner, usdc, weth, usdcVault1, usdcVault2, wethVault } =
+        await loadFixture(deployUserVaultFixture);
+
+      await expect(vault.connect(owner).setAssetVaultWeights(usdc, [usdcVault1], [10000])).to.be.revertedWithCustomError(vault, "OnlyAdmin");
+      await expect(
+        vault.connect(admin).setAssetVaultWeights(usdc, [usdcVault1, usdcVault2], [6000, 3000])
+      ).to.be.revertedWithCustomError(vault, "InvalidWeightSum");
+      await expect(
+        vault.connect(admin).setAssetVaultWeights(usdc, [usdcVault1, usdcVault1], [5000, 5000])
+      ).to.be.revertedWithCustomError(vault, "DuplicateVault");
+      await expect(vault.connect(admin).setAssetVaultWeights(usdc, [wethVault], [10000])).to.be.revertedWithCustomError(vault, "VaultNotAvailable");
+      await expect(vault.connect(admin).setAssetVaultWeights(weth, [wethVault], [10000, 0])).to.be.revertedWithCustomError(vault, "LengthMismatch");
+
+      await expect(vault.connect(admin).setAssetVaultWeights(usdc, [usdcVault2, usdcVault1], [2500, 7500]))
+        .to.emit(vault, "AssetVaultWeightsUpdated")
+        .withArgs(usdc.target, [usdcVault2.target, usdcVault1.target], [2500, 7500]);
+      expect(await vault.assetVaultWeight(usdc, usdcVault1)).to.equal(7500);
+
+      await vault.connect(admin).setAssetVaultWeights(usdc, [], []);
+      expect(await vault.assetHasWeights(usdc)).to.be.false;
+      expect(await vault.assetVaultWeight(usdc, usdcVault1)).to.equal(0);
+    });
+
+    it("Should split deposits by weight and aggregate the views", async function () {
+      const { vault, owner, admin, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySplitFixture);
+
+      await vault.connect(owner).userDeposit(usdc, 7n, 0);
+      await vault.connect(admin).adminDeposit(usdc, USDC("500"), 0);
+
+      // 60% of 7 rounds down to 4; the last weighted vault takes the dust
+      const [vaults, shares, assets, weights] = await vault.getAssetAllocation(usdc);
+      expect(vaults).to.deep.equal([usdcVault1.target, usdcVault2.target]);
+      expect(assets).to.deep.equal([USDC("600") + 4n + USDC("300"), USDC("400") + 3n + USDC("200")]);
+      expect(shares).to.deep.equal(assets);
+      expect(weights).to.deep.equal([6000n, 4000n]);
+
+      expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault1.target);
+      expect(await vault.getAssetVaultBalance(usdc)).to.equal(shares[0]);
+      expect(await vault.getAssetVaultAssets(usdc)).to.equal(USDC("1500") + 7n);
+      expect((await vault.getPortfolioSummary())[2][0]).to.equal(USDC("1500") + 7n);
+      expect(await vault.assetRebalanceBaseAmount(usdc)).to.equal(USDC("1500") + 7n);
+    });
+
+    it("Should not remove a vault that holds funds or has a weight", async function () {
+      const { vault, admin, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySplitFixture);
+
+      await expect(vault.connect(admin).removeVaultFromAsset(usdc, usdcVault2)).to.be.revertedWithCustomError(vault, "VaultHasWeight");
+      await vault.connect(admin).setAssetVaultWeights(usdc, [usdcVault1], [10000]);
+      await expect(vault.connect(admin).removeVaultFromAsset(usdc, usdcVault2)).to.be.revertedWithCustomError(vault, "VaultHasFunds");
+
+      await vault.connect(admin).rebalanceBetweenVaults(usdc, usdcVault2, usdcVault1, 0);
+      await vault.connect(admin).removeVaultFromAsset(usdc, usdcVault2);
+      expect(await vault.getAssetAvailableVaults(usdc)).to.deep.equal([usdcVault1.target]);
+    });
+  });
+
+  describe("Fee accounting", function () {
+    it("Should charge the rebalance fee on the moved part's share of the profit", async function () {
+      const { vault, admin, revenueAddr, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySplitFixture);
+      await usdcVault1.accrueYield(USDC("60"));
+
+      // ~660 of the ~1060 total moves, carrying that share of the 1000 base
+      const shares = await usdcVault1.balanceOf(vault);
+      const moved = await usdcVault1.previewRedeem(shares);
+      const total = await vault.getAssetVaultAssets(usdc);
+      const movedBase = (USDC("1000") * moved) / total;
+      const profit = moved - movedBase;
+      const fee = (profit * 1000n) / BPS;
+      expect(moved).to.be.closeTo(USDC("660"), 1n);
+
+      await expect(vault.connect(admin).rebalanceBetweenVaults(usdc, usdcVault1, usdcVault2, shares))
+        .to.emit(vault, "RebalanceFeeCollected")
+        .withArgs(usdc.target, profit, fee, USDC("1000") - movedBase + moved - fee)
+        .and.to.emit(vault, "Rebalanced")
+        .withArgs(usdc.target, usdcVault1.target, usdcVault2.target, moved - fee);
+
+      expect(await usdc.balanceOf(revenueAddr.address)).to.equal(fee);
+      expect(await vault.getAssetActiveVault(usdc)).to.equal(usdcVault1.target);
+      expect(await vault.getAssetVaultBalance(usdc)).to.equal(0n);
+      // The profit left in the base is the part of vault 1's gain not charged yet
+      const [, currentValue, unrealized] = await vault.getAssetRebalanceInfo(usdc);
+      expect(currentValue).to.be.closeTo(total - fee, 1n);
+      expect(unrealized).to.be.closeTo(total - USDC("1000") - profit, 1n);
+    });
+
+    it("Should charge the same total rebalance fee as a single-vault position", async function () {
+      const split = await loadFixture(deploySplitFixture);
+      const single = await deployUserVaultFixture();
+      await single.vault.connect(single.owner).initialDeposit(single.usdc, single.usdcVault1, USDC("1000"), 0);
+
+      // +60 on 600 in vault 1 for the split position, +60 on the whole for the single one
+      await split.usdcVault1.accrueYield(USDC("60"));
+      await single.usdcVault1.accrueYield(USDC("60"));
+
+      // Split: move vault 1 into vault 2, then everything back
+      await split.vault.connect(split.admin).rebalanceBetweenVaults(split.usdc, split.usdcVault1, split.usdcVault2, 0);
+      await split.vault.connect(split.admin).rebalanceBetweenVaults(split.usdc, split.usdcVault2, split.usdcVault1, 0);
+      await single.vault.connect(single.admin).rebalanceToVault(single.usdc, single.usdcVault2);
+
+      const singleFees = await single.vault.getAssetTotalRebalanceFees(single.usdc);
+      const splitFees = await split.vault.getAssetTotalRebalanceFees(split.usdc);
+      expect(singleFees).to.be.closeTo(USDC("6"), 1n);
+      expect(splitFees).to.be.closeTo(singleFees, 2n);
+      expect(await split.vault.getAssetVaultAssets(split.usdc)).to.be.closeTo(USDC("1060") - splitFees, 2n);
+    });
+
+    it("Should redeem every vault on a full withdrawal and charge the fee once", async function () {
+      const { vault, owner, revenueAddr, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySplitFixture);
+      await usdcVault1.accrueYield(USDC("60"));
+      await usdcVault2.accrueYield(USDC("40"));
+      // One fee on the ~100 profit of both vaults; each vault alone stays below the 1000 deposited
+      const total = await vault.getAssetVaultAssets(usdc);
+      const fee = ((total - USDC("1000")) * BigInt(FEE_PERCENTAGE)) / BPS;
+      expect(total).to.be.closeTo(USDC("1100"), 2n);
+
+      await expect(vault.connect(owner).withdraw(usdc, 0, 0))
+        .to.emit(vault, "FeeCollected")
+        .withArgs(usdc.target, usdcVault1.target, fee, total - fee)
+        .and.to.emit(vault, "Withdrawal")
+        .withArgs(usdc.target, usdcVault1.target, owner.address, total - fee);
+
+      expect(await usdc.balanceOf(revenueAddr.address)).to.equal(fee);
+      expect(await vault.getAssetVaultAssets(usdc)).to.equal(0n);
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(0n);
+    });
+
+    it("Should withdraw from a single vault of the split", async function () {
+      const { vault, owner, usdc, usdcVault1, usdcVault2, wethVault } = await loadFixture(deploySplitFixture);
+
+      await expect(vault.connect(owner).withdrawFromVault(usdc, wethVault, 1, 0)).to.be.revertedWithCustomError(vault, "VaultNotAvailable");
+      await expect(vault.connect(owner).withdrawFromVault(usdc, usdcVault2, USDC("150"), 0))
+        .to.emit(vault, "Withdrawal")
+        .withArgs(usdc.target, usdcVault2.target, owner.address, USDC("150"));
+
+      expect(await usdcVault2.balanceOf(vault)).to.equal(USDC("250"));
+      expect(await usdcVault1.balanceOf(vault)).to.equal(USDC("600"));
+      expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("850"));
+    });
+
+    it("Should redeem every vault on an emergency withdrawal", async function () {
+      const { vault, owner, admin, usdc } = await loadFixture(deploySplitFixture);
+      const before = await usdc.balanceOf(owner.address);
+
+      await vault.connect(admin).pause();
+      await vault.connect(owner).emergencyWithdraw(usdc);
+
+      expect((await usdc.balanceOf(owner.address)) - before).to.equal(USDC("1000"));
+      expect(await vault.getAssetVaultAssets(usdc)).to.equal(0n);
+    });
+  });
+
+  describe("SDK and tooling", function () {
+    it("Should set weights, plan and execute a reallocation with the SDK", async function () {
+      const { vault, owner, admin, usdc, usdcVault1, usdcVault2 } = await loadFixture(deployUserVaultFixture);
+      const adminClient = new VaultClient(vault.target, admin);
+      await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+
+      expect(await adminClient.planReallocation(usdc.target)).to.deep.equal([]);
+      await adminClient.setAllocation(usdc.target, { [usdcVault1.target]: 2500, [usdcVault2.target]: 7500 });
+
+      const moves = await adminClient.planReallocation(usdc.target);
+      expect(moves).to.deep.equal([
+        { fromVault: usdcVault1.target, toVault: usdcVault2.target, shares: USDC("750"), amount: USDC("750") },
+      ]);
+      const results = await adminClient.reallocate(usdc.target);
+      expect(results.map((result) => result.method)).to.deep.equal(["rebalanceBetweenVaults"]);
+
+      const position = await adminClient.getPosition(usdc.target);
+      expect(position.split).to.be.true;
+      expect(position.assets).to.equal(USDC("1000"));
+      expect(position.allocation.map((entry) => entry.assets)).to.deep.equal([USDC("250"), USDC("750")]);
+      expect(await adminClient.planReallocation(usdc.target)).to.deep.equal([]);
+    });
+
+    it("Should withdraw an amount from whichever vault holds it", async function () {
+      const { vault, owner, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySplitFixture);
+      const ownerClient = new VaultClient(vault.target, owner);
+
+      // 500 fits in the active vault's 600; the next 300 does not fit in the 100 left, so vault 2 pays
+      expect((await ownerClient.previewWithdraw(usdc.target, USDC("500"))).vault).to.equal(usdcVault1.target);
+      await ownerClient.withdraw(usdc.target, USDC("500"));
+      expect((await ownerClient.previewWithdraw(usdc.target, USDC("300"))).vault).to.equal(usdcVault2.target);
+      await ownerClient.withdraw(usdc.target, USDC("300"));
+
+      expect(await usdcVault1.balanceOf(vault)).to.equal(USDC("100"));
+      expect(await usdcVault2.balanceOf(vault)).to.equal(USDC("100"));
+
+      // Emptying the active vault leaves vault 2 untouched
+      await ownerClient.withdraw(usdc.target, USDC("100"));
+      expect(await usdcVault2.balanceOf(vault)).to.equal(USDC("100"));
+      await ownerClient.withdraw(usdc.target);
+      expect(await vault.getAssetVaultAssets(usdc)).to.equal(0n);
+    });
+
+    it("Should show the split in the report and keep the keeper away from it", async function () {
+      const { vault, admin, usdc, usdcVault1, usdcVault2 } = await loadFixture(deploySplitFixture);
+
+      const report = await buildPortfolioReport(hre, vault.target, noPriceSource);
+      expect(report.positions[0].allocation).to.deep.equal([
+        { vault: usdcVault1.target, weight: 6000, shares: USDC("600").toString(), currentValue: "600.0" },
+        { vault: usdcVault2.target, weight: 4000, shares: USDC("400").toString(), currentValue: "400.0" },
+      ]);
+      expect(formatTable(report)).to.contain("USDC allocation:").and.to.contain("(target 40.00%)");
+
+      const [decision] = await runRebalanceKeeper([vault.target], {
+        signer: admin,
+        state: { version: 1, lastRebalance: {} },
+        dryRun: true,
+      });
+      expect(decision).to.include({ action: "hold", reason: "split across vaults by target weights" });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, FEE_PERCENTAGE } = require("../fixtures/mockEcosystem");
+const { VaultClient, VaultSdkError } = require("../../sdk");
+
+describe("UserVault_V4 Withdraw by Asset Amount", function () {
+  const BPS = 10000n;
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  async function deployWithdrawFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { vault, owner, usdc, usdcVault1 } = fixture;
+
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+    // Shares are worth 1.5 USDC, so shares and asset amounts differ
+    await usdcVault1.accrueYield(USDC("500"));
+
+    return { ...fixture, ownerClient: new VaultClient(vault.target, owner) };
+  }
+
+  it("Should redeem at least the requested amount", async function () {
+    const { vault, owner, usdc, usdcVault1 } = await loadFixture(deployWithdrawFixture);
+    const shares = await usdcVault1.previewWithdraw(USDC("100"));
+    const before = await usdc.balanceOf(owner.address);
+
+    await vault.connect(owner).withdrawAssets(usdc, usdcVault1, USDC("100"), USDC("100"));
+
+    expect((await usdc.balanceOf(owner.address)) - before).to.be.within(USDC("100"), USDC("100") + 1n);
+    expect(await usdcVault1.balanceOf(vault)).to.equal(USDC("1000") - shares);
+  });
+
+  it("Should withdraw everything with type(uint256).max", async function () {
+    const { vault, owner, revenueAddr, usdc, usdcVault1 } = await loadFixture(deployWithdrawFixture);
+    const total = await vault.getAssetVaultAssets(usdc);
+    const fee = ((total - USDC("1000")) * BigInt(FEE_PERCENTAGE)) / BPS;
+
+    await expect(vault.connect(owner).withdrawAssets(usdc, ethers.ZeroAddress, ethers.MaxUint256, total - fee))
+      .to.emit(vault, "Withdrawal")
+      .withArgs(usdc.target, usdcVault1.target, owner.address, total - fee);
+
+    expect(await usdc.balanceOf(revenueAddr.address)).to.equal(fee);
+    expect(await usdcVault1.balanceOf(vault)).to.equal(0n);
+  });
+
+  it("Should enforce the minimum received, the vault balance and the vault", async function () {
+    const { vault, owner, other, usdc, usdcVault1, wethVault } = await loadFixture(deployWithdrawFixture);
+
+    // 1200 redeemed against 1000 deposited: 200 profit, 2 USDC fee
+    await expect(
+      vault.connect(owner).withdrawAssets(usdc, usdcVault1, USDC("1200"), USDC("1199"))
+    ).to.be.revertedWithCustomError(vault, "InsufficientAmountReceived");
+    await expect(
+      vault.connect(owner).withdrawAssets(usdc, usdcVault1, USDC("1600"), 0)
+    ).to.be.revertedWithCustomError(vault, "InsufficientBalance");
+    await expect(vault.connect(owner).withdrawAssets(usdc, wethVault, USDC("1"), 0)).to.be.revertedWithCustomError(vault, "VaultNotAvailable");
+    await expect(vault.connect(owner).withdrawAssets(usdc, usdcVault1, 0, 0)).to.be.revertedWithCustomError(vault, "ZeroAmount");
+    await expect(vault.connect(other).withdrawAssets(usdc, usdcVault1, USDC("1"), 0)).to.be.revertedWithCustomError(vault, "OnlyOwner");
+
+    await vault.connect(owner).withdrawAssets(usdc, usdcVault1, USDC("1200"), USDC("1198"));
+  });
+
+  it("Should preview the exact net amount after the performance fee in the SDK", async function () {
+    const { ownerClient, owner, usdc, usdcVault1 } = await loadFixture(deployWithdrawFixture);
+
+    const preview = await ownerClient.previewWithdraw(usdc.target, USDC("1200"));
+    expect(preview).to.include({ vault: usdcVault1.target, assets: USDC("1200"), full: false });
+    expect(preview.fee).to.equal(((preview.redeemed - USDC("1000")) * BigInt(FEE_PERCENTAGE)) / BPS);
+    expect(preview.net).to.equal(preview.redeemed - preview.fee);
+    expect(preview.minReceived).to.equal(USDC("1198"));
+
+    const before = await usdc.balanceOf(owner.address);
+    const { net, method } = await ownerClient.withdraw(usdc.target, USDC("1200"));
+    expect(method).to.equal("withdrawAssets");
+    expect((await usdc.balanceOf(owner.address)) - before).to.equal(net);
+  });
+
+  it("Should pass a user-specified minimum received through the SDK", async function () {
+    const { ownerClient, vault, usdc } = await loadFixture(deployWithdrawFixture);
+
+    const error = await ownerClient
+      .withdraw(usdc.target, USDC("100"), { minReceived: USDC("101") })
+      .catch((caught) => caught);
+    expect(error).to.be.instanceOf(VaultSdkError);
+    expect(error.message).to.contain("withdrawAssets would revert: InsufficientAmountReceived(");
+
+    const { net } = await ownerClient.previewWithdraw(usdc.target);
+    await ownerClient.withdraw(usdc.target, undefined, { minReceived: net });
+    expect(await vault.getAssetVaultAssets(usdc)).to.equal(0n);
+  });
+});
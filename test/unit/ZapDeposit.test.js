@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployUserVaultFixture, addAerodromePool } = require("../fixtures/mockEcosystem");
+const { VaultClient, VaultSdkError } = require("../../sdk");
+
+describe("UserVault_V4 Zap Deposit", function () {
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+  const MORPHO = (amount) => ethers.parseUnits(amount, 18);
+  // Raw USDC per raw MORPHO, scaled by 1e18: 1 MORPHO = `price` USDC
+  const RATE = (price) => ethers.parseUnits(price, 6);
+
+  async function deployZapFixture() {
+    const fixture = await deployUserVaultFixture();
+    const { owner, rewardToken, usdc } = fixture;
+
+    await rewardToken.mint(owner.address, MORPHO("1000"));
+    await addAerodromePool(rewardToken, usdc, false, RATE("2"));
+
+    return fixture;
+  }
+
+  it("Should swap any token into the asset and make the initial deposit", async function () {
+    const { vault, owner, rewardToken, usdc, usdcVault1 } = await loadFixture(deployZapFixture);
+    await rewardToken.connect(owner).approve(vault, MORPHO("100"));
+    const quote = await vault.getEstimatedSwapOutput(rewardToken, usdc, MORPHO("100"));
+    expect(quote).to.equal(USDC("200"));
+
+    await expect(vault.connect(owner).zapDeposit(rewardToken, MORPHO("100"), usdc, quote))
+      .to.emit(vault, "AssetSwapped")
+      .withArgs(rewardToken.target, usdc.target, MORPHO("100"), USDC("200"))
+      .and.to.emit(vault, "InitialDeposit")
+      .withArgs(usdc.target, usdcVault1.target, USDC("200"));
+
+    expect(await vault.assetHasInitialDeposit(usdc)).to.be.true;
+    expect(await vault.adminApprovedForMerkl()).to.be.true;
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("200"));
+    expect((await vault.getAssetRebalanceInfo(usdc))[0]).to.equal(USDC("200"));
+    expect(await vault.getAssetVaultAssets(usdc)).to.equal(USDC("200"));
+    expect(await rewardToken.balanceOf(vault)).to.equal(0n);
+  });
+
+  it("Should add to an existing position through the pool with the better output", async function () {
+    const { vault, owner, rewardToken, usdc, usdcVault1 } = await loadFixture(deployZapFixture);
+    await rewardToken.connect(owner).approve(vault, ethers.MaxUint256);
+    await vault.connect(owner).initialDeposit(usdc, usdcVault1, USDC("1000"), 0);
+
+    // The stable pool wins ties within 0.1%
+    await addAerodromePool(rewardToken, usdc, true, RATE("1.999"));
+    expect(await vault.getEstimatedSwapOutput(rewardToken, usdc, MORPHO("10"))).to.equal(USDC("19.99"));
+
+    await addAerodromePool(rewardToken, usdc, false, RATE("2.1"));
+    const quote = await vault.getEstimatedSwapOutput(rewardToken, usdc, MORPHO("10"));
+    expect(quote).to.equal(USDC("21"));
+
+    await expect(vault.connect(owner).zapDeposit(rewardToken, MORPHO("10"), usdc, quote))
+      .to.emit(vault, "UserDeposit")
+      .withArgs(usdc.target, usdcVault1.target, USDC("21"));
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("1021"));
+  });
+
+  it("Should enforce the minimum output and reject what cannot be swapped", async function () {
+    const { vault, owner, other, admin, rewardToken, usdc, weth, aerodromeRouter } = await loadFixture(deployZapFixture);
+    await rewardToken.connect(owner).approve(vault, ethers.MaxUint256);
+    const quote = await vault.getEstimatedSwapOutput(rewardToken, usdc, MORPHO("100"));
+
+    // The price moves between the quote and the transaction
+    await addAerodromePool(rewardToken, usdc, false, RATE("1.9"));
+    await expect(
+      vault.connect(owner).zapDeposit(rewardToken, MORPHO("100"), usdc, quote)
+    ).to.be.revertedWithCustomError(aerodromeRouter, "InsufficientOutputAmount");
+
+    await expect(vault.connect(owner).zapDeposit(weth, ethers.parseEther("1"), usdc, 0)).to.be.revertedWithCustomError(vault, "NoPool");
+    await expect(vault.connect(owner).zapDeposit(usdc, USDC("1"), usdc, 0)).to.be.revertedWithCustomError(vault, "SameAsset");
+    await expect(vault.connect(owner).zapDeposit(rewardToken, 0, usdc, 0)).to.be.revertedWithCustomError(vault, "ZeroAmount");
+    await expect(vault.connect(owner).zapDeposit(rewardToken, MORPHO("1"), rewardToken, 0)).to.be.revertedWithCustomError(vault, "AssetNotAllowed");
+    await expect(vault.connect(other).zapDeposit(rewardToken, MORPHO("1"), usdc, 0)).to.be.revertedWithCustomError(vault, "OnlyOwner");
+
+    await vault.connect(admin).pause();
+    await expect(
+      vault.connect(owner).zapDeposit(rewardToken, MORPHO("1"), usdc, 0)
+    ).to.be.revertedWithCustomError(vault, "EnforcedPause");
+  });
+
+  it("Should quote first and approve the input token in the SDK", async function () {
+    const { vault, owner, rewardToken, usdc, weth } = await loadFixture(deployZapFixture);
+    const client = new VaultClient(vault.target, owner);
+
+    const quote = await client.quoteZap(rewardToken.target, MORPHO("50"), usdc.target);
+    expect(quote).to.include({ amountOut: USDC("100"), minAmountOut: USDC("99.5"), initial: true });
+
+    const { method, events } = await client.zapDeposit(rewardToken.target, MORPHO("50"), usdc.target, {
+      slippageBps: 0,
+    });
+    expect(method).to.equal("zapDeposit");
+    expect(events.map((event) => event.name)).to.include.members(["AssetSwapped", "InitialDeposit"]);
+    expect(await vault.assetTotalDeposited(usdc)).to.equal(USDC("100"));
+
+    await expect(client.quoteZap(weth.target, ethers.parseEther("1"), usdc.target)).to.be.rejectedWith(
+      VaultSdkError,
+      "zapDeposit would revert: NoPool()"
+    );
+  });
+});